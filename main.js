@@ -1,12 +1,11 @@
 /**
  * Kanshichan メインプロセスエントリ。
  * - BrowserWindow 構築や IPC 経由のサービス登録を委譲する。
- * - ONNX Runtime (onnxruntime-node) を介した YOLOv11 推論を事前初期化する。
+ * - ONNX Runtime (onnxruntime-node) を介した YOLOv11 推論をワーカースレッドで事前初期化する。
  * - 電力節約モードの抑止など Electron 特有の OS 依存処理をまとめる。
  */
 const { app, BrowserWindow, ipcMain, Notification, powerSaveBlocker, powerMonitor } = require('electron');
 const path = require('path');
-const YOLODetector = require('./src/utils/yolo-detector');
 const { createMainWindow } = require('./src/main/create-window');
 const { registerIpcHandlers } = require('./src/main/ipc/register-handlers');
 const { initializeDatabase, closeDatabase } = require('./src/main/db');
@@ -15,16 +14,31 @@ const { createSlackReporter } = require('./src/main/services/slack-reporter');
 const { createTypingMonitor } = require('./src/main/services/typing-monitor');
 const { createSystemEventMonitor } = require('./src/main/services/system-events');
 const { createAbsenceOverrideManager } = require('./src/main/services/absence-override');
+const { createSystemAbsenceOverride } = require('./src/main/services/system-absence-override');
+const { createAlertRulesStore } = require('./src/main/services/alert-rules');
+const { createAppCategoryStore } = require('./src/main/services/app-categories');
+const { createScreenTimeBudgetStore } = require('./src/main/services/screen-time-budgets');
+const { createSnapshotStore } = require('./src/main/services/snapshots');
+const { createFocusScoreService } = require('./src/main/services/focus-score');
+const { createModelRegistry } = require('./src/main/services/model-registry');
+const { createDetectionWorker } = require('./src/main/services/detection-worker');
 const tasksService = require('./src/main/services/tasks');
 
 let mainWindow = null;
-let yoloDetector = null;
+let detectionWorker = null;
 let powerSaveId = null;
 let configStore = null;
 let slackReporter = null;
 let typingMonitor = null;
 let systemEventMonitor = null;
 let absenceOverrideManager = null;
+let systemAbsenceOverride = null;
+let alertRulesStore = null;
+let appCategoryStore = null;
+let screenTimeBudgetStore = null;
+let snapshotStore = null;
+let focusScoreService = null;
+let modelRegistry = null;
 
 const appConstantsPromise = import('./src/constants/app.js');
 
@@ -72,12 +86,24 @@ app.whenReady().then(async () => {
 
   configStore = createConfigStore(app);
   absenceOverrideManager = createAbsenceOverrideManager({ configStore });
+  appCategoryStore = createAppCategoryStore({ configStore });
+  focusScoreService = createFocusScoreService({ configStore, appCategoryStore });
+  screenTimeBudgetStore = createScreenTimeBudgetStore({ configStore, appCategoryStore });
   slackReporter = createSlackReporter(
     { configStore, absenceOverrideManager },
-    { tasksService }
+    { tasksService, focusScoreService, appCategoryStore }
   );
   typingMonitor = createTypingMonitor({ configStore });
+  alertRulesStore = createAlertRulesStore({ configStore });
+  snapshotStore = createSnapshotStore({ app, configStore });
+  snapshotStore.startRetention().catch((error) => {
+    console.error('スナップショット保持期間の管理開始に失敗:', error);
+  });
+  focusScoreService.start().catch((error) => {
+    console.error('集中スコアの定期計算の開始に失敗:', error);
+  });
   systemEventMonitor = createSystemEventMonitor({ powerMonitor });
+  systemAbsenceOverride = createSystemAbsenceOverride({ configStore, absenceOverrideManager, systemEventMonitor });
 
   // macOSのDockアイコンを設定
   if (process.platform === 'darwin' && app.dock) {
@@ -89,8 +115,12 @@ app.whenReady().then(async () => {
     }
   }
 
-  yoloDetector = new YOLODetector();
-  const initialized = await yoloDetector.initialize();
+  // 起動時は既定モデルで初期化し、レンダラの設定値は最初の detect-objects で反映する。
+  // 推論本体はワーカースレッドで動かし、メインスレッドの IPC 応答を詰まらせない。
+  const modelsDir = path.join(__dirname, 'models');
+  modelRegistry = createModelRegistry({ modelsDir });
+  detectionWorker = createDetectionWorker({ modelsDir });
+  const initialized = await detectionWorker.start();
   if (!initialized) {
     console.error('YOLOモデルの初期化に失敗しました');
   }
@@ -117,13 +147,25 @@ app.whenReady().then(async () => {
   registerIpcHandlers({
     ipcMain,
     Notification,
-    yoloDetectorProvider: () => yoloDetector,
+    yoloDetectorProvider: () => detectionWorker,
+    modelRegistry,
     slackReporter,
     configStore,
     typingMonitor,
     systemEventMonitor,
     absenceOverrideManager,
+    systemAbsenceOverride,
+    alertRulesStore,
+    appCategoryStore,
+    screenTimeBudgetStore,
+    snapshotStore,
+    focusScoreService,
   });
+  // 定期許可・ロック連動の開始と終了もレンダラへ配信されるよう、IPC の購読を張った後に始める。
+  absenceOverrideManager.startRecurring().catch((error) => {
+    console.error('定期的な不在許可の開始に失敗:', error);
+  });
+  systemAbsenceOverride.start();
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -157,6 +199,20 @@ app.on('before-quit', () => {
       console.warn('SystemEventMonitor dispose でエラー:', error);
     });
   }
+  if (detectionWorker) {
+    detectionWorker.dispose().catch((error) => {
+      console.warn('DetectionWorker dispose でエラー:', error);
+    });
+  }
+  if (snapshotStore) {
+    snapshotStore.dispose();
+  }
+  if (focusScoreService) {
+    focusScoreService.dispose();
+  }
+  if (systemAbsenceOverride) {
+    systemAbsenceOverride.dispose();
+  }
   if (absenceOverrideManager) {
     try {
       absenceOverrideManager.dispose();
@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+/**
+ * 検知のオフラインリプレイ。
+ * - 連番画像のフォルダまたは録画ファイルを YOLODetector に通し、監視画面と同じ状態機械 (monitor/detection-state.js)
+ *   とアラートルールの評価器 (monitor/alert-rules.js) で判定した結果のアラートと detection_logs 相当のエントリを JSON で出力する。
+ * - カメラの前に座らずにアラートルールの閾値や補間窓を調整し、変更前後の結果を比較するためのもの。
+ * - 依存: onnxruntime-node / canvas (画像デコード)。録画ファイルの場合は ffmpeg でフレームを書き出す。
+ *
+ * 使い方:
+ *   node scripts/replay-detection.js <フレームのフォルダ|録画ファイル> [オプション]
+ *     --fps <n>              1 秒あたりのフレーム数 (既定: 監視画面の検知間隔に合わせた 2)
+ *     --settings <file>      監視設定の JSON (DEFAULT_MONITOR_SETTINGS に上書き)
+ *     --set <key=value>      監視設定を 1 項目上書き (複数可。値は JSON として解釈できればその型になる)
+ *     --rules <file>         アラートルールの JSON 配列 (既定: 組み込みのスマホ / 不在ルールのみ)
+ *                            監視設定の phoneThreshold / phoneAlertEnabled / phoneAlertMode / absenceThreshold /
+ *                            absenceAlertEnabled は設定ドロワーと同じく組み込みルールへ書き込む
+ *     --timing <key=value>   MONITOR_TIMING_CONSTANTS を 1 項目上書き (複数可)
+ *     --start <ISO 日時>     先頭フレームの時刻 (既定: 2000-01-01T00:00:00Z)
+ *     --models-dir <dir>     ONNX モデルの配置先 (既定: models/)
+ *     --out <file>           出力先 (既定: 標準出力)
+ */
+const fs = require('fs');
+const fsp = fs.promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify, parseArgs } = require('util');
+const YOLODetector = require('../src/utils/yolo-detector');
+const { createModelRegistry } = require('../src/main/services/model-registry');
+
+const execFilePromise = promisify(execFile);
+
+const FRAME_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.bmp']);
+// 状態機械は時刻 0 を「未開始」の印として使うため、リプレイの時刻は 0 から始めない。
+const DEFAULT_START_TIME = '2000-01-01T00:00:00Z';
+// 監視画面で音や通知を伴うログ種別。出力の alerts にはこれらだけを抜き出す。
+const ALERT_LOG_TYPES = new Set([
+  'phone_alert',
+  'absence_alert',
+  'alert_rule_triggered',
+  'additional_person_detected',
+  'object_alert',
+  'posture_too_close',
+  'sitting_reminder',
+]);
+
+function parseOverrides(pairs = []) {
+  return Object.fromEntries(
+    pairs.map((pair) => {
+      const index = pair.indexOf('=');
+      if (index <= 0) {
+        throw new Error(`key=value 形式で指定してください: ${pair}`);
+      }
+      const raw = pair.slice(index + 1);
+      let value = raw;
+      try {
+        value = JSON.parse(raw);
+      } catch {
+        // 文字列値 (yoloModel=yolo11s など) はそのまま使う。
+      }
+      return [pair.slice(0, index), value];
+    })
+  );
+}
+
+async function listFrameFiles(dir) {
+  const entries = await fsp.readdir(dir);
+  return entries
+    .filter((name) => FRAME_EXTENSIONS.has(path.extname(name).toLowerCase()))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map((name) => path.join(dir, name));
+}
+
+/**
+ * 録画ファイルを指定 fps の PNG 連番に書き出す。
+ * @returns {Promise<{dir:string, files:string[]}>} 一時フォルダと書き出したフレーム
+ */
+async function extractVideoFrames(videoPath, fps) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'kanshichan-replay-'));
+  try {
+    await execFilePromise('ffmpeg', ['-i', videoPath, '-vf', `fps=${fps}`, path.join(dir, 'frame-%06d.png'), '-y'], {
+      maxBuffer: 16 * 1024 * 1024,
+    });
+  } catch (error) {
+    await fsp.rm(dir, { recursive: true, force: true });
+    throw new Error(`録画ファイルからのフレーム抽出に失敗しました。ffmpeg がインストールされているか確認してください: ${error.message}`);
+  }
+  return { dir, files: await listFrameFiles(dir) };
+}
+
+async function loadFramePixels(filePath) {
+  // 監視画面と同じく RGBA 生ピクセルを detectFrame に渡し、前処理の経路をそろえる。
+  const { createCanvas, loadImage } = require('canvas');
+  const image = await loadImage(filePath);
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  const { data } = ctx.getImageData(0, 0, image.width, image.height);
+  return { width: image.width, height: image.height, data };
+}
+
+async function loadSettings(settingsPath, overrides) {
+  const { DEFAULT_MONITOR_SETTINGS, sanitizeDetectionRegions, sanitizeObjectWatches } = await import('../src/constants/monitor.js');
+  const fromFile = settingsPath ? JSON.parse(await fsp.readFile(settingsPath, 'utf-8')) : {};
+  const merged = { ...DEFAULT_MONITOR_SETTINGS, ...fromFile, ...overrides };
+  return {
+    ...merged,
+    detectionRegions: sanitizeDetectionRegions(merged.detectionRegions),
+    objectWatches: sanitizeObjectWatches(merged.objectWatches),
+  };
+}
+
+async function loadAlertRules(rulesPath, settings) {
+  const { sanitizeAlertRules, applyBuiltinAlertSettings } = await import('../src/constants/alert-rules.js');
+  const rules = sanitizeAlertRules(rulesPath ? JSON.parse(await fsp.readFile(rulesPath, 'utf-8')) : []);
+  return applyBuiltinAlertSettings(rules, settings);
+}
+
+/**
+ * フレーム列を順に推論し、状態機械とアラートルールが出したログを集める。
+ * - 予定は読み込まないため、「予定の開始から」の条件付きルールは発火しない。
+ */
+async function replay({ files, frameIntervalMs, startTime, settings, alertRules, timing, modelsDir }) {
+  const [
+    { MONITOR_TIMING_CONSTANTS, getActiveDetectionClasses },
+    { YOLO_ALL_CLASS_NAMES },
+    { createDetectionStateMachine, createDetectionSessionState },
+    { createAlertRuleEngine },
+    { isDetectionInActiveRegion },
+    { createPostureMonitor },
+  ] = await Promise.all([
+    import('../src/constants/monitor.js'),
+    import('../src/constants/yolo-classes.js'),
+    import('../src/renderer/monitor/detection-state.js'),
+    import('../src/renderer/monitor/alert-rules.js'),
+    import('../src/renderer/monitor/regions.js'),
+    import('../src/renderer/monitor/posture.js'),
+  ]);
+
+  const detector = new YOLODetector({ modelRegistry: createModelRegistry({ modelsDir }) });
+  const initialized = await detector.initialize(settings.yoloModel);
+  if (!initialized) {
+    throw new Error('YOLO モデルを読み込めませんでした');
+  }
+
+  const state = createDetectionSessionState();
+  const logs = [];
+  const machine = createDetectionStateMachine({
+    state,
+    getSettings: () => settings,
+    timing,
+    effects: { recordLog: (entry) => logs.push(entry) },
+  });
+  const alertRuleEngine = createAlertRuleEngine({
+    state,
+    getRules: () => alertRules,
+    effects: {
+      recordLog: (entry) => logs.push(entry),
+      onBuiltinAlert: (rule, { now }) =>
+        machine.raiseBuiltinAlert(rule.builtin, now, {
+          ruleId: rule.id,
+          condition: rule.condition.type,
+          thresholdSeconds: rule.condition.thresholdSeconds,
+        }),
+    },
+  });
+  let frameSize = null;
+  const postureMonitor = createPostureMonitor({
+    state,
+    getSettings: () => settings,
+    getFrameSize: () => frameSize,
+    effects: { recordLog: (entry) => logs.push(entry) },
+  });
+
+  const activeClasses = getActiveDetectionClasses(settings);
+  let detectionCount = 0;
+  for (const [index, file] of files.entries()) {
+    const now = startTime + index * frameIntervalMs;
+    const frame = await loadFramePixels(file);
+    frameSize = { width: frame.width, height: frame.height };
+    const result = await detector.detectFrame(frame, {
+      modelId: settings.yoloModel,
+      inputSize: settings.yoloInputSize,
+      letterbox: settings.yoloLetterbox !== false,
+    });
+    state.lastDetectionModel = result.model ?? null;
+
+    // 以降は monitor/detection.js と同じ順序: クラス絞り込み → トラッキング → 検知エリア → 状態判定 → 姿勢・着席。
+    const filtered = result.detections.filter(
+      (detection) => activeClasses.has(detection.class) || !YOLO_ALL_CLASS_NAMES.includes(detection.class),
+    );
+    const tracked = state.tracker.update(filtered, now);
+    const inRegions = tracked.filter((detection) =>
+      isDetectionInActiveRegion(detection, settings.detectionRegions, frame.width, frame.height),
+    );
+    detectionCount += tracked.length;
+    machine.process(inRegions, now);
+    postureMonitor.process(now);
+    alertRuleEngine.evaluate(now);
+  }
+
+  return {
+    model: detector.getModelInfo(),
+    timing: { ...MONITOR_TIMING_CONSTANTS, ...timing },
+    detectionCount,
+    alerts: logs.filter((entry) => ALERT_LOG_TYPES.has(entry.type)),
+    logs,
+  };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      fps: { type: 'string' },
+      settings: { type: 'string' },
+      set: { type: 'string', multiple: true },
+      rules: { type: 'string' },
+      timing: { type: 'string', multiple: true },
+      start: { type: 'string' },
+      'models-dir': { type: 'string' },
+      out: { type: 'string' },
+    },
+  });
+  const [source] = positionals;
+  if (!source) {
+    throw new Error('フレームのフォルダまたは録画ファイルを指定してください');
+  }
+
+  const { MONITOR_TIMING_CONSTANTS } = await import('../src/constants/monitor.js');
+  const fps = values.fps ? Number(values.fps) : 1000 / MONITOR_TIMING_CONSTANTS.detectionIntervalMs;
+  if (!Number.isFinite(fps) || fps <= 0) {
+    throw new Error(`--fps が不正です: ${values.fps}`);
+  }
+  const startTime = Date.parse(values.start || DEFAULT_START_TIME);
+  if (!Number.isFinite(startTime) || startTime <= 0) {
+    throw new Error(`--start が不正です: ${values.start}`);
+  }
+
+  const settings = await loadSettings(values.settings, parseOverrides(values.set));
+  const alertRules = await loadAlertRules(values.rules, settings);
+  const timing = parseOverrides(values.timing);
+
+  const isDirectory = (await fsp.stat(source)).isDirectory();
+  const extracted = isDirectory ? null : await extractVideoFrames(source, fps);
+  const files = isDirectory ? await listFrameFiles(source) : extracted.files;
+  if (files.length === 0) {
+    throw new Error(`フレームが見つかりません: ${source}`);
+  }
+
+  try {
+    console.error(`[Replay] ${files.length} フレームを ${fps} fps として再生します`);
+    const result = await replay({
+      files,
+      frameIntervalMs: 1000 / fps,
+      startTime,
+      settings,
+      alertRules,
+      timing,
+      modelsDir: values['models-dir'] || path.join(__dirname, '..', 'models'),
+    });
+    const output = JSON.stringify(
+      {
+        source: path.resolve(source),
+        frameCount: files.length,
+        fps,
+        startedAt: startTime,
+        settings,
+        alertRules,
+        ...result,
+      },
+      null,
+      2
+    );
+    if (values.out) {
+      await fsp.writeFile(values.out, `${output}\n`);
+      console.error(`[Replay] 結果を書き出しました: ${values.out}`);
+    } else {
+      process.stdout.write(`${output}\n`);
+    }
+  } finally {
+    if (extracted) {
+      await fsp.rm(extracted.dir, { recursive: true, force: true });
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error('[Replay] 失敗:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,259 @@
+/**
+ * 不在許可の自動開始 (定期許可 / 画面ロック・スリープ) と予算の定義・正規化。
+ * - 定期許可の一覧はメインプロセスの configStore (absenceOverrideRecurring) に保存し、
+ *   開始と終了は createAbsenceOverrideManager が通常の許可と同じ経路で行う。
+ * - 繰り返しはスケジュールと同じ { type: 'weekly', days: [0(日)〜6(土)] } で表す。
+ * - 画面ロック・スリープ連動の設定は configStore (systemAbsenceOverride) に保存し、
+ *   main/services/system-absence-override.js が system-events の電源状態から許可を開始・終了する。
+ * - 予算 (1 日 / 1 週間に不在許可にできる分数) は configStore (absenceOverrideBudget) に保存し、
+ *   createAbsenceOverrideManager が手動の開始・延長のたびに照合する。
+ */
+
+// absence_override_events.created_by に残す値。手動開始は 'user'。
+export const RECURRING_OVERRIDE_CREATED_BY = 'recurring';
+
+// preset_id は「recurring:<定期許可の ID>」とし、同じ回を二度始めないための照合に使う。
+export const RECURRING_OVERRIDE_PRESET_PREFIX = 'recurring:';
+
+export const RECURRING_OVERRIDE_LIMITS = Object.freeze({
+  maxWindows: 10,
+  durationMinutesMin: 5,
+  durationMinutesMax: 240,
+  reasonMaxLength: 40,
+  checkIntervalMs: 30 * 1000,
+});
+
+export const DEFAULT_RECURRING_OVERRIDES = Object.freeze([]);
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DEFAULT_REASON = '定期的な不在';
+const DEFAULT_DURATION_MINUTES = 60;
+
+function sanitizeRepeatDays(days) {
+  return Array.from(
+    new Set(
+      (Array.isArray(days) ? days : [])
+        .map((day) => Number(day))
+        .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6),
+    ),
+  ).sort((a, b) => a - b);
+}
+
+function sanitizeRecurringOverride(raw, index) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  const days = sanitizeRepeatDays(raw.repeat?.days);
+  const durationMinutes = Number.parseInt(raw.durationMinutes, 10);
+  return {
+    id: typeof raw.id === 'string' && raw.id.trim() ? raw.id.trim().slice(0, 64) : `recurring-${index + 1}`,
+    reason:
+      typeof raw.reason === 'string' && raw.reason.trim()
+        ? raw.reason.trim().slice(0, RECURRING_OVERRIDE_LIMITS.reasonMaxLength)
+        : DEFAULT_REASON,
+    time: typeof raw.time === 'string' && TIME_PATTERN.test(raw.time.trim()) ? raw.time.trim() : '12:00',
+    durationMinutes: Number.isFinite(durationMinutes)
+      ? Math.min(
+          Math.max(durationMinutes, RECURRING_OVERRIDE_LIMITS.durationMinutesMin),
+          RECURRING_OVERRIDE_LIMITS.durationMinutesMax,
+        )
+      : DEFAULT_DURATION_MINUTES,
+    // 曜日がすべて外れた行も編集途中として残し、判定側で「どの日にも当たらない」扱いにする。
+    repeat: { type: 'weekly', days },
+    enabled: raw.enabled !== false,
+  };
+}
+
+/**
+ * 保存・受信した定期許可の一覧を正規化する。
+ * @param {Array} windows
+ * @returns {Array<{id:string, reason:string, time:string, durationMinutes:number, repeat:{type:'weekly', days:number[]}, enabled:boolean}>}
+ */
+export function sanitizeRecurringOverrides(windows) {
+  if (!Array.isArray(windows)) {
+    return [];
+  }
+  const seenIds = new Set();
+  return windows
+    .slice(0, RECURRING_OVERRIDE_LIMITS.maxWindows)
+    .map(sanitizeRecurringOverride)
+    .filter(Boolean)
+    .map((entry, index) => {
+      const id = seenIds.has(entry.id) ? `${entry.id}-${index + 1}` : entry.id;
+      seenIds.add(id);
+      return { ...entry, id };
+    });
+}
+
+/**
+ * 指定時刻を含む回の開始・終了を返す。含まなければ null。
+ * - 日付をまたぐ枠 (23:30 から 60 分など) は前日の開始も確認する。曜日は開始日で判定する。
+ * @param {{time:string, durationMinutes:number, repeat:{days:number[]}, enabled:boolean}} entry
+ * @param {number} now UNIX 時刻 (ms)
+ * @returns {{startedAt:number, expiresAt:number}|null}
+ */
+export function getRecurringOccurrence(entry, now) {
+  if (!entry?.enabled) {
+    return null;
+  }
+  const match = TIME_PATTERN.exec(entry.time || '');
+  const days = entry.repeat?.days || [];
+  if (!match || days.length === 0) {
+    return null;
+  }
+  for (const dayOffset of [0, -1]) {
+    const start = new Date(now);
+    start.setDate(start.getDate() + dayOffset);
+    start.setHours(Number(match[1]), Number(match[2]), 0, 0);
+    const startedAt = start.getTime();
+    const expiresAt = startedAt + entry.durationMinutes * 60 * 1000;
+    if (days.includes(start.getDay()) && startedAt <= now && now < expiresAt) {
+      return { startedAt, expiresAt };
+    }
+  }
+  return null;
+}
+
+/**
+ * 設定ドロワーの「定期許可を追加」で使うひな形。平日 12:00 からの昼休憩。
+ * @returns {Object}
+ */
+export function createRecurringOverrideTemplate() {
+  return {
+    id: `recurring-${Date.now()}`,
+    reason: '昼休憩',
+    time: '12:00',
+    durationMinutes: DEFAULT_DURATION_MINUTES,
+    repeat: { type: 'weekly', days: [1, 2, 3, 4, 5] },
+    enabled: true,
+  };
+}
+
+// 画面ロック・スリープ連動の許可を absence_override_events.created_by で区別する値。system_events の種別と揃える。
+export const SYSTEM_OVERRIDE_SOURCES = Object.freeze({
+  LOCK_SCREEN: 'lock_screen',
+  SUSPEND: 'suspend',
+});
+
+export const SYSTEM_OVERRIDE_SOURCE_LABELS = Object.freeze({
+  [SYSTEM_OVERRIDE_SOURCES.LOCK_SCREEN]: '画面ロック',
+  [SYSTEM_OVERRIDE_SOURCES.SUSPEND]: 'スリープ',
+});
+
+export const SYSTEM_OVERRIDE_LIMITS = Object.freeze({
+  graceSecondsMax: 600,
+  reasonMaxLength: 40,
+});
+
+// 既定は OFF。席を立たずにロックする使い方もあるため、利用者が明示的に選ぶ。
+export const DEFAULT_SYSTEM_OVERRIDE_SETTINGS = Object.freeze({
+  enabled: false,
+  graceSeconds: 30,
+  lockReason: SYSTEM_OVERRIDE_SOURCE_LABELS[SYSTEM_OVERRIDE_SOURCES.LOCK_SCREEN],
+  suspendReason: SYSTEM_OVERRIDE_SOURCE_LABELS[SYSTEM_OVERRIDE_SOURCES.SUSPEND],
+});
+
+function sanitizeReason(value, fallback) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, SYSTEM_OVERRIDE_LIMITS.reasonMaxLength) : fallback;
+}
+
+/**
+ * 画面ロック・スリープ連動の設定を正規化する。
+ * @param {Object} raw
+ * @returns {{enabled:boolean, graceSeconds:number, lockReason:string, suspendReason:string}}
+ */
+export function sanitizeSystemOverrideSettings(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const graceSeconds = Number.parseInt(source.graceSeconds, 10);
+  return {
+    enabled: source.enabled === true,
+    graceSeconds: Number.isFinite(graceSeconds)
+      ? Math.min(Math.max(graceSeconds, 0), SYSTEM_OVERRIDE_LIMITS.graceSecondsMax)
+      : DEFAULT_SYSTEM_OVERRIDE_SETTINGS.graceSeconds,
+    lockReason: sanitizeReason(source.lockReason, DEFAULT_SYSTEM_OVERRIDE_SETTINGS.lockReason),
+    suspendReason: sanitizeReason(source.suspendReason, DEFAULT_SYSTEM_OVERRIDE_SETTINGS.suspendReason),
+  };
+}
+
+export const OVERRIDE_BUDGET_PERIODS = Object.freeze({
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+});
+
+export const OVERRIDE_BUDGET_PERIOD_LABELS = Object.freeze({
+  [OVERRIDE_BUDGET_PERIODS.DAILY]: '今日',
+  [OVERRIDE_BUDGET_PERIODS.WEEKLY]: '今週',
+});
+
+// 予算を超える開始・延長を、警告だけして許可するか断るか。
+export const OVERRIDE_BUDGET_MODES = Object.freeze({
+  WARN: 'warn',
+  REFUSE: 'refuse',
+});
+
+export const OVERRIDE_BUDGET_LIMITS = Object.freeze({
+  minutesMax: 7 * 24 * 60,
+  maxReasonLimits: 10,
+  keyMaxLength: 40,
+});
+
+// 予算には手動・定期・画面ロック連動のすべての許可の時間を数える。照合して止めるのは手動の開始・延長だけ。
+export const DEFAULT_OVERRIDE_BUDGET = Object.freeze({
+  enabled: false,
+  period: OVERRIDE_BUDGET_PERIODS.DAILY,
+  totalMinutes: 120,
+  mode: OVERRIDE_BUDGET_MODES.WARN,
+  reasonLimits: Object.freeze([]),
+});
+
+function clampMinutes(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, 0), OVERRIDE_BUDGET_LIMITS.minutesMax) : fallback;
+}
+
+/**
+ * 不在許可の予算設定を正規化する。
+ * - reasonLimits の key は理由の文字列かプリセット ID (lunch など) のどちらかに一致すれば対象になる。
+ * @param {Object} raw
+ * @returns {{enabled:boolean, period:string, totalMinutes:number, mode:string, reasonLimits:Array<{key:string, minutes:number}>}}
+ */
+export function sanitizeOverrideBudget(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const seenKeys = new Set();
+  const reasonLimits = (Array.isArray(source.reasonLimits) ? source.reasonLimits : [])
+    .map((entry) => ({
+      key: typeof entry?.key === 'string' ? entry.key.trim().slice(0, OVERRIDE_BUDGET_LIMITS.keyMaxLength) : '',
+      minutes: clampMinutes(entry?.minutes, DEFAULT_OVERRIDE_BUDGET.totalMinutes),
+    }))
+    .filter((entry) => {
+      if (!entry.key || seenKeys.has(entry.key)) {
+        return false;
+      }
+      seenKeys.add(entry.key);
+      return true;
+    })
+    .slice(0, OVERRIDE_BUDGET_LIMITS.maxReasonLimits);
+
+  return {
+    enabled: source.enabled === true,
+    period: Object.values(OVERRIDE_BUDGET_PERIODS).includes(source.period) ? source.period : DEFAULT_OVERRIDE_BUDGET.period,
+    totalMinutes: clampMinutes(source.totalMinutes, DEFAULT_OVERRIDE_BUDGET.totalMinutes),
+    mode: Object.values(OVERRIDE_BUDGET_MODES).includes(source.mode) ? source.mode : DEFAULT_OVERRIDE_BUDGET.mode,
+    reasonLimits,
+  };
+}
+
+/**
+ * 予算期間の開始時刻を返す。日次は当日 0 時、週次は月曜 0 時 (ローカル時刻)。
+ * @param {string} period
+ * @param {number} now
+ * @returns {number}
+ */
+export function getBudgetPeriodStart(period, now) {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  if (period === OVERRIDE_BUDGET_PERIODS.WEEKLY) {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start.getTime();
+}
@@ -0,0 +1,294 @@
+/**
+ * アラートルール (条件 → 段階的な行動) の定義と正規化。
+ * - ルールはメインプロセスの configStore に保存し、監視画面の monitor/alert-rules.js が評価する。
+ * - 設定ドロワー・メインプロセス・監視画面で同じ正規化を使うため constants に置く。
+ * - 組み込みのスマホ / 不在アラートも既定のルールとして持ち、利用者が追加したルールと同じ評価器で判定する。
+ */
+
+// 条件の種類。いずれも「セッションが続いている秒数」で判定する。
+export const ALERT_RULE_CONDITIONS = Object.freeze({
+  PHONE_HELD: 'phone_held',
+  PHONE_VISIBLE: 'phone_visible',
+  ABSENT: 'absent',
+});
+
+export const ALERT_RULE_CONDITION_LABELS = Object.freeze({
+  [ALERT_RULE_CONDITIONS.PHONE_HELD]: 'スマホを手に持っている',
+  [ALERT_RULE_CONDITIONS.PHONE_VISIBLE]: 'スマホが映っている',
+  [ALERT_RULE_CONDITIONS.ABSENT]: '不在',
+});
+
+// 行動の種類。sound / notification は通知設定の「アラート音」「デスクトップ通知」が OFF なら実行しない。
+export const ALERT_RULE_ACTIONS = Object.freeze({
+  NOTIFICATION: 'notification',
+  SOUND: 'sound',
+  VOICEVOX: 'voicevox',
+  SLACK: 'slack',
+});
+
+export const ALERT_RULE_ACTION_LABELS = Object.freeze({
+  [ALERT_RULE_ACTIONS.NOTIFICATION]: 'デスクトップ通知',
+  [ALERT_RULE_ACTIONS.SOUND]: 'アラート音',
+  [ALERT_RULE_ACTIONS.VOICEVOX]: 'VOICEVOX 読み上げ',
+  [ALERT_RULE_ACTIONS.SLACK]: 'Slack 投稿',
+});
+
+export const ALERT_RULE_LIMITS = Object.freeze({
+  maxRules: 20,
+  maxActions: 5,
+  // 閾値・遅延・クールダウンの上限 (秒)。
+  maxSeconds: 24 * 60 * 60,
+  // 「予定の開始から何分以内」を何分まで指定できるか。
+  maxScheduleWindowMinutes: 8 * 60,
+  nameMaxLength: 40,
+  messageMaxLength: 200,
+});
+
+const DEFAULT_THRESHOLD_SECONDS = 10;
+const DEFAULT_COOLDOWN_SECONDS = 300;
+const DEFAULT_SCHEDULE_WINDOW_MINUTES = 60;
+
+// 組み込みアラートの種類。閾値に達すると状態機械が phone_alert / absence_alert を記録し、標準の音・通知・読み上げを出す。
+export const ALERT_RULE_BUILTINS = Object.freeze({
+  PHONE: 'phone',
+  ABSENCE: 'absence',
+});
+
+// 組み込みアラートごとに選べる条件。先頭が既定。
+const BUILTIN_CONDITION_TYPES = Object.freeze({
+  [ALERT_RULE_BUILTINS.PHONE]: Object.freeze([ALERT_RULE_CONDITIONS.PHONE_HELD, ALERT_RULE_CONDITIONS.PHONE_VISIBLE]),
+  [ALERT_RULE_BUILTINS.ABSENCE]: Object.freeze([ALERT_RULE_CONDITIONS.ABSENT]),
+});
+
+/**
+ * 既定のルール。組み込みのスマホ / 不在アラートを 1 件ずつ持ち、利用者は閾値・クールダウンの変更や無効化、段階の追加ができる。
+ * - 組み込みルールは削除できず、保存済みの一覧に無ければ sanitizeAlertRules が既定の内容で補う。
+ * - 閾値・クールダウンは監視設定で持っていた頃の既定 (スマホ 10 秒 / 120 秒、不在 30 秒 / 300 秒) と同じ。
+ */
+export const DEFAULT_ALERT_RULES = Object.freeze([
+  Object.freeze({
+    id: 'builtin-phone',
+    builtin: ALERT_RULE_BUILTINS.PHONE,
+    name: 'スマホアラート',
+    enabled: true,
+    condition: Object.freeze({
+      type: ALERT_RULE_CONDITIONS.PHONE_HELD,
+      thresholdSeconds: 10,
+      duringSchedule: false,
+      scheduleWindowMinutes: DEFAULT_SCHEDULE_WINDOW_MINUTES,
+    }),
+    actions: Object.freeze([]),
+    cooldownSeconds: 120,
+  }),
+  Object.freeze({
+    id: 'builtin-absence',
+    builtin: ALERT_RULE_BUILTINS.ABSENCE,
+    name: '不在アラート',
+    enabled: true,
+    condition: Object.freeze({
+      type: ALERT_RULE_CONDITIONS.ABSENT,
+      thresholdSeconds: 30,
+      duringSchedule: false,
+      scheduleWindowMinutes: DEFAULT_SCHEDULE_WINDOW_MINUTES,
+    }),
+    actions: Object.freeze([]),
+    cooldownSeconds: 300,
+  }),
+]);
+
+// 監視設定 (localStorage の monitorSettings) に持っていた頃のキー。組み込みルールの項目へ対応付けて移す。
+export const LEGACY_ALERT_SETTING_KEYS = Object.freeze([
+  'phoneThreshold',
+  'phoneAlertEnabled',
+  'phoneAlertMode',
+  'absenceThreshold',
+  'absenceAlertEnabled',
+]);
+
+/**
+ * 監視設定の形 (phoneThreshold など) の値を組み込みルールへ書き込んだ一覧を返す。
+ * - 旧設定の移行と、設定フォーム・音声コマンドからの変更の両方で使う。値が無い項目はルールのまま残す。
+ * - phoneAlertMode は 'any' なら「スマホが映っている」、それ以外なら「手に持っている」条件にする。
+ * @param {Array} rules sanitizeAlertRules 済みのルール
+ * @param {{phoneThreshold?:number, phoneAlertEnabled?:boolean, phoneAlertMode?:string, absenceThreshold?:number, absenceAlertEnabled?:boolean}} values
+ * @returns {Array}
+ */
+export function applyBuiltinAlertSettings(rules, values) {
+  const source = values && typeof values === 'object' ? values : {};
+  const patches = {
+    [ALERT_RULE_BUILTINS.PHONE]: {
+      enabled: source.phoneAlertEnabled,
+      thresholdSeconds: source.phoneThreshold,
+      type:
+        source.phoneAlertMode === undefined
+          ? undefined
+          : source.phoneAlertMode === 'any'
+            ? ALERT_RULE_CONDITIONS.PHONE_VISIBLE
+            : ALERT_RULE_CONDITIONS.PHONE_HELD,
+    },
+    [ALERT_RULE_BUILTINS.ABSENCE]: {
+      enabled: source.absenceAlertEnabled,
+      thresholdSeconds: source.absenceThreshold,
+    },
+  };
+  return sanitizeAlertRules(
+    rules.map((rule) => {
+      const patch = patches[rule.builtin];
+      if (!patch) {
+        return rule;
+      }
+      return {
+        ...rule,
+        enabled: typeof patch.enabled === 'boolean' ? patch.enabled : rule.enabled,
+        condition: {
+          ...rule.condition,
+          type: patch.type ?? rule.condition.type,
+          thresholdSeconds: clampInteger(
+            patch.thresholdSeconds,
+            1,
+            ALERT_RULE_LIMITS.maxSeconds,
+            rule.condition.thresholdSeconds,
+          ),
+        },
+      };
+    }),
+  );
+}
+
+/**
+ * 組み込みルールの内容を監視設定の形 (phoneThreshold など) で返す。設定フォームの表示に使う。
+ * @param {Array} rules sanitizeAlertRules 済みのルール
+ * @returns {{phoneThreshold:number, phoneAlertEnabled:boolean, phoneAlertMode:'held'|'any', absenceThreshold:number, absenceAlertEnabled:boolean}}
+ */
+export function getBuiltinAlertSettings(rules) {
+  const findBuiltin = (builtin) =>
+    rules.find((rule) => rule.builtin === builtin) ?? DEFAULT_ALERT_RULES.find((rule) => rule.builtin === builtin);
+  const phone = findBuiltin(ALERT_RULE_BUILTINS.PHONE);
+  const absence = findBuiltin(ALERT_RULE_BUILTINS.ABSENCE);
+  return {
+    phoneThreshold: phone.condition.thresholdSeconds,
+    phoneAlertEnabled: phone.enabled,
+    phoneAlertMode: phone.condition.type === ALERT_RULE_CONDITIONS.PHONE_VISIBLE ? 'any' : 'held',
+    absenceThreshold: absence.condition.thresholdSeconds,
+    absenceAlertEnabled: absence.enabled,
+  };
+}
+
+/**
+ * 組み込みルールで選べる条件の一覧を返す。組み込みでなければ null。
+ * @param {Object} rule
+ * @returns {ReadonlyArray<string>|null}
+ */
+export function getBuiltinConditionTypes(rule) {
+  return BUILTIN_CONDITION_TYPES[rule?.builtin] ?? null;
+}
+
+function clampInteger(value, min, max, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed)) {
+    return fallback;
+  }
+  return Math.min(max, Math.max(min, parsed));
+}
+
+function sanitizeText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+function sanitizeAlertRuleAction(raw) {
+  if (!raw || !Object.values(ALERT_RULE_ACTIONS).includes(raw.type)) {
+    return null;
+  }
+  return {
+    type: raw.type,
+    delaySeconds: clampInteger(raw.delaySeconds, 0, ALERT_RULE_LIMITS.maxSeconds, 0),
+    message: sanitizeText(raw.message, ALERT_RULE_LIMITS.messageMaxLength),
+  };
+}
+
+function sanitizeAlertRule(raw, index) {
+  const builtinTypes = getBuiltinConditionTypes(raw);
+  let conditionType = raw?.condition?.type;
+  if (builtinTypes && !builtinTypes.includes(conditionType)) {
+    // 組み込みルールは種類に合わない条件を既定の条件に戻し、ルールごと消えないようにする。
+    [conditionType] = builtinTypes;
+  }
+  if (!Object.values(ALERT_RULE_CONDITIONS).includes(conditionType)) {
+    return null;
+  }
+  const condition = raw.condition || {};
+  const actions = (Array.isArray(raw.actions) ? raw.actions : [])
+    .map(sanitizeAlertRuleAction)
+    .filter(Boolean)
+    .slice(0, ALERT_RULE_LIMITS.maxActions)
+    // 評価側は遅延の短い順に発火させるため、保存時点で並べておく。
+    .sort((a, b) => a.delaySeconds - b.delaySeconds);
+
+  return {
+    id: sanitizeText(raw.id, 64) || `rule-${index + 1}`,
+    ...(builtinTypes ? { builtin: raw.builtin } : {}),
+    name: sanitizeText(raw.name, ALERT_RULE_LIMITS.nameMaxLength) || `ルール ${index + 1}`,
+    enabled: raw.enabled !== false,
+    condition: {
+      type: conditionType,
+      thresholdSeconds: clampInteger(condition.thresholdSeconds, 1, ALERT_RULE_LIMITS.maxSeconds, DEFAULT_THRESHOLD_SECONDS),
+      duringSchedule: Boolean(condition.duringSchedule),
+      scheduleWindowMinutes: clampInteger(
+        condition.scheduleWindowMinutes,
+        1,
+        ALERT_RULE_LIMITS.maxScheduleWindowMinutes,
+        DEFAULT_SCHEDULE_WINDOW_MINUTES,
+      ),
+    },
+    actions,
+    cooldownSeconds: clampInteger(raw.cooldownSeconds, 0, ALERT_RULE_LIMITS.maxSeconds, DEFAULT_COOLDOWN_SECONDS),
+  };
+}
+
+/**
+ * 保存・受信したルール一覧を正規化する。不正な条件のルールと不正な行動は取り除く。
+ * - 組み込みルールは種類ごとに 1 件だけ先頭に置き、無ければ DEFAULT_ALERT_RULES の内容で補う。
+ * @param {Array} rules
+ * @returns {Array<{id:string, builtin?:string, name:string, enabled:boolean, condition:Object, actions:Array, cooldownSeconds:number}>}
+ */
+export function sanitizeAlertRules(rules) {
+  const source = Array.isArray(rules) ? rules : [];
+  const builtins = DEFAULT_ALERT_RULES.map(
+    (fallback) => source.find((rule) => rule?.builtin === fallback.builtin && rule.id === fallback.id) ?? fallback,
+  );
+  const customRules = source.filter((rule) => !getBuiltinConditionTypes(rule));
+  const seenIds = new Set();
+  return [...builtins, ...customRules.slice(0, ALERT_RULE_LIMITS.maxRules - builtins.length)]
+    .map(sanitizeAlertRule)
+    .filter(Boolean)
+    .map((rule, index) => {
+      // ID は評価中の状態の対応付けに使うため、重複があれば振り直す。
+      const id = seenIds.has(rule.id) ? `${rule.id}-${index + 1}` : rule.id;
+      seenIds.add(id);
+      return { ...rule, id };
+    });
+}
+
+/**
+ * 設定ドロワーの「ルールを追加」で使うひな形。手に持ったスマホを段階的に注意する例。
+ * @returns {Object}
+ */
+export function createAlertRuleTemplate() {
+  return {
+    id: `rule-${Date.now()}`,
+    name: 'スマホの段階アラート',
+    enabled: true,
+    condition: {
+      type: ALERT_RULE_CONDITIONS.PHONE_HELD,
+      thresholdSeconds: DEFAULT_THRESHOLD_SECONDS,
+      duringSchedule: false,
+      scheduleWindowMinutes: DEFAULT_SCHEDULE_WINDOW_MINUTES,
+    },
+    actions: [
+      { type: ALERT_RULE_ACTIONS.NOTIFICATION, delaySeconds: 0, message: '' },
+      { type: ALERT_RULE_ACTIONS.VOICEVOX, delaySeconds: 30, message: '' },
+      { type: ALERT_RULE_ACTIONS.SLACK, delaySeconds: 120, message: '' },
+    ],
+    cooldownSeconds: DEFAULT_COOLDOWN_SECONDS,
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * 前面アプリのカテゴリ分けルールの定義と正規化。
+ * - ルールはメインプロセスの configStore (appCategoryRules) に保存し、集計 (getAppUsageStats)・Slack レポート・集中スコアが使う。
+ * - 各ルールはアプリ名・ドメイン・タイトルのいずれかを正規表現 (大文字小文字を区別しない) で照合し、
+ *   上から順に最初に一致したルールのカテゴリと区分 (生産的 / 中立 / 気が散る) を採る。どれにも一致しなければ未分類。
+ */
+
+export const APP_CATEGORY_FLAGS = Object.freeze({
+  PRODUCTIVE: 'productive',
+  NEUTRAL: 'neutral',
+  DISTRACTING: 'distracting',
+});
+
+export const APP_CATEGORY_FLAG_LABELS = Object.freeze({
+  [APP_CATEGORY_FLAGS.PRODUCTIVE]: '生産的',
+  [APP_CATEGORY_FLAGS.NEUTRAL]: '中立',
+  [APP_CATEGORY_FLAGS.DISTRACTING]: '気が散る',
+});
+
+export const APP_CATEGORY_FLAG_COLORS = Object.freeze({
+  [APP_CATEGORY_FLAGS.PRODUCTIVE]: '#4dabf7',
+  [APP_CATEGORY_FLAGS.NEUTRAL]: '#adb5bd',
+  [APP_CATEGORY_FLAGS.DISTRACTING]: '#ff8787',
+});
+
+// 照合する app_usage_logs の列。
+export const APP_CATEGORY_FIELDS = Object.freeze({
+  app: 'アプリ名',
+  domain: 'ドメイン',
+  title: 'タイトル',
+});
+
+export const APP_CATEGORY_LIMITS = Object.freeze({
+  maxRules: 50,
+  patternMaxLength: 120,
+  categoryMaxLength: 30,
+});
+
+export const UNCATEGORIZED_APP_CATEGORY = Object.freeze({
+  category: '未分類',
+  flag: APP_CATEGORY_FLAGS.NEUTRAL,
+});
+
+// ルール未設定時の既定。よく使う開発ツールと動画・SNS だけを分けておく。
+export const DEFAULT_APP_CATEGORY_RULES = Object.freeze([
+  Object.freeze({ id: 'default-editor', field: 'app', pattern: '^(Code|Visual Studio Code|Cursor|Xcode)$', category: '開発', flag: 'productive' }),
+  Object.freeze({ id: 'default-terminal', field: 'app', pattern: '^(Terminal|iTerm2|Warp)$', category: '開発', flag: 'productive' }),
+  Object.freeze({ id: 'default-github', field: 'domain', pattern: '(^|\\.)github\\.com$', category: '開発', flag: 'productive' }),
+  Object.freeze({ id: 'default-chat', field: 'app', pattern: '^(Slack|Discord)$', category: 'コミュニケーション', flag: 'neutral' }),
+  Object.freeze({ id: 'default-video', field: 'domain', pattern: '(^|\\.)(youtube\\.com|netflix\\.com)$', category: '娯楽', flag: 'distracting' }),
+  Object.freeze({ id: 'default-sns', field: 'domain', pattern: '(^|\\.)(x\\.com|twitter\\.com|instagram\\.com)$', category: 'SNS', flag: 'distracting' }),
+]);
+
+function sanitizeText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch {
+    return null;
+  }
+}
+
+function sanitizeAppCategoryRule(raw, index) {
+  const pattern = sanitizeText(raw?.pattern, APP_CATEGORY_LIMITS.patternMaxLength);
+  const category = sanitizeText(raw?.category, APP_CATEGORY_LIMITS.categoryMaxLength);
+  if (!pattern || !category || !compilePattern(pattern)) {
+    return null;
+  }
+  return {
+    id: sanitizeText(raw.id, 64) || `category-${index + 1}`,
+    field: Object.keys(APP_CATEGORY_FIELDS).includes(raw.field) ? raw.field : 'app',
+    pattern,
+    category,
+    flag: Object.values(APP_CATEGORY_FLAGS).includes(raw.flag) ? raw.flag : APP_CATEGORY_FLAGS.NEUTRAL,
+  };
+}
+
+/**
+ * 保存・受信したルール一覧を正規化する。正規表現として解釈できないルールとカテゴリ名の無いルールは取り除く。
+ * @param {Array} rules
+ * @returns {Array<{id:string, field:'app'|'domain'|'title', pattern:string, category:string, flag:string}>}
+ */
+export function sanitizeAppCategoryRules(rules) {
+  if (!Array.isArray(rules)) {
+    return [];
+  }
+  const seenIds = new Set();
+  return rules
+    .slice(0, APP_CATEGORY_LIMITS.maxRules)
+    .map(sanitizeAppCategoryRule)
+    .filter(Boolean)
+    .map((rule, index) => {
+      const id = seenIds.has(rule.id) ? `${rule.id}-${index + 1}` : rule.id;
+      seenIds.add(id);
+      return { ...rule, id };
+    });
+}
+
+/**
+ * ルール一覧から、前面アプリの記録をカテゴリへ振り分ける関数を作る。正規表現のコンパイルは 1 回だけ行う。
+ * @param {Array} rules sanitizeAppCategoryRules 済みのルール
+ * @returns {(usage:{appName?:string, domain?:string, title?:string}) => {category:string, flag:string}}
+ */
+export function createAppCategorizer(rules) {
+  const compiled = rules
+    .map((rule) => ({ ...rule, regex: compilePattern(rule.pattern) }))
+    .filter((rule) => rule.regex);
+  const valueOf = { app: (usage) => usage.appName, domain: (usage) => usage.domain, title: (usage) => usage.title };
+  return (usage) => {
+    const matched = compiled.find((rule) => {
+      const value = valueOf[rule.field](usage || {});
+      return typeof value === 'string' && value !== '' && rule.regex.test(value);
+    });
+    return matched ? { category: matched.category, flag: matched.flag } : { ...UNCATEGORIZED_APP_CATEGORY };
+  };
+}
+
+/**
+ * 設定ドロワーの「ルールを追加」で使うひな形。
+ * @returns {Object}
+ */
+export function createAppCategoryRuleTemplate() {
+  return {
+    id: `category-${Date.now()}`,
+    field: 'domain',
+    pattern: '',
+    category: '',
+    flag: APP_CATEGORY_FLAGS.NEUTRAL,
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * 集中スコアの設定値・正規化と計算式。
+ * - 設定はメインプロセスの configStore (focusScoreSettings) に保存し、計算と focus_scores テーブルへの保存は
+ *   main/services/focus-score.js が行う。
+ * - 「気が散る」前面アプリは集計と同じカテゴリ分けルール (constants/app-categories.js) で区分が distracting のもの。
+ *
+ * 計算式 (1 時間ごと):
+ *   観測時間 = 監視していた時間 - 許可済み不在
+ *     (監視していた時間 = スマホ・不在・前面アプリ・タイピングのいずれかの記録がある時間。今の時間帯は現在時刻まで)
+ *   スマホ率 = スマホ検知時間 / 観測時間
+ *   不在率   = 未許可の不在時間 / 観測時間
+ *   脇道率   = 気が散るアプリ・サイトの前面時間 / 観測時間
+ *   入力不足 = 1 - min(1 分あたりのキー入力 / 目標キー入力, 1)
+ *   スコア   = 100 × (1 - Σ(重み × 各率) / Σ重み)   (各率は 0〜1 に丸める)
+ * - 1 日のスコアは、その日の各時間のスコアを観測時間で重み付けした平均。
+ * - タイピングの記録が 1 件も無い日は監視が無効とみなし、入力不足の項を重みごと外す。
+ * - スマホ・不在・アプリ・タイピングのどの記録も無い時間は集計しない (アプリを起動していなかった時間)。
+ */
+
+export const FOCUS_SCORE_SIGNALS = Object.freeze(['phone', 'absence', 'distraction', 'typing']);
+
+export const FOCUS_SCORE_SIGNAL_LABELS = Object.freeze({
+  phone: 'スマホ',
+  absence: '未許可の不在',
+  distraction: '気が散るアプリ',
+  typing: '入力不足',
+});
+
+export const FOCUS_SCORE_LIMITS = Object.freeze({
+  weightMax: 100,
+  typingTargetMax: 300,
+  recomputeIntervalMs: 10 * 60 * 1000,
+});
+
+export const DEFAULT_FOCUS_SCORE_SETTINGS = Object.freeze({
+  weights: Object.freeze({ phone: 40, absence: 25, distraction: 25, typing: 10 }),
+  typingTargetPerMinute: 20,
+});
+
+function clampInteger(value, min, max, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : fallback;
+}
+
+/**
+ * 集中スコアの設定を正規化する。
+ * @param {Object} raw
+ * @returns {{weights:{phone:number, absence:number, distraction:number, typing:number}, typingTargetPerMinute:number}}
+ */
+export function sanitizeFocusScoreSettings(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const weights = {};
+  FOCUS_SCORE_SIGNALS.forEach((signal) => {
+    weights[signal] = clampInteger(
+      source.weights?.[signal],
+      0,
+      FOCUS_SCORE_LIMITS.weightMax,
+      DEFAULT_FOCUS_SCORE_SETTINGS.weights[signal],
+    );
+  });
+
+  return {
+    weights,
+    typingTargetPerMinute: clampInteger(
+      source.typingTargetPerMinute,
+      1,
+      FOCUS_SCORE_LIMITS.typingTargetMax,
+      DEFAULT_FOCUS_SCORE_SETTINGS.typingTargetPerMinute,
+    ),
+  };
+}
+
+function toRatio(value) {
+  return Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : 0;
+}
+
+/**
+ * 1 時間分の信号からスコア (0〜100) を計算する。観測時間が無ければ null。
+ * @param {{observedSeconds:number, phoneSeconds:number, absenceSeconds:number, distractionSeconds:number, keyPresses:number, typingTracked:boolean}} signals
+ * @param {ReturnType<typeof sanitizeFocusScoreSettings>} settings
+ * @returns {number|null}
+ */
+export function computeFocusScore(signals, settings) {
+  const observedSeconds = signals?.observedSeconds || 0;
+  if (observedSeconds <= 0) {
+    return null;
+  }
+  const { weights } = settings;
+  const penalties = {
+    phone: toRatio(signals.phoneSeconds / observedSeconds),
+    absence: toRatio(signals.absenceSeconds / observedSeconds),
+    distraction: toRatio(signals.distractionSeconds / observedSeconds),
+    typing: signals.typingTracked
+      ? 1 - toRatio(signals.keyPresses / ((observedSeconds / 60) * settings.typingTargetPerMinute))
+      : null,
+  };
+  let weightTotal = 0;
+  let penaltyTotal = 0;
+  FOCUS_SCORE_SIGNALS.forEach((signal) => {
+    if (penalties[signal] === null) {
+      return;
+    }
+    weightTotal += weights[signal];
+    penaltyTotal += weights[signal] * penalties[signal];
+  });
+  if (weightTotal <= 0) {
+    return null;
+  }
+  return Math.round(100 * (1 - penaltyTotal / weightTotal));
+}
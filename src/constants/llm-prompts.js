@@ -96,6 +96,7 @@ const SETTINGS_COMMAND_TARGETS = Object.freeze([
   { key: 'phoneAlertEnabled', description: 'スマホ検知アラートをオン/オフする' },
   { key: 'phoneThreshold', description: 'スマホ検知アラートが鳴るまでの秒数 (1〜600 秒)' },
   { key: 'phoneConfidence', description: 'スマホ検知感度を 0.1〜0.9 で調整する' },
+  { key: 'strictModeEnabled', description: '厳格モード (スマホを置くまでアラートを繰り返す) をオン/オフする' },
   { key: 'absenceAlertEnabled', description: '不在検知アラートをオン/オフする' },
   { key: 'absenceThreshold', description: '不在アラートが鳴るまでの秒数 (1〜600 秒)' },
   { key: 'absenceConfidence', description: '不在検知感度を 0.1〜0.9 で調整する' },
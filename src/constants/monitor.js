@@ -1,5 +1,7 @@
 import { DEFAULT_SCHEDULE_NOTIFICATION_SETTINGS } from './schedule.js';
 import { DEFAULT_VOICEVOX_SPEAKER_ID } from './voicevox-config.js';
+import { DEFAULT_YOLO_MODEL_ID } from './yolo-models.js';
+import { YOLO_ALL_CLASS_NAMES } from './yolo-classes.js';
 
 /**
  * 監視機能 (monitor.js 等) の既定設定とタイミング定義。
@@ -7,12 +9,51 @@ import { DEFAULT_VOICEVOX_SPEAKER_ID } from './voicevox-config.js';
  */
 export const DEFAULT_ENABLED_CLASSES = Object.freeze(['person', 'cell phone']);
 
+// 推論解像度の選択肢。小さいほど CPU 負荷が下がるが、遠くの小物体（スマホ等）の検知率が落ちる。
+export const YOLO_INPUT_SIZE_OPTIONS = Object.freeze([320, 480, 640]);
+export const DEFAULT_YOLO_INPUT_SIZE = 640;
+
+// 検知エリア (ROI) の種別。include は「この範囲内だけを数える」、exclude は「この範囲内は無視する」。
+export const DETECTION_REGION_MODES = Object.freeze({
+  INCLUDE: 'include',
+  EXCLUDE: 'exclude',
+});
+// 検知エリアで絞り込めるクラス。状態判定 (スマホ / 不在) に使うものだけを対象にする。
+export const DETECTION_REGION_CLASSES = Object.freeze(['cell phone', 'person']);
+
+// スマホの状態分類。held は人物の手元にあり操作中とみなせるもの、visible は机上などに映っているだけのもの。
+export const PHONE_STATES = Object.freeze({
+  HELD: 'held',
+  VISIBLE: 'visible',
+});
+
+// スマホ / 不在アラートの閾値・ON/OFF・数える状態は、組み込みのアラートルール (constants/alert-rules.js) で持つ。
 export const DEFAULT_MONITOR_SETTINGS = Object.freeze({
-  phoneThreshold: 10,
-  phoneAlertEnabled: true,
   phoneConfidence: 0.5,
-  absenceThreshold: 30,
-  absenceAlertEnabled: true,
+  // スマホ枠のうち人物枠と重なる割合がこの値以上なら「手元」とみなす。
+  phoneHeldMinOverlap: 0.3,
+  // 人物枠の上端を 0、下端を 1 としたスマホ中心の高さ。これより下は机上に置かれているとみなす。
+  phoneHeldMaxVerticalPosition: 0.8,
+  // 厳格モード: スマホを置くまで strictRepeatSeconds ごとにアラートを繰り返し、回を追うごとに語気を強める。
+  // strictModeDuringSchedule が ON なら、予定の開始から strictScheduleWindowMinutes の間は手動の切り替えに関係なく厳格モードになる。
+  strictModeEnabled: false,
+  strictModeDuringSchedule: false,
+  strictScheduleWindowMinutes: 60,
+  strictRepeatSeconds: 20,
+  // 持ち主の背後に別の人物が映り続けたら通知する (覗き見への注意喚起)。既定では無効。
+  additionalPersonAlertEnabled: false,
+  additionalPersonMinSeconds: 3,
+  // 持ち主の枠面積に対する比率がこの値以下の人物を「背後」とみなす (横に並んで座る同僚を除くため)。
+  additionalPersonMaxAreaRatio: 0.6,
+  // 画面への接近: 持ち主の人物枠がフレームに占める割合を、較正した基準値と比べる。基準値 0 は未較正。
+  postureAlertEnabled: false,
+  postureBaselineAreaRatio: 0,
+  postureTooCloseRatio: 1.4,
+  postureTooCloseSeconds: 20,
+  // 連続着席: この分数続けて座っていたら立ち上がりを促す。breakMinutes 以上映らなければ休憩とみなして数え直す。
+  sittingReminderEnabled: false,
+  sittingReminderMinutes: 50,
+  sittingBreakMinutes: 3,
   absenceConfidence: 0.5,
   soundEnabled: true,
   desktopNotification: true,
@@ -20,6 +61,14 @@ export const DEFAULT_MONITOR_SETTINGS = Object.freeze({
   showDetections: true,
   previewEnabled: true,
   yoloEnabled: true,
+  yoloModel: DEFAULT_YOLO_MODEL_ID,
+  yoloInputSize: DEFAULT_YOLO_INPUT_SIZE,
+  yoloLetterbox: true,
+  motionGateEnabled: true,
+  motionGateThreshold: 4,
+  detectionRegions: Object.freeze([]),
+  objectWatches: Object.freeze([]),
+  dwellLimits: Object.freeze([]),
   voicevoxSpeaker: DEFAULT_VOICEVOX_SPEAKER_ID,
   schedulePreNotificationEnabled: DEFAULT_SCHEDULE_NOTIFICATION_SETTINGS.preNotificationEnabled,
   schedulePreNotificationLeadMinutes: DEFAULT_SCHEDULE_NOTIFICATION_SETTINGS.leadMinutes
@@ -33,10 +82,378 @@ export const MONITOR_TIMING_CONSTANTS = Object.freeze({
   personInterpolationWindowMs: 500,
   phoneClearStableMs: 2000,
   absenceClearStableMs: 2000,
-  phoneAlertCooldownMs: 120000,
-  absenceAlertCooldownMs: 300000
+  // モーションゲートで推論を省略していても、この間隔ごとに必ず推論して結果を補正する。
+  motionGateKeyframeIntervalMs: 5000,
+  motionGateFlushIntervalMs: 60000
+});
+
+/**
+ * 多物体トラッカーのパラメータ。座標の単位はプレビュー Canvas のピクセル (既定 1280x720)。
+ */
+export const MONITOR_TRACKER_CONSTANTS = Object.freeze({
+  classes: Object.freeze(['person', 'cell phone']),
+  // 予測枠と検知枠の IoU がこの値未満なら別物体とみなす。
+  iouThreshold: 0.3,
+  // 連続してこの回数照合できたトラックだけを確定扱いにし、単発の誤検知で ID を消費しない。
+  minHits: 2,
+  // 照合できない状態がこの時間続いたトラックは破棄する。
+  maxAgeMs: 2000,
+  // カルマンフィルタの雑音。processNoise は加速度の分散 (px/s^2)^2、measurementNoise は検知位置の分散 px^2。
+  processNoise: 40000,
+  measurementNoise: 100,
+  initialVelocityVariance: 250000,
+  // 枠の幅・高さは位置ほど素早く変わらないため、指数移動平均で平滑化する。
+  sizeSmoothing: 0.5,
+});
+
+/**
+ * 姿勢 (画面への接近) と連続着席の判定パラメータ。閾値は DEFAULT_MONITOR_SETTINGS 側で利用者が変える。
+ */
+export const POSTURE_CONSTANTS = Object.freeze({
+  // 人物枠の面積比は検知ごとに揺れるため、指数移動平均で平滑化してから基準値と比べる。
+  areaSmoothing: 0.3,
+  // 接近が解消した状態がこの時間続いてから区間を閉じる。
+  tooCloseClearStableMs: 5000,
+  // 着席リマインドを出した後も座り続けている場合の再通知間隔。
+  sittingReminderRepeatMs: 15 * 60 * 1000,
+});
+
+/**
+ * 厳格モードの繰り返しアラート。段階は 1 (通常のスマホアラート) から始まり、繰り返すたびに 1 つ上がる。
+ */
+export const STRICT_MODE_CONSTANTS = Object.freeze({
+  // 文言と読み上げの強さはこの段階で頭打ちにする (以降は同じ強さで繰り返す)。
+  maxUrgencyLevel: 4,
+  // 段階ごとに VOICEVOX の話速と抑揚を上げる量。
+  speedScaleStep: 0.1,
+  intonationScaleStep: 0.2,
+});
+
+/**
+ * 厳格モードが有効かを判定する。
+ * @param {Object} settings 監視設定
+ * @param {boolean} scheduleInProgress 予定の開始から strictScheduleWindowMinutes 以内か
+ * @returns {boolean}
+ */
+export function isStrictModeActive(settings, scheduleInProgress) {
+  if (!settings) {
+    return false;
+  }
+  return settings.strictModeEnabled === true || (settings.strictModeDuringSchedule === true && scheduleInProgress);
+}
+
+/**
+ * スマホ / 不在アラートの確認 (acknowledge) と応答時間。
+ * - 応答時間はアラートから条件が解消する (スマホを置く / 席に戻る) までの秒数で、セッション終了ログの response_seconds に残す。
+ */
+export const ALERT_ACK_SOURCES = Object.freeze({
+  MONITOR: 'monitor',
+  NOTIFICATION: 'notification',
+  VOICE: 'voice',
+});
+
+export const ALERT_ACK_SOURCE_LABELS = Object.freeze({
+  [ALERT_ACK_SOURCES.MONITOR]: '監視画面',
+  [ALERT_ACK_SOURCES.NOTIFICATION]: '通知',
+  [ALERT_ACK_SOURCES.VOICE]: '音声',
+});
+
+export const ALERT_RESPONSE_CONSTANTS = Object.freeze({
+  // 確認されないまま、条件がこの秒数以上解消しなかったアラートを「無視」として数える。
+  ignoredAfterSeconds: 60,
+});
+
+/**
+ * カメラ健全性チェックの閾値。輝度は縮小フレーム (モーションゲートと共通の 64x36) の 0-255。
+ * - レンズが塞がれた / 部屋が暗い / 映像が止まった間は人物を検知できず、不在と区別できないため判定から外す。
+ */
+export const CAMERA_HEALTH_CONSTANTS = Object.freeze({
+  // 平均輝度がこれ未満なら暗すぎる。
+  darkBrightnessMax: 20,
+  // 輝度の標準偏差がこれ未満なら一様な画面 (レンズを指や手で塞いだ状態) とみなす。
+  coveredStdDevMax: 4,
+  // 縮小フレームが完全に同一のままこの時間続いたら映像の停止とみなす。実カメラはセンサーノイズで必ずどこかが変わる。
+  frozenFrameMs: 5000,
+  // 瞬間的な暗転 (照明の切り替え等) で反応しないよう、異常がこの時間続いてから確定する。
+  unhealthyConfirmMs: 3000,
+  // 復帰も同様に、正常な状態がこの時間続いてから確定する。
+  healthyConfirmMs: 2000,
+});
+
+// カメラ異常の理由。複数が同時に成り立つ場合は配列で記録する。
+export const CAMERA_HEALTH_REASONS = Object.freeze({
+  TRACK_ENDED: 'track_ended',
+  TRACK_MUTED: 'track_muted',
+  DARK: 'dark',
+  COVERED: 'covered',
+  FROZEN: 'frozen',
+});
+
+// 監視画面のバナーとダッシュボードの両方で使う表示文言。
+export const CAMERA_HEALTH_REASON_LABELS = Object.freeze({
+  [CAMERA_HEALTH_REASONS.TRACK_ENDED]: 'カメラが切断されました',
+  [CAMERA_HEALTH_REASONS.TRACK_MUTED]: 'カメラ映像が届いていません',
+  [CAMERA_HEALTH_REASONS.DARK]: '映像が暗すぎます',
+  [CAMERA_HEALTH_REASONS.COVERED]: 'レンズが塞がれている可能性があります',
+  [CAMERA_HEALTH_REASONS.FROZEN]: '映像が止まっています',
+});
+
+/**
+ * カメラ異常の理由を表示文言に変換する。
+ * @param {string[]} reasons
+ * @returns {string}
+ */
+export function formatCameraHealthReasons(reasons) {
+  return (reasons || []).map((reason) => CAMERA_HEALTH_REASON_LABELS[reason] || reason).join(' / ');
+}
+
+/**
+ * 検知間隔の調整パラメータ。基準は MONITOR_TIMING_CONSTANTS.detectionIntervalMs。
+ * - ロック中・スリープ中は検知を止め、バッテリー駆動中や在席が安定している間は間隔を広げて電力を抑える。
+ */
+export const MONITOR_SCHEDULING_CONSTANTS = Object.freeze({
+  // バッテリー駆動中は基準間隔をこの倍率で広げる。
+  batteryIntervalMultiplier: 2,
+  // 在席が続き、スマホ・不在のセッションも無い状態がこの時間続くごとに間隔を 1 段階広げる。
+  stablePresenceStepMs: 30000,
+  // 1 段階あたりの間隔の倍率。
+  stablePresenceBackoffFactor: 1.5,
+  // 広げた間隔の上限。不在やスマホの検知がこれ以上遅れないようにする。
+  maxIntervalMs: 3000,
 });
 
+// 検知間隔の状態。ダッシュボードの detection_schedule_changed 表示と共通。
+export const DETECTION_SCHEDULE_MODES = Object.freeze({
+  NORMAL: 'normal',
+  BATTERY: 'battery',
+  BACKOFF: 'backoff',
+  PAUSED: 'paused',
+});
+
+export const DETECTION_SCHEDULE_MODE_LABELS = Object.freeze({
+  [DETECTION_SCHEDULE_MODES.NORMAL]: '通常',
+  [DETECTION_SCHEDULE_MODES.BATTERY]: 'バッテリー節約',
+  [DETECTION_SCHEDULE_MODES.BACKOFF]: '在席安定',
+  [DETECTION_SCHEDULE_MODES.PAUSED]: '一時停止',
+});
+
+// 間隔を変えた理由。複数が同時に成り立つ場合は配列で記録する。
+export const DETECTION_SCHEDULE_REASON_LABELS = Object.freeze({
+  locked: '画面ロック',
+  suspended: 'スリープ',
+  on_battery: 'バッテリー駆動',
+  stable_presence: '在席が安定',
+});
+
+/**
+ * 検知間隔の変更ログを表示文言に変換する。
+ * @param {{mode?:string, intervalMs?:number|null, reasons?:string[]}} meta
+ * @returns {string}
+ */
+export function formatDetectionSchedule(meta = {}) {
+  const modeLabel = DETECTION_SCHEDULE_MODE_LABELS[meta.mode] || meta.mode || '-';
+  const reasons = (meta.reasons || []).map((reason) => DETECTION_SCHEDULE_REASON_LABELS[reason] || reason).join(' / ');
+  const interval = Number.isFinite(meta.intervalMs) ? ` ${meta.intervalMs}ms 間隔` : '';
+  return reasons ? `${modeLabel}${interval} (${reasons})` : `${modeLabel}${interval}`;
+}
+
+/**
+ * 推論解像度を選択肢のいずれかへ丸める。
+ * @param {number|string} value ユーザー入力値
+ * @returns {number} YOLO_INPUT_SIZE_OPTIONS に含まれる値
+ */
+export function sanitizeYoloInputSize(value) {
+  const parsed = Number.parseInt(value, 10);
+  return YOLO_INPUT_SIZE_OPTIONS.includes(parsed) ? parsed : DEFAULT_YOLO_INPUT_SIZE;
+}
+
+/**
+ * 検知エリア定義を正規化する。
+ * - 座標は Canvas 幅・高さに対する 0〜1 の比率で保持し、カメラ解像度が変わっても位置がずれないようにする。
+ * - 頂点が 3 点未満のものや形式不正のものは除外する。
+ * @param {Array} rawRegions localStorage から読み込んだ値
+ * @returns {Array<{id:string, name:string, mode:string, enabled:boolean, classes:string[], points:Array<[number, number]>}>}
+ */
+export function sanitizeDetectionRegions(rawRegions) {
+  if (!Array.isArray(rawRegions)) {
+    return [];
+  }
+  const modes = Object.values(DETECTION_REGION_MODES);
+  return rawRegions
+    .map((raw, index) => {
+      if (!raw || typeof raw !== 'object' || !Array.isArray(raw.points)) {
+        return null;
+      }
+      const points = raw.points
+        .filter((point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite))
+        .map(([x, y]) => [Math.min(Math.max(x, 0), 1), Math.min(Math.max(y, 0), 1)]);
+      if (points.length < 3) {
+        return null;
+      }
+      const classes = Array.isArray(raw.classes)
+        ? raw.classes.filter((name) => DETECTION_REGION_CLASSES.includes(name))
+        : [];
+      return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : `region-${index + 1}`,
+        name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `エリア ${index + 1}`,
+        mode: modes.includes(raw.mode) ? raw.mode : DETECTION_REGION_MODES.INCLUDE,
+        enabled: raw.enabled !== false,
+        classes,
+        points,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 物体ウォッチ。person / cell phone 以外の COCO クラスについて「映っている / 見当たらない」時間を数える。
+ * - visible: 映り続けたら知らせる (本が映っている → 読書時間)。
+ * - missing: 見当たらない状態が続いたら知らせる (カップが 2 時間無い → 水分補給)。
+ * - どちらのモードでも映っていた区間 / 見当たらなかった区間を object_visible_end / object_missing_end として記録する。
+ */
+export const OBJECT_WATCH_MODES = Object.freeze({
+  VISIBLE: 'visible',
+  MISSING: 'missing',
+});
+
+export const OBJECT_WATCH_MODE_LABELS = Object.freeze({
+  [OBJECT_WATCH_MODES.VISIBLE]: '映り続けたら',
+  [OBJECT_WATCH_MODES.MISSING]: '見当たらなければ',
+});
+
+// 専用の判定を持つクラスはウォッチの対象にしない。
+export const OBJECT_WATCH_EXCLUDED_CLASSES = Object.freeze(['person', 'cell phone']);
+
+export const OBJECT_WATCH_CONSTANTS = Object.freeze({
+  // 検知の瞬断を埋める補間窓。物体は人物より小さく検知が途切れやすいため長めにとる。
+  interpolationWindowMs: 3000,
+  // 映っている ↔ 見当たらないの切り替えは、この時間続いてから確定する。
+  switchStableMs: 10000,
+  maxWatches: 10,
+  thresholdMinutesMax: 24 * 60,
+  messageMaxLength: 100,
+});
+
+/**
+ * 物体ウォッチの設定を正規化する。
+ * @param {Array} rawWatches
+ * @returns {Array<{id:string, className:string, mode:string, thresholdMinutes:number, enabled:boolean, message:string}>}
+ */
+export function sanitizeObjectWatches(rawWatches) {
+  if (!Array.isArray(rawWatches)) {
+    return [];
+  }
+  const modes = Object.values(OBJECT_WATCH_MODES);
+  return rawWatches
+    .map((raw, index) => {
+      const className = typeof raw?.className === 'string' ? raw.className : '';
+      if (!YOLO_ALL_CLASS_NAMES.includes(className) || OBJECT_WATCH_EXCLUDED_CLASSES.includes(className)) {
+        return null;
+      }
+      const minutes = Number.parseInt(raw.thresholdMinutes, 10);
+      return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : `watch-${index + 1}`,
+        className,
+        mode: modes.includes(raw.mode) ? raw.mode : OBJECT_WATCH_MODES.MISSING,
+        thresholdMinutes: Number.isFinite(minutes)
+          ? Math.min(Math.max(minutes, 1), OBJECT_WATCH_CONSTANTS.thresholdMinutesMax)
+          : 30,
+        enabled: raw.enabled !== false,
+        message: typeof raw.message === 'string' ? raw.message.trim().slice(0, OBJECT_WATCH_CONSTANTS.messageMaxLength) : '',
+      };
+    })
+    .filter(Boolean)
+    .slice(0, OBJECT_WATCH_CONSTANTS.maxWatches);
+}
+
+/**
+ * 前面アプリ・ドメインの滞在上限。前面ウィンドウの監視 (active-window.js) が 1 秒ごとに照合する。
+ * - app: アプリ名の部分一致 (大文字小文字を区別しない)。
+ * - domain: ホスト名の完全一致かサブドメイン (x.com は www.x.com にも一致し、netflix.com には一致しない)。
+ * - 連続 (stretchMinutes) と 1 日の合計 (dailyMinutes) のどちらか一方でも超えたら知らせる。0 はその上限を使わない。
+ */
+export const DWELL_LIMIT_TARGETS = Object.freeze({
+  APP: 'app',
+  DOMAIN: 'domain',
+});
+
+export const DWELL_LIMIT_TARGET_LABELS = Object.freeze({
+  [DWELL_LIMIT_TARGETS.APP]: 'アプリ',
+  [DWELL_LIMIT_TARGETS.DOMAIN]: 'ドメイン',
+});
+
+export const DWELL_LIMIT_CONSTANTS = Object.freeze({
+  // 対象から離れてもこの時間以内に戻れば連続滞在を途切れさせない (通知の確認やちょっとした切り替え)。
+  stretchBreakMs: 60 * 1000,
+  // 前面ウィンドウの取得が止まっていた間 (監視停止・スリープ) を滞在に数えないための 1 回あたりの上限。
+  maxTickGapMs: 5000,
+  maxLimits: 10,
+  minutesMax: 24 * 60,
+  cooldownMinutesMin: 1,
+  defaultCooldownMinutes: 10,
+  patternMaxLength: 120,
+  messageMaxLength: 100,
+});
+
+function sanitizeDwellMinutes(value, fallback, min = 0) {
+  const minutes = Number.parseInt(value, 10);
+  return Number.isFinite(minutes) ? Math.min(Math.max(minutes, min), DWELL_LIMIT_CONSTANTS.minutesMax) : fallback;
+}
+
+/**
+ * 滞在上限の設定を正規化する。対象が空の上限と、連続・合計の両方が 0 の上限は取り除く。
+ * @param {Array} rawLimits
+ * @returns {Array<{id:string, target:'app'|'domain', pattern:string, stretchMinutes:number, dailyMinutes:number, cooldownMinutes:number, enabled:boolean, message:string}>}
+ */
+export function sanitizeDwellLimits(rawLimits) {
+  if (!Array.isArray(rawLimits)) {
+    return [];
+  }
+  const targets = Object.values(DWELL_LIMIT_TARGETS);
+  return rawLimits
+    .map((raw, index) => {
+      const target = targets.includes(raw?.target) ? raw.target : DWELL_LIMIT_TARGETS.DOMAIN;
+      let pattern = typeof raw?.pattern === 'string' ? raw.pattern.trim().slice(0, DWELL_LIMIT_CONSTANTS.patternMaxLength) : '';
+      if (target === DWELL_LIMIT_TARGETS.DOMAIN) {
+        // URL ごと貼り付けられてもホスト名だけを残す。
+        pattern = pattern.toLowerCase().replace(/^[a-z]+:\/\//, '').split(/[/?#:]/)[0].replace(/^\.+|\.+$/g, '');
+      }
+      const stretchMinutes = sanitizeDwellMinutes(raw?.stretchMinutes, 0);
+      const dailyMinutes = sanitizeDwellMinutes(raw?.dailyMinutes, 0);
+      if (!pattern || (stretchMinutes === 0 && dailyMinutes === 0)) {
+        return null;
+      }
+      return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : `dwell-${index + 1}`,
+        target,
+        pattern,
+        stretchMinutes,
+        dailyMinutes,
+        cooldownMinutes: sanitizeDwellMinutes(
+          raw.cooldownMinutes,
+          DWELL_LIMIT_CONSTANTS.defaultCooldownMinutes,
+          DWELL_LIMIT_CONSTANTS.cooldownMinutesMin,
+        ),
+        enabled: raw.enabled !== false,
+        message: typeof raw.message === 'string' ? raw.message.trim().slice(0, DWELL_LIMIT_CONSTANTS.messageMaxLength) : '',
+      };
+    })
+    .filter(Boolean)
+    .slice(0, DWELL_LIMIT_CONSTANTS.maxLimits);
+}
+
+/**
+ * 推論結果から残すクラスを返す。有効なウォッチのクラスは「検知対象設定」で OFF でも判定に使う。
+ * @param {Object} settings
+ * @returns {Set<string>}
+ */
+export function getActiveDetectionClasses(settings) {
+  const watched = (settings.objectWatches || []).filter((watch) => watch.enabled).map((watch) => watch.className);
+  return new Set([...(settings.enabledClasses || DEFAULT_MONITOR_SETTINGS.enabledClasses), ...watched]);
+}
+
 export const MONITOR_UI_CONSTANTS = Object.freeze({
-  maxLogEntries: 50
+  maxLogEntries: 50,
+  // 推論メトリクス表示の指数移動平均係数。1 に近いほど最新フレームの値に追従する。
+  inferenceMetricsSmoothing: 0.2
 });
@@ -0,0 +1,126 @@
+/**
+ * アプリ・カテゴリごとの 1 日の利用時間の予算の定義と正規化。
+ * - 設定はメインプロセスの configStore (screenTimeBudgets) に保存し、
+ *   main/services/screen-time-budgets.js が app_usage_logs と記録前の前面アプリの区間から使用量を集計する。
+ * - 対象はアプリ名 (大文字小文字を区別しない完全一致) か、アプリのカテゴリ (constants/app-categories.js) のカテゴリ名。
+ * - 1 日の区切りは dayStartHour 時。夜更かしする人は 4 時などにすると、日付をまたいだ作業を前日分として数える。
+ */
+
+export const SCREEN_TIME_BUDGET_TARGETS = Object.freeze({
+  APP: 'app',
+  CATEGORY: 'category',
+});
+
+export const SCREEN_TIME_BUDGET_TARGET_LABELS = Object.freeze({
+  [SCREEN_TIME_BUDGET_TARGETS.APP]: 'アプリ',
+  [SCREEN_TIME_BUDGET_TARGETS.CATEGORY]: 'カテゴリ',
+});
+
+export const SCREEN_TIME_BUDGET_LEVELS = Object.freeze({
+  OK: 'ok',
+  WARNING: 'warning',
+  EXCEEDED: 'exceeded',
+});
+
+export const SCREEN_TIME_BUDGET_LEVEL_LABELS = Object.freeze({
+  [SCREEN_TIME_BUDGET_LEVELS.OK]: '余裕あり',
+  [SCREEN_TIME_BUDGET_LEVELS.WARNING]: '残りわずか',
+  [SCREEN_TIME_BUDGET_LEVELS.EXCEEDED]: '超過',
+});
+
+export const SCREEN_TIME_BUDGET_LIMITS = Object.freeze({
+  maxBudgets: 20,
+  minutesMax: 24 * 60,
+  keyMaxLength: 60,
+  // 使用量が予算のこの割合に達したら警告し、1 倍で超過として知らせる。
+  warningRatio: 0.8,
+  // 監視画面が使用量を取り直す間隔。警告はこの間隔ぶん遅れることがある。
+  statusRefreshMs: 30 * 1000,
+});
+
+export const DEFAULT_SCREEN_TIME_BUDGET_SETTINGS = Object.freeze({
+  dayStartHour: 0,
+  budgets: Object.freeze([]),
+});
+
+function sanitizeBudget(raw, index) {
+  const key = typeof raw?.key === 'string' ? raw.key.trim().slice(0, SCREEN_TIME_BUDGET_LIMITS.keyMaxLength) : '';
+  const minutes = Number.parseInt(raw?.minutes, 10);
+  if (!key || !Number.isFinite(minutes) || minutes <= 0) {
+    return null;
+  }
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id.slice(0, 64) : `budget-${index + 1}`,
+    target: Object.values(SCREEN_TIME_BUDGET_TARGETS).includes(raw.target) ? raw.target : SCREEN_TIME_BUDGET_TARGETS.APP,
+    key,
+    minutes: Math.min(minutes, SCREEN_TIME_BUDGET_LIMITS.minutesMax),
+    enabled: raw.enabled !== false,
+  };
+}
+
+/**
+ * 予算の設定を正規化する。対象が空の予算と分数が 0 以下の予算は取り除く。
+ * @param {Object} raw
+ * @returns {{dayStartHour:number, budgets:Array<{id:string, target:'app'|'category', key:string, minutes:number, enabled:boolean}>}}
+ */
+export function sanitizeScreenTimeBudgetSettings(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const hour = Number.parseInt(source.dayStartHour, 10);
+  const seenIds = new Set();
+  const budgets = (Array.isArray(source.budgets) ? source.budgets : [])
+    .slice(0, SCREEN_TIME_BUDGET_LIMITS.maxBudgets)
+    .map(sanitizeBudget)
+    .filter(Boolean)
+    .map((budget, index) => {
+      const id = seenIds.has(budget.id) ? `${budget.id}-${index + 1}` : budget.id;
+      seenIds.add(id);
+      return { ...budget, id };
+    });
+  return {
+    dayStartHour: Number.isFinite(hour) && hour >= 0 && hour <= 23 ? hour : DEFAULT_SCREEN_TIME_BUDGET_SETTINGS.dayStartHour,
+    budgets,
+  };
+}
+
+/**
+ * now を含む予算の 1 日の開始時刻を返す。区切りより前の時刻は前日の分に入る (4 時区切りなら 2 時は前日)。
+ * @param {number} now
+ * @param {number} dayStartHour
+ * @returns {number}
+ */
+export function getScreenTimeDayStart(now, dayStartHour) {
+  const start = new Date(now);
+  if (start.getHours() < dayStartHour) {
+    start.setDate(start.getDate() - 1);
+  }
+  start.setHours(dayStartHour, 0, 0, 0);
+  return start.getTime();
+}
+
+/**
+ * 使用量と予算から段階を決める。
+ * @param {number} usedSeconds
+ * @param {number} minutes
+ * @returns {'ok'|'warning'|'exceeded'}
+ */
+export function getScreenTimeBudgetLevel(usedSeconds, minutes) {
+  const ratio = usedSeconds / (minutes * 60);
+  if (ratio >= 1) {
+    return SCREEN_TIME_BUDGET_LEVELS.EXCEEDED;
+  }
+  return ratio >= SCREEN_TIME_BUDGET_LIMITS.warningRatio ? SCREEN_TIME_BUDGET_LEVELS.WARNING : SCREEN_TIME_BUDGET_LEVELS.OK;
+}
+
+/**
+ * 設定ドロワーの「予算を追加」で使うひな形。
+ * @returns {Object}
+ */
+export function createScreenTimeBudgetTemplate() {
+  return {
+    id: `budget-${Date.now()}`,
+    target: SCREEN_TIME_BUDGET_TARGETS.APP,
+    key: '',
+    minutes: 60,
+    enabled: true,
+  };
+}
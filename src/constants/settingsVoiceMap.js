@@ -55,6 +55,18 @@ export const SETTINGS_VOICE_MAP = Object.freeze({
       set: ['にして', 'へ調整'],
     },
   },
+  strictModeEnabled: {
+    key: 'strictModeEnabled',
+    label: '厳格モード',
+    type: 'boolean',
+    elementId: 'strictModeEnabled',
+    synonyms: ['厳格モード', '集中モード', 'ストリクトモード'],
+    intents: {
+      on: ['厳格モードオン', '集中モードにして'],
+      off: ['厳格モードオフ', '集中モードを解除'],
+      toggle: ['厳格モード切り替え'],
+    },
+  },
   absenceAlertEnabled: {
     key: 'absenceAlertEnabled',
     label: '不在検知アラート',
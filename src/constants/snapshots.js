@@ -0,0 +1,54 @@
+/**
+ * アラート時スナップショットの設定値と正規化。
+ * - 設定はメインプロセスの configStore (snapshotSettings) に保存し、保持期間の削除もメインプロセスが行う。
+ * - 撮影は監視画面 (monitor/snapshots.js) が行い、保存したファイル名を detection_logs.meta.snapshot に残す。
+ */
+
+// 撮影の対象にするログ種別。いずれも音や通知を伴うアラート。
+export const SNAPSHOT_ALERT_TYPES = Object.freeze([
+  'phone_alert',
+  'absence_alert',
+  'additional_person_detected',
+  'alert_rule_triggered',
+  'object_alert',
+  'posture_too_close',
+]);
+
+// 縮小後の横幅 (px) の選択肢。
+export const SNAPSHOT_WIDTH_OPTIONS = Object.freeze([160, 320, 640]);
+
+export const SNAPSHOT_LIMITS = Object.freeze({
+  retentionDaysMax: 90,
+  blurPx: 8,
+  jpegQuality: 0.7,
+  // 受け付ける JPEG の上限。640px 幅でも通常は 100KB 未満に収まる。
+  maxBytes: 1024 * 1024,
+  cleanupIntervalMs: 60 * 60 * 1000,
+});
+
+// 既定は撮影しない。カメラ映像を残すかどうかは利用者が明示的に選ぶ。
+export const DEFAULT_SNAPSHOT_SETTINGS = Object.freeze({
+  enabled: false,
+  blur: true,
+  width: 320,
+  retentionDays: 7,
+});
+
+/**
+ * スナップショット設定を正規化する。
+ * @param {Object} raw
+ * @returns {{enabled:boolean, blur:boolean, width:number, retentionDays:number}}
+ */
+export function sanitizeSnapshotSettings(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const width = Number.parseInt(source.width, 10);
+  const retentionDays = Number.parseInt(source.retentionDays, 10);
+  return {
+    enabled: source.enabled === true,
+    blur: source.blur !== false,
+    width: SNAPSHOT_WIDTH_OPTIONS.includes(width) ? width : DEFAULT_SNAPSHOT_SETTINGS.width,
+    retentionDays: Number.isFinite(retentionDays)
+      ? Math.min(Math.max(retentionDays, 1), SNAPSHOT_LIMITS.retentionDaysMax)
+      : DEFAULT_SNAPSHOT_SETTINGS.retentionDays,
+  };
+}
@@ -58,6 +58,18 @@ export const VOICE_DECREASE_TOKENS = Object.freeze([
   'less',
 ]);
 
+// 発火中のスマホ / 不在アラートを確認したことを伝える言い回し。
+export const VOICE_ACKNOWLEDGE_TOKENS = Object.freeze([
+  '確認した',
+  '確認しました',
+  '了解',
+  'わかった',
+  '分かった',
+  'わかりました',
+  '分かりました',
+  'acknowledge',
+]);
+
 /**
  * テキスト中に指定トークンのいずれかが含まれるか判定する。
  * @param {string} text 判定対象
@@ -0,0 +1,58 @@
+/**
+ * 1 日の作業タイムラインの区分と表示設定。
+ * - 区間の組み立てはメインプロセスの main/services/work-timeline.js が行い、ダッシュボードが帯として描く。
+ * - 複数の記録が同じ時間に重なったときは WORK_TIMELINE_PRIORITY の先頭に近い区分を採る。
+ *   スリープ中・ロック中は他の記録より確かなため最優先にし、作業中はほかに何も無い時間だけに残す。
+ */
+
+export const WORK_TIMELINE_KINDS = Object.freeze({
+  ASLEEP: 'asleep',
+  LOCKED: 'locked',
+  AWAY_PERMITTED: 'away_permitted',
+  AWAY: 'away',
+  PHONE: 'phone',
+  WORKING: 'working',
+});
+
+export const WORK_TIMELINE_PRIORITY = Object.freeze([
+  WORK_TIMELINE_KINDS.ASLEEP,
+  WORK_TIMELINE_KINDS.LOCKED,
+  WORK_TIMELINE_KINDS.AWAY_PERMITTED,
+  WORK_TIMELINE_KINDS.AWAY,
+  WORK_TIMELINE_KINDS.PHONE,
+  WORK_TIMELINE_KINDS.WORKING,
+]);
+
+export const WORK_TIMELINE_LABELS = Object.freeze({
+  asleep: 'スリープ',
+  locked: '画面ロック',
+  away_permitted: '不在 (許可済み)',
+  away: '不在 (未許可)',
+  phone: 'スマホ',
+  working: '作業中',
+});
+
+export const WORK_TIMELINE_COLORS = Object.freeze({
+  asleep: '#495057',
+  locked: '#868e96',
+  away_permitted: '#94d82d',
+  away: '#ffa8a8',
+  phone: '#ffd43b',
+  working: '#4dabf7',
+});
+
+// 元の記録のテーブル名と表示名。ダッシュボードで区間をクリックしたときの一覧に使う。
+export const WORK_TIMELINE_SOURCE_LABELS = Object.freeze({
+  detection_logs: '検知ログ',
+  app_usage_logs: '前面アプリ',
+  typing_activity_logs: 'タイピング',
+  system_events: 'システムイベント',
+  absence_override_events: '不在許可',
+});
+
+export const WORK_TIMELINE_LIMITS = Object.freeze({
+  // 同じ区分の区間がこの間隔以内で途切れていれば 1 つにつなげる (アプリ切り替えやタイピングの集計単位の隙間)。
+  mergeGapMs: 60 * 1000,
+  // 1 区間に添える元の記録の上限。残りは件数だけ返す。
+  maxRowsPerSegment: 50,
+});
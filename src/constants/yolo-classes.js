@@ -70,6 +70,11 @@ export function getClassById(id) {
   return YOLO_CLASSES.find(c => c.id === id);
 }
 
+// 日本語ラベルを返す。YOLO_CLASSES に無いクラスは英語名のまま返す。
+export function getClassLabel(name) {
+  return YOLO_CLASSES.find(c => c.name === name)?.label || name;
+}
+
 // 推論用に 80 クラスすべての英語名を公開（YOLODetector などで使用）
 export const YOLO_ALL_CLASS_NAMES = Object.freeze([
   'person', 'bicycle', 'car', 'motorcycle', 'airplane', 'bus', 'train', 'truck', 'boat',
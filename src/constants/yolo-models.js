@@ -0,0 +1,46 @@
+/**
+ * YOLO 検知モデルの組み込みマニフェスト。
+ * - モデル差し替えをコード変更なしで行えるよう、入出力仕様をデータとして持つ。
+ * - 独自学習モデルは models/manifest.json に同じ形式で追記すると一覧へ合流する。
+ */
+
+// 出力テンソルの並び。Ultralytics の既定エクスポートは features-first ([1, 4 + C, N])。
+export const YOLO_OUTPUT_LAYOUTS = Object.freeze({
+  FEATURES_FIRST: 'features-first',
+  BOXES_FIRST: 'boxes-first',
+});
+
+// classes に 'coco' を指定したエントリは YOLO_ALL_CLASS_NAMES (80 クラス) を使う。
+export const COCO_CLASS_SET = 'coco';
+
+export const DEFAULT_YOLO_MODEL_ID = 'yolo11n';
+export const CUSTOM_MODEL_MANIFEST_FILE = 'manifest.json';
+
+/**
+ * 組み込みモデル定義。
+ * - file は models/ からの相対パス。
+ * - inputShape は NCHW。dynamicInput=true のモデルのみ推論解像度設定で H/W を上書きする。
+ * - 配布している yolo11n / yolo11s は 640 固定でエクスポートされているため dynamicInput=false とする。
+ */
+export const BUILTIN_YOLO_MODELS = Object.freeze([
+  Object.freeze({
+    id: 'yolo11n',
+    label: 'YOLO11 Nano (軽量)',
+    file: 'yolo11n.onnx',
+    inputName: 'images',
+    inputShape: Object.freeze([1, 3, 640, 640]),
+    dynamicInput: false,
+    outputLayout: YOLO_OUTPUT_LAYOUTS.FEATURES_FIRST,
+    classes: COCO_CLASS_SET,
+  }),
+  Object.freeze({
+    id: 'yolo11s',
+    label: 'YOLO11 Small (高精度)',
+    file: 'yolo11s.onnx',
+    inputName: 'images',
+    inputShape: Object.freeze([1, 3, 640, 640]),
+    dynamicInput: false,
+    outputLayout: YOLO_OUTPUT_LAYOUTS.FEATURES_FIRST,
+    classes: COCO_CLASS_SET,
+  }),
+]);
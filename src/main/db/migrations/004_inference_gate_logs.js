@@ -0,0 +1,22 @@
+module.exports = {
+  id: '004_inference_gate_logs',
+  name: 'Motion gate inference statistics',
+  async up({ run }) {
+    await run(
+      `CREATE TABLE IF NOT EXISTS inference_gate_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bucket_start INTEGER NOT NULL,
+        bucket_end INTEGER NOT NULL,
+        inferred_frames INTEGER NOT NULL,
+        skipped_frames INTEGER NOT NULL,
+        inference_ms INTEGER NOT NULL,
+        saved_ms INTEGER NOT NULL,
+        created_at INTEGER NOT NULL
+      )`
+    );
+    await run('CREATE INDEX IF NOT EXISTS idx_inference_gate_bucket ON inference_gate_logs(bucket_start)');
+  },
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS inference_gate_logs');
+  }
+};
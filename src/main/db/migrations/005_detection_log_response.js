@@ -0,0 +1,11 @@
+module.exports = {
+  id: '005_detection_log_response',
+  name: 'Alert response time on detection logs',
+  async up({ run }) {
+    // アラートから条件の解消 (または確認) までの秒数。アラートを伴わないログでは NULL。
+    await run('ALTER TABLE detection_logs ADD COLUMN response_seconds INTEGER');
+  },
+  async down({ run }) {
+    await run('ALTER TABLE detection_logs DROP COLUMN response_seconds');
+  }
+};
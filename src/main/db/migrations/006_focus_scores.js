@@ -0,0 +1,27 @@
+module.exports = {
+  id: '006_focus_scores',
+  name: 'Hourly and daily focus scores',
+  async up({ run }) {
+    // period は 'hour' / 'day'。同じ区間は再計算のたびに置き換える。
+    await run(
+      `CREATE TABLE IF NOT EXISTS focus_scores (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        period TEXT NOT NULL,
+        bucket_start INTEGER NOT NULL,
+        bucket_end INTEGER NOT NULL,
+        score INTEGER NOT NULL,
+        observed_seconds INTEGER NOT NULL,
+        phone_seconds INTEGER NOT NULL,
+        absence_seconds INTEGER NOT NULL,
+        distraction_seconds INTEGER NOT NULL,
+        key_presses INTEGER NOT NULL,
+        computed_at INTEGER NOT NULL,
+        UNIQUE (period, bucket_start)
+      )`
+    );
+    await run('CREATE INDEX IF NOT EXISTS idx_focus_scores_bucket ON focus_scores(period, bucket_start)');
+  },
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS focus_scores');
+  }
+};
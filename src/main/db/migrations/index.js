@@ -1,5 +1,8 @@
 const migration001 = require('./001_initial_schema');
 const migration002 = require('./002_add_schedules');
 const migration003 = require('./003_task_extensions');
+const migration004 = require('./004_inference_gate_logs');
+const migration005 = require('./005_detection_log_response');
+const migration006 = require('./006_focus_scores');
 
-module.exports = [migration001, migration002, migration003];
+module.exports = [migration001, migration002, migration003, migration004, migration005, migration006];
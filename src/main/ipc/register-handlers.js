@@ -31,6 +31,28 @@ function sanitizeErrorMessage(error) {
   return message;
 }
 
+/**
+ * 検知用フレーム (RGBA 生ピクセル) を検証する。
+ * @param {any} frame 検証対象
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateDetectionFrame(frame) {
+  if (!frame || typeof frame !== 'object') {
+    return { valid: false, error: 'frame はオブジェクトである必要があります' };
+  }
+  const { width, height, data } = frame;
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+    return { valid: false, error: 'width / height は正の整数である必要があります' };
+  }
+  if (!ArrayBuffer.isView(data) && !(data instanceof ArrayBuffer)) {
+    return { valid: false, error: 'data は RGBA のバイト列である必要があります' };
+  }
+  if (data.byteLength !== width * height * 4) {
+    return { valid: false, error: 'data のサイズが width × height × 4 と一致しません' };
+  }
+  return { valid: true };
+}
+
 /**
  * タスクペイロードを検証する。
  * @param {any} payload 検証対象
@@ -109,11 +131,15 @@ const {
   getDetectionStats,
   getRecentDetectionLogs,
   getAppUsageStats,
+  getAppUsageSessions,
   getTypingStats,
+  getInferenceGateStats,
   getSystemEvents,
   getAbsenceOverrideSummary,
   getAbsenceOverrideEvents,
+  getAbsenceOverrideBreakdown,
 } = require('../services/statistics');
+const { getWorkTimeline } = require('../services/work-timeline');
 
 /**
  * IPC チャネルを初期化する。
@@ -126,11 +152,18 @@ function registerIpcHandlers({
   ipcMain,
   Notification,
   yoloDetectorProvider,
+  modelRegistry,
   slackReporter,
   configStore,
   typingMonitor,
   systemEventMonitor,
+  alertRulesStore,
+  appCategoryStore,
+  screenTimeBudgetStore,
+  snapshotStore,
+  focusScoreService,
   absenceOverrideManager,
+  systemAbsenceOverride,
 }) {
   if (!absenceOverrideManager) {
     throw new Error('absenceOverrideManager is required to register IPC handlers');
@@ -157,6 +190,19 @@ function registerIpcHandlers({
 
   absenceOverrideManager.on('change', broadcastAbsenceOverrideState);
 
+  /**
+   * ロック/スリープ/バッテリー状態の変化を監視画面へ送り、検知間隔の調整に使わせる。
+   */
+  function broadcastSystemPowerState(powerState) {
+    BrowserWindow.getAllWindows().forEach(window => {
+      if (!window?.webContents?.isDestroyed()) {
+        window.webContents.send('system_power_state_changed', powerState);
+      }
+    });
+  }
+
+  systemEventMonitor?.on?.('power-state', broadcastSystemPowerState);
+
   /**
    * 不在許可の操作イベントを system_events テーブルへ記録する。
    * - Slack など他サービスが後段で利用するため、メタ情報を JSON として保存する。
@@ -258,30 +304,91 @@ function registerIpcHandlers({
     }
   });
 
-  ipcMain.handle('send-notification', async (_event, { title, body }) => {
+  /**
+   * アラート通知のクリックを「確認した」操作として監視画面へ送る。
+   * - 応答時間の計測は監視画面の状態機械が持っているため、メインプロセスは中継するだけにする。
+   */
+  function broadcastAlertAcknowledgeRequest() {
+    BrowserWindow.getAllWindows().forEach(window => {
+      if (!window?.webContents?.isDestroyed()) {
+        window.webContents.send('alert_acknowledge_requested', { source: 'notification' });
+      }
+    });
+  }
+
+  // 参照が切れた Notification はクリックイベントを受け取れないため、閉じられるまで保持する。
+  const acknowledgeableNotifications = new Set();
+
+  ipcMain.handle('send-notification', async (_event, { title, body, acknowledgeable = false }) => {
     if (!Notification.isSupported()) {
       return { success: false };
     }
     const notification = new Notification({ title, body });
+    if (acknowledgeable) {
+      acknowledgeableNotifications.add(notification);
+      notification.on('click', broadcastAlertAcknowledgeRequest);
+      notification.on('close', () => acknowledgeableNotifications.delete(notification));
+    }
     notification.show();
     return { success: true };
   });
 
-  ipcMain.handle('detect-objects', async (_event, imageDataUrl) => {
+  ipcMain.handle('detect-objects', async (_event, frame, options = {}) => {
     const detector = yoloDetectorProvider();
     if (!detector) {
       return { success: false, error: 'YOLO検知器が初期化されていません' };
     }
 
+    const validation = validateDetectionFrame(frame);
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+
     try {
-      const detections = await detector.detect(imageDataUrl);
-      return { success: true, detections };
+      const detectOptions = options && typeof options === 'object' ? options : {};
+      const result = await detector.detect(frame, {
+        modelId: typeof detectOptions.modelId === 'string' ? detectOptions.modelId : undefined,
+        inputSize: detectOptions.inputSize,
+        letterbox: detectOptions.letterbox,
+      });
+      if (result.dropped) {
+        // 推論中のため破棄したフレーム。エラーではないのでレンダラは静かに読み飛ばす。
+        return { success: false, dropped: true, droppedFrames: result.droppedFrames };
+      }
+      const { detections, model, timings, droppedFrames } = result;
+      return { success: true, detections, model, timings, droppedFrames };
     } catch (error) {
       console.error('検知エラー:', error);
       return { success: false, error: error.message };
     }
   });
 
+  ipcMain.handle('list-detection-models', async () => {
+    if (!modelRegistry) {
+      return { success: false, error: 'モデルレジストリが初期化されていません' };
+    }
+    try {
+      const models = await modelRegistry.listModels();
+      // 配置し直したモデルを選べるよう、読み込みに失敗した記録は一覧を読み直すたびに消す。
+      yoloDetectorProvider()?.clearFailedModels?.();
+      const activeModel = yoloDetectorProvider()?.getModelInfo() ?? null;
+      const items = models.map(({ id, label, source, available, dynamicInput, inputShape, classNames }) => ({
+        id,
+        label,
+        source,
+        available,
+        dynamicInput,
+        inputShape,
+        classCount: classNames.length,
+        active: activeModel?.id === id,
+      }));
+      return { success: true, items };
+    } catch (error) {
+      console.error('[IPC] list-detection-models failed:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle('get-active-window', async () => {
     try {
       const windowInfo = await getActiveWindowInfo();
@@ -515,7 +622,7 @@ function registerIpcHandlers({
         throw new Error('payload が不正です');
       }
 
-      const { type, detectedAt, durationSeconds = null, meta = null } = payload;
+      const { type, detectedAt, durationSeconds = null, responseSeconds = null, meta = null } = payload;
 
       if (!type || typeof type !== 'string') {
         throw new Error('type を指定してください');
@@ -525,11 +632,15 @@ function registerIpcHandlers({
         throw new Error('detectedAt は UNIX 時刻 (ms) の数値で指定してください');
       }
 
+      if (responseSeconds !== null && (!Number.isFinite(responseSeconds) || responseSeconds < 0)) {
+        throw new Error('responseSeconds は 0 以上の秒数で指定してください');
+      }
+
       const metaText = meta ? JSON.stringify(meta) : null;
 
       await run(
-        'INSERT INTO detection_logs (detected_at, type, duration_seconds, meta) VALUES (?, ?, ?, ?)',
-        [detectedAt, type, durationSeconds, metaText]
+        'INSERT INTO detection_logs (detected_at, type, duration_seconds, response_seconds, meta) VALUES (?, ?, ?, ?, ?)',
+        [detectedAt, type, durationSeconds, responseSeconds, metaText]
       );
 
       return { success: true };
@@ -593,7 +704,9 @@ function registerIpcHandlers({
 
   ipcMain.handle('app-usage-stats', async (_event, options = {}) => {
     try {
-      const data = await getAppUsageStats(options);
+      // カテゴリ分けルールはレンダラから受け取らず、保存済みの値で集計する。
+      const categoryRules = appCategoryStore ? await appCategoryStore.getRules() : undefined;
+      const data = await getAppUsageStats({ ...(options || {}), categoryRules });
       return { success: true, data };
     } catch (error) {
       console.error('[IPC] アプリ使用時間集計エラー:', error);
@@ -601,6 +714,65 @@ function registerIpcHandlers({
     }
   });
 
+  ipcMain.handle('app-usage-sessions', async (_event, options = {}) => {
+    try {
+      const sessions = await getAppUsageSessions(options || {});
+      return { success: true, sessions };
+    } catch (error) {
+      console.error('[IPC] アプリ使用区間取得エラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('inference-gate-record', async (_event, payload) => {
+    try {
+      if (!payload || typeof payload !== 'object') {
+        throw new Error('payload が不正です');
+      }
+
+      const { bucketStart, bucketEnd, inferredFrames, skippedFrames, inferenceMs, savedMs } = payload;
+
+      if (!Number.isFinite(bucketStart) || !Number.isFinite(bucketEnd) || bucketEnd < bucketStart) {
+        throw new Error('bucketStart / bucketEnd は数値で指定してください');
+      }
+
+      const counts = [inferredFrames, skippedFrames, inferenceMs, savedMs];
+      if (counts.some((value) => !Number.isFinite(value) || value < 0)) {
+        throw new Error('フレーム数・処理時間は 0 以上の数値で指定してください');
+      }
+
+      await run(
+        `INSERT INTO inference_gate_logs
+          (bucket_start, bucket_end, inferred_frames, skipped_frames, inference_ms, saved_ms, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          bucketStart,
+          bucketEnd,
+          Math.round(inferredFrames),
+          Math.round(skippedFrames),
+          Math.round(inferenceMs),
+          Math.round(savedMs),
+          Date.now(),
+        ]
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('[IPC] 推論ゲート統計書き込みエラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('inference-gate-stats', async (_event, options = {}) => {
+    try {
+      const data = await getInferenceGateStats(options);
+      return { success: true, data };
+    } catch (error) {
+      console.error('[IPC] 推論ゲート統計エラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle('typing-activity-stats', async (_event, options = {}) => {
     try {
       if (typingMonitor?.flushPending) {
@@ -624,6 +796,26 @@ function registerIpcHandlers({
     }
   });
 
+  ipcMain.handle('work-timeline-get', async (_event, options = {}) => {
+    try {
+      const data = await getWorkTimeline(options || {});
+      return { success: true, data };
+    } catch (error) {
+      console.error('[IPC] 作業タイムライン取得エラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('system-power-state', async () => {
+    try {
+      const state = systemEventMonitor?.getPowerState?.() ?? null;
+      return { success: true, state };
+    } catch (error) {
+      console.error('[IPC] 電源状態取得エラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle('absence_override_get_state', async () => {
     try {
       const state = await absenceOverrideManager.getState();
@@ -674,6 +866,68 @@ function registerIpcHandlers({
     }
   });
 
+  ipcMain.handle('absence_override_recurring_get', async () => {
+    try {
+      const windows = await absenceOverrideManager.getRecurringWindows();
+      return { success: true, windows };
+    } catch (error) {
+      console.error('[IPC] absence_override_recurring_get エラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('absence_override_recurring_update', async (_event, windows = []) => {
+    try {
+      const saved = await absenceOverrideManager.updateRecurringWindows(windows);
+      return { success: true, windows: saved };
+    } catch (error) {
+      console.error('[IPC] absence_override_recurring_update エラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('absence_override_budget_get', async () => {
+    try {
+      const settings = await absenceOverrideManager.getBudgetSettings();
+      return { success: true, settings };
+    } catch (error) {
+      console.error('[IPC] absence_override_budget_get エラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('absence_override_budget_update', async (_event, patch = {}) => {
+    try {
+      const settings = await absenceOverrideManager.updateBudgetSettings(patch);
+      return { success: true, settings };
+    } catch (error) {
+      console.error('[IPC] absence_override_budget_update エラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  if (systemAbsenceOverride) {
+    ipcMain.handle('absence_override_system_get', async () => {
+      try {
+        const settings = await systemAbsenceOverride.getSettings();
+        return { success: true, settings };
+      } catch (error) {
+        console.error('[IPC] absence_override_system_get エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('absence_override_system_update', async (_event, patch = {}) => {
+      try {
+        const settings = await systemAbsenceOverride.updateSettings(patch);
+        return { success: true, settings };
+      } catch (error) {
+        console.error('[IPC] absence_override_system_update エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
   ipcMain.handle('absence_override_summary', async (_event, options = {}) => {
     try {
       const summary = await getAbsenceOverrideSummary(options || {});
@@ -684,6 +938,16 @@ function registerIpcHandlers({
     }
   });
 
+  ipcMain.handle('absence_override_breakdown', async (_event, options = {}) => {
+    try {
+      const breakdown = await getAbsenceOverrideBreakdown(options || {});
+      return { success: true, breakdown };
+    } catch (error) {
+      console.error('[IPC] absence_override_breakdown エラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle('absence_override_events', async (_event, options = {}) => {
     try {
       const events = await getAbsenceOverrideEvents(options || {});
@@ -736,6 +1000,173 @@ function registerIpcHandlers({
     });
   }
 
+  if (alertRulesStore) {
+    ipcMain.handle('alert-rules-get', async () => {
+      try {
+        const rules = await alertRulesStore.getRules();
+        return { success: true, rules };
+      } catch (error) {
+        console.error('[IPC] アラートルール取得エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('alert-rules-update', async (_event, rules) => {
+      try {
+        const saved = await alertRulesStore.updateRules(rules);
+        return { success: true, rules: saved };
+      } catch (error) {
+        console.error('[IPC] アラートルール保存エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  if (appCategoryStore) {
+    ipcMain.handle('app-category-rules-get', async () => {
+      try {
+        const rules = await appCategoryStore.getRules();
+        return { success: true, rules };
+      } catch (error) {
+        console.error('[IPC] アプリカテゴリ取得エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('app-category-rules-update', async (_event, rules) => {
+      try {
+        const saved = await appCategoryStore.updateRules(rules);
+        // 集中スコアの「気が散るアプリ」もこのルールで決まるため、今日の分を計算し直しておく。
+        if (focusScoreService) {
+          const now = Date.now();
+          await focusScoreService.recompute({ start: now, end: now });
+        }
+        return { success: true, rules: saved };
+      } catch (error) {
+        console.error('[IPC] アプリカテゴリ保存エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  if (screenTimeBudgetStore) {
+    ipcMain.handle('screen-time-budgets-get', async () => {
+      try {
+        const settings = await screenTimeBudgetStore.getSettings();
+        return { success: true, settings };
+      } catch (error) {
+        console.error('[IPC] 利用時間の予算取得エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('screen-time-budgets-update', async (_event, patch) => {
+      try {
+        const settings = await screenTimeBudgetStore.updateSettings(patch);
+        return { success: true, settings };
+      } catch (error) {
+        console.error('[IPC] 利用時間の予算保存エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('screen-time-budgets-status', async (_event, options = {}) => {
+      try {
+        const data = await screenTimeBudgetStore.getStatus(options || {});
+        return { success: true, data };
+      } catch (error) {
+        console.error('[IPC] 利用時間の予算集計エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  if (snapshotStore) {
+    ipcMain.handle('snapshot-settings-get', async () => {
+      try {
+        const settings = await snapshotStore.getSettings();
+        return { success: true, settings };
+      } catch (error) {
+        console.error('[IPC] スナップショット設定取得エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('snapshot-settings-update', async (_event, patch) => {
+      try {
+        const settings = await snapshotStore.updateSettings(patch);
+        return { success: true, settings };
+      } catch (error) {
+        console.error('[IPC] スナップショット設定保存エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('snapshot-save', async (_event, payload) => {
+      try {
+        const fileName = await snapshotStore.saveSnapshot(payload);
+        return { success: true, fileName };
+      } catch (error) {
+        console.error('[IPC] スナップショット保存エラー:', error);
+        return { success: false, error: sanitizeErrorMessage(error) };
+      }
+    });
+
+    ipcMain.handle('snapshot-read', async (_event, fileName) => {
+      try {
+        const dataUrl = await snapshotStore.readSnapshot(fileName);
+        return { success: true, dataUrl };
+      } catch (error) {
+        console.error('[IPC] スナップショット読み出しエラー:', error);
+        return { success: false, error: sanitizeErrorMessage(error) };
+      }
+    });
+  }
+
+  if (focusScoreService) {
+    ipcMain.handle('focus-score-settings-get', async () => {
+      try {
+        const settings = await focusScoreService.getSettings();
+        return { success: true, settings };
+      } catch (error) {
+        console.error('[IPC] 集中スコア設定取得エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('focus-score-settings-update', async (_event, patch) => {
+      try {
+        const settings = await focusScoreService.updateSettings(patch);
+        return { success: true, settings };
+      } catch (error) {
+        console.error('[IPC] 集中スコア設定保存エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('focus-score-get', async (_event, options = {}) => {
+      try {
+        const data = await focusScoreService.getScores(options || {});
+        return { success: true, data };
+      } catch (error) {
+        console.error('[IPC] 集中スコア取得エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  if (slackReporter) {
+    ipcMain.handle('alert-rules-post-slack', async (_event, text) => {
+      try {
+        const result = await slackReporter.postMessage(text);
+        return { success: true, result };
+      } catch (error) {
+        console.error('[IPC] アラートルール Slack 投稿エラー:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
   if (typingMonitor) {
     ipcMain.handle('typing-monitor-status', async () => {
       try {
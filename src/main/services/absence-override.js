@@ -1,9 +1,13 @@
 /**
  * 不在許可 (absence override) 状態管理。
  * - 設定ストアと SQLite を同期し、イベント通知と期限切れ処理を担当する。
+ * - 定期許可 (毎週の昼休憩など) は一定間隔で照合し、該当する回を created_by='recurring' で開始する。
+ * - 予算が有効なら、手動の開始・延長で期間内の許可時間が予算を超えるときに警告 (または拒否) する。
  */
 const { EventEmitter } = require('events');
-const { run } = require('../db');
+const { run, all } = require('../db');
+
+const overrideConstantsPromise = import('../../constants/absence-override.js');
 
 /**
  * 不在許可の現在値を通知しつつ永続化するマネージャを生成する。
@@ -12,7 +16,7 @@ const { run } = require('../db');
  * @param {Object} params
  * @param {ReturnType<typeof import('./config-store').createConfigStore>} params.configStore
  * @param {Function} [params.clock]
- * @returns {Object} API set (activateOverride / extendOverride / clearOverride / getState / on ...)
+ * @returns {Object} API set (activateOverride / extendOverride / clearOverride / getState / updateRecurringWindows / updateBudgetSettings / on ...)
  */
 function createAbsenceOverrideManager({ configStore, clock = () => Date.now() }) {
   if (!configStore) {
@@ -20,6 +24,7 @@ function createAbsenceOverrideManager({ configStore, clock = () => Date.now() })
   }
 
   const emitter = new EventEmitter();
+  let recurringTimer = null;
 
   const initialPrune = configStore.pruneExpiredAbsenceOverride(clock());
   if (initialPrune.archived) {
@@ -193,9 +198,123 @@ function createAbsenceOverrideManager({ configStore, clock = () => Date.now() })
     return { expired: true, current: null, archived };
   }
 
+  async function getBudgetSettings() {
+    const { sanitizeOverrideBudget, DEFAULT_OVERRIDE_BUDGET } = await overrideConstantsPromise;
+    return sanitizeOverrideBudget(configStore.get('absenceOverrideBudget', DEFAULT_OVERRIDE_BUDGET));
+  }
+
+  async function updateBudgetSettings(patch) {
+    const { sanitizeOverrideBudget } = await overrideConstantsPromise;
+    const current = await getBudgetSettings();
+    const sanitized = sanitizeOverrideBudget({ ...current, ...(patch || {}) });
+    configStore.set('absenceOverrideBudget', sanitized);
+    emitChange(null);
+    return sanitized;
+  }
+
+  function toBudgetEntry(limit, usedMs) {
+    const usedMinutes = Math.round(usedMs / 60000);
+    return {
+      ...limit,
+      usedMinutes,
+      remainingMinutes: Math.max(limit.minutes - usedMinutes, 0),
+      exceeded: usedMinutes > limit.minutes,
+    };
+  }
+
+  /**
+   * 予算期間内に不在許可だった時間を集計する。
+   * - 手動の許可だけでなく、定期許可と画面ロック・スリープ連動の許可も同じ予算から差し引く。
+   *   予算は席を離れてよい時間の上限なので、どの経路で始まった許可も数える。
+   * - 進行中の許可は終了予定まで使う前提で数える。activeUntilNow なら今の時点までにとどめる
+   *   (開始で置き換える・延長で終了予定を付け直すときの照合用)。
+   * - 終了予定の無い進行中の許可は今の時点までを数える。
+   * @param {number} [now]
+   * @param {Object} [options]
+   * @param {boolean} [options.activeUntilNow]
+   * @returns {Promise<{enabled:boolean, period:string, mode:string, periodStart:number, totalMinutes:number, usedMinutes:number, remainingMinutes:number, exceeded:boolean, reasonLimits:Array}>}
+   */
+  async function getBudgetStatus(now = clock(), options = {}) {
+    const { getBudgetPeriodStart } = await overrideConstantsPromise;
+    const settings = await getBudgetSettings();
+    const periodStart = getBudgetPeriodStart(settings.period, now);
+    const rows = await all(
+      `SELECT started_at, ended_at, expires_at, reason, preset_id
+       FROM absence_override_events
+       WHERE started_at <= ?
+         AND COALESCE(ended_at, expires_at, ?) > ?`,
+      [now, now, periodStart]
+    );
+
+    let totalMs = 0;
+    const usedByLimit = settings.reasonLimits.map(() => 0);
+    rows.forEach((row) => {
+      const plannedEnd = row.ended_at ?? (options.activeUntilNow ? now : row.expires_at ?? now);
+      const durationMs = Math.max(plannedEnd - Math.max(row.started_at, periodStart), 0);
+      totalMs += durationMs;
+      settings.reasonLimits.forEach((limit, index) => {
+        if (limit.key === row.reason || limit.key === row.preset_id) {
+          usedByLimit[index] += durationMs;
+        }
+      });
+    });
+
+    const total = toBudgetEntry({ minutes: settings.totalMinutes }, totalMs);
+    const reasonLimits = settings.reasonLimits.map((limit, index) => toBudgetEntry(limit, usedByLimit[index]));
+    return {
+      enabled: settings.enabled,
+      period: settings.period,
+      mode: settings.mode,
+      periodStart,
+      totalMinutes: settings.totalMinutes,
+      usedMinutes: total.usedMinutes,
+      remainingMinutes: total.remainingMinutes,
+      exceeded: total.exceeded || reasonLimits.some((limit) => limit.exceeded),
+      reasonLimits,
+    };
+  }
+
+  /**
+   * 手動の開始・延長が予算に収まるか照合する。
+   * - 収まらないとき、拒否モードなら例外を投げて操作を止め、警告モードなら警告文を返して続行させる。
+   * @param {{reason:string|null, presetId:string|null, requestedMs:number|null, now:number}} request
+   * @returns {Promise<string|null>} 警告文
+   */
+  async function enforceBudget({ reason, presetId, requestedMs, now }) {
+    const { OVERRIDE_BUDGET_MODES, OVERRIDE_BUDGET_PERIOD_LABELS } = await overrideConstantsPromise;
+    const status = await getBudgetStatus(now, { activeUntilNow: true });
+    if (!status.enabled) {
+      return null;
+    }
+    const requestedMinutes = Number.isFinite(requestedMs) ? Math.max(requestedMs, 0) / 60000 : 0;
+    const periodLabel = OVERRIDE_BUDGET_PERIOD_LABELS[status.period];
+    const overruns = [];
+    // 終了予定の無い許可は必要な時間が分からないため、予算を使い切っているかだけを見る。
+    const exceeds = (used, limit) => (requestedMinutes > 0 ? used + requestedMinutes > limit : used >= limit);
+    if (exceeds(status.usedMinutes, status.totalMinutes)) {
+      overruns.push(`${periodLabel}の予算の残りは ${status.remainingMinutes} 分です`);
+    }
+    status.reasonLimits
+      .filter((limit) => limit.key === reason || limit.key === presetId)
+      .forEach((limit) => {
+        if (exceeds(limit.usedMinutes, limit.minutes)) {
+          overruns.push(`「${limit.key}」の${periodLabel}の予算の残りは ${limit.remainingMinutes} 分です`);
+        }
+      });
+    if (overruns.length === 0) {
+      return null;
+    }
+    const message = `不在許可の予算を超えます (${overruns.join(' / ')})`;
+    if (status.mode === OVERRIDE_BUDGET_MODES.REFUSE) {
+      throw new Error(message);
+    }
+    return message;
+  }
+
   /**
    * 現在の許可状態を取得する。必要に応じて期限切れを掃除する。
-   * @returns {Promise<{active:boolean,current:Object|null,remainingMs:number|null,history:Array,timestamp:number}>}
+   * - budget は予算の集計結果。集計に失敗した場合は null にして状態の取得は続ける。
+   * @returns {Promise<{active:boolean,current:Object|null,remainingMs:number|null,history:Array,budget:Object|null,timestamp:number}>}
    */
   async function getState() {
     const now = clock();
@@ -204,12 +323,20 @@ function createAbsenceOverrideManager({ configStore, clock = () => Date.now() })
     const active = isActive(raw, now);
     const remainingMs = active && Number.isFinite(raw?.expiresAt) ? Math.max(raw.expiresAt - now, 0) : null;
 
+    let budget = null;
+    try {
+      budget = await getBudgetStatus(now);
+    } catch (error) {
+      console.error('[AbsenceOverride] 予算の集計に失敗:', error);
+    }
+
     return {
       active,
       current: active ? raw : null,
       raw,
       remainingMs,
       history: configStore.getAbsenceOverrideHistory(),
+      budget,
       timestamp: now,
     };
   }
@@ -236,7 +363,8 @@ function createAbsenceOverrideManager({ configStore, clock = () => Date.now() })
    * @param {number} [payload.startedAt]
    * @param {number} [payload.expiresAt]
    * @param {string|null} [payload.presetId]
-   * @returns {Promise<{active:boolean,current:Object|null}>}
+   * @param {string} [payload.createdBy] 'user' (既定) / 'recurring'
+   * @returns {Promise<{active:boolean,current:Object|null,budgetWarning:string|null}>}
    */
   async function activateOverride(payload = {}) {
     const now = clock();
@@ -249,6 +377,18 @@ function createAbsenceOverrideManager({ configStore, clock = () => Date.now() })
       : durationMinutes != null
         ? startedAt + durationMinutes * 60 * 1000
         : null;
+    const createdBy = payload.createdBy || 'user';
+
+    // 予算は手動の許可だけに掛ける。拒否された場合は進行中の許可に手を付けずに終える。
+    const budgetWarning =
+      createdBy === 'user'
+        ? await enforceBudget({
+            reason: payload.reason || null,
+            presetId: payload.presetId || null,
+            requestedMs: expiresAt != null ? expiresAt - Math.max(startedAt, now) : null,
+            now,
+          })
+        : null;
 
     await archiveCurrentEntry({ manualEnd: true, endedAt: now });
 
@@ -265,7 +405,7 @@ function createAbsenceOverrideManager({ configStore, clock = () => Date.now() })
           payload.presetId || null,
           durationMinutes,
           payload.note || null,
-          payload.createdBy || 'user',
+          createdBy,
           now,
         ]
       );
@@ -283,12 +423,12 @@ function createAbsenceOverrideManager({ configStore, clock = () => Date.now() })
       presetId: payload.presetId || null,
       durationMinutes,
       note: payload.note || null,
-      createdBy: payload.createdBy || 'user',
+      createdBy,
       eventId,
     });
 
     emitChange('activate');
-    return getState();
+    return { ...(await getState()), budgetWarning };
   }
 
   /**
@@ -297,7 +437,7 @@ function createAbsenceOverrideManager({ configStore, clock = () => Date.now() })
    * @param {number} [payload.durationMinutes]
    * @param {number} [payload.expiresAt]
    * @param {string|null} [payload.note]
-   * @returns {Promise<{active:boolean,current:Object|null}>}
+   * @returns {Promise<{active:boolean,current:Object|null,budgetWarning:string|null}>}
    */
   async function extendOverride(payload = {}) {
     const now = clock();
@@ -315,6 +455,16 @@ function createAbsenceOverrideManager({ configStore, clock = () => Date.now() })
         : current.expiresAt;
     const note = payload.note != null ? payload.note : current.note;
 
+    const budgetWarning =
+      (current.createdBy || 'user') === 'user'
+        ? await enforceBudget({
+            reason: current.reason || null,
+            presetId: current.presetId || null,
+            requestedMs: expiresAt != null ? expiresAt - now : null,
+            now,
+          })
+        : null;
+
     if (current.eventId) {
       try {
         await run(
@@ -341,7 +491,7 @@ function createAbsenceOverrideManager({ configStore, clock = () => Date.now() })
     });
 
     emitChange('extend');
-    return getState();
+    return { ...(await getState()), budgetWarning };
   }
 
   /**
@@ -376,12 +526,83 @@ function createAbsenceOverrideManager({ configStore, clock = () => Date.now() })
     return configStore.getAbsenceOverrideHistory();
   }
 
+  async function getRecurringWindows() {
+    const { sanitizeRecurringOverrides, DEFAULT_RECURRING_OVERRIDES } = await overrideConstantsPromise;
+    return sanitizeRecurringOverrides(configStore.get('absenceOverrideRecurring', DEFAULT_RECURRING_OVERRIDES));
+  }
+
+  async function updateRecurringWindows(windows) {
+    const { sanitizeRecurringOverrides } = await overrideConstantsPromise;
+    const sanitized = sanitizeRecurringOverrides(windows);
+    configStore.set('absenceOverrideRecurring', sanitized);
+    // 進行中の枠を追加した場合は次の照合を待たずに開始する。
+    await applyRecurringWindows();
+    return sanitized;
+  }
+
+  /**
+   * 期限切れを掃除し、許可が無ければ現在の時刻に当たる定期許可を開始する。
+   * - 手動の許可が進行中ならそちらを優先し、終わった時点で枠が残っていれば残りの時間だけ開始する。
+   * - 同じ回の許可が履歴にあれば (手動で終了した場合を含む) その回は開始しない。
+   * @param {number} [now]
+   * @returns {Promise<Object|null>} 開始した場合は getState() の結果
+   */
+  async function applyRecurringWindows(now = clock()) {
+    const { getRecurringOccurrence, RECURRING_OVERRIDE_CREATED_BY, RECURRING_OVERRIDE_PRESET_PREFIX } =
+      await overrideConstantsPromise;
+    const swept = await ensureExpiredState(now);
+    if (swept.expired) {
+      emitChange('expire', { archived: swept.archived });
+    }
+    if (swept.current) {
+      return null;
+    }
+
+    const history = configStore.getAbsenceOverrideHistory();
+    for (const entry of await getRecurringWindows()) {
+      const occurrence = getRecurringOccurrence(entry, now);
+      if (!occurrence) {
+        continue;
+      }
+      const presetId = `${RECURRING_OVERRIDE_PRESET_PREFIX}${entry.id}`;
+      const handled = history.some((item) => item.presetId === presetId && item.startedAt >= occurrence.startedAt);
+      if (handled) {
+        continue;
+      }
+      // 開始は実際に許可した時刻にし、アプリが動いていなかった時間を許可済み不在に数えない。
+      return activateOverride({
+        reason: entry.reason,
+        startedAt: now,
+        expiresAt: occurrence.expiresAt,
+        durationMinutes: entry.durationMinutes,
+        presetId,
+        createdBy: RECURRING_OVERRIDE_CREATED_BY,
+      });
+    }
+    return null;
+  }
+
+  async function startRecurring() {
+    const { RECURRING_OVERRIDE_LIMITS } = await overrideConstantsPromise;
+    const runCheck = () => {
+      applyRecurringWindows().catch((error) => {
+        console.error('[AbsenceOverride] 定期許可の照合に失敗:', error);
+      });
+    };
+    runCheck();
+    recurringTimer = setInterval(runCheck, RECURRING_OVERRIDE_LIMITS.checkIntervalMs);
+  }
+
   function on(eventName, handler) {
     emitter.on(eventName, handler);
     return () => emitter.off(eventName, handler);
   }
 
   function dispose() {
+    if (recurringTimer) {
+      clearInterval(recurringTimer);
+      recurringTimer = null;
+    }
     emitter.removeAllListeners();
   }
 
@@ -392,6 +613,13 @@ function createAbsenceOverrideManager({ configStore, clock = () => Date.now() })
     clearOverride,
     sweepExpired,
     getHistory: getHistorySync,
+    getRecurringWindows,
+    updateRecurringWindows,
+    applyRecurringWindows,
+    getBudgetSettings,
+    updateBudgetSettings,
+    getBudgetStatus,
+    startRecurring,
     on,
     dispose,
   };
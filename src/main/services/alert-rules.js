@@ -0,0 +1,33 @@
+/**
+ * アラートルールの永続化サービス。
+ * - configStore の alertRules キーに保存し、読み書きのたびに constants/alert-rules.js の正規化を通す。
+ * - 評価は監視画面 (monitor/alert-rules.js) が行い、ここは保存だけを担う。
+ */
+const alertRuleConstantsPromise = import('../../constants/alert-rules.js');
+
+function createAlertRulesStore({ configStore }) {
+  if (!configStore) {
+    throw new Error('configStore is required to create alert rules store');
+  }
+
+  async function getRules() {
+    const { sanitizeAlertRules, DEFAULT_ALERT_RULES } = await alertRuleConstantsPromise;
+    return sanitizeAlertRules(configStore.get('alertRules', DEFAULT_ALERT_RULES));
+  }
+
+  async function updateRules(rules) {
+    const { sanitizeAlertRules } = await alertRuleConstantsPromise;
+    const sanitized = sanitizeAlertRules(rules);
+    configStore.set('alertRules', sanitized);
+    return sanitized;
+  }
+
+  return {
+    getRules,
+    updateRules,
+  };
+}
+
+module.exports = {
+  createAlertRulesStore,
+};
@@ -0,0 +1,33 @@
+/**
+ * 前面アプリのカテゴリ分けルールの永続化サービス。
+ * - configStore の appCategoryRules キーに保存し、読み書きのたびに constants/app-categories.js の正規化を通す。
+ * - 振り分けは集計側 (statistics.js の getAppUsageStats、集中スコア、スクリーンタイム予算) が行い、ここは保存だけを担う。
+ */
+const appCategoryConstantsPromise = import('../../constants/app-categories.js');
+
+function createAppCategoryStore({ configStore }) {
+  if (!configStore) {
+    throw new Error('configStore is required to create app category store');
+  }
+
+  async function getRules() {
+    const { sanitizeAppCategoryRules, DEFAULT_APP_CATEGORY_RULES } = await appCategoryConstantsPromise;
+    return sanitizeAppCategoryRules(configStore.get('appCategoryRules', DEFAULT_APP_CATEGORY_RULES));
+  }
+
+  async function updateRules(rules) {
+    const { sanitizeAppCategoryRules } = await appCategoryConstantsPromise;
+    const sanitized = sanitizeAppCategoryRules(rules);
+    configStore.set('appCategoryRules', sanitized);
+    return sanitized;
+  }
+
+  return {
+    getRules,
+    updateRules,
+  };
+}
+
+module.exports = {
+  createAppCategoryStore,
+};
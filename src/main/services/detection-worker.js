@@ -0,0 +1,198 @@
+/**
+ * YOLO 推論ワーカーのクライアント。
+ * - 推論は workers/yolo-inference.js のワーカースレッドで実行し、メインスレッドは受け渡しだけを担う。
+ * - 同時に処理するフレームは 1 枚のみ。推論中に届いたフレームは待たせずに破棄する
+ *   （キューに溜めると検知結果がカメラ映像からどんどん遅れていくため）。
+ */
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { performance } = require('perf_hooks');
+
+const WORKER_SCRIPT = path.join(__dirname, '..', 'workers', 'yolo-inference.js');
+// ワーカーが異常終了し続ける場合に再生成を連打しないための待機時間
+const RESTART_COOLDOWN_MS = 5000;
+
+/**
+ * TypedArray / ArrayBuffer から transfer 可能な ArrayBuffer を取り出す。
+ * - ビューがバッファの一部だけを指す場合は該当範囲を切り出す（余分なメモリを渡さない）。
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {ArrayBuffer}
+ */
+function toTransferableBuffer(data) {
+  if (data instanceof ArrayBuffer) {
+    return data;
+  }
+  const { buffer, byteOffset, byteLength } = data;
+  if (byteOffset === 0 && byteLength === buffer.byteLength) {
+    return buffer;
+  }
+  return buffer.slice(byteOffset, byteOffset + byteLength);
+}
+
+function createDetectionWorker({ modelsDir }) {
+  if (!modelsDir) {
+    throw new Error('modelsDir が指定されていません');
+  }
+
+  let worker = null;
+  let readyPromise = null;
+  let modelInfo = null;
+  let inFlight = null;
+  let nextRequestId = 1;
+  let lastExitAt = 0;
+  let droppedFrames = 0;
+
+  function rejectInFlight(error) {
+    if (inFlight) {
+      inFlight.reject(error);
+      inFlight = null;
+    }
+  }
+
+  function handleMessage(message) {
+    if (!message) {
+      return;
+    }
+    if (message.type === 'ready') {
+      modelInfo = message.model ?? null;
+      return;
+    }
+    if (!inFlight || message.id !== inFlight.id) {
+      return;
+    }
+    const { resolve, reject, postedAt } = inFlight;
+    inFlight = null;
+
+    if (message.type === 'error') {
+      reject(new Error(message.error));
+      return;
+    }
+
+    modelInfo = message.model ?? modelInfo;
+    const roundTripMs = performance.now() - postedAt;
+    const { preprocessMs = 0, inferenceMs = 0, postprocessMs = 0 } = message.timings || {};
+    resolve({
+      detections: message.detections,
+      model: message.model,
+      timings: {
+        preprocessMs,
+        inferenceMs,
+        postprocessMs,
+        // ワーカーとの受け渡しとイベントループ待ちにかかった時間
+        transferMs: Math.max(0, roundTripMs - preprocessMs - inferenceMs - postprocessMs),
+      },
+    });
+  }
+
+  /**
+   * ワーカーを生成し、モデル読み込み完了を待つ Promise を返す。
+   * @param {string} [modelId]
+   * @returns {Promise<boolean>}
+   */
+  function spawn(modelId) {
+    worker = new Worker(WORKER_SCRIPT, { workerData: { modelsDir, modelId } });
+    readyPromise = new Promise((resolve) => {
+      const onReady = (message) => {
+        if (message?.type === 'ready') {
+          worker?.off('message', onReady);
+          resolve(Boolean(message.success));
+        }
+      };
+      worker.on('message', onReady);
+      worker.once('exit', () => resolve(false));
+    });
+
+    worker.on('message', handleMessage);
+    worker.on('error', (error) => {
+      console.error('[DetectionWorker] ワーカーでエラーが発生しました:', error);
+    });
+    worker.on('exit', (code) => {
+      if (code !== 0) {
+        console.warn(`[DetectionWorker] ワーカーが終了しました (code=${code})`);
+      }
+      worker = null;
+      readyPromise = null;
+      lastExitAt = Date.now();
+      rejectInFlight(new Error('推論ワーカーが終了しました'));
+    });
+    return readyPromise;
+  }
+
+  /**
+   * ワーカーを起動する。起動済みの場合は既存の初期化結果を返す。
+   * @param {string} [modelId] 初期ロードするモデル
+   * @returns {Promise<boolean>} モデルの初期化に成功したか
+   */
+  function start(modelId) {
+    if (readyPromise) {
+      return readyPromise;
+    }
+    return spawn(modelId);
+  }
+
+  /**
+   * 1 フレーム分の推論を依頼する。
+   * - 推論中なら即座に { dropped: true } を返し、フレームは破棄する。
+   * - frame.data の ArrayBuffer はワーカーへ transfer されるため、呼び出し後は使用できない。
+   * @param {{width:number, height:number, data:ArrayBuffer|ArrayBufferView}} frame RGBA 生ピクセル
+   * @param {{modelId?:string, inputSize?:number, letterbox?:boolean}} [options]
+   */
+  async function detect(frame, options = {}) {
+    if (inFlight) {
+      droppedFrames += 1;
+      return { dropped: true, droppedFrames };
+    }
+    if (!worker) {
+      if (Date.now() - lastExitAt < RESTART_COOLDOWN_MS) {
+        droppedFrames += 1;
+        return { dropped: true, droppedFrames };
+      }
+      spawn(options.modelId);
+    }
+
+    const id = nextRequestId++;
+    const buffer = toTransferableBuffer(frame.data);
+    const result = await new Promise((resolve, reject) => {
+      inFlight = { id, resolve, reject, postedAt: performance.now() };
+      worker.postMessage(
+        { type: 'detect', id, frame: { width: frame.width, height: frame.height, buffer }, options },
+        [buffer]
+      );
+    });
+    return { ...result, dropped: false, droppedFrames };
+  }
+
+  function getModelInfo() {
+    return modelInfo;
+  }
+
+  /**
+   * 読み込みに失敗したモデルの記録をワーカー側で消し、次のフレームで読み込みを再試行させる。
+   * - モデル一覧 (マニフェストと配置状況) を読み直したときに呼ぶ。
+   */
+  function clearFailedModels() {
+    worker?.postMessage({ type: 'clear-failed-models' });
+  }
+
+  async function dispose() {
+    rejectInFlight(new Error('推論ワーカーを停止しました'));
+    if (worker) {
+      const target = worker;
+      worker = null;
+      readyPromise = null;
+      await target.terminate();
+    }
+  }
+
+  return {
+    start,
+    detect,
+    getModelInfo,
+    clearFailedModels,
+    dispose,
+  };
+}
+
+module.exports = {
+  createDetectionWorker,
+};
@@ -0,0 +1,347 @@
+/**
+ * 集中スコアの計算と保存。
+ * - 検知ログ (スマホ・不在)、前面アプリ、タイピング、不在許可を 1 時間ごとに突き合わせてスコアを出し、
+ *   focus_scores テーブルへ 1 時間・1 日単位で保存する。計算式は constants/focus-score.js を参照。
+ * - 当日分は一定間隔で再計算し、ダッシュボードと Slack レポートは保存済みの値を読む。
+ * - 「気が散る」前面アプリは保存済みのカテゴリ分けルールで振り分ける (集計と同じ createAppCategorizer)。
+ */
+const { run, all } = require('../db');
+
+const focusConstantsPromise = import('../../constants/focus-score.js');
+const appCategoryConstantsPromise = import('../../constants/app-categories.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+// 一度に再計算する期間の上限。ダッシュボードの「過去 30 日」を 1 回で賄える長さにする。
+const MAX_RECOMPUTE_DAYS = 31;
+
+function startOfDay(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+function startOfNextDay(timestamp) {
+  const date = new Date(startOfDay(timestamp));
+  date.setDate(date.getDate() + 1);
+  return date.getTime();
+}
+
+function overlapSeconds(windowStart, windowEnd, rangeStart, rangeEnd) {
+  const start = Math.max(windowStart, rangeStart);
+  const end = Math.min(windowEnd, rangeEnd);
+  return end > start ? Math.floor((end - start) / 1000) : 0;
+}
+
+/**
+ * 区間を [rangeStart, rangeEnd] に切り詰め、重なりをまとめた和集合を返す。
+ */
+function mergeWindows(windows, rangeStart, rangeEnd) {
+  return windows
+    .map(([windowStart, windowEnd]) => [Math.max(windowStart, rangeStart), Math.min(windowEnd, rangeEnd)])
+    .filter(([windowStart, windowEnd]) => windowEnd > windowStart)
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, window) => {
+      const last = merged[merged.length - 1];
+      if (last && window[0] <= last[1]) {
+        last[1] = Math.max(last[1], window[1]);
+      } else {
+        merged.push([...window]);
+      }
+      return merged;
+    }, []);
+}
+
+/**
+ * 1 時間のうち実際に監視していた秒数。
+ * - スマホ・不在・前面アプリ・タイピングのいずれかの記録がある時間を監視中とみなし、許可済み不在と重なる分は除く。
+ *   アプリを起動していなかった時間や、その時間の途中で起動・終了した前後を観測時間に含めない。
+ */
+function observedSecondsIn(monitoredWindows, permittedWindows, hourStart, hourEnd) {
+  const permitted = mergeWindows(permittedWindows, hourStart, hourEnd);
+  const observedMs = mergeWindows(monitoredWindows, hourStart, hourEnd).reduce(
+    (sum, [windowStart, windowEnd]) =>
+      sum
+      + (windowEnd - windowStart)
+      - permitted.reduce(
+        (overlap, [permittedStart, permittedEnd]) =>
+          overlap + Math.max(Math.min(windowEnd, permittedEnd) - Math.max(windowStart, permittedStart), 0),
+        0
+      ),
+    0
+  );
+  return Math.floor(observedMs / 1000);
+}
+
+function createFocusScoreService({ configStore, appCategoryStore, clock = () => Date.now() }) {
+  if (!configStore) {
+    throw new Error('configStore is required to create focus score service');
+  }
+
+  let recomputeTimer = null;
+
+  async function getSettings() {
+    const { sanitizeFocusScoreSettings, DEFAULT_FOCUS_SCORE_SETTINGS } = await focusConstantsPromise;
+    return sanitizeFocusScoreSettings(configStore.get('focusScoreSettings', DEFAULT_FOCUS_SCORE_SETTINGS));
+  }
+
+  async function updateSettings(patch) {
+    const { sanitizeFocusScoreSettings } = await focusConstantsPromise;
+    const current = await getSettings();
+    const sanitized = sanitizeFocusScoreSettings({ ...current, ...(patch || {}) });
+    configStore.set('focusScoreSettings', sanitized);
+    // 重みを変えた直後のダッシュボードに反映されるよう、当日分だけは待たずに計算し直す。
+    const now = clock();
+    await recompute({ start: startOfDay(now), end: now });
+    return sanitized;
+  }
+
+  /**
+   * 期間内の各信号を区間の配列として読み出す。
+   */
+  async function collectSignals(start, end) {
+    const [detectionRows, usageRows, typingRows, overrideRows] = await Promise.all([
+      all(
+        `SELECT type, detected_at, duration_seconds
+         FROM detection_logs
+         WHERE type IN ('phone_detection_end', 'absence_detection_end')
+           AND duration_seconds > 0
+           AND detected_at >= ?
+           AND detected_at - duration_seconds * 1000 <= ?`,
+        [start, end]
+      ),
+      all(
+        `SELECT app_name, domain, title, started_at, ended_at
+         FROM app_usage_logs
+         WHERE started_at <= ? AND ended_at >= ?`,
+        [end, start]
+      ),
+      all(
+        `SELECT bucket_start, bucket_end, key_presses
+         FROM typing_activity_logs
+         WHERE bucket_start BETWEEN ? AND ?`,
+        [start, end]
+      ),
+      all(
+        `SELECT started_at, ended_at, expires_at
+         FROM absence_override_events
+         WHERE started_at <= ?
+           AND COALESCE(ended_at, expires_at, ?) >= ?`,
+        [end, end, start]
+      ),
+    ]);
+
+    const toWindow = (row) => [row.detected_at - row.duration_seconds * 1000, row.detected_at];
+    return {
+      phone: detectionRows.filter((row) => row.type === 'phone_detection_end').map(toWindow),
+      absence: detectionRows.filter((row) => row.type === 'absence_detection_end').map(toWindow),
+      usage: usageRows.map((row) => ({
+        appName: row.app_name,
+        domain: row.domain,
+        title: row.title,
+        window: [row.started_at, row.ended_at],
+      })),
+      typing: typingRows.map((row) => ({
+        at: row.bucket_start,
+        keyPresses: row.key_presses || 0,
+        window: [row.bucket_start, row.bucket_end],
+      })),
+      permitted: overrideRows.map((row) => [row.started_at, row.ended_at ?? row.expires_at ?? end]),
+    };
+  }
+
+  /**
+   * 期間を含む日の 0 時から計算し直し、1 時間・1 日のスコアを保存する。
+   * - 1 日のスコアは日全体の時間から求めるため、期間は日単位に広げる。未来の時間は計算しない。
+   * @param {{start:number, end:number}} range
+   * @returns {Promise<{hours:Array, days:Array}>}
+   */
+  async function recompute({ start, end }) {
+    const { computeFocusScore } = await focusConstantsPromise;
+    const { createAppCategorizer, APP_CATEGORY_FLAGS } = await appCategoryConstantsPromise;
+    const settings = await getSettings();
+    const now = clock();
+    const rangeEnd = Math.min(startOfNextDay(end), now);
+    const rangeStart = Math.max(startOfDay(start), startOfDay(rangeEnd - MAX_RECOMPUTE_DAYS * 24 * HOUR_MS));
+    if (rangeEnd <= rangeStart) {
+      return { hours: [], days: [] };
+    }
+
+    const signals = await collectSignals(rangeStart, rangeEnd);
+    const categorize = createAppCategorizer(appCategoryStore ? await appCategoryStore.getRules() : []);
+    const distractingUsage = signals.usage.filter((usage) => categorize(usage).flag === APP_CATEGORY_FLAGS.DISTRACTING);
+    const trackedTypingDays = new Set(signals.typing.map((entry) => startOfDay(entry.at)));
+    const monitoredWindows = [
+      ...signals.phone,
+      ...signals.absence,
+      ...signals.usage.map((usage) => usage.window),
+      ...signals.typing.map((entry) => entry.window),
+    ];
+
+    const hours = [];
+    for (let hourStart = rangeStart; hourStart < rangeEnd; hourStart += HOUR_MS) {
+      const hourEnd = Math.min(hourStart + HOUR_MS, rangeEnd);
+      const sumWindows = (windows) =>
+        windows.reduce((sum, [windowStart, windowEnd]) => sum + overlapSeconds(windowStart, windowEnd, hourStart, hourEnd), 0);
+      const phoneSeconds = sumWindows(signals.phone);
+      const absenceSeconds = sumWindows(signals.absence);
+      const usageSeconds = sumWindows(signals.usage.map((usage) => usage.window));
+      const typingEntries = signals.typing.filter((entry) => entry.at >= hourStart && entry.at < hourEnd);
+      if (phoneSeconds + absenceSeconds + usageSeconds === 0 && typingEntries.length === 0) {
+        continue;
+      }
+
+      const entry = {
+        bucketStart: hourStart,
+        bucketEnd: hourEnd,
+        observedSeconds: observedSecondsIn(monitoredWindows, signals.permitted, hourStart, hourEnd),
+        phoneSeconds,
+        absenceSeconds,
+        distractionSeconds: sumWindows(distractingUsage.map((usage) => usage.window)),
+        keyPresses: typingEntries.reduce((sum, typing) => sum + typing.keyPresses, 0),
+        typingTracked: trackedTypingDays.has(startOfDay(hourStart)),
+      };
+      entry.score = computeFocusScore(entry, settings);
+      if (entry.score !== null) {
+        hours.push(entry);
+      }
+    }
+
+    const days = new Map();
+    hours.forEach((entry) => {
+      const dayStart = startOfDay(entry.bucketStart);
+      const day = days.get(dayStart) || {
+        bucketStart: dayStart,
+        bucketEnd: Math.min(startOfNextDay(dayStart), rangeEnd),
+        weightedScore: 0,
+        observedSeconds: 0,
+        phoneSeconds: 0,
+        absenceSeconds: 0,
+        distractionSeconds: 0,
+        keyPresses: 0,
+      };
+      day.weightedScore += entry.score * entry.observedSeconds;
+      day.observedSeconds += entry.observedSeconds;
+      day.phoneSeconds += entry.phoneSeconds;
+      day.absenceSeconds += entry.absenceSeconds;
+      day.distractionSeconds += entry.distractionSeconds;
+      day.keyPresses += entry.keyPresses;
+      days.set(dayStart, day);
+    });
+    const dayEntries = Array.from(days.values()).map(({ weightedScore, ...day }) => ({
+      ...day,
+      score: Math.round(weightedScore / day.observedSeconds),
+    }));
+
+    await run('DELETE FROM focus_scores WHERE bucket_start >= ? AND bucket_start < ?', [rangeStart, rangeEnd]);
+    for (const [period, entries] of [['hour', hours], ['day', dayEntries]]) {
+      for (const entry of entries) {
+        await run(
+          `INSERT OR REPLACE INTO focus_scores
+             (period, bucket_start, bucket_end, score, observed_seconds, phone_seconds, absence_seconds,
+              distraction_seconds, key_presses, computed_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            period,
+            entry.bucketStart,
+            entry.bucketEnd,
+            entry.score,
+            entry.observedSeconds,
+            entry.phoneSeconds,
+            entry.absenceSeconds,
+            entry.distractionSeconds,
+            entry.keyPresses,
+            now,
+          ]
+        );
+      }
+    }
+
+    return { hours, days: dayEntries };
+  }
+
+  /**
+   * 保存済みのスコアを期間で読み出す。recompute を指定すると読み出す前に計算し直す。
+   * - summary.averageScore は期間内の各時間を観測時間で重み付けした平均。
+   * @param {{start?:number, end?:number, recompute?:boolean}} [options]
+   * @returns {Promise<{range:Object, hours:Array, days:Array, summary:{averageScore:number|null, bestHour:Object|null, worstHour:Object|null}}>}
+   */
+  async function getScores(options = {}) {
+    const now = clock();
+    const start = Number.isFinite(options.start) ? options.start : startOfDay(now);
+    const end = Number.isFinite(options.end) ? options.end : now;
+    if (options.recompute) {
+      await recompute({ start, end });
+    }
+
+    const rows = await all(
+      `SELECT period, bucket_start, bucket_end, score, observed_seconds, phone_seconds, absence_seconds,
+              distraction_seconds, key_presses
+       FROM focus_scores
+       WHERE bucket_start < ? AND bucket_end > ?
+       ORDER BY bucket_start ASC`,
+      [end, start]
+    );
+    const toEntry = (row) => ({
+      bucketStart: row.bucket_start,
+      bucketEnd: row.bucket_end,
+      score: row.score,
+      observedSeconds: row.observed_seconds,
+      phoneSeconds: row.phone_seconds,
+      absenceSeconds: row.absence_seconds,
+      distractionSeconds: row.distraction_seconds,
+      keyPresses: row.key_presses,
+    });
+    const hours = rows.filter((row) => row.period === 'hour').map(toEntry);
+    const days = rows.filter((row) => row.period === 'day').map(toEntry);
+
+    const observedTotal = hours.reduce((sum, entry) => sum + entry.observedSeconds, 0);
+    const rankedHours = [...hours].sort((a, b) => b.score - a.score);
+    return {
+      range: { start, end },
+      hours,
+      days,
+      summary: {
+        averageScore:
+          observedTotal > 0
+            ? Math.round(hours.reduce((sum, entry) => sum + entry.score * entry.observedSeconds, 0) / observedTotal)
+            : null,
+        bestHour: rankedHours[0] || null,
+        worstHour: rankedHours[rankedHours.length - 1] || null,
+      },
+    };
+  }
+
+  async function start() {
+    const { FOCUS_SCORE_LIMITS } = await focusConstantsPromise;
+    const runRecompute = (lookbackMs) => {
+      const now = clock();
+      recompute({ start: now - lookbackMs, end: now }).catch((error) => {
+        console.error('[FocusScore] 再計算に失敗:', error);
+      });
+    };
+    // 起動時はアプリを閉じていた間の分も埋めるため 1 週間分、以降は日付が変わった直後でも
+    // 前日の最後の 1 時間を確定させるため 1 時間前から計算する。
+    runRecompute(7 * 24 * HOUR_MS);
+    recomputeTimer = setInterval(() => runRecompute(HOUR_MS), FOCUS_SCORE_LIMITS.recomputeIntervalMs);
+  }
+
+  function dispose() {
+    if (recomputeTimer) {
+      clearInterval(recomputeTimer);
+      recomputeTimer = null;
+    }
+  }
+
+  return {
+    getSettings,
+    updateSettings,
+    recompute,
+    getScores,
+    start,
+    dispose,
+  };
+}
+
+module.exports = {
+  createFocusScoreService,
+};
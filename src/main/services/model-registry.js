@@ -0,0 +1,146 @@
+/**
+ * YOLO モデルレジストリ。
+ * - 組み込みマニフェスト (constants/yolo-models.js) と models/manifest.json を統合し、
+ *   検知器と設定画面が同じモデル一覧を参照できるようにする。
+ * - manifest.json は呼び出しごとに読み直すため、独自モデルの追加にアプリ再起動は不要。
+ */
+const fs = require('fs');
+const path = require('path');
+
+const modelConstantsPromise = import('../../constants/yolo-models.js');
+const classConstantsPromise = import('../../constants/yolo-classes.js');
+
+/**
+ * マニフェストの 1 エントリを検証・正規化する。
+ * - 不正なエントリは null を返し、一覧から除外する（1 件の誤記で全体を壊さない）。
+ * @param {Object} raw マニフェスト上の定義
+ * @param {Object} context 解決に必要な定数群
+ * @returns {Object|null}
+ */
+function normalizeModelEntry(raw, { modelsDir, source, layouts, cocoClassSet, cocoClassNames }) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  const id = typeof raw.id === 'string' ? raw.id.trim() : '';
+  const file = typeof raw.file === 'string' ? raw.file.trim() : '';
+  if (!id || !file) {
+    return null;
+  }
+
+  const shape = Array.isArray(raw.inputShape) ? raw.inputShape.map((dim) => Number.parseInt(dim, 10)) : [];
+  if (shape.length !== 4 || shape.some((dim) => !Number.isInteger(dim) || dim <= 0)) {
+    console.warn(`[ModelRegistry] inputShape が不正なため除外しました: ${id}`);
+    return null;
+  }
+
+  const validLayouts = Object.values(layouts);
+  const outputLayout = validLayouts.includes(raw.outputLayout) ? raw.outputLayout : layouts.FEATURES_FIRST;
+
+  let classNames = null;
+  if (raw.classes === cocoClassSet) {
+    classNames = [...cocoClassNames];
+  } else if (Array.isArray(raw.classes) && raw.classes.every((name) => typeof name === 'string')) {
+    classNames = [...raw.classes];
+  }
+  if (!classNames || classNames.length === 0) {
+    console.warn(`[ModelRegistry] classes が不正なため除外しました: ${id}`);
+    return null;
+  }
+
+  const modelPath = path.resolve(modelsDir, file);
+  return {
+    id,
+    label: typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim() : id,
+    source,
+    path: modelPath,
+    inputName: typeof raw.inputName === 'string' && raw.inputName.trim() ? raw.inputName.trim() : 'images',
+    inputShape: shape,
+    dynamicInput: raw.dynamicInput === true,
+    outputLayout,
+    classNames,
+    available: fs.existsSync(modelPath),
+  };
+}
+
+function createModelRegistry({ modelsDir }) {
+  if (!modelsDir) {
+    throw new Error('modelsDir が指定されていません');
+  }
+
+  async function loadContext(source) {
+    const [
+      { YOLO_OUTPUT_LAYOUTS, COCO_CLASS_SET },
+      { YOLO_ALL_CLASS_NAMES },
+    ] = await Promise.all([modelConstantsPromise, classConstantsPromise]);
+    return {
+      modelsDir,
+      source,
+      layouts: YOLO_OUTPUT_LAYOUTS,
+      cocoClassSet: COCO_CLASS_SET,
+      cocoClassNames: YOLO_ALL_CLASS_NAMES,
+    };
+  }
+
+  /**
+   * models/manifest.json から独自モデル定義を読み込む。
+   * - ファイルが無い場合は空配列。壊れている場合も警告のみで組み込みモデルは使えるようにする。
+   */
+  async function readCustomEntries() {
+    const { CUSTOM_MODEL_MANIFEST_FILE } = await modelConstantsPromise;
+    const manifestPath = path.join(modelsDir, CUSTOM_MODEL_MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+      return [];
+    }
+    try {
+      const parsed = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+      return Array.isArray(parsed?.models) ? parsed.models : [];
+    } catch (error) {
+      console.warn('[ModelRegistry] manifest.json の読み込みに失敗しました:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 利用可能なモデル一覧を返す。
+   * - 独自モデルが組み込みと同じ id を持つ場合は独自定義を優先する。
+   */
+  async function listModels() {
+    const { BUILTIN_YOLO_MODELS } = await modelConstantsPromise;
+    const builtinContext = await loadContext('builtin');
+    const customContext = await loadContext('custom');
+    const customEntries = await readCustomEntries();
+
+    const byId = new Map();
+    BUILTIN_YOLO_MODELS
+      .map((raw) => normalizeModelEntry(raw, builtinContext))
+      .filter(Boolean)
+      .forEach((entry) => byId.set(entry.id, entry));
+    customEntries
+      .map((raw) => normalizeModelEntry(raw, customContext))
+      .filter(Boolean)
+      .forEach((entry) => byId.set(entry.id, entry));
+    return Array.from(byId.values());
+  }
+
+  /**
+   * id に対応するモデル定義を取得する。見つからない場合は既定モデルを返す。
+   * @param {string} [modelId]
+   * @returns {Promise<Object|null>}
+   */
+  async function resolveModel(modelId) {
+    const { DEFAULT_YOLO_MODEL_ID } = await modelConstantsPromise;
+    const models = await listModels();
+    return models.find((model) => model.id === modelId)
+      || models.find((model) => model.id === DEFAULT_YOLO_MODEL_ID)
+      || null;
+  }
+
+  return {
+    listModels,
+    resolveModel,
+  };
+}
+
+module.exports = {
+  createModelRegistry,
+};
@@ -0,0 +1,130 @@
+/**
+ * アプリ・カテゴリごとの 1 日の利用時間の予算。
+ * - 設定は configStore の screenTimeBudgets キーに保存し、読み書きのたびに constants/screen-time-budgets.js の正規化を通す。
+ * - 使用量は予算の 1 日の開始 (dayStartHour 時) から今までの app_usage_logs に、
+ *   レンダラから受け取った記録前の前面アプリの区間 (inFlight) を足して数える。
+ * - カテゴリの予算は保存済みのカテゴリ分けルールで振り分ける (集計と同じ createAppCategorizer)。
+ */
+const { all } = require('../db');
+
+const budgetConstantsPromise = import('../../constants/screen-time-budgets.js');
+const appCategoryConstantsPromise = import('../../constants/app-categories.js');
+
+function createScreenTimeBudgetStore({ configStore, appCategoryStore, clock = () => Date.now() }) {
+  if (!configStore) {
+    throw new Error('configStore is required to create screen time budget store');
+  }
+
+  async function getSettings() {
+    const { sanitizeScreenTimeBudgetSettings, DEFAULT_SCREEN_TIME_BUDGET_SETTINGS } = await budgetConstantsPromise;
+    return sanitizeScreenTimeBudgetSettings(configStore.get('screenTimeBudgets', DEFAULT_SCREEN_TIME_BUDGET_SETTINGS));
+  }
+
+  async function updateSettings(patch) {
+    const { sanitizeScreenTimeBudgetSettings } = await budgetConstantsPromise;
+    const current = await getSettings();
+    const sanitized = sanitizeScreenTimeBudgetSettings({ ...current, ...(patch || {}) });
+    configStore.set('screenTimeBudgets', sanitized);
+    return sanitized;
+  }
+
+  /**
+   * 記録前の前面アプリの区間を正規化する。開始が不正・未来のものは数えない。
+   */
+  function normalizeInFlight(inFlight, now) {
+    if (!inFlight || typeof inFlight !== 'object' || typeof inFlight.appName !== 'string') {
+      return null;
+    }
+    const startedAt = Number(inFlight.startedAt);
+    if (!Number.isFinite(startedAt) || startedAt >= now) {
+      return null;
+    }
+    return {
+      appName: inFlight.appName,
+      domain: typeof inFlight.domain === 'string' ? inFlight.domain : null,
+      title: typeof inFlight.title === 'string' ? inFlight.title : '',
+      startedAt,
+    };
+  }
+
+  /**
+   * 今日 (dayStartHour 区切り) の予算ごとの使用量と残りを返す。
+   * - active は記録前の前面アプリがその予算の対象かどうか。監視画面はこれで今見ている予算を選ぶ。
+   * @param {Object} [options]
+   * @param {{appName:string, domain?:string|null, title?:string, startedAt:number}|null} [options.inFlight]
+   * @returns {Promise<{dayStartHour:number, periodStart:number, budgets:Array<{id:string, target:string, key:string, minutes:number, usedSeconds:number, usedMinutes:number, remainingMinutes:number, ratio:number, level:string, active:boolean}>}>}
+   */
+  async function getStatus(options = {}) {
+    const { getScreenTimeDayStart, getScreenTimeBudgetLevel, SCREEN_TIME_BUDGET_TARGETS } = await budgetConstantsPromise;
+    const now = clock();
+    const settings = await getSettings();
+    const periodStart = getScreenTimeDayStart(now, settings.dayStartHour);
+    const budgets = settings.budgets.filter((budget) => budget.enabled);
+    if (budgets.length === 0) {
+      return { dayStartHour: settings.dayStartHour, periodStart, budgets: [] };
+    }
+
+    const rows = await all(
+      `SELECT app_name, domain, title, started_at, ended_at
+       FROM app_usage_logs
+       WHERE ended_at > ? AND started_at <= ?`,
+      [periodStart, now]
+    );
+    const sessions = rows.map((row) => ({
+      appName: row.app_name,
+      domain: row.domain,
+      title: row.title,
+      durationMs: Math.max(Math.min(row.ended_at, now) - Math.max(row.started_at, periodStart), 0),
+    }));
+    const inFlight = normalizeInFlight(options.inFlight, now);
+    if (inFlight) {
+      sessions.push({ ...inFlight, durationMs: now - Math.max(inFlight.startedAt, periodStart), inFlight: true });
+    }
+
+    let categorize = null;
+    if (budgets.some((budget) => budget.target === SCREEN_TIME_BUDGET_TARGETS.CATEGORY)) {
+      const { createAppCategorizer } = await appCategoryConstantsPromise;
+      categorize = createAppCategorizer(appCategoryStore ? await appCategoryStore.getRules() : []);
+      sessions.forEach((session) => {
+        session.category = categorize(session).category;
+      });
+    }
+
+    const matches = (budget, session) =>
+      budget.target === SCREEN_TIME_BUDGET_TARGETS.CATEGORY
+        ? session.category === budget.key
+        : typeof session.appName === 'string' && session.appName.toLowerCase() === budget.key.toLowerCase();
+
+    return {
+      dayStartHour: settings.dayStartHour,
+      periodStart,
+      budgets: budgets.map((budget) => {
+        const matched = sessions.filter((session) => matches(budget, session));
+        const usedSeconds = Math.floor(matched.reduce((sum, session) => sum + session.durationMs, 0) / 1000);
+        const usedMinutes = Math.floor(usedSeconds / 60);
+        return {
+          id: budget.id,
+          target: budget.target,
+          key: budget.key,
+          minutes: budget.minutes,
+          usedSeconds,
+          usedMinutes,
+          remainingMinutes: Math.max(budget.minutes - usedMinutes, 0),
+          ratio: Math.round((usedSeconds / (budget.minutes * 60)) * 100) / 100,
+          level: getScreenTimeBudgetLevel(usedSeconds, budget.minutes),
+          active: matched.some((session) => session.inFlight),
+        };
+      }),
+    };
+  }
+
+  return {
+    getSettings,
+    updateSettings,
+    getStatus,
+  };
+}
+
+module.exports = {
+  createScreenTimeBudgetStore,
+};
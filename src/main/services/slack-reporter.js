@@ -12,6 +12,10 @@ const {
   getAbsenceOverrideSummary,
 } = require('./statistics');
 
+const yoloClassesPromise = import('../../constants/yolo-classes.js');
+const overrideConstantsPromise = import('../../constants/absence-override.js');
+const appCategoryConstantsPromise = import('../../constants/app-categories.js');
+
 const DEFAULT_SETTINGS = {
   enabled: false,
   webhookUrl: '',
@@ -408,6 +412,7 @@ function createSlackReporter({ configStore, absenceOverrideManager }, dependenci
       start: startTimestamp,
       end: endTimestamp,
       limit: 5,
+      categoryRules: dependencies.appCategoryStore ? await dependencies.appCategoryStore.getRules() : undefined,
     });
     const systemEvents = await systemEventsFn({
       start: startTimestamp,
@@ -448,14 +453,58 @@ function createSlackReporter({ configStore, absenceOverrideManager }, dependenci
       `• 総イベント数: ${summary.totalCount || 0}`,
       `• アラート件数: ${alertCount}`,
       `• スマホ検知時間: ${formatDuration(phoneDuration)} (${byType.phone_detection_end?.count || 0} 件)`,
+      `• うち手に持っていた時間: ${formatDuration(summary.phoneStates?.heldSeconds || 0)} ` +
+        `(手持ちアラート ${summary.phoneStates?.heldAlerts || 0} 件)`,
       `• 不在検知時間: ${formatDuration(absenceDuration)} (${byType.absence_detection_end?.count || 0} 件)`,
     ];
 
+    const strictViolations = byType.strict_violation?.count || 0;
+    if (strictViolations > 0) {
+      lines.push(
+        `• 厳格モード違反: ${strictViolations} 件 (置くまでの合計 ${formatDuration(byType.strict_violation.totalDurationSeconds || 0)})`
+      );
+    }
+
+    const alertResponses = summary.alertResponses;
+    if (alertResponses?.respondedCount > 0) {
+      lines.push(
+        `• アラート応答時間 (中央値): ${formatDuration(alertResponses.medianResponseSeconds || 0)} ` +
+          `(確認 ${alertResponses.acknowledgedCount} 件 / 無視 ${alertResponses.ignoredCount} 件)`
+      );
+    }
+
+    const cameraHealth = summary.cameraHealth;
+    if (cameraHealth?.count > 0) {
+      lines.push(
+        `• カメラ異常: ${formatDuration(cameraHealth.totalSeconds || 0)} (${cameraHealth.count} 件、` +
+          `不在から除外 ${formatDuration(cameraHealth.excludedAbsenceSeconds || 0)})`
+      );
+    }
+
+    const objectClasses = Object.entries(summary.objectClasses || {});
+    if (objectClasses.length > 0) {
+      const { getClassLabel } = await yoloClassesPromise;
+      objectClasses.forEach(([className, entry]) => {
+        lines.push(
+          `• ${getClassLabel(className)}: 映っていた ${formatDuration(entry.visibleSeconds || 0)} / ` +
+            `見当たらなかった ${formatDuration(entry.missingSeconds || 0)} (アラート ${entry.alerts || 0} 件)`
+        );
+      });
+    }
+
     if (permittedAbsenceSeconds > 0) {
       lines.push(
         `• 許可済み不在: ${formatDuration(permittedAbsenceSeconds)} ` +
           `(手動 ${formatDuration(absenceOverrideSummary.manualSeconds || 0)}, 自動 ${formatDuration(absenceOverrideSummary.autoSeconds || 0)})`
       );
+      const lockSeconds = absenceOverrideSummary.lockSeconds || 0;
+      const suspendSeconds = absenceOverrideSummary.suspendSeconds || 0;
+      if (lockSeconds + suspendSeconds > 0) {
+        lines.push(
+          `• うち画面ロック・スリープ中: ${formatDuration(lockSeconds + suspendSeconds)} ` +
+            `(画面ロック ${formatDuration(lockSeconds)}, スリープ ${formatDuration(suspendSeconds)})`
+        );
+      }
     }
 
     if (mostActiveBucket) {
@@ -476,6 +525,21 @@ function createSlackReporter({ configStore, absenceOverrideManager }, dependenci
       lines.push(`• Chromeドメイン上位5: ${chromeRanking}`);
     }
 
+    const topCategories = (appUsageStats.categories || []).slice(0, 5);
+    if (topCategories.length > 0) {
+      const { APP_CATEGORY_FLAG_LABELS } = await appCategoryConstantsPromise;
+      const categoryRanking = topCategories
+        .map((item) => `${item.category} ${formatDuration(item.totalDurationSeconds)}`)
+        .join(' / ');
+      lines.push(`• カテゴリ別上位5: ${categoryRanking}`);
+      const flagTotals = appUsageStats.flagTotals || {};
+      lines.push(
+        `• 区分別: ${Object.entries(APP_CATEGORY_FLAG_LABELS)
+          .map(([flag, label]) => `${label} ${formatDuration(flagTotals[flag] || 0)}`)
+          .join(' / ')}`
+      );
+    }
+
     const systemEventSummary = [
       { key: 'lock_screen', label: '🔒ロック' },
       { key: 'unlock_screen', label: '🔓解除' },
@@ -493,6 +557,26 @@ function createSlackReporter({ configStore, absenceOverrideManager }, dependenci
       lines.push(`• システムイベント: ${summaryText}`);
     }
 
+    if (dependencies.focusScoreService) {
+      try {
+        const focusScores = await dependencies.focusScoreService.getScores({
+          start: startTimestamp,
+          end: endTimestamp,
+          recompute: true,
+        });
+        const { averageScore, bestHour, worstHour } = focusScores?.summary || {};
+        if (Number.isFinite(averageScore)) {
+          const formatHour = (entry) => `${new Date(entry.bucketStart).getHours()}時台 ${entry.score}点`;
+          const extremes = bestHour && worstHour && bestHour !== worstHour
+            ? ` (最高 ${formatHour(bestHour)} / 最低 ${formatHour(worstHour)})`
+            : '';
+          lines.push(`• 集中スコア: ${averageScore}点${extremes}`);
+        }
+      } catch (error) {
+        console.error('[SlackReporter] 集中スコア取得エラー:', error);
+      }
+    }
+
     // タスク統計情報を追加
     if (options.includeTasks !== false && dependencies.tasksService) {
       try {
@@ -573,6 +657,16 @@ function createSlackReporter({ configStore, absenceOverrideManager }, dependenci
             `• 現在許可中: ${overrideState.current.reason || '不在'} (開始 ${new Date(overrideState.current.startedAt).toLocaleString()}, 残り ${remainingText})`
           );
         }
+        const budget = overrideState.budget;
+        if (budget?.enabled) {
+          const { OVERRIDE_BUDGET_PERIOD_LABELS } = await overrideConstantsPromise;
+          const periodLabel = OVERRIDE_BUDGET_PERIOD_LABELS[budget.period] || '';
+          lines.push(
+            budget.exceeded
+              ? `• 不在許可の予算: ${periodLabel}は超過 (${budget.usedMinutes}分 / ${budget.totalMinutes}分)`
+              : `• 不在許可の予算: ${periodLabel}の残り ${budget.remainingMinutes}分 (${budget.usedMinutes}分 / ${budget.totalMinutes}分)`
+          );
+        }
       } catch (error) {
         console.error('[SlackReporter] 不在許可状態取得エラー:', error);
       }
@@ -676,6 +770,19 @@ function createSlackReporter({ configStore, absenceOverrideManager }, dependenci
     }
   }
 
+  /**
+   * レポート以外の短いメッセージ (アラートルールの行動) を投稿する。
+   * - slack_report_logs は「前回送信以降」の集計起点に使うため、ここでは記録しない。
+   */
+  async function postMessage(text) {
+    const messageText = typeof text === 'string' ? text.trim() : '';
+    if (!messageText) {
+      throw new Error('投稿するメッセージが空です');
+    }
+    await postToSlack({ text: messageText });
+    return { status: 'success', sentAt: Date.now() };
+  }
+
   async function getHistory(limit = 10) {
     const rows = await all(
       'SELECT id, scheduled_for, sent_at, status, reason, message, error FROM slack_report_logs ORDER BY sent_at DESC LIMIT ?',
@@ -723,6 +830,7 @@ function createSlackReporter({ configStore, absenceOverrideManager }, dependenci
     getSettings,
     updateSettings,
     sendReport,
+    postMessage,
     getHistory,
     dispose,
     generateReportPreview: () => buildReport({ now: new Date() }),
@@ -0,0 +1,161 @@
+/**
+ * アラート時スナップショットの保存・読み出し・保持期間管理。
+ * - 画像は userData/snapshots に JPEG で置き、detection_logs には meta.snapshot としてファイル名だけを残す。
+ * - 保持期間を過ぎたファイルは起動時と一定間隔で削除する。ログ側の参照は残るため、読み出し側は欠損を許容する。
+ * - 撮影を OFF にしている間は保存要求を受け付けず、読み出しも null を返す。ON から OFF にした時点で保存済みの画像を削除する。
+ */
+const fs = require('fs');
+const path = require('path');
+
+const snapshotConstantsPromise = import('../../constants/snapshots.js');
+
+// ファイル名は「撮影時刻 (ms)-乱数.jpg」。読み出し時のパス検証と保持期間の判定にこの形式を使う。
+const SNAPSHOT_FILE_PATTERN = /^(\d+)-[a-z0-9]+\.jpg$/;
+const DATA_URL_PREFIX = 'data:image/jpeg;base64,';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createSnapshotStore({ app, configStore }) {
+  if (!configStore) {
+    throw new Error('configStore is required to create snapshot store');
+  }
+  const snapshotDir = path.join(app.getPath('userData'), 'snapshots');
+  let cleanupTimer = null;
+
+  async function getSettings() {
+    const { sanitizeSnapshotSettings, DEFAULT_SNAPSHOT_SETTINGS } = await snapshotConstantsPromise;
+    return sanitizeSnapshotSettings(configStore.get('snapshotSettings', DEFAULT_SNAPSHOT_SETTINGS));
+  }
+
+  async function updateSettings(patch) {
+    const { sanitizeSnapshotSettings } = await snapshotConstantsPromise;
+    const current = await getSettings();
+    const sanitized = sanitizeSnapshotSettings({ ...current, ...(patch || {}) });
+    configStore.set('snapshotSettings', sanitized);
+    if (current.enabled && !sanitized.enabled) {
+      // OFF にしたら撮影済みの画像も残さない。
+      await fs.promises.rm(snapshotDir, { recursive: true, force: true });
+      return sanitized;
+    }
+    // 保持日数を縮めた場合は次の定期削除を待たずに反映する。
+    await pruneExpired();
+    return sanitized;
+  }
+
+  /**
+   * JPEG の data URL を保存し、ログに残すファイル名を返す。
+   * @param {{dataUrl:string, capturedAt:number}} payload
+   * @returns {Promise<string>}
+   */
+  async function saveSnapshot({ dataUrl, capturedAt } = {}) {
+    const { SNAPSHOT_LIMITS } = await snapshotConstantsPromise;
+    const settings = await getSettings();
+    if (!settings.enabled) {
+      throw new Error('スナップショットの撮影は無効です');
+    }
+    if (typeof dataUrl !== 'string' || !dataUrl.startsWith(DATA_URL_PREFIX)) {
+      throw new Error('dataUrl は JPEG の data URL で指定してください');
+    }
+    if (!Number.isFinite(capturedAt)) {
+      throw new Error('capturedAt は UNIX 時刻 (ms) の数値で指定してください');
+    }
+    const bytes = Buffer.from(dataUrl.slice(DATA_URL_PREFIX.length), 'base64');
+    if (bytes.length === 0 || bytes.length > SNAPSHOT_LIMITS.maxBytes) {
+      throw new Error('画像サイズが不正です');
+    }
+
+    await fs.promises.mkdir(snapshotDir, { recursive: true });
+    const fileName = `${Math.floor(capturedAt)}-${Math.random().toString(36).slice(2, 10)}.jpg`;
+    await fs.promises.writeFile(path.join(snapshotDir, fileName), bytes);
+    return fileName;
+  }
+
+  /**
+   * 保存済みのスナップショットを data URL で返す。削除済み、または撮影を OFF にしている間は null。
+   * @param {string} fileName
+   * @returns {Promise<string|null>}
+   */
+  async function readSnapshot(fileName) {
+    if (typeof fileName !== 'string' || !SNAPSHOT_FILE_PATTERN.test(fileName)) {
+      throw new Error('ファイル名が不正です');
+    }
+    const settings = await getSettings();
+    if (!settings.enabled) {
+      return null;
+    }
+    try {
+      const bytes = await fs.promises.readFile(path.join(snapshotDir, fileName));
+      return `${DATA_URL_PREFIX}${bytes.toString('base64')}`;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 保持期間を過ぎたスナップショットを削除し、削除した件数を返す。
+   * @param {number} [now]
+   * @returns {Promise<number>}
+   */
+  async function pruneExpired(now = Date.now()) {
+    const { retentionDays } = await getSettings();
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(snapshotDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    const threshold = now - retentionDays * DAY_MS;
+    let removed = 0;
+    for (const entry of entries) {
+      const match = SNAPSHOT_FILE_PATTERN.exec(entry);
+      if (!match || Number(match[1]) >= threshold) {
+        continue;
+      }
+      try {
+        await fs.promises.unlink(path.join(snapshotDir, entry));
+        removed += 1;
+      } catch (error) {
+        console.warn('[Snapshots] 削除に失敗:', entry, error.message);
+      }
+    }
+    return removed;
+  }
+
+  async function startRetention() {
+    const { SNAPSHOT_LIMITS } = await snapshotConstantsPromise;
+    const runCleanup = () => {
+      pruneExpired().catch((error) => {
+        console.error('[Snapshots] 保持期間の削除に失敗:', error);
+      });
+    };
+    runCleanup();
+    cleanupTimer = setInterval(runCleanup, SNAPSHOT_LIMITS.cleanupIntervalMs);
+  }
+
+  function dispose() {
+    if (cleanupTimer) {
+      clearInterval(cleanupTimer);
+      cleanupTimer = null;
+    }
+  }
+
+  return {
+    getSettings,
+    updateSettings,
+    saveSnapshot,
+    readSnapshot,
+    pruneExpired,
+    startRetention,
+    dispose,
+  };
+}
+
+module.exports = {
+  createSnapshotStore,
+};
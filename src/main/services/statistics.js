@@ -3,6 +3,20 @@
  * - 検知ログ / アプリ滞在時間の統計をメインプロセス側で再利用できるようにする。
  */
 const { all } = require('../db');
+const { collectPausedIntervals } = require('./work-timeline');
+
+const monitorConstantsPromise = import('../../constants/monitor.js');
+const appCategoryConstantsPromise = import('../../constants/app-categories.js');
+
+// 応答時間を持つセッション終了ログと、その元になったアラートの種別。
+const ALERT_RESPONSE_SESSION_TYPES = Object.freeze({
+  phone_detection_end: 'phone_alert',
+  absence_detection_end: 'absence_alert',
+});
+
+// 許可の終了からこの時間内に始まった不在は「許可を超えて戻らなかった」超過分とみなす。
+// 許可中は不在検知が止まるため、戻っていなければ終了直後に次の不在が始まる。
+const OVERRIDE_OVERRUN_GAP_MS = 2 * 60 * 1000;
 
 function safeParseJson(value) {
   if (!value) {
@@ -84,6 +98,20 @@ async function getDetectionStats(options = {}) {
   const bucketList = Object.values(buckets).sort((a, b) => (a.bucket > b.bucket ? 1 : -1));
   const totalCount = bucketList.reduce((sum, bucket) => sum + bucket.totalCount, 0);
   const totalDurationSeconds = bucketList.reduce((sum, bucket) => sum + (bucket.totalDurationSeconds || 0), 0);
+  const phoneStates = await getPhoneStateSummary(start, end);
+  const cameraHealth = await getCameraHealthSummary(start, end);
+  const objectWatches = await getObjectWatchSummary(start, end, groupExpr);
+  const alertResponses = await getAlertResponseSummary(start, end);
+  bucketList.forEach((bucket) => {
+    bucket.objectCounts = objectWatches.bucketCounts[bucket.bucket] || {};
+  });
+  if (summaryByType.absence_detection_end && cameraHealth.excludedAbsenceSeconds > 0) {
+    // カメラ異常中は人物が映らなくても離席とは限らないため、不在時間から差し引いて集計する。
+    summaryByType.absence_detection_end.totalDurationSeconds = Math.max(
+      summaryByType.absence_detection_end.totalDurationSeconds - cameraHealth.excludedAbsenceSeconds,
+      0
+    );
+  }
 
   return {
     buckets: bucketList,
@@ -91,11 +119,209 @@ async function getDetectionStats(options = {}) {
       totalCount,
       totalDurationSeconds,
       byType: summaryByType,
+      phoneStates,
+      cameraHealth,
+      objectClasses: objectWatches.byClass,
+      alertResponses,
     },
     range: { start, end, groupBy },
   };
 }
 
+/**
+ * スマホログを「手に持っていた (held)」「映っていただけ (visible)」に分けて集計する。
+ * - 状態は meta に入っているため、種別集計とは別に meta を読んで合算する。
+ * - 状態を持たない旧ログは visible として扱う（手持ち判定導入前は区別していないため）。
+ * @param {number} start
+ * @param {number} end
+ * @returns {Promise<{heldSeconds:number, heldSessions:number, visibleSessions:number, heldAlerts:number, visibleAlerts:number}>}
+ */
+async function getPhoneStateSummary(start, end) {
+  const rows = await all(
+    `SELECT type, meta
+     FROM detection_logs
+     WHERE detected_at BETWEEN ? AND ?
+       AND type IN ('phone_detection_end', 'phone_alert')`,
+    [start, end]
+  );
+
+  const summary = {
+    heldSeconds: 0,
+    heldSessions: 0,
+    visibleSessions: 0,
+    heldAlerts: 0,
+    visibleAlerts: 0,
+  };
+  rows.forEach((row) => {
+    const meta = safeParseJson(row.meta) || {};
+    const held = meta.phoneState === 'held';
+    if (row.type === 'phone_alert') {
+      summary[held ? 'heldAlerts' : 'visibleAlerts'] += 1;
+      return;
+    }
+    summary[held ? 'heldSessions' : 'visibleSessions'] += 1;
+    if (Number.isFinite(meta.heldSeconds)) {
+      summary.heldSeconds += meta.heldSeconds;
+    }
+  });
+  return summary;
+}
+
+/**
+ * カメラ異常 (camera_unhealthy_*) の期間と、その期間に重なる不在時間を集計する。
+ * - 不在ログは終了時刻と秒数だけを持つため、[終了 - 秒数, 終了] を不在区間とみなす。
+ * - 終了ログの無い異常 (進行中、またはアプリ終了で閉じられなかったもの) は期間の終端まで続いたものとして扱う。
+ * @param {number} start
+ * @param {number} end
+ * @returns {Promise<{count:number, totalSeconds:number, excludedAbsenceSeconds:number}>}
+ */
+async function getCameraHealthSummary(start, end) {
+  const rows = await all(
+    `SELECT type, detected_at, duration_seconds, meta
+     FROM detection_logs
+     WHERE detected_at BETWEEN ? AND ?
+       AND type IN ('camera_unhealthy_start', 'camera_unhealthy_end', 'absence_detection_end')`,
+    [start, end]
+  );
+
+  const periods = [];
+  const closedStarts = new Set();
+  const absences = [];
+  rows.forEach((row) => {
+    const durationMs = (row.duration_seconds || 0) * 1000;
+    if (row.type === 'absence_detection_end') {
+      absences.push([row.detected_at - durationMs, row.detected_at]);
+      return;
+    }
+    if (row.type === 'camera_unhealthy_end') {
+      const meta = safeParseJson(row.meta) || {};
+      const startedAt = Number.isFinite(meta.startedAt) ? meta.startedAt : row.detected_at - durationMs;
+      closedStarts.add(startedAt);
+      periods.push([startedAt, row.detected_at]);
+    }
+  });
+  rows
+    .filter((row) => row.type === 'camera_unhealthy_start' && !closedStarts.has(row.detected_at))
+    .forEach((row) => periods.push([row.detected_at, end]));
+
+  let totalSeconds = 0;
+  let excludedAbsenceSeconds = 0;
+  periods.forEach(([periodStart, periodEnd]) => {
+    totalSeconds += calculateOverlapSeconds(periodStart, periodEnd, start, end);
+    absences.forEach(([absenceStart, absenceEnd]) => {
+      excludedAbsenceSeconds += calculateOverlapSeconds(periodStart, periodEnd, absenceStart, absenceEnd);
+    });
+  });
+
+  return { count: periods.length, totalSeconds, excludedAbsenceSeconds };
+}
+
+/**
+ * 物体ウォッチのログ (object_*) をクラスごとに集計する。
+ * - クラス名は meta にしか無いため、種別集計とは別に meta を読んで合算する。
+ * - bucketCounts はグラフ用で、バケットごと・クラスごとのイベント件数を持つ。
+ * @param {number} start
+ * @param {number} end
+ * @param {string} groupExpr getDetectionStats と同じバケット式
+ * @returns {Promise<{byClass:Object<string, {visibleSeconds:number, visibleSessions:number, missingSeconds:number, missingSessions:number, alerts:number}>, bucketCounts:Object<string, Object<string, number>>}>}
+ */
+async function getObjectWatchSummary(start, end, groupExpr) {
+  const rows = await all(
+    `SELECT ${groupExpr} AS bucket, type, duration_seconds, meta
+     FROM detection_logs
+     WHERE detected_at BETWEEN ? AND ?
+       AND type IN ('object_visible_end', 'object_missing_end', 'object_alert')`,
+    [start, end]
+  );
+
+  const byClass = {};
+  const bucketCounts = {};
+  rows.forEach((row) => {
+    const meta = safeParseJson(row.meta) || {};
+    if (!meta.className) {
+      return;
+    }
+    if (!byClass[meta.className]) {
+      byClass[meta.className] = { visibleSeconds: 0, visibleSessions: 0, missingSeconds: 0, missingSessions: 0, alerts: 0 };
+    }
+    const summary = byClass[meta.className];
+    if (row.type === 'object_alert') {
+      summary.alerts += 1;
+    } else {
+      const key = row.type === 'object_visible_end' ? 'visible' : 'missing';
+      summary[`${key}Sessions`] += 1;
+      summary[`${key}Seconds`] += row.duration_seconds || 0;
+    }
+
+    const bucketKey = row.bucket || 'unknown';
+    bucketCounts[bucketKey] = bucketCounts[bucketKey] || {};
+    bucketCounts[bucketKey][meta.className] = (bucketCounts[bucketKey][meta.className] || 0) + 1;
+  });
+  return { byClass, bucketCounts };
+}
+
+/**
+ * スマホ / 不在アラートへの応答を集計する。
+ * - 応答時間はセッション終了ログの response_seconds (アラートから条件が解消するまで) を使う。
+ * - 確認されないまま ignoredAfterSeconds 以上解消しなかったアラートを「無視」として数える。
+ * @param {number} start
+ * @param {number} end
+ * @returns {Promise<{medianResponseSeconds:number|null, respondedCount:number, acknowledgedCount:number, ignoredCount:number, byType:Object<string, {medianResponseSeconds:number|null, respondedCount:number, acknowledgedCount:number, ignoredCount:number}>}>}
+ */
+async function getAlertResponseSummary(start, end) {
+  const { ALERT_RESPONSE_CONSTANTS } = await monitorConstantsPromise;
+  const rows = await all(
+    `SELECT type, response_seconds, meta
+     FROM detection_logs
+     WHERE detected_at BETWEEN ? AND ?
+       AND (type = 'alert_acknowledged'
+         OR (type IN ('phone_detection_end', 'absence_detection_end') AND response_seconds IS NOT NULL))`,
+    [start, end]
+  );
+
+  const createEntry = () => ({ responses: [], acknowledgedCount: 0, ignoredCount: 0 });
+  const byType = { phone_alert: createEntry(), absence_alert: createEntry() };
+  rows.forEach((row) => {
+    const meta = safeParseJson(row.meta) || {};
+    if (row.type === 'alert_acknowledged') {
+      if (byType[meta.alertType]) {
+        byType[meta.alertType].acknowledgedCount += 1;
+      }
+      return;
+    }
+    const entry = byType[ALERT_RESPONSE_SESSION_TYPES[row.type]];
+    entry.responses.push(row.response_seconds);
+    if (meta.acknowledged !== true && row.response_seconds >= ALERT_RESPONSE_CONSTANTS.ignoredAfterSeconds) {
+      entry.ignoredCount += 1;
+    }
+  });
+
+  const finalize = ({ responses, acknowledgedCount, ignoredCount }) => ({
+    medianResponseSeconds: calculateMedian(responses),
+    respondedCount: responses.length,
+    acknowledgedCount,
+    ignoredCount,
+  });
+  const entries = Object.values(byType);
+  return {
+    ...finalize({
+      responses: entries.flatMap((entry) => entry.responses),
+      acknowledgedCount: entries.reduce((sum, entry) => sum + entry.acknowledgedCount, 0),
+      ignoredCount: entries.reduce((sum, entry) => sum + entry.ignoredCount, 0),
+    }),
+    byType: Object.fromEntries(Object.entries(byType).map(([type, entry]) => [type, finalize(entry)])),
+  };
+}
+
+function calculateMedian(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? Math.round((sorted[middle - 1] + sorted[middle]) / 2) : sorted[middle];
+}
+
 /**
  * 直近の検知ログ一覧を取得する。
  * @param {Object} options
@@ -105,7 +331,7 @@ async function getDetectionStats(options = {}) {
 async function getRecentDetectionLogs(options = {}) {
   const limit = Number.isInteger(options.limit) && options.limit > 0 ? Math.min(options.limit, 500) : 50;
   const rows = await all(
-    'SELECT id, detected_at, type, duration_seconds, meta FROM detection_logs ORDER BY detected_at DESC LIMIT ?',
+    'SELECT id, detected_at, type, duration_seconds, response_seconds, meta FROM detection_logs ORDER BY detected_at DESC LIMIT ?',
     [limit]
   );
 
@@ -114,6 +340,7 @@ async function getRecentDetectionLogs(options = {}) {
     detectedAt: row.detected_at,
     type: row.type,
     durationSeconds: row.duration_seconds,
+    responseSeconds: row.response_seconds,
     meta: safeParseJson(row.meta),
   }));
 }
@@ -124,7 +351,8 @@ async function getRecentDetectionLogs(options = {}) {
  * @param {number} [options.start]
  * @param {number} [options.end]
  * @param {number} [options.limit]
- * @returns {Promise<{range: Object, totalDurationSeconds: number, items: Array}>}
+ * @param {Array} [options.categoryRules] カテゴリ分けルール。渡したときだけ categories / flagTotals を集計する。
+ * @returns {Promise<{range: Object, totalDurationSeconds: number, items: Array, chromeDetails: Array, categories: Array, flagTotals: Object|null}>}
  */
 async function getAppUsageStats(options = {}) {
   const now = Date.now();
@@ -159,6 +387,9 @@ async function getAppUsageStats(options = {}) {
   );
 
   const totalDuration = aggregatedRows.reduce((sum, row) => sum + (row.total_duration || 0), 0);
+  const { categories, flagTotals } = Array.isArray(options.categoryRules)
+    ? await getAppCategoryBreakdown(start, end, options.categoryRules)
+    : { categories: [], flagTotals: null };
 
   return {
     range: { start, end },
@@ -173,6 +404,97 @@ async function getAppUsageStats(options = {}) {
       totalDurationSeconds: row.total_duration || 0,
       sessions: row.sessions || 0,
     })),
+    categories,
+    flagTotals,
+  };
+}
+
+/**
+ * [start, end) から excluded の区間を取り除いた残りを返す。
+ */
+function subtractIntervals(start, end, excluded) {
+  return excluded.reduce(
+    (pieces, interval) =>
+      pieces.flatMap((piece) => {
+        if (interval.end <= piece.start || interval.start >= piece.end) {
+          return [piece];
+        }
+        return [
+          { start: piece.start, end: interval.start },
+          { start: interval.end, end: piece.end },
+        ].filter((rest) => rest.end > rest.start);
+      }),
+    [{ start, end }]
+  );
+}
+
+/**
+ * 期間に重なる前面アプリの記録を、期間内に切り詰めた区間として返す。
+ * - 監視画面の滞在上限が、起動前に記録された今日の滞在を合計へ含めるために使う。
+ * - 滞在上限は不在許可中・画面ロック中・スリープ中を数えないため、その時間は記録から除き、区間を分けて返す。
+ * @param {{start:number, end:number}} options
+ * @returns {Promise<Array<{appName:string, domain:string|null, startedAt:number, endedAt:number}>>}
+ */
+async function getAppUsageSessions(options = {}) {
+  const { start, end } = options;
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+    throw new Error('start / end は start < end の数値で指定してください');
+  }
+  const [rows, pausedIntervals] = await Promise.all([
+    all(
+      `SELECT app_name, domain, started_at, ended_at
+       FROM app_usage_logs
+       WHERE ended_at > ? AND started_at < ?
+       ORDER BY started_at ASC`,
+      [start, end]
+    ),
+    collectPausedIntervals(start, end),
+  ]);
+  return rows.flatMap((row) =>
+    subtractIntervals(Math.max(row.started_at, start), Math.min(row.ended_at, end), pausedIntervals).map((piece) => ({
+      appName: row.app_name,
+      domain: row.domain || null,
+      startedAt: piece.start,
+      endedAt: piece.end,
+    }))
+  );
+}
+
+/**
+ * 前面アプリの記録をカテゴリ分けルールで振り分け、カテゴリ別と区分 (生産的 / 中立 / 気が散る) 別に合計する。
+ * - アプリ上位の集計と違い件数で切らず、期間内のすべての記録を数える。
+ */
+async function getAppCategoryBreakdown(start, end, rules) {
+  const { sanitizeAppCategoryRules, createAppCategorizer, APP_CATEGORY_FLAGS } = await appCategoryConstantsPromise;
+  const categorize = createAppCategorizer(sanitizeAppCategoryRules(rules));
+  const rows = await all(
+    `SELECT app_name, domain, title,
+            SUM(duration_seconds) AS total_duration,
+            COUNT(*) AS sessions
+     FROM app_usage_logs
+     WHERE started_at BETWEEN ? AND ?
+     GROUP BY app_name, domain, title`,
+    [start, end]
+  );
+
+  const categories = new Map();
+  const flagTotals = Object.fromEntries(Object.values(APP_CATEGORY_FLAGS).map((flag) => [flag, 0]));
+  rows.forEach((row) => {
+    const { category, flag } = categorize({ appName: row.app_name, domain: row.domain, title: row.title });
+    const key = `${flag}:${category}`;
+    const entry = categories.get(key) || { category, flag, totalDurationSeconds: 0, sessions: 0, apps: new Set() };
+    entry.totalDurationSeconds += row.total_duration || 0;
+    entry.sessions += row.sessions || 0;
+    entry.apps.add(row.app_name);
+    categories.set(key, entry);
+    flagTotals[flag] += row.total_duration || 0;
+  });
+
+  return {
+    categories: Array.from(categories.values())
+      .map(({ apps, ...entry }) => ({ ...entry, apps: Array.from(apps) }))
+      .sort((a, b) => b.totalDurationSeconds - a.totalDurationSeconds),
+    flagTotals,
   };
 }
 
@@ -216,6 +538,44 @@ async function getTypingStats(options = {}) {
   };
 }
 
+/**
+ * モーションゲートによる推論スキップ実績を集計する。
+ * - saved_ms はスキップしたフレーム数 × 直近の推論平均時間による推定値。
+ * @param {{start?:number,end?:number}} options
+ */
+async function getInferenceGateStats(options = {}) {
+  const now = Date.now();
+  const defaultStart = now - 24 * 60 * 60 * 1000;
+  const start = Number.isFinite(options.start) ? options.start : defaultStart;
+  const end = Number.isFinite(options.end) ? options.end : now;
+
+  const rows = await all(
+    `SELECT COALESCE(SUM(inferred_frames), 0) AS inferred_frames,
+            COALESCE(SUM(skipped_frames), 0) AS skipped_frames,
+            COALESCE(SUM(inference_ms), 0) AS inference_ms,
+            COALESCE(SUM(saved_ms), 0) AS saved_ms
+     FROM inference_gate_logs
+     WHERE bucket_start BETWEEN ? AND ?`,
+    [start, end]
+  );
+
+  const row = rows[0] || {};
+  const inferredFrames = row.inferred_frames || 0;
+  const skippedFrames = row.skipped_frames || 0;
+  const totalFrames = inferredFrames + skippedFrames;
+
+  return {
+    range: { start, end },
+    summary: {
+      inferredFrames,
+      skippedFrames,
+      inferenceMs: row.inference_ms || 0,
+      savedMs: row.saved_ms || 0,
+      skipRatio: totalFrames > 0 ? skippedFrames / totalFrames : 0,
+    },
+  };
+}
+
 function normalizeManualFlag(value) {
   if (value === null || value === undefined) {
     return null;
@@ -298,6 +658,8 @@ async function getAbsenceOverrideSummary(options = {}) {
   let totalSeconds = 0;
   let manualSeconds = 0;
   let autoSeconds = 0;
+  // 開始元 (created_by: user / recurring / lock_screen / suspend) ごとの許可秒数。
+  const secondsByCreator = {};
   let activeCount = 0;
 
   events.forEach((event) => {
@@ -314,6 +676,8 @@ async function getAbsenceOverrideSummary(options = {}) {
       } else if (event.manualEnd === true) {
         manualSeconds += overlap;
       }
+      const creator = event.createdBy || 'user';
+      secondsByCreator[creator] = (secondsByCreator[creator] || 0) + overlap;
     }
     if (!Number.isFinite(event.endedAt)) {
       activeCount += 1;
@@ -326,10 +690,112 @@ async function getAbsenceOverrideSummary(options = {}) {
     totalSeconds,
     manualSeconds,
     autoSeconds,
+    // created_by の値は constants/absence-override.js (RECURRING_OVERRIDE_CREATED_BY / SYSTEM_OVERRIDE_SOURCES) と揃える。
+    recurringSeconds: secondsByCreator.recurring || 0,
+    lockSeconds: secondsByCreator.lock_screen || 0,
+    suspendSeconds: secondsByCreator.suspend || 0,
+    secondsByCreator,
     activeCount,
   };
 }
 
+/**
+ * 許可済み不在を理由・プリセットごとに集計し、未許可の不在と並べたタイムラインを返す。
+ * - 理由の区別はプリセット ID を優先し、プリセットの無い許可は理由の文字列でまとめる。
+ * - 超過 (overrun) は許可の終了直後から続いた未許可の不在で、「昼休憩がいつも 20 分延びる」といった傾向を見る。
+ * @param {{start?:number,end?:number}} options
+ * @returns {Promise<{range:Object, groups:Array, timeline:{overrides:Array, absences:Array}}>}
+ */
+async function getAbsenceOverrideBreakdown(options = {}) {
+  const now = Date.now();
+  const defaultStart = now - 7 * 24 * 60 * 60 * 1000;
+  const start = Number.isFinite(options.start) ? options.start : defaultStart;
+  const end = Number.isFinite(options.end) ? options.end : now;
+
+  const [events, absenceRows] = await Promise.all([
+    getAbsenceOverrideEvents({ start, end }),
+    all(
+      `SELECT detected_at, duration_seconds
+       FROM detection_logs
+       WHERE detected_at BETWEEN ? AND ?
+         AND type = 'absence_detection_end'
+         AND duration_seconds > 0
+       ORDER BY detected_at ASC`,
+      [start, end]
+    ),
+  ]);
+
+  const absences = absenceRows.map((row) => ({
+    startedAt: row.detected_at - row.duration_seconds * 1000,
+    endedAt: row.detected_at,
+  }));
+
+  const groups = new Map();
+  const overrides = events
+    .map((event) => {
+      const endedAt = Number.isFinite(event.endedAt)
+        ? event.endedAt
+        : Number.isFinite(event.expiresAt)
+          ? Math.min(event.expiresAt, end)
+          : end;
+      const seconds = calculateOverlapSeconds(event.startedAt, endedAt, start, end);
+      // 進行中の許可はまだ戻る余地があるため、超過は終了した許可だけで数える。
+      const overrun = Number.isFinite(event.endedAt)
+        ? absences.find((absence) => Math.abs(absence.startedAt - event.endedAt) <= OVERRIDE_OVERRUN_GAP_MS)
+        : null;
+      const overrunSeconds = overrun ? calculateOverlapSeconds(event.endedAt, overrun.endedAt, overrun.startedAt, end) : 0;
+
+      const key = event.presetId || `reason:${event.reason || ''}`;
+      const group = groups.get(key) || {
+        key,
+        reason: event.reason || '一時的な不在',
+        presetId: event.presetId || null,
+        createdBy: event.createdBy || 'user',
+        count: 0,
+        totalSeconds: 0,
+        plannedSeconds: 0,
+        overrunCount: 0,
+        overrunSeconds: 0,
+        notes: [],
+      };
+      group.count += 1;
+      group.totalSeconds += seconds;
+      group.plannedSeconds += Number.isFinite(event.durationMinutes) ? event.durationMinutes * 60 : 0;
+      if (overrunSeconds > 0) {
+        group.overrunCount += 1;
+        group.overrunSeconds += overrunSeconds;
+      }
+      if (event.note && group.notes.length < 5 && !group.notes.includes(event.note)) {
+        group.notes.push(event.note);
+      }
+      groups.set(key, group);
+
+      return {
+        id: event.id,
+        startedAt: Math.max(event.startedAt, start),
+        endedAt,
+        reason: event.reason || '一時的な不在',
+        presetId: event.presetId || null,
+        createdBy: event.createdBy || 'user',
+        overrunSeconds,
+      };
+    })
+    .filter((entry) => entry.endedAt > entry.startedAt)
+    .sort((a, b) => a.startedAt - b.startedAt);
+
+  return {
+    range: { start, end },
+    groups: Array.from(groups.values())
+      .map((group) => ({
+        ...group,
+        averageSeconds: group.count > 0 ? Math.round(group.totalSeconds / group.count) : 0,
+        averageOverrunSeconds: group.overrunCount > 0 ? Math.round(group.overrunSeconds / group.overrunCount) : 0,
+      }))
+      .sort((a, b) => b.totalSeconds - a.totalSeconds),
+    timeline: { overrides, absences },
+  };
+}
+
 async function getSystemEvents(options = {}) {
   const now = Date.now();
   const defaultStart = now - 24 * 60 * 60 * 1000;
@@ -369,8 +835,11 @@ module.exports = {
   getDetectionStats,
   getRecentDetectionLogs,
   getAppUsageStats,
+  getAppUsageSessions,
   getTypingStats,
+  getInferenceGateStats,
   getSystemEvents,
   getAbsenceOverrideEvents,
   getAbsenceOverrideSummary,
+  getAbsenceOverrideBreakdown,
 };
@@ -0,0 +1,149 @@
+/**
+ * 画面ロック・スリープに連動した不在許可。
+ * - system-events の 'power-state' を購読し、ロックかスリープが猶予時間を超えて続いたら
+ *   ロック (スリープ) した時刻から不在許可を開始し、解除・復帰で自動終了させる。
+ * - created_by に lock_screen / suspend を残し、統計で「席を離れた」不在と区別できるようにする。
+ * - 利用者が始めた許可や定期許可が進行中ならそちらを優先し、ここからは開始しない。
+ */
+const overrideConstantsPromise = import('../../constants/absence-override.js');
+
+function createSystemAbsenceOverride({ configStore, absenceOverrideManager, systemEventMonitor, clock = () => Date.now() }) {
+  if (!configStore || !absenceOverrideManager) {
+    throw new Error('configStore and absenceOverrideManager are required to create system absence override');
+  }
+
+  // 離席中の区間 { locked, since, activation, createdBy }。ロック後にスリープした場合も最初の理由のまま続ける。
+  let away = null;
+  let graceTimer = null;
+  let unsubscribe = null;
+
+  async function getSettings() {
+    const { sanitizeSystemOverrideSettings, DEFAULT_SYSTEM_OVERRIDE_SETTINGS } = await overrideConstantsPromise;
+    return sanitizeSystemOverrideSettings(configStore.get('systemAbsenceOverride', DEFAULT_SYSTEM_OVERRIDE_SETTINGS));
+  }
+
+  async function updateSettings(patch) {
+    const { sanitizeSystemOverrideSettings } = await overrideConstantsPromise;
+    const current = await getSettings();
+    const sanitized = sanitizeSystemOverrideSettings({ ...current, ...(patch || {}) });
+    configStore.set('systemAbsenceOverride', sanitized);
+    return sanitized;
+  }
+
+  function clearGraceTimer() {
+    if (graceTimer) {
+      clearTimeout(graceTimer);
+      graceTimer = null;
+    }
+  }
+
+  /**
+   * ロック (スリープ) した時刻を開始時刻として許可を始める。すでに許可が進行中なら何もしない。
+   * - 猶予タイマーと復帰処理のどちらから呼ばれても一度だけ開始するよう、結果の Promise を区間に持たせる。
+   * @returns {Promise<boolean>} 開始したか
+   */
+  function activateForAway(entry, settings) {
+    if (!entry.activation) {
+      entry.activation = (async () => {
+        const { SYSTEM_OVERRIDE_SOURCES } = await overrideConstantsPromise;
+        const { current } = await absenceOverrideManager.getState();
+        if (current) {
+          return false;
+        }
+        entry.createdBy = entry.locked ? SYSTEM_OVERRIDE_SOURCES.LOCK_SCREEN : SYSTEM_OVERRIDE_SOURCES.SUSPEND;
+        await absenceOverrideManager.activateOverride({
+          reason: entry.locked ? settings.lockReason : settings.suspendReason,
+          startedAt: entry.since,
+          createdBy: entry.createdBy,
+        });
+        return true;
+      })();
+    }
+    return entry.activation;
+  }
+
+  async function scheduleActivation(entry) {
+    const settings = await getSettings();
+    if (!settings.enabled || away !== entry) {
+      return;
+    }
+    clearGraceTimer();
+    graceTimer = setTimeout(() => {
+      graceTimer = null;
+      if (away !== entry) {
+        return;
+      }
+      activateForAway(entry, settings).catch((error) => {
+        console.error('[SystemAbsenceOverride] 許可の開始に失敗:', error);
+      });
+    }, settings.graceSeconds * 1000);
+  }
+
+  /**
+   * 解除・復帰したら許可を終える。
+   * - スリープ中はタイマーが進まないため、猶予時間を超えていれば区間を遡って開始してから終える。
+   */
+  async function finishAway(entry) {
+    const now = clock();
+    let activated = false;
+    if (entry.activation) {
+      activated = await entry.activation;
+    } else {
+      const settings = await getSettings();
+      if (!settings.enabled || now - entry.since < settings.graceSeconds * 1000) {
+        return;
+      }
+      activated = await activateForAway(entry, settings);
+    }
+    if (!activated) {
+      return;
+    }
+    const { current } = await absenceOverrideManager.getState();
+    // 離席中に別の許可へ切り替わっていた場合は、そちらを終わらせない。
+    if (current?.createdBy === entry.createdBy && current.startedAt === entry.since) {
+      await absenceOverrideManager.clearOverride({ manualEnd: false, endedAt: now });
+    }
+  }
+
+  function handlePowerState(powerState) {
+    const isAway = Boolean(powerState?.locked || powerState?.suspended);
+    if (isAway && !away) {
+      away = { locked: Boolean(powerState.locked), since: clock(), activation: null, createdBy: null };
+      scheduleActivation(away).catch((error) => {
+        console.error('[SystemAbsenceOverride] 猶予タイマーの設定に失敗:', error);
+      });
+    } else if (!isAway && away) {
+      const entry = away;
+      away = null;
+      clearGraceTimer();
+      finishAway(entry).catch((error) => {
+        console.error('[SystemAbsenceOverride] 許可の終了に失敗:', error);
+      });
+    }
+  }
+
+  function start() {
+    if (unsubscribe || !systemEventMonitor?.on) {
+      return;
+    }
+    unsubscribe = systemEventMonitor.on('power-state', handlePowerState);
+  }
+
+  function dispose() {
+    clearGraceTimer();
+    unsubscribe?.();
+    unsubscribe = null;
+    away = null;
+  }
+
+  return {
+    getSettings,
+    updateSettings,
+    start,
+    dispose,
+  };
+}
+
+module.exports = {
+  createSystemAbsenceOverride,
+};
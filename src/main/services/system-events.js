@@ -1,8 +1,10 @@
 /**
  * macOS 系システムイベント監視サービス。
- * - Electron の powerMonitor を利用してスリープ/ロック/アンロック等を検知する。
+ * - Electron の powerMonitor を利用してスリープ/ロック/アンロック/電源切り替え等を検知する。
  * - イベントを SQLite に書き込み、ダッシュボードや Slack レポートで再利用できるようにする。
+ * - ロック中・スリープ中・バッテリー駆動の現在値を保持し、変化を 'power-state' で通知する (検知間隔の調整に使う)。
  */
+const { EventEmitter } = require('events');
 const { run, all } = require('../db');
 
 function createSystemEventMonitor({ powerMonitor }) {
@@ -12,6 +14,38 @@ function createSystemEventMonitor({ powerMonitor }) {
 
   let listening = false;
   const subscriptions = [];
+  const emitter = new EventEmitter();
+  const powerState = {
+    locked: false,
+    suspended: false,
+    onBattery: readBatteryState(),
+  };
+
+  function readBatteryState() {
+    try {
+      return typeof powerMonitor.isOnBatteryPower === 'function'
+        ? powerMonitor.isOnBatteryPower()
+        : Boolean(powerMonitor.onBatteryPower);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 電源状態を更新し、変化があれば購読者へ通知する。
+   */
+  function updatePowerState(patch) {
+    const changed = Object.entries(patch).some(([key, value]) => powerState[key] !== value);
+    if (!changed) {
+      return;
+    }
+    Object.assign(powerState, patch);
+    emitter.emit('power-state', getPowerState());
+  }
+
+  function getPowerState() {
+    return { ...powerState };
+  }
 
   async function recordEvent(eventType, meta = null) {
     try {
@@ -33,10 +67,30 @@ function createSystemEventMonitor({ powerMonitor }) {
     if (listening) {
       return;
     }
-    addListener('suspend', () => recordEvent('suspend'));
-    addListener('resume', () => recordEvent('resume'));
-    addListener('lock-screen', () => recordEvent('lock_screen'));
-    addListener('unlock-screen', () => recordEvent('unlock_screen'));
+    addListener('suspend', () => {
+      recordEvent('suspend');
+      updatePowerState({ suspended: true });
+    });
+    addListener('resume', () => {
+      recordEvent('resume');
+      updatePowerState({ suspended: false, onBattery: readBatteryState() });
+    });
+    addListener('lock-screen', () => {
+      recordEvent('lock_screen');
+      updatePowerState({ locked: true });
+    });
+    addListener('unlock-screen', () => {
+      recordEvent('unlock_screen');
+      updatePowerState({ locked: false });
+    });
+    addListener('on-battery', () => {
+      recordEvent('on_battery');
+      updatePowerState({ onBattery: true });
+    });
+    addListener('on-ac', () => {
+      recordEvent('on_ac');
+      updatePowerState({ onBattery: false });
+    });
     addListener('shutdown', () => recordEvent('shutdown'));
     listening = true;
   }
@@ -79,8 +133,14 @@ function createSystemEventMonitor({ powerMonitor }) {
     }
   }
 
+  function on(eventName, handler) {
+    emitter.on(eventName, handler);
+    return () => emitter.off(eventName, handler);
+  }
+
   async function dispose() {
     stop();
+    emitter.removeAllListeners();
   }
 
   start();
@@ -91,6 +151,8 @@ function createSystemEventMonitor({ powerMonitor }) {
     dispose,
     recordEvent,
     getRecent,
+    getPowerState,
+    on,
   };
 }
 
@@ -0,0 +1,301 @@
+/**
+ * 1 日の作業タイムラインの組み立て。
+ * - 検知ログ・前面アプリ・タイピング・システムイベント・不在許可を 1 本の時間軸に重ね、
+ *   作業中 / スマホ / 不在 (許可済み・未許可) / 画面ロック / スリープ の連続した区間に分ける。
+ * - 重なりの解決順と区分の定義は constants/work-timeline.js を参照。どの記録も無い時間は区間を作らない。
+ */
+const { all } = require('../db');
+
+const timelineConstantsPromise = import('../../constants/work-timeline.js');
+
+// 当日 0 時より前のロック・スリープを持ち越す上限。アプリ終了で解除が記録されなかった古い開始を拾わないため。
+const MAX_CARRY_OVER_MS = 24 * 60 * 60 * 1000;
+
+// 開始・終了のイベントを組にして区間にするシステムイベント。shutdown はどちらも閉じる。
+const SYSTEM_EVENT_PAIRS = Object.freeze([
+  { kind: 'locked', open: 'lock_screen', close: ['unlock_screen', 'shutdown'] },
+  { kind: 'asleep', open: 'suspend', close: ['resume', 'shutdown'] },
+]);
+
+/**
+ * date (UNIX ms か 'YYYY-MM-DD') を含む日の 0 時から、翌日 0 時か現在時刻の早い方までを返す。
+ */
+function resolveDayRange(date, now) {
+  let base = now;
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    const [year, month, day] = date.split('-').map(Number);
+    base = new Date(year, month - 1, day).getTime();
+  } else if (Number.isFinite(date)) {
+    base = date;
+  }
+  const dayStart = new Date(base);
+  dayStart.setHours(0, 0, 0, 0);
+  const nextDay = new Date(dayStart);
+  nextDay.setDate(nextDay.getDate() + 1);
+  return { start: dayStart.getTime(), end: Math.min(nextDay.getTime(), now) };
+}
+
+function toSystemEventRow(row) {
+  return {
+    table: 'system_events',
+    id: row.id,
+    startedAt: row.occurred_at,
+    endedAt: row.occurred_at,
+    type: row.event_type,
+    detail: null,
+  };
+}
+
+/**
+ * システムイベントを開始・終了の組にして区間へ変換する。終了が無ければ期間の終わりまで続いたとみなす。
+ */
+function pairSystemEvents(events, pair, rangeEnd) {
+  const intervals = [];
+  let opened = null;
+  events.forEach((event) => {
+    if (event.event_type === pair.open) {
+      opened = opened || event;
+    } else if (pair.close.includes(event.event_type) && opened) {
+      intervals.push({
+        kind: pair.kind,
+        start: opened.occurred_at,
+        end: event.occurred_at,
+        rows: [toSystemEventRow(opened), toSystemEventRow(event)],
+      });
+      opened = null;
+    }
+  });
+  if (opened) {
+    intervals.push({ kind: pair.kind, start: opened.occurred_at, end: rangeEnd, rows: [toSystemEventRow(opened)] });
+  }
+  return intervals;
+}
+
+/**
+ * 不在許可・画面ロック・スリープの区間を集める。期間の端では切り詰めない。
+ * - 作業タイムラインのほか、滞在上限の今日の合計 (statistics.js の getAppUsageSessions) でも数えない時間として使う。
+ * @param {number} start
+ * @param {number} end
+ * @returns {Promise<Array<{kind:'away_permitted'|'locked'|'asleep', start:number, end:number, rows:Array}>>}
+ */
+async function collectPausedIntervals(start, end) {
+  const systemTypes = Array.from(new Set(SYSTEM_EVENT_PAIRS.flatMap((pair) => [pair.open, ...pair.close])));
+  const placeholders = systemTypes.map(() => '?').join(', ');
+  const [overrideRows, systemRows, ...carryOverRows] = await Promise.all([
+    all(
+      `SELECT id, started_at, ended_at, expires_at, reason, created_by
+       FROM absence_override_events
+       WHERE started_at <= ?
+         AND COALESCE(ended_at, expires_at, ?) >= ?`,
+      [end, end, start]
+    ),
+    all(
+      `SELECT id, event_type, occurred_at
+       FROM system_events
+       WHERE event_type IN (${placeholders}) AND occurred_at BETWEEN ? AND ?
+       ORDER BY occurred_at ASC, id ASC`,
+      [...systemTypes, start, end]
+    ),
+    // 0 時をまたいだロック・スリープは開始が前日にあるため、各組の直前のイベントを 1 件ずつ読む。
+    ...SYSTEM_EVENT_PAIRS.map((pair) => {
+      const types = [pair.open, ...pair.close];
+      return all(
+        `SELECT id, event_type, occurred_at
+         FROM system_events
+         WHERE event_type IN (${types.map(() => '?').join(', ')}) AND occurred_at < ? AND occurred_at >= ?
+         ORDER BY occurred_at DESC, id DESC
+         LIMIT 1`,
+        [...types, start, start - MAX_CARRY_OVER_MS]
+      );
+    }),
+  ]);
+
+  const intervals = [];
+  overrideRows.forEach((row) => {
+    const endedAt = row.ended_at ?? row.expires_at ?? end;
+    intervals.push({
+      kind: 'away_permitted',
+      start: row.started_at,
+      end: endedAt,
+      rows: [
+        {
+          table: 'absence_override_events',
+          id: row.id,
+          startedAt: row.started_at,
+          endedAt,
+          type: row.created_by || 'user',
+          detail: row.reason || null,
+        },
+      ],
+    });
+  });
+  SYSTEM_EVENT_PAIRS.forEach((pair, index) => {
+    const previous = carryOverRows[index][0];
+    const events = previous && previous.event_type === pair.open ? [previous, ...systemRows] : systemRows;
+    intervals.push(...pairSystemEvents(events, pair, end));
+  });
+  return intervals;
+}
+
+async function collectIntervals(start, end) {
+  const [detectionRows, usageRows, typingRows, pausedIntervals] = await Promise.all([
+    all(
+      `SELECT id, type, detected_at, duration_seconds
+       FROM detection_logs
+       WHERE type IN ('phone_detection_end', 'absence_detection_end')
+         AND duration_seconds > 0
+         AND detected_at >= ?
+         AND detected_at - duration_seconds * 1000 <= ?`,
+      [start, end]
+    ),
+    all(
+      `SELECT id, app_name, domain, started_at, ended_at
+       FROM app_usage_logs
+       WHERE started_at <= ? AND ended_at >= ?`,
+      [end, start]
+    ),
+    all(
+      `SELECT id, bucket_start, bucket_end, key_presses
+       FROM typing_activity_logs
+       WHERE key_presses > 0 AND bucket_start <= ? AND bucket_end >= ?`,
+      [end, start]
+    ),
+    collectPausedIntervals(start, end),
+  ]);
+
+  const intervals = [];
+  detectionRows.forEach((row) => {
+    const startedAt = row.detected_at - row.duration_seconds * 1000;
+    intervals.push({
+      kind: row.type === 'phone_detection_end' ? 'phone' : 'away',
+      start: startedAt,
+      end: row.detected_at,
+      rows: [{ table: 'detection_logs', id: row.id, startedAt, endedAt: row.detected_at, type: row.type, detail: null }],
+    });
+  });
+  usageRows.forEach((row) => {
+    intervals.push({
+      kind: 'working',
+      start: row.started_at,
+      end: row.ended_at,
+      rows: [
+        {
+          table: 'app_usage_logs',
+          id: row.id,
+          startedAt: row.started_at,
+          endedAt: row.ended_at,
+          type: 'app',
+          detail: row.domain ? `${row.app_name} (${row.domain})` : row.app_name,
+        },
+      ],
+    });
+  });
+  typingRows.forEach((row) => {
+    intervals.push({
+      kind: 'working',
+      start: row.bucket_start,
+      end: row.bucket_end,
+      rows: [
+        {
+          table: 'typing_activity_logs',
+          id: row.id,
+          startedAt: row.bucket_start,
+          endedAt: row.bucket_end,
+          type: 'typing',
+          detail: `${row.key_presses} キー`,
+        },
+      ],
+    });
+  });
+  intervals.push(...pausedIntervals);
+
+  return intervals
+    .map((interval) => ({ ...interval, start: Math.max(interval.start, start), end: Math.min(interval.end, end) }))
+    .filter((interval) => interval.end > interval.start);
+}
+
+/**
+ * 区間の重なりを優先順で解決し、同じ区分が続く部分を 1 つの区間にまとめる。
+ */
+function resolveSegments(intervals, priority, mergeGapMs) {
+  const boundaries = [];
+  intervals.forEach((interval) => {
+    boundaries.push({ at: interval.start, kind: interval.kind, delta: 1 });
+    boundaries.push({ at: interval.end, kind: interval.kind, delta: -1 });
+  });
+  boundaries.sort((a, b) => a.at - b.at);
+
+  const activeCounts = Object.fromEntries(priority.map((kind) => [kind, 0]));
+  const segments = [];
+  let index = 0;
+  while (index < boundaries.length) {
+    const at = boundaries[index].at;
+    while (index < boundaries.length && boundaries[index].at === at) {
+      activeCounts[boundaries[index].kind] += boundaries[index].delta;
+      index += 1;
+    }
+    if (index >= boundaries.length) {
+      break;
+    }
+    const nextAt = boundaries[index].at;
+    const kind = priority.find((candidate) => activeCounts[candidate] > 0);
+    if (!kind) {
+      continue;
+    }
+    const last = segments[segments.length - 1];
+    if (last && last.kind === kind && at - last.endedAt <= mergeGapMs) {
+      last.endedAt = nextAt;
+    } else {
+      segments.push({ kind, startedAt: at, endedAt: nextAt });
+    }
+  }
+  return segments;
+}
+
+/**
+ * 1 日分の作業タイムラインを返す。
+ * - segments[].rows は区間に重なった同じ区分の元の記録 (テーブル名と ID 付き)。多すぎる分は rowsTruncated に件数だけ残す。
+ * @param {{date?:number|string}} [options] 対象日 (UNIX ms か 'YYYY-MM-DD')。省略時は今日。
+ * @returns {Promise<{range:{start:number,end:number}, segments:Array, totals:Object}>}
+ */
+async function getWorkTimeline(options = {}) {
+  const { WORK_TIMELINE_PRIORITY, WORK_TIMELINE_LIMITS } = await timelineConstantsPromise;
+  const range = resolveDayRange(options.date, Date.now());
+  const totals = Object.fromEntries(WORK_TIMELINE_PRIORITY.map((kind) => [kind, 0]));
+  if (range.end <= range.start) {
+    return { range, segments: [], totals };
+  }
+
+  const intervals = await collectIntervals(range.start, range.end);
+  const segments = resolveSegments(intervals, WORK_TIMELINE_PRIORITY, WORK_TIMELINE_LIMITS.mergeGapMs).map((segment) => {
+    const seen = new Set();
+    const rows = [];
+    intervals
+      .filter((interval) => interval.kind === segment.kind && interval.start < segment.endedAt && interval.end > segment.startedAt)
+      .forEach((interval) => {
+        interval.rows.forEach((row) => {
+          const key = `${row.table}:${row.id}`;
+          if (!seen.has(key)) {
+            seen.add(key);
+            rows.push(row);
+          }
+        });
+      });
+    rows.sort((a, b) => a.startedAt - b.startedAt);
+    const durationSeconds = Math.floor((segment.endedAt - segment.startedAt) / 1000);
+    totals[segment.kind] += durationSeconds;
+    return {
+      ...segment,
+      durationSeconds,
+      rows: rows.slice(0, WORK_TIMELINE_LIMITS.maxRowsPerSegment),
+      rowsTruncated: Math.max(rows.length - WORK_TIMELINE_LIMITS.maxRowsPerSegment, 0),
+    };
+  });
+
+  return { range, segments, totals };
+}
+
+module.exports = {
+  getWorkTimeline,
+  collectPausedIntervals,
+};
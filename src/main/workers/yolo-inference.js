@@ -0,0 +1,37 @@
+/**
+ * YOLO 推論ワーカースレッド。
+ * - ONNX Runtime の推論をメインスレッドから切り離し、IPC やウィンドウ描画の引っかかりを防ぐ。
+ * - 親スレッドからは RGBA 生ピクセル (ArrayBuffer を transfer) を受け取り、結果とステージ別時間を返す。
+ */
+const { parentPort, workerData } = require('worker_threads');
+const YOLODetector = require('../../utils/yolo-detector');
+const { createModelRegistry } = require('../services/model-registry');
+
+const modelRegistry = createModelRegistry({ modelsDir: workerData.modelsDir });
+const detector = new YOLODetector({ modelRegistry });
+const ready = detector.initialize(workerData.modelId);
+
+ready.then((initialized) => {
+  parentPort.postMessage({ type: 'ready', success: initialized, model: detector.getModelInfo() });
+});
+
+parentPort.on('message', async (message) => {
+  if (message?.type === 'clear-failed-models') {
+    detector.clearFailedModels();
+    return;
+  }
+  if (!message || message.type !== 'detect') {
+    return;
+  }
+  const { id, frame, options } = message;
+  try {
+    await ready;
+    const result = await detector.detectFrame(
+      { width: frame.width, height: frame.height, data: new Uint8ClampedArray(frame.buffer) },
+      options
+    );
+    parentPort.postMessage({ type: 'result', id, ...result });
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', id, error: error.message });
+  }
+});
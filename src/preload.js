@@ -7,7 +7,8 @@
  * 公開API:
  * - schedulesList / schedulesReplace: スケジュールの取得・一括同期
  * - sendNotification: デスクトップ通知送信
- * - detectObjects: YOLOv11物体検知（メインプロセスで実行）
+ * - detectObjects: YOLO物体検知（RGBA 生ピクセルをワーカースレッドで推論、使用モデルとステージ別時間も返却）
+ * - listDetectionModels: モデルレジストリに登録された検知モデル一覧
  * - speakText: VOICEVOXでテキスト読み上げ（メインプロセス経由）
  */
 const { contextBridge, ipcRenderer } = require('electron');
@@ -19,7 +20,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   schedulesUpsertMany: (payload) => ipcRenderer.invoke('schedules-upsert-many', payload),
   schedulesDelete: (id) => ipcRenderer.invoke('schedules-delete', id),
   sendNotification: (data) => ipcRenderer.invoke('send-notification', data),
-  detectObjects: (imageDataUrl) => ipcRenderer.invoke('detect-objects', imageDataUrl),
+  detectObjects: (frame, options) => ipcRenderer.invoke('detect-objects', frame, options),
+  listDetectionModels: () => ipcRenderer.invoke('list-detection-models'),
   getActiveWindow: () => ipcRenderer.invoke('get-active-window'),
   speakText: (payload) => ipcRenderer.invoke('tts-speak', payload),
   audioTranscribe: (payload) => ipcRenderer.invoke('audio-transcribe', payload),
@@ -30,15 +32,44 @@ contextBridge.exposeInMainWorld('electronAPI', {
   detectionLogRecent: (options) => ipcRenderer.invoke('detection-log-recent', options),
   recordAppUsage: (payload) => ipcRenderer.invoke('app-usage-record', payload),
   appUsageStats: (options) => ipcRenderer.invoke('app-usage-stats', options),
+  appUsageSessions: (options) => ipcRenderer.invoke('app-usage-sessions', options),
+  recordInferenceGateStats: (payload) => ipcRenderer.invoke('inference-gate-record', payload),
+  inferenceGateStats: (options) => ipcRenderer.invoke('inference-gate-stats', options),
   slackReporterGetSettings: () => ipcRenderer.invoke('slack-reporter-get-settings'),
   slackReporterUpdateSettings: (payload) => ipcRenderer.invoke('slack-reporter-update-settings', payload),
   slackReporterSendNow: () => ipcRenderer.invoke('slack-reporter-send-now'),
   slackReporterHistory: (options) => ipcRenderer.invoke('slack-reporter-history', options),
+  alertRulesGet: () => ipcRenderer.invoke('alert-rules-get'),
+  alertRulesUpdate: (rules) => ipcRenderer.invoke('alert-rules-update', rules),
+  alertRulesPostSlack: (text) => ipcRenderer.invoke('alert-rules-post-slack', text),
+  appCategoryRulesGet: () => ipcRenderer.invoke('app-category-rules-get'),
+  appCategoryRulesUpdate: (rules) => ipcRenderer.invoke('app-category-rules-update', rules),
+  screenTimeBudgetsGet: () => ipcRenderer.invoke('screen-time-budgets-get'),
+  screenTimeBudgetsUpdate: (patch) => ipcRenderer.invoke('screen-time-budgets-update', patch),
+  screenTimeBudgetsStatus: (options) => ipcRenderer.invoke('screen-time-budgets-status', options),
+  snapshotSettingsGet: () => ipcRenderer.invoke('snapshot-settings-get'),
+  snapshotSettingsUpdate: (patch) => ipcRenderer.invoke('snapshot-settings-update', patch),
+  snapshotSave: (payload) => ipcRenderer.invoke('snapshot-save', payload),
+  snapshotRead: (fileName) => ipcRenderer.invoke('snapshot-read', fileName),
+  focusScoreSettingsGet: () => ipcRenderer.invoke('focus-score-settings-get'),
+  focusScoreSettingsUpdate: (patch) => ipcRenderer.invoke('focus-score-settings-update', patch),
+  focusScoreGet: (options) => ipcRenderer.invoke('focus-score-get', options),
   typingMonitorStatus: () => ipcRenderer.invoke('typing-monitor-status'),
   typingMonitorSetEnabled: (enabled) => ipcRenderer.invoke('typing-monitor-set-enabled', enabled),
   typingMonitorSetPaused: (paused) => ipcRenderer.invoke('typing-monitor-set-paused', paused),
   typingActivityStats: (options) => ipcRenderer.invoke('typing-activity-stats', options),
   systemEventsRecent: (options) => ipcRenderer.invoke('system-events-recent', options),
+  systemPowerState: () => ipcRenderer.invoke('system-power-state'),
+  workTimelineGet: (options) => ipcRenderer.invoke('work-timeline-get', options),
+  onSystemPowerStateChanged: (handler) => {
+    if (typeof handler !== 'function') {
+      return () => {};
+    }
+    const channel = 'system_power_state_changed';
+    const wrapped = (_event, state) => handler(state);
+    ipcRenderer.on(channel, wrapped);
+    return () => ipcRenderer.removeListener(channel, wrapped);
+  },
   syncSchedules: (schedules) => ipcRenderer.invoke('schedules-replace', schedules),
   // Tasks API
   tasksCreate: (payload) => ipcRenderer.invoke('tasks-create', payload),
@@ -57,6 +88,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
   absenceOverrideHistory: () => ipcRenderer.invoke('absence_override_history'),
   absenceOverrideSummary: (options) => ipcRenderer.invoke('absence_override_summary', options),
   absenceOverrideEvents: (options) => ipcRenderer.invoke('absence_override_events', options),
+  absenceOverrideBreakdown: (options) => ipcRenderer.invoke('absence_override_breakdown', options),
+  absenceOverrideRecurringGet: () => ipcRenderer.invoke('absence_override_recurring_get'),
+  absenceOverrideRecurringUpdate: (windows) => ipcRenderer.invoke('absence_override_recurring_update', windows),
+  absenceOverrideSystemGet: () => ipcRenderer.invoke('absence_override_system_get'),
+  absenceOverrideSystemUpdate: (patch) => ipcRenderer.invoke('absence_override_system_update', patch),
+  absenceOverrideBudgetGet: () => ipcRenderer.invoke('absence_override_budget_get'),
+  absenceOverrideBudgetUpdate: (patch) => ipcRenderer.invoke('absence_override_budget_update', patch),
   onAbsenceOverrideStateChanged: (handler) => {
     if (typeof handler !== 'function') {
       return () => {};
@@ -65,5 +103,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
     const wrapped = (_event, state) => handler(state);
     ipcRenderer.on(channel, wrapped);
     return () => ipcRenderer.removeListener(channel, wrapped);
+  },
+  onAlertAcknowledgeRequested: (handler) => {
+    if (typeof handler !== 'function') {
+      return () => {};
+    }
+    const channel = 'alert_acknowledge_requested';
+    const wrapped = (_event, request) => handler(request);
+    ipcRenderer.on(channel, wrapped);
+    return () => ipcRenderer.removeListener(channel, wrapped);
   }
 });
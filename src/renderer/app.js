@@ -3,7 +3,6 @@
  * - ドロワーや監視開始/停止トグルなどのトップレベル操作を集約する。
  * - monitor.js との境界で状態取得/更新を行い、設定値は constants から取得する。
  */
-import { DEFAULT_MONITOR_SETTINGS } from '../constants/monitor.js';
 
 /**
  *  UI統合管理
@@ -253,21 +252,25 @@ window.addAppLog = function(message, type = 'info') {
   }
 };
 
-/**
- * localStorage に保存された監視設定を読み取り、破損時は既定値へ復旧する。
- */
-const FALLBACK_MONITOR_SETTINGS_JSON = JSON.stringify(DEFAULT_MONITOR_SETTINGS);
+// ドロワー開閉（設定画面からプレビューを操作する際に一時的に閉じるためグローバル公開）
+window.openDrawer = function(drawerId) {
+  const drawer = document.getElementById(drawerId);
+  if (drawer && !drawer.classList.contains('open')) {
+    toggleDrawer(drawerId);
+  }
+};
 
-function getStoredMonitorSettings() {
-  try {
-    return JSON.parse(localStorage.getItem('monitorSettings') || FALLBACK_MONITOR_SETTINGS_JSON);
-  } catch {
-    return DEFAULT_MONITOR_SETTINGS;
+window.closeCurrentDrawer = function() {
+  const drawerId = currentDrawer;
+  if (drawerId) {
+    closeDrawer(drawerId);
   }
-}
+  return drawerId;
+};
 
 // タイマー更新（グローバル関数として公開）
-window.updateTimerDisplay = function(phoneTime, absenceTime) {
+// アラートが出たセッションのバッジを alert にする。閾値はアラートルールごとに違うため、経過秒数ではなく発火の有無で見る。
+window.updateTimerDisplay = function(phoneTime, absenceTime, { phoneAlerted = false, absenceAlerted = false } = {}) {
   const phoneTimer = document.getElementById('phoneTimer');
   const absenceTimer = document.getElementById('absenceTimer');
   const phoneStatusBadge = document.getElementById('phoneStatusBadge');
@@ -283,13 +286,10 @@ window.updateTimerDisplay = function(phoneTime, absenceTime) {
   phoneTimer.textContent = formatTime(phoneTime);
   absenceTimer.textContent = formatTime(absenceTime);
 
-  // 設定を取得
-  const settings = getStoredMonitorSettings();
-
   // ステータスバッジのスタイル更新
   if (phoneTime > 0) {
     phoneStatusBadge.classList.add('warning');
-    if (phoneTime >= settings.phoneThreshold) {
+    if (phoneAlerted) {
       phoneStatusBadge.classList.add('alert');
       phoneStatusBadge.classList.remove('warning');
     }
@@ -299,7 +299,7 @@ window.updateTimerDisplay = function(phoneTime, absenceTime) {
 
   if (absenceTime > 0) {
     presenceStatusBadge.classList.add('warning');
-    if (absenceTime >= settings.absenceThreshold) {
+    if (absenceAlerted) {
       presenceStatusBadge.classList.add('alert');
       presenceStatusBadge.classList.remove('warning');
     }
@@ -16,7 +16,7 @@ import {
   updateCustomRangeVisibility,
   applyTypeFilter,
 } from './dashboard/data-loader.js';
-import { exportLogsCsv, renderLogTable } from './dashboard/tables.js';
+import { exportLogsCsv, renderLogTable, initializeLogSnapshotViewer } from './dashboard/tables.js';
 import {
   initializeSlackSection,
   refreshSlackSection,
@@ -30,6 +30,7 @@ import {
   initializeSystemEventsSection,
   refreshSystemEvents,
 } from './dashboard/system-events.js';
+import { initializeWorkTimelineSection } from './dashboard/work-timeline.js';
 import { refreshUpcomingSchedules } from './dashboard/upcoming.js';
 import { renderChart } from './dashboard/charts.js';
 
@@ -112,6 +113,8 @@ if (typeFilterSelect) {
 initializeSlackSection();
 initializeTypingSection();
 initializeSystemEventsSection();
+initializeWorkTimelineSection();
+initializeLogSnapshotViewer();
 updateCustomRangeVisibility();
 refreshUpcomingSchedules();
 refreshTypingStatus();
@@ -0,0 +1,168 @@
+/**
+ * 不在許可の理由別内訳セクション。
+ * - 理由・プリセットごとの集計表と、許可の区間と未許可の不在を同じ時間軸に並べたタイムラインを描く。
+ * - 超過は許可の終了直後から続いた未許可の不在 (集計はメインプロセスの getAbsenceOverrideBreakdown)。
+ */
+import { state } from './state.js';
+import { absenceReasonTableBody, absenceTimelineCanvas, Chart } from './dom.js';
+import { escapeHtml, formatDuration, formatDateTime } from './utils.js';
+import { RECURRING_OVERRIDE_CREATED_BY, SYSTEM_OVERRIDE_SOURCE_LABELS } from '../../constants/absence-override.js';
+
+const OVERRIDE_ROW_LABEL = '許可';
+const ABSENCE_ROW_LABEL = '未許可の不在';
+
+// 軸の目盛りは幅が限られるため、年と秒を省いた「MM/DD HH:MM」にする。
+function formatAxisTime(value) {
+  const date = new Date(value);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${pad(date.getMonth() + 1)}/${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * 理由別の表とタイムラインを state.absenceOverrideBreakdown から再描画する。
+ */
+export function renderAbsenceReasons() {
+  renderReasonTable();
+  renderTimeline();
+}
+
+function formatGroupLabel(group) {
+  if (group.createdBy === RECURRING_OVERRIDE_CREATED_BY) {
+    return `${group.reason} (定期)`;
+  }
+  const systemLabel = SYSTEM_OVERRIDE_SOURCE_LABELS[group.createdBy];
+  if (systemLabel && group.reason !== systemLabel) {
+    return `${group.reason} (${systemLabel})`;
+  }
+  return group.presetId ? `${group.reason} [${group.presetId}]` : group.reason;
+}
+
+function renderReasonTable() {
+  if (!absenceReasonTableBody) {
+    return;
+  }
+
+  const groups = state.absenceOverrideBreakdown?.groups || [];
+  if (groups.length === 0) {
+    absenceReasonTableBody.innerHTML = `
+      <tr class="empty">
+        <td colspan="5">期間内の不在許可はありません</td>
+      </tr>
+    `;
+    return;
+  }
+
+  absenceReasonTableBody.innerHTML = groups
+    .map((group) => {
+      const plannedAverage = group.plannedSeconds > 0 ? Math.round(group.plannedSeconds / group.count) : 0;
+      const overrunText =
+        group.overrunCount > 0
+          ? `<span class="absence-reason-overrun">${group.overrunCount}回 / 平均 +${formatDuration(group.averageOverrunSeconds)}</span>`
+          : '-';
+      const notes = group.notes?.length ? ` title="${escapeHtml(group.notes.join(' / '))}"` : '';
+      return `
+        <tr>
+          <td${notes}>${escapeHtml(formatGroupLabel(group))}</td>
+          <td>${group.count}</td>
+          <td>${formatDuration(group.totalSeconds)}</td>
+          <td>${formatDuration(group.averageSeconds)}${plannedAverage > 0 ? ` (${formatDuration(plannedAverage)})` : ''}</td>
+          <td>${overrunText}</td>
+        </tr>
+      `;
+    })
+    .join('');
+}
+
+/**
+ * 許可と未許可の不在を横棒の区間として描く。x 軸は UNIX 時刻 (ms)。
+ */
+function renderTimeline() {
+  if (!absenceTimelineCanvas || !Chart) {
+    return;
+  }
+
+  const breakdown = state.absenceOverrideBreakdown;
+  const overrides = breakdown?.timeline?.overrides || [];
+  const absences = breakdown?.timeline?.absences || [];
+  const datasets = [
+    {
+      label: OVERRIDE_ROW_LABEL,
+      data: overrides.map((entry) => ({ x: [entry.startedAt, entry.endedAt], y: OVERRIDE_ROW_LABEL, entry })),
+      backgroundColor: '#94d82d',
+    },
+    {
+      label: ABSENCE_ROW_LABEL,
+      data: absences.map((entry) => ({ x: [entry.startedAt, entry.endedAt], y: ABSENCE_ROW_LABEL, entry })),
+      backgroundColor: '#ffa8a8',
+    },
+  ];
+  const range = breakdown?.range || state.lastRange;
+
+  if (state.absenceTimelineChart) {
+    state.absenceTimelineChart.data.datasets = datasets;
+    state.absenceTimelineChart.options.scales.x.min = range?.start;
+    state.absenceTimelineChart.options.scales.x.max = range?.end;
+    state.absenceTimelineChart.update();
+    return;
+  }
+
+  state.absenceTimelineChart = new Chart(absenceTimelineCanvas, {
+    type: 'bar',
+    data: {
+      labels: [OVERRIDE_ROW_LABEL, ABSENCE_ROW_LABEL],
+      datasets,
+    },
+    options: {
+      indexAxis: 'y',
+      responsive: true,
+      maintainAspectRatio: false,
+      grouped: false,
+      minBarLength: 2,
+      plugins: {
+        legend: {
+          display: false,
+        },
+        tooltip: {
+          backgroundColor: 'rgba(20, 20, 25, 0.95)',
+          callbacks: {
+            label: (context) => {
+              const { entry } = context.raw;
+              const period = `${formatDateTime(entry.startedAt)} 〜 ${formatDateTime(entry.endedAt)}`;
+              if (context.dataset.label === ABSENCE_ROW_LABEL) {
+                return period;
+              }
+              const overrun = entry.overrunSeconds > 0 ? ` / 超過 +${formatDuration(entry.overrunSeconds)}` : '';
+              return `${entry.reason}: ${period}${overrun}`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          min: range?.start,
+          max: range?.end,
+          grid: {
+            color: 'rgba(255, 255, 255, 0.05)',
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)',
+            maxTicksLimit: 8,
+            callback: (value) => formatAxisTime(value),
+            font: {
+              size: 11,
+            },
+          },
+        },
+        y: {
+          grid: {
+            display: false,
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)',
+          },
+        },
+      },
+    },
+  });
+}
@@ -0,0 +1,105 @@
+/**
+ * カテゴリ別滞在時間セクション。
+ * - 振り分けはメインプロセスの getAppUsageStats が保存済みのカテゴリ分けルールで行い、ここは表とドーナツグラフを描く。
+ * - グラフの色は区分 (生産的 / 中立 / 気が散る) で塗り分け、同じ区分のカテゴリが並ぶようにする。
+ */
+import { state } from './state.js';
+import { appCategoryTableBody, appCategoryCanvas, Chart } from './dom.js';
+import { escapeHtml, formatDuration } from './utils.js';
+import { APP_CATEGORY_FLAG_LABELS, APP_CATEGORY_FLAG_COLORS } from '../../constants/app-categories.js';
+
+/**
+ * state.appCategories から表とグラフを再描画する。
+ */
+export function renderAppCategories() {
+  renderCategoryTable();
+  renderCategoryChart();
+}
+
+function renderCategoryTable() {
+  if (!appCategoryTableBody) {
+    return;
+  }
+
+  const categories = state.appCategories || [];
+  if (categories.length === 0) {
+    appCategoryTableBody.innerHTML = `
+      <tr class="empty">
+        <td colspan="4">データがありません</td>
+      </tr>
+    `;
+    return;
+  }
+
+  const total = categories.reduce((sum, item) => sum + item.totalDurationSeconds, 0);
+  appCategoryTableBody.innerHTML = categories
+    .map((item) => {
+      const share = total > 0 ? Math.round((item.totalDurationSeconds / total) * 100) : 0;
+      return `
+        <tr>
+          <td title="${escapeHtml((item.apps || []).join(' / '))}">${escapeHtml(item.category)}</td>
+          <td>${escapeHtml(APP_CATEGORY_FLAG_LABELS[item.flag] || item.flag)}</td>
+          <td>${formatDuration(item.totalDurationSeconds)}</td>
+          <td>${share}%</td>
+        </tr>
+      `;
+    })
+    .join('');
+}
+
+function renderCategoryChart() {
+  if (!appCategoryCanvas || !Chart) {
+    return;
+  }
+
+  const flagOrder = Object.keys(APP_CATEGORY_FLAG_LABELS);
+  const categories = [...(state.appCategories || [])].sort(
+    (a, b) => flagOrder.indexOf(a.flag) - flagOrder.indexOf(b.flag) || b.totalDurationSeconds - a.totalDurationSeconds
+  );
+  const labels = categories.map((item) => item.category);
+  // ツールチップは更新後のデータセットから引くため、元の集計をデータセットに持たせておく。
+  const dataset = {
+    items: categories,
+    data: categories.map((item) => item.totalDurationSeconds),
+    backgroundColor: categories.map((item) => APP_CATEGORY_FLAG_COLORS[item.flag]),
+    borderColor: 'rgba(20, 20, 25, 0.6)',
+    borderWidth: 1,
+  };
+
+  if (state.appCategoryChart) {
+    state.appCategoryChart.data.labels = labels;
+    state.appCategoryChart.data.datasets = [dataset];
+    state.appCategoryChart.update();
+    return;
+  }
+
+  state.appCategoryChart = new Chart(appCategoryCanvas, {
+    type: 'doughnut',
+    data: {
+      labels,
+      datasets: [dataset],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          position: 'right',
+          labels: {
+            color: 'rgba(255, 255, 255, 0.7)',
+            boxWidth: 12,
+          },
+        },
+        tooltip: {
+          backgroundColor: 'rgba(20, 20, 25, 0.95)',
+          callbacks: {
+            label: (context) => {
+              const item = context.dataset.items[context.dataIndex];
+              return `${item.category} (${APP_CATEGORY_FLAG_LABELS[item.flag]}): ${formatDuration(item.totalDurationSeconds)}`;
+            },
+          },
+        },
+      },
+    },
+  });
+}
@@ -12,6 +12,14 @@ import {
 } from './dom.js';
 import { DATASET_GROUPS } from './constants.js';
 import { formatDuration, formatTypingBucketLabel, formatRange } from './utils.js';
+import { getClassLabel } from '../../constants/yolo-classes.js';
+import { OVERRIDE_BUDGET_PERIOD_LABELS } from '../../constants/absence-override.js';
+
+// 集中スコアの時間帯は「MM/DD HH時」で示す。
+function formatHourLabel(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getMonth() + 1}/${date.getDate()} ${date.getHours()}時`;
+}
 
 /**
  * KPIカードを現在の state から再生成する。
@@ -24,6 +32,7 @@ export function renderKpis() {
   const byType = summary.byType || {};
 
   const phoneDuration = byType.phone_detection_end?.totalDurationSeconds || 0;
+  const phoneStates = summary.phoneStates;
   const absenceDuration = byType.absence_detection_end?.totalDurationSeconds || 0;
   const alertCount = (byType.phone_alert?.count || 0) + (byType.absence_alert?.count || 0);
   // 許可済み不在は absence_override_events から別集計しており、統計の欠損と混同しないよう分離表示する。
@@ -31,7 +40,19 @@ export function renderKpis() {
   const permittedDuration = overrideSummary?.totalSeconds || 0;
   const manualPermitted = overrideSummary?.manualSeconds || 0;
   const autoPermitted = overrideSummary?.autoSeconds || 0;
+  const recurringPermitted = overrideSummary?.recurringSeconds || 0;
+  const lockPermitted = overrideSummary?.lockSeconds || 0;
+  const suspendPermitted = overrideSummary?.suspendSeconds || 0;
   const activePermits = overrideSummary?.activeCount || 0;
+  const overrideBudget = state.absenceOverrideBudget;
+  const tooCloseSessions = byType.posture_too_close_end?.count || 0;
+  const tooCloseAlerts = byType.posture_too_close?.count || 0;
+  const sittingSessions = byType.sitting_session_end?.count || 0;
+  const sittingReminders = byType.sitting_reminder?.count || 0;
+  const alertResponses = summary.alertResponses;
+  const strictViolations = byType.strict_violation?.count || 0;
+  const focusSummary = state.focusScores?.summary;
+  const focusDays = state.focusScores?.days || [];
 
   const mostActiveBucket = (state.stats.buckets || []).reduce(
     (acc, bucket) => {
@@ -44,6 +65,10 @@ export function renderKpis() {
   );
 
   const topApp = state.appUsage?.[0];
+  const flagTotals = state.appFlagTotals;
+  const flaggedTotal = flagTotals ? Object.values(flagTotals).reduce((sum, seconds) => sum + seconds, 0) : 0;
+  const gateSummary = state.inferenceGateStats?.summary;
+  const gateFrames = (gateSummary?.inferredFrames || 0) + (gateSummary?.skippedFrames || 0);
 
   const cards = [
     {
@@ -51,21 +76,68 @@ export function renderKpis() {
       value: summary.totalCount || 0,
       subtext: formatRange(state.stats.range),
     },
+    Number.isFinite(focusSummary?.averageScore)
+      ? {
+          label: '集中スコア',
+          value: `${focusSummary.averageScore}点`,
+          subtext: [
+            focusDays.length > 1 ? `最新日 ${focusDays[focusDays.length - 1].score}点` : null,
+            focusSummary.worstHour ? `最低 ${formatHourLabel(focusSummary.worstHour.bucketStart)} ${focusSummary.worstHour.score}点` : null,
+          ]
+            .filter(Boolean)
+            .join(' / ') || '期間内の時間帯の平均',
+        }
+      : null,
     {
       label: 'スマホ検知時間',
       value: formatDuration(phoneDuration),
       subtext: `${byType.phone_detection_end?.count || 0} 件のセッション`,
     },
+    phoneStates
+      ? {
+          label: 'スマホ手持ち時間',
+          value: formatDuration(phoneStates.heldSeconds),
+          subtext: `アラート 手持ち ${phoneStates.heldAlerts} 件 / 映り込み ${phoneStates.visibleAlerts} 件`,
+        }
+      : null,
+    strictViolations > 0
+      ? {
+          label: '厳格モード違反',
+          value: formatDuration(byType.strict_violation?.totalDurationSeconds || 0),
+          subtext: `${strictViolations} 件 / 置くまでの合計時間`,
+        }
+      : null,
     {
       label: '不在検知時間',
       value: formatDuration(absenceDuration),
       subtext: `${byType.absence_detection_end?.count || 0} 件のセッション`,
     },
+    summary.cameraHealth?.count > 0
+      ? {
+          label: 'カメラ異常',
+          value: formatDuration(summary.cameraHealth.totalSeconds),
+          subtext: `${summary.cameraHealth.count} 件 / 不在から除外 ${formatDuration(summary.cameraHealth.excludedAbsenceSeconds)}`,
+        }
+      : null,
     overrideSummary
       ? {
           label: '許可済み不在',
           value: formatDuration(permittedDuration),
-          subtext: `手動 ${formatDuration(manualPermitted)} / 自動 ${formatDuration(autoPermitted)}${activePermits > 0 ? ` · ${activePermits} 件進行中` : ''}`,
+          subtext: `手動 ${formatDuration(manualPermitted)} / 自動 ${formatDuration(autoPermitted)}${recurringPermitted > 0 ? ` (うち定期 ${formatDuration(recurringPermitted)})` : ''}${activePermits > 0 ? ` · ${activePermits} 件進行中` : ''}`,
+        }
+      : null,
+    lockPermitted + suspendPermitted > 0
+      ? {
+          label: 'ロック・スリープ中の不在',
+          value: formatDuration(lockPermitted + suspendPermitted),
+          subtext: `画面ロック ${formatDuration(lockPermitted)} / スリープ ${formatDuration(suspendPermitted)}`,
+        }
+      : null,
+    overrideBudget?.enabled
+      ? {
+          label: `不在許可の残り予算 (${OVERRIDE_BUDGET_PERIOD_LABELS[overrideBudget.period] || ''})`,
+          value: overrideBudget.exceeded ? '超過' : `${overrideBudget.remainingMinutes}分`,
+          subtext: `${overrideBudget.usedMinutes}分 / ${overrideBudget.totalMinutes}分 使用 (手動の許可のみ)`,
         }
       : null,
     overrideSummary
@@ -75,11 +147,32 @@ export function renderKpis() {
           subtext: '不在検知時間と許可済み不在の差分',
         }
       : null,
+    tooCloseSessions > 0 || tooCloseAlerts > 0
+      ? {
+          label: '画面への接近',
+          value: formatDuration(byType.posture_too_close_end?.totalDurationSeconds || 0),
+          subtext: `${tooCloseSessions} 回 / 通知 ${tooCloseAlerts} 件`,
+        }
+      : null,
+    sittingSessions > 0
+      ? {
+          label: '平均連続着席',
+          value: formatDuration(Math.round((byType.sitting_session_end?.totalDurationSeconds || 0) / sittingSessions)),
+          subtext: `${sittingSessions} 回の着席 / リマインド ${sittingReminders} 件`,
+        }
+      : null,
     {
       label: 'アラート件数',
       value: alertCount,
       subtext: 'スマホ/不在アラート合計',
     },
+    alertResponses?.respondedCount > 0
+      ? {
+          label: 'アラート応答時間 (中央値)',
+          value: formatDuration(alertResponses.medianResponseSeconds),
+          subtext: `確認 ${alertResponses.acknowledgedCount} 件 / 無視 ${alertResponses.ignoredCount} 件`,
+        }
+      : null,
     mostActiveBucket
       ? {
           label: '最多発生タイミング',
@@ -94,6 +187,25 @@ export function renderKpis() {
           subtext: `${formatDuration(topApp.totalDurationSeconds)} / ${topApp.sessions} セッション`,
         }
       : null,
+    flaggedTotal > 0
+      ? {
+          label: '生産的な時間の割合',
+          value: `${Math.round((flagTotals.productive / flaggedTotal) * 100)}%`,
+          subtext: `生産的 ${formatDuration(flagTotals.productive)} / 気が散る ${formatDuration(flagTotals.distracting)}`,
+        }
+      : null,
+    gateFrames > 0
+      ? {
+          label: 'モーションゲート節約',
+          value: formatDuration(Math.round((gateSummary.savedMs || 0) / 1000)),
+          subtext: `推論 ${gateSummary.inferredFrames} 回 / 省略 ${gateSummary.skippedFrames} 回 (${Math.round(gateSummary.skipRatio * 100)}%)`,
+        }
+      : null,
+    ...Object.entries(summary.objectClasses || {}).map(([className, entry]) => ({
+      label: `物体: ${getClassLabel(className)}`,
+      value: formatDuration(entry.visibleSeconds),
+      subtext: `映っていた時間 / 見当たらない ${formatDuration(entry.missingSeconds)} · アラート ${entry.alerts} 件`,
+    })),
     state.typingStats?.summary
       ? {
           label: '総キー入力数',
@@ -141,12 +253,16 @@ export function renderChart() {
     return;
   }
 
-  const datasetGroup = DATASET_GROUPS[groupKey] || DATASET_GROUPS.all;
+  const datasetGroup =
+    groupKey === 'objects' ? buildObjectDatasetGroups() : DATASET_GROUPS[groupKey] || DATASET_GROUPS.all;
 
   const labels = (state.stats.buckets || []).map((bucket) => bucket.bucket);
 
   const datasets = datasetGroup.map((group, index) => {
     const data = (state.stats.buckets || []).map((bucket) => {
+      if (group.className) {
+        return bucket.objectCounts?.[group.className] || 0;
+      }
       const counts = bucket.counts || {};
       return group.types.reduce((sum, type) => sum + (counts[type] || 0), 0);
     });
@@ -246,6 +362,18 @@ export function renderChart() {
   }
 }
 
+/**
+ * 物体ウォッチの系列をクラスごとに組み立てる。ウォッチを追加したクラスは設定なしでグラフに現れる。
+ * @returns {Array<{key:string, label:string, className:string}>}
+ */
+function buildObjectDatasetGroups() {
+  return Object.keys(state.stats.summary?.objectClasses || {}).map((className) => ({
+    key: `object:${className}`,
+    label: getClassLabel(className),
+    className,
+  }));
+}
+
 /**
  * タイピング統計専用の折れ線グラフを描画する。
  * - 通常の検知グラフとはデータ構造が異なるため、別途 Chart インスタンスを再利用する。
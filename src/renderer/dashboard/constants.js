@@ -10,12 +10,21 @@ export const SCHEDULE_WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金'
 
 export const DATASET_GROUPS = {
   all: [
-    { key: 'phone', label: 'スマホ関連', types: ['phone_detection_start', 'phone_detection_end', 'phone_alert'] },
+    { key: 'phone', label: 'スマホ関連', types: ['phone_detection_start', 'phone_detection_end', 'phone_alert', 'strict_violation'] },
     { key: 'absence', label: '不在関連', types: ['absence_detection_start', 'absence_detection_end', 'absence_alert'] },
     { key: 'override', label: '許可操作', types: ['absence_override_active', 'absence_override_inactive', 'absence_override_extended', 'absence_override_suppressed'] },
+    { key: 'additionalPerson', label: '背後の人物', types: ['additional_person_detected'] },
+    { key: 'camera', label: 'カメラ異常', types: ['camera_unhealthy_start', 'camera_unhealthy_end'] },
+    { key: 'schedule', label: '検知間隔', types: ['detection_schedule_changed'] },
+    { key: 'alertRule', label: 'アラートルール', types: ['alert_rule_triggered'] },
+    { key: 'objectWatch', label: '物体ウォッチ', types: ['object_visible_end', 'object_missing_end', 'object_alert'] },
+    { key: 'posture', label: '姿勢・着席', types: ['posture_too_close', 'posture_too_close_end', 'sitting_reminder', 'sitting_session_end'] },
+    { key: 'dwellLimit', label: '滞在上限', types: ['app_dwell_alert'] },
+    { key: 'screenTimeBudget', label: '利用時間の予算', types: ['screen_time_budget_alert'] },
+    { key: 'acknowledge', label: 'アラート確認', types: ['alert_acknowledged'] },
   ],
   phone: [
-    { key: 'phone', label: 'スマホ関連', types: ['phone_detection_start', 'phone_detection_end', 'phone_alert'] },
+    { key: 'phone', label: 'スマホ関連', types: ['phone_detection_start', 'phone_detection_end', 'phone_alert', 'strict_violation'] },
   ],
   absence: [
     { key: 'absence', label: '不在関連', types: ['absence_detection_start', 'absence_detection_end', 'absence_alert'] },
@@ -23,7 +32,9 @@ export const DATASET_GROUPS = {
   override: [
     { key: 'override', label: '許可操作', types: ['absence_override_active', 'absence_override_inactive', 'absence_override_extended', 'absence_override_suppressed'] },
   ],
+  // 物体ウォッチはクラスごとの系列を統計の summary.objectClasses から組み立てる (charts.js)。
+  objects: [],
   alerts: [
-    { key: 'alerts', label: 'アラート', types: ['phone_alert', 'absence_alert'] },
+    { key: 'alerts', label: 'アラート', types: ['phone_alert', 'absence_alert', 'additional_person_detected', 'alert_rule_triggered', 'object_alert', 'posture_too_close', 'app_dwell_alert'] },
   ],
 };
@@ -18,11 +18,15 @@ import {
   renderChromeUsageTable,
 } from './tables.js';
 import { refreshSlackSection } from './slack.js';
+import { renderAbsenceReasons } from './absence-reasons.js';
+import { renderAppCategories } from './app-categories.js';
+import { renderScreenTimeBudgets } from './screen-time-budgets.js';
 import {
   refreshTypingSection,
   refreshTypingStatus,
 } from './typing.js';
 import { refreshSystemEvents } from './system-events.js';
+import { refreshWorkTimeline } from './work-timeline.js';
 import { refreshUpcomingSchedules } from './upcoming.js';
 import { renderTaskStats } from './tasks.js';
 
@@ -75,7 +79,20 @@ export async function loadDashboardData() {
 
   try {
     // overrideSummaryRes は absence_override_events の集計で、検知ログとは異なる SQL を叩くため個別に取得する。
-    const [statsRes, recentRes, appUsageRes, overrideSummaryRes, taskStatsRes] = await Promise.all([
+    // 残り予算は表示期間ではなく今日 (今週) の値なので、集計とは別に現在の許可状態から取る。
+    // 利用時間の予算も同じく今日の値。監視中なら記録前の前面アプリの区間を含めて数えさせる。
+    const [
+      statsRes,
+      recentRes,
+      appUsageRes,
+      overrideSummaryRes,
+      taskStatsRes,
+      gateStatsRes,
+      overrideStateRes,
+      overrideBreakdownRes,
+      focusScoreRes,
+      screenTimeBudgetRes,
+    ] = await Promise.all([
       window.electronAPI?.detectionLogStats?.({
         start,
         end,
@@ -85,6 +102,12 @@ export async function loadDashboardData() {
       window.electronAPI?.appUsageStats?.({ start, end, limit: 10 }) ?? Promise.resolve({ success: false }),
       window.electronAPI?.absenceOverrideSummary?.({ start, end }) ?? Promise.resolve({ success: false }),
       window.electronAPI?.tasksStats?.({ start, end }) ?? Promise.resolve({ success: false }),
+      window.electronAPI?.inferenceGateStats?.({ start, end }) ?? Promise.resolve({ success: false }),
+      window.electronAPI?.absenceOverrideGetState?.() ?? Promise.resolve({ success: false }),
+      window.electronAPI?.absenceOverrideBreakdown?.({ start, end }) ?? Promise.resolve({ success: false }),
+      window.electronAPI?.focusScoreGet?.({ start, end }) ?? Promise.resolve({ success: false }),
+      window.electronAPI?.screenTimeBudgetsStatus?.({ inFlight: window.getActiveWindowSession?.() ?? null }) ??
+        Promise.resolve({ success: false }),
     ]);
 
     if (statsRes?.success) {
@@ -99,10 +122,14 @@ export async function loadDashboardData() {
       state.appUsage = appUsageRes.data?.items || [];
       state.appUsageTotalDuration = appUsageRes.data?.totalDurationSeconds || 0;
       state.chromeUsage = appUsageRes.data?.chromeDetails || [];
+      state.appCategories = appUsageRes.data?.categories || [];
+      state.appFlagTotals = appUsageRes.data?.flagTotals || null;
     } else {
       state.appUsage = [];
       state.appUsageTotalDuration = 0;
       state.chromeUsage = [];
+      state.appCategories = [];
+      state.appFlagTotals = null;
     }
 
     if (overrideSummaryRes?.success) {
@@ -111,18 +138,28 @@ export async function loadDashboardData() {
       state.absenceOverrideSummary = null;
     }
 
+    state.absenceOverrideBudget = overrideStateRes?.success ? overrideStateRes.state?.budget || null : null;
+    state.absenceOverrideBreakdown = overrideBreakdownRes?.success ? overrideBreakdownRes.breakdown || null : null;
+    state.focusScores = focusScoreRes?.success ? focusScoreRes.data || null : null;
+    state.screenTimeBudgets = screenTimeBudgetRes?.success ? screenTimeBudgetRes.data || null : null;
+
     if (taskStatsRes?.success) {
       state.taskStats = taskStatsRes.data || null;
     } else {
       state.taskStats = null;
     }
 
+    state.inferenceGateStats = gateStatsRes?.success ? gateStatsRes.data || null : null;
+
     renderKpis();
     renderChart();
     renderLogTable();
     renderAppUsageTable();
     renderChromeUsageTable();
+    renderAppCategories();
+    renderScreenTimeBudgets();
     renderTaskStats();
+    renderAbsenceReasons();
   } catch (error) {
     console.error('[Dashboard] データ取得エラー:', error);
   }
@@ -131,6 +168,7 @@ export async function loadDashboardData() {
   await refreshTypingStatus();
   await refreshTypingSection({ start, end, showLoading: false });
   await refreshSystemEvents({ start, end, showLoading: false });
+  await refreshWorkTimeline();
   refreshUpcomingSchedules();
 }
 
@@ -17,7 +17,13 @@ const kpiContainer = document.getElementById('dashboardKpis');
 const logTableBody = document.querySelector('#dashboardLogTable tbody');
 const appUsageTableBody = document.querySelector('#dashboardAppUsageTable tbody');
 const chromeUsageTableBody = document.querySelector('#dashboardChromeUsageTable tbody');
+const appCategoryTableBody = document.querySelector('#dashboardAppCategoryTable tbody');
+const appCategoryCanvas = document.getElementById('dashboardAppCategoryChart');
+const screenTimeBudgetTableBody = document.querySelector('#dashboardScreenTimeBudgetTable tbody');
+const screenTimeBudgetPeriodEl = document.getElementById('dashboardScreenTimeBudgetPeriod');
 const chartCanvas = document.getElementById('dashboardTrendChart');
+const absenceReasonTableBody = document.querySelector('#dashboardAbsenceReasonTable tbody');
+const absenceTimelineCanvas = document.getElementById('dashboardAbsenceTimelineChart');
 const slackSummaryEl = document.getElementById('dashboardSlackSummary');
 const slackHistoryListEl = document.getElementById('dashboardSlackHistory');
 const slackSendNowBtn = document.getElementById('dashboardSlackSendNow');
@@ -30,6 +36,11 @@ const typingMonitorStatusEl = document.getElementById('typingMonitorStatus');
 const typingTableBody = document.querySelector('#dashboardTypingTable tbody');
 const systemEventsRefreshBtn = document.getElementById('systemEventsRefreshBtn');
 const systemEventsTableBody = document.querySelector('#dashboardSystemEventsTable tbody');
+const workTimelineDateInput = document.getElementById('dashboardWorkTimelineDate');
+const workTimelineTotalsEl = document.getElementById('dashboardWorkTimelineTotals');
+const workTimelineCanvas = document.getElementById('dashboardWorkTimelineChart');
+const workTimelineDetailTitleEl = document.getElementById('dashboardWorkTimelineDetailTitle');
+const workTimelineDetailTableBody = document.querySelector('#dashboardWorkTimelineDetailTable tbody');
 const Chart = window.Chart;
 
 export {
@@ -47,7 +58,13 @@ export {
   logTableBody,
   appUsageTableBody,
   chromeUsageTableBody,
+  appCategoryTableBody,
+  appCategoryCanvas,
+  screenTimeBudgetTableBody,
+  screenTimeBudgetPeriodEl,
   chartCanvas,
+  absenceReasonTableBody,
+  absenceTimelineCanvas,
   slackSummaryEl,
   slackHistoryListEl,
   slackSendNowBtn,
@@ -60,5 +77,10 @@ export {
   typingTableBody,
   systemEventsRefreshBtn,
   systemEventsTableBody,
+  workTimelineDateInput,
+  workTimelineTotalsEl,
+  workTimelineCanvas,
+  workTimelineDetailTitleEl,
+  workTimelineDetailTableBody,
   Chart,
 };
@@ -0,0 +1,56 @@
+/**
+ * 利用時間の予算セクション。
+ * - 使用量はダッシュボードの期間フィルタに関係なく、予算の 1 日 (dayStartHour 区切り) の今の時点の値。
+ * - 監視中なら記録前の前面アプリの区間も含めた値を出す (monitor.js の getActiveWindowSession)。
+ */
+import { state } from './state.js';
+import { screenTimeBudgetTableBody, screenTimeBudgetPeriodEl } from './dom.js';
+import { escapeHtml, formatDateTime } from './utils.js';
+import {
+  SCREEN_TIME_BUDGET_TARGET_LABELS,
+  SCREEN_TIME_BUDGET_LEVEL_LABELS,
+} from '../../constants/screen-time-budgets.js';
+
+/**
+ * state.screenTimeBudgets から表を再描画する。
+ */
+export function renderScreenTimeBudgets() {
+  const status = state.screenTimeBudgets;
+  if (screenTimeBudgetPeriodEl) {
+    screenTimeBudgetPeriodEl.textContent = status
+      ? `${formatDateTime(status.periodStart)} から (${status.dayStartHour}時区切り)`
+      : '';
+  }
+  if (!screenTimeBudgetTableBody) {
+    return;
+  }
+
+  const budgets = status?.budgets || [];
+  if (budgets.length === 0) {
+    screenTimeBudgetTableBody.innerHTML = `
+      <tr class="empty">
+        <td colspan="4">${status ? '予算は未設定です (設定ドロワーの「利用時間の予算」で追加できます)' : 'データがありません'}</td>
+      </tr>
+    `;
+    return;
+  }
+
+  screenTimeBudgetTableBody.innerHTML = budgets
+    .map((budget) => {
+      const percent = Math.min(Math.round(budget.ratio * 100), 100);
+      const remaining =
+        budget.level === 'exceeded' ? `${budget.usedMinutes - budget.minutes}分超過` : `${budget.remainingMinutes}分`;
+      return `
+        <tr>
+          <td>${escapeHtml(budget.key)} <span class="screen-time-budget-target">${escapeHtml(SCREEN_TIME_BUDGET_TARGET_LABELS[budget.target] || budget.target)}</span></td>
+          <td>
+            <div class="screen-time-budget-bar ${escapeHtml(budget.level)}"><span style="width: ${percent}%;"></span></div>
+            ${budget.usedMinutes}分 / ${budget.minutes}分
+          </td>
+          <td>${remaining}</td>
+          <td>${escapeHtml(SCREEN_TIME_BUDGET_LEVEL_LABELS[budget.level] || budget.level)}</td>
+        </tr>
+      `;
+    })
+    .join('');
+}
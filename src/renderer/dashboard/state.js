@@ -10,14 +10,25 @@ export const state = {
   appUsage: [],
   appUsageTotalDuration: 0,
   chromeUsage: [],
+  appCategories: [],
+  appFlagTotals: null,
+  appCategoryChart: null,
+  screenTimeBudgets: null,
   slackSettings: null,
   slackHistory: [],
   upcomingSchedules: [],
   typingStats: null,
   typingStatus: null,
   systemEvents: [],
+  workTimeline: null,
+  workTimelineChart: null,
   absenceOverrideSummary: null,
+  absenceOverrideBudget: null,
+  absenceOverrideBreakdown: null,
+  absenceTimelineChart: null,
+  focusScores: null,
   taskStats: null,
+  inferenceGateStats: null,
   autoRefreshHandle: null,
   slackBusy: false,
   slackSummaryResetHandle: null,
@@ -15,6 +15,13 @@ import {
   formatTypeLabel,
   csvEscape,
 } from './utils.js';
+import {
+  formatCameraHealthReasons,
+  formatDetectionSchedule,
+  ALERT_ACK_SOURCE_LABELS,
+} from '../../constants/monitor.js';
+import { ALERT_RULE_ACTION_LABELS } from '../../constants/alert-rules.js';
+import { getClassLabel } from '../../constants/yolo-classes.js';
 
 /**
  * 不在許可ログのメタ情報を表示用に整形する。
@@ -58,11 +65,80 @@ function formatLogDetail(item) {
       const durationText = item.durationSeconds ? formatDuration(item.durationSeconds) : 'N/A';
       return `${reason} 許可中に不在セッションを終了 (経過 ${durationText})`;
     }
+    case 'phone_detection_start':
+    case 'phone_detection_end':
+    case 'phone_alert': {
+      if (!meta.phoneState) {
+        return item.meta ? JSON.stringify(item.meta) : '';
+      }
+      const stateLabel = meta.phoneState === 'held' ? '手に持っている' : '映っているだけ';
+      const phoneText = Number.isFinite(meta.heldSeconds) && meta.heldSeconds > 0
+        ? `${stateLabel} (手持ち ${formatDuration(meta.heldSeconds)})`
+        : stateLabel;
+      return item.type === 'phone_detection_end' ? joinAlertResponse(phoneText, item) : phoneText;
+    }
+    case 'strict_violation':
+      return meta.escalations > 0
+        ? `繰り返し ${meta.escalations} 回 (段階 ${meta.maxLevel ?? '-'} まで)`
+        : 'スマホを置くまで 1 回で解消';
+    case 'additional_person_detected':
+      return `人物 #${meta.trackId ?? '-'} が持ち主 #${meta.ownerTrackId ?? '-'} の背後に映り込み`;
+    case 'camera_unhealthy_start':
+    case 'camera_unhealthy_end':
+      return formatCameraHealthReasons(meta.reasons) || (item.meta ? JSON.stringify(item.meta) : '');
+    case 'detection_schedule_changed':
+      return formatDetectionSchedule(meta);
+    case 'alert_rule_triggered':
+      return `${meta.ruleName ?? '-'} ${meta.step ?? '-'}/${meta.stepCount ?? '-'}: ${ALERT_RULE_ACTION_LABELS[meta.action] || meta.action || '-'}`;
+    case 'object_visible_end':
+      return `${getClassLabel(meta.className)} が映っていた区間`;
+    case 'object_missing_end':
+      return `${getClassLabel(meta.className)} が見当たらなかった区間`;
+    case 'object_alert': {
+      const modeText = meta.mode === 'visible' ? '映り続けた' : '見当たらない';
+      return `${getClassLabel(meta.className)} が ${meta.thresholdMinutes ?? '-'} 分${modeText}`;
+    }
+    case 'posture_too_close':
+      return `基準の ${meta.relativeSize ?? '-'} 倍 (しきい値 ${meta.threshold ?? '-'} 倍)`;
+    case 'posture_too_close_end':
+      return `最大 ${meta.peakRelativeSize ?? '-'} 倍${meta.alerted ? ' (通知済み)' : ''}`;
+    case 'sitting_reminder':
+      return `${meta.sittingMinutes ?? '-'} 分連続で着席 (${meta.reminder ?? 1} 回目)`;
+    case 'sitting_session_end':
+      return meta.reminders > 0 ? `リマインド ${meta.reminders} 回` : '';
+    case 'screen_time_budget_alert':
+      return `${meta.key ?? '-'} ${meta.usedMinutes ?? '-'}分 / ${meta.minutes ?? '-'}分 (${meta.level === 'exceeded' ? '超過' : '残りわずか'})`;
+    case 'app_dwell_alert':
+      return `${meta.pattern ?? '-'} を${meta.reason === 'daily' ? '今日の合計' : '連続'} ${meta.thresholdMinutes ?? '-'} 分超過`;
+    case 'absence_detection_end':
+      if (meta.interruptedBy === 'camera_unhealthy') {
+        return 'カメラ異常のため不在判定を中断';
+      }
+      if (Number.isFinite(item.responseSeconds)) {
+        return joinAlertResponse('席に戻った', item);
+      }
+      return item.meta ? JSON.stringify(item.meta) : '';
+    case 'alert_acknowledged': {
+      const sourceLabel = ALERT_ACK_SOURCE_LABELS[meta.source] || meta.source || '-';
+      const responseText = Number.isFinite(item.responseSeconds) ? `${formatDuration(item.responseSeconds)}後に` : '';
+      return `${formatTypeLabel(meta.alertType)}を${responseText}確認 (${sourceLabel})`;
+    }
     default:
       return item.meta ? JSON.stringify(item.meta) : '';
   }
 }
 
+/**
+ * セッション終了ログの説明に、アラートから条件が解消するまでの応答時間を添える。
+ */
+function joinAlertResponse(text, item) {
+  if (!Number.isFinite(item.responseSeconds)) {
+    return text;
+  }
+  const acknowledgedText = item.meta?.acknowledged ? '確認済み' : '未確認';
+  return `${text} · アラートから ${formatDuration(item.responseSeconds)} で解消 (${acknowledgedText})`;
+}
+
 function formatPlainLogDetail(item) {
   return formatLogDetail(item);
 }
@@ -96,18 +172,56 @@ export function renderLogTable() {
       const time = formatDateTime(item.detectedAt);
       const duration = item.durationSeconds ? formatDuration(item.durationSeconds) : '-';
       const detail = escapeHtml(formatLogDetail(item));
+      const snapshot = item.meta?.snapshot
+        ? ` <button type="button" class="btn-secondary btn-compact log-snapshot-btn" data-snapshot="${escapeHtml(item.meta.snapshot)}">📷 表示</button>`
+        : '';
       return `
         <tr>
           <td>${time}</td>
           <td>${formatTypeLabel(item.type)}</td>
           <td>${duration}</td>
-          <td>${detail}</td>
+          <td>${detail}${snapshot}</td>
         </tr>
       `;
     })
     .join('');
 }
 
+/**
+ * 最新ログのスナップショットボタンを有効にする。
+ * - 画像は押されたときに初めて読み出し、ボタンをその場で画像に置き換える。
+ * - 保持期間で削除済みの画像はログ側の参照だけが残るため、その旨を表示する。
+ */
+export function initializeLogSnapshotViewer() {
+  if (!logTableBody) return;
+
+  logTableBody.addEventListener('click', async (event) => {
+    const button = event.target.closest('.log-snapshot-btn');
+    if (!button || !window.electronAPI?.snapshotRead) {
+      return;
+    }
+    button.disabled = true;
+    try {
+      const response = await window.electronAPI.snapshotRead(button.dataset.snapshot);
+      if (!response?.success) {
+        throw new Error(response?.error || 'スナップショットの読み出しに失敗しました');
+      }
+      if (!response.dataUrl) {
+        button.replaceWith('(削除済み)');
+        return;
+      }
+      const image = document.createElement('img');
+      image.className = 'log-snapshot';
+      image.src = response.dataUrl;
+      image.alt = 'アラート時のスナップショット';
+      button.replaceWith(image);
+    } catch (error) {
+      console.error('[Dashboard] スナップショット読み出しエラー:', error);
+      button.disabled = false;
+    }
+  });
+}
+
 /**
  * アプリ使用時間テーブルを state.appUsage に基づきレンダリングする。
  */
@@ -187,11 +301,12 @@ export function exportLogsCsv() {
     return;
   }
 
-  const headers = ['detected_at', 'type', 'duration_seconds', 'detail'];
+  const headers = ['detected_at', 'type', 'duration_seconds', 'response_seconds', 'detail'];
   const rows = filteredLogs.map((item) => [
     formatDateTime(item.detectedAt),
     item.type,
     item.durationSeconds ?? '',
+    item.responseSeconds ?? '',
     formatPlainLogDetail(item),
   ]);
 
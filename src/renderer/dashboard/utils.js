@@ -57,6 +57,10 @@ export function formatSystemEventLabel(eventType) {
       return 'スリープ開始';
     case 'resume':
       return 'スリープ解除';
+    case 'on_battery':
+      return 'バッテリー駆動';
+    case 'on_ac':
+      return '電源接続';
     case 'shutdown':
       return 'システム終了';
     default:
@@ -101,12 +105,44 @@ export function formatTypeLabel(type) {
       return 'スマホ検知終了';
     case 'phone_alert':
       return 'スマホアラート';
+    case 'strict_violation':
+      return '厳格モード違反';
     case 'absence_detection_start':
       return '不在検知開始';
     case 'absence_detection_end':
       return '不在検知終了';
     case 'absence_alert':
       return '不在アラート';
+    case 'additional_person_detected':
+      return '背後の人物';
+    case 'camera_unhealthy_start':
+      return 'カメラ異常開始';
+    case 'camera_unhealthy_end':
+      return 'カメラ異常終了';
+    case 'detection_schedule_changed':
+      return '検知間隔変更';
+    case 'alert_rule_triggered':
+      return 'ルールアラート';
+    case 'object_visible_end':
+      return '物体 映り終了';
+    case 'object_missing_end':
+      return '物体 不在終了';
+    case 'object_alert':
+      return '物体アラート';
+    case 'posture_too_close':
+      return '画面接近アラート';
+    case 'posture_too_close_end':
+      return '画面接近終了';
+    case 'sitting_reminder':
+      return '着席リマインド';
+    case 'sitting_session_end':
+      return '着席終了';
+    case 'app_dwell_alert':
+      return '滞在上限アラート';
+    case 'screen_time_budget_alert':
+      return '利用時間の予算';
+    case 'alert_acknowledged':
+      return 'アラート確認';
     default:
       return type || '-';
   }
@@ -0,0 +1,246 @@
+/**
+ * 1 日の作業タイムラインセクション。
+ * - メインプロセスの getWorkTimeline が組み立てた区間を、区分ごとに色分けした 1 本の帯として描く。
+ * - 帯の区間をクリックすると、その区間の元になった記録 (検知ログ・前面アプリなど) を下の表に並べる。
+ * - 対象日はダッシュボードの期間フィルタとは別に、セクション内の日付で選ぶ。
+ */
+import { state } from './state.js';
+import {
+  workTimelineDateInput,
+  workTimelineTotalsEl,
+  workTimelineCanvas,
+  workTimelineDetailTitleEl,
+  workTimelineDetailTableBody,
+  Chart,
+} from './dom.js';
+import {
+  escapeHtml,
+  formatDuration,
+  formatDateTime,
+  formatTypeLabel,
+  formatSystemEventLabel,
+  toLocalDateTimeLocalString,
+} from './utils.js';
+import {
+  WORK_TIMELINE_PRIORITY,
+  WORK_TIMELINE_LABELS,
+  WORK_TIMELINE_COLORS,
+  WORK_TIMELINE_SOURCE_LABELS,
+} from '../../constants/work-timeline.js';
+import { RECURRING_OVERRIDE_CREATED_BY, SYSTEM_OVERRIDE_SOURCE_LABELS } from '../../constants/absence-override.js';
+
+const ROW_LABEL = '1日';
+const DETAIL_PLACEHOLDER = '区間をクリックすると元の記録を表示します';
+
+function formatClock(value) {
+  const date = new Date(value);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * 日付入力を今日で初期化し、変更時の再取得を登録する。
+ */
+export function initializeWorkTimelineSection() {
+  if (!workTimelineDateInput) {
+    return;
+  }
+  workTimelineDateInput.value = toLocalDateTimeLocalString(Date.now()).slice(0, 10);
+  workTimelineDateInput.addEventListener('change', () => {
+    refreshWorkTimeline();
+  });
+}
+
+/**
+ * 選択中の日のタイムラインを取得して再描画する。
+ */
+export async function refreshWorkTimeline() {
+  if (!window.electronAPI?.workTimelineGet) {
+    state.workTimeline = null;
+    renderWorkTimeline('作業タイムラインは利用できません');
+    return;
+  }
+
+  try {
+    const response = await window.electronAPI.workTimelineGet({ date: workTimelineDateInput?.value || undefined });
+    if (!response?.success) {
+      throw new Error(response?.error || '作業タイムラインの取得に失敗しました');
+    }
+    state.workTimeline = response.data || null;
+    renderWorkTimeline();
+  } catch (error) {
+    console.error('[Dashboard] 作業タイムライン取得エラー:', error);
+    state.workTimeline = null;
+    renderWorkTimeline('作業タイムラインの取得に失敗しました');
+  }
+}
+
+function renderWorkTimeline(errorMessage = null) {
+  renderTotals(errorMessage);
+  renderStrip();
+  renderDetail(null, errorMessage);
+}
+
+function renderTotals(errorMessage) {
+  if (!workTimelineTotalsEl) {
+    return;
+  }
+  const totals = state.workTimeline?.totals || {};
+  const kinds = WORK_TIMELINE_PRIORITY.filter((kind) => totals[kind] > 0);
+  if (errorMessage || kinds.length === 0) {
+    workTimelineTotalsEl.textContent = errorMessage || 'この日の記録はありません';
+    return;
+  }
+  workTimelineTotalsEl.innerHTML = kinds
+    .map(
+      (kind) => `
+        <span>
+          <span class="work-timeline-swatch" style="background: ${WORK_TIMELINE_COLORS[kind]};"></span>
+          ${escapeHtml(WORK_TIMELINE_LABELS[kind])} ${formatDuration(totals[kind])}
+        </span>
+      `
+    )
+    .join('');
+}
+
+/**
+ * 区間を区分ごとのデータセットに分け、同じ行に重ねて横棒で描く。x 軸は UNIX 時刻 (ms)。
+ */
+function renderStrip() {
+  if (!workTimelineCanvas || !Chart) {
+    return;
+  }
+
+  const segments = state.workTimeline?.segments || [];
+  const range = state.workTimeline?.range;
+  const datasets = WORK_TIMELINE_PRIORITY.map((kind) => ({
+    label: WORK_TIMELINE_LABELS[kind],
+    data: segments
+      .filter((segment) => segment.kind === kind)
+      .map((segment) => ({ x: [segment.startedAt, segment.endedAt], y: ROW_LABEL, segment })),
+    backgroundColor: WORK_TIMELINE_COLORS[kind],
+  }));
+
+  if (state.workTimelineChart) {
+    state.workTimelineChart.data.datasets = datasets;
+    state.workTimelineChart.options.scales.x.min = range?.start;
+    state.workTimelineChart.options.scales.x.max = range?.end;
+    state.workTimelineChart.update();
+    return;
+  }
+
+  state.workTimelineChart = new Chart(workTimelineCanvas, {
+    type: 'bar',
+    data: {
+      labels: [ROW_LABEL],
+      datasets,
+    },
+    options: {
+      indexAxis: 'y',
+      responsive: true,
+      maintainAspectRatio: false,
+      grouped: false,
+      minBarLength: 2,
+      onClick: (_event, elements, chart) => {
+        const element = elements[0];
+        if (!element) {
+          return;
+        }
+        renderDetail(chart.data.datasets[element.datasetIndex].data[element.index].segment);
+      },
+      plugins: {
+        legend: {
+          display: false,
+        },
+        tooltip: {
+          backgroundColor: 'rgba(20, 20, 25, 0.95)',
+          callbacks: {
+            label: (context) => {
+              const { segment } = context.raw;
+              return `${context.dataset.label}: ${formatClock(segment.startedAt)} 〜 ${formatClock(segment.endedAt)} (${formatDuration(segment.durationSeconds)})`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          min: range?.start,
+          max: range?.end,
+          grid: {
+            color: 'rgba(255, 255, 255, 0.05)',
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)',
+            maxTicksLimit: 12,
+            callback: (value) => formatClock(value),
+            font: {
+              size: 11,
+            },
+          },
+        },
+        y: {
+          grid: {
+            display: false,
+          },
+          ticks: {
+            display: false,
+          },
+        },
+      },
+    },
+  });
+}
+
+function describeRow(row) {
+  switch (row.table) {
+    case 'detection_logs':
+      return formatTypeLabel(row.type);
+    case 'system_events':
+      return formatSystemEventLabel(row.type);
+    case 'absence_override_events': {
+      const source =
+        row.type === RECURRING_OVERRIDE_CREATED_BY ? '定期' : SYSTEM_OVERRIDE_SOURCE_LABELS[row.type] || null;
+      const reason = row.detail || '-';
+      return source && source !== reason ? `${reason} (${source})` : reason;
+    }
+    default:
+      return row.detail || '-';
+  }
+}
+
+/**
+ * 選択した区間の元の記録を表に並べる。segment が null なら選択前の表示に戻す。
+ */
+function renderDetail(segment, errorMessage = null) {
+  if (workTimelineDetailTitleEl) {
+    workTimelineDetailTitleEl.textContent = segment
+      ? `${WORK_TIMELINE_LABELS[segment.kind]} ${formatClock(segment.startedAt)} 〜 ${formatClock(segment.endedAt)} (${formatDuration(segment.durationSeconds)})`
+      : DETAIL_PLACEHOLDER;
+  }
+  if (!workTimelineDetailTableBody) {
+    return;
+  }
+  if (!segment) {
+    workTimelineDetailTableBody.innerHTML = `<tr class="empty"><td colspan="4">${escapeHtml(errorMessage || '区間が選択されていません')}</td></tr>`;
+    return;
+  }
+
+  const rows = segment.rows || [];
+  const truncated =
+    segment.rowsTruncated > 0
+      ? `<tr class="empty"><td colspan="4">ほか ${segment.rowsTruncated} 件</td></tr>`
+      : '';
+  workTimelineDetailTableBody.innerHTML =
+    rows
+      .map(
+        (row) => `
+          <tr>
+            <td>${escapeHtml(WORK_TIMELINE_SOURCE_LABELS[row.table] || row.table)} #${row.id}</td>
+            <td>${formatDateTime(row.startedAt)}</td>
+            <td>${row.endedAt !== row.startedAt ? formatDateTime(row.endedAt) : '-'}</td>
+            <td>${escapeHtml(describeRow(row))}</td>
+          </tr>
+        `
+      )
+      .join('') + truncated;
+}
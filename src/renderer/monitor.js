@@ -3,12 +3,23 @@
  * - DOM 初期化、設定読み込み、各機能モジュールの起動シーケンスを統括する。
  */
 import { initializeMonitorElements, setCanvasContext, getMonitorState, MONITOR_TIMING_CONSTANTS } from './monitor/context.js';
-import { initializeSettings, reloadSettings } from './monitor/settings.js';
+import {
+  initializeSettings,
+  reloadSettings,
+  initializeAlertRules,
+  initializeSnapshotSettings,
+} from './monitor/settings.js';
 import { startRenderLoop } from './monitor/render.js';
-import { performDetection } from './monitor/detection.js';
+import { initializeDetectionScheduling, startDetectionScheduler } from './monitor/scheduler.js';
 import { initializeAbsenceOverrideHandling } from './monitor/override.js';
 import { trackActiveWindow, recordActiveWindowSession } from './monitor/active-window.js';
+import { getActiveWindowSession, requestScreenTimeBudgetRefresh } from './monitor/screen-time-budgets.js';
 import { addLog } from './monitor/logs.js';
+import { flushMotionGateStats } from './monitor/motion-gate.js';
+import { startRegionDrawing } from './monitor/regions.js';
+import { attachCameraTrack } from './monitor/camera-health.js';
+import { getOwnerAreaRatio, acknowledgeAlerts } from './monitor/detection.js';
+import { ALERT_ACK_SOURCES } from '../constants/monitor.js';
 
 // DOM 要素の登録
 initializeMonitorElements({
@@ -19,10 +30,34 @@ initializeMonitorElements({
   overrideStatusText: document.getElementById('overrideStatusText'),
   cameraContainer: document.querySelector('.camera-feed'),
   monitorIndicator: document.getElementById('monitorIndicator'),
+  inferenceMetrics: document.getElementById('inferenceMetrics'),
+  regionEditorHint: document.getElementById('regionEditorHint'),
+  cameraHealthBanner: document.getElementById('cameraHealthBanner'),
+  cameraHealthText: document.getElementById('cameraHealthText'),
+  alertAckButton: document.getElementById('alertAckButton'),
+  strictModeBadge: document.getElementById('strictModeBadge'),
+  screenTimeBudgetBadge: document.getElementById('screenTimeBudgetBadge'),
+  screenTimeBudgetText: document.getElementById('screenTimeBudgetText'),
 });
 
 initializeSettings();
+initializeAlertRules();
+initializeSnapshotSettings();
 initializeAbsenceOverrideHandling();
+initializeDetectionScheduling();
+initializeAlertAcknowledgement();
+
+/**
+ * 監視画面のボタンと通知のクリックをアラートの確認として受け付ける。
+ */
+function initializeAlertAcknowledgement() {
+  getMonitorState().elements.alertAckButton?.addEventListener('click', () => {
+    acknowledgeAlerts(ALERT_ACK_SOURCES.MONITOR);
+  });
+  window.electronAPI?.onAlertAcknowledgeRequested?.(() => {
+    acknowledgeAlerts(ALERT_ACK_SOURCES.NOTIFICATION);
+  });
+}
 
 document.addEventListener('DOMContentLoaded', () => {
   const { canvasElement } = getMonitorState().elements;
@@ -34,6 +69,7 @@ document.addEventListener('DOMContentLoaded', () => {
 /**
  * 監視ループを開始する。
  * - 重複起動を避けつつ検知・描画・前面アプリ監視を同時に立ち上げる。
+ * - 検知の間隔は電源状態と在席の安定度に応じて scheduler が決める。
  */
 window.startMonitoringProcess = function startMonitoringProcess() {
   const state = getMonitorState();
@@ -42,10 +78,7 @@ window.startMonitoringProcess = function startMonitoringProcess() {
   }
   state.isMonitoring = true;
 
-  if (!state.detectionInterval) {
-    performDetection();
-    state.detectionInterval = setInterval(performDetection, MONITOR_TIMING_CONSTANTS.detectionIntervalMs);
-  }
+  startDetectionScheduler();
 
   if (!state.activeWindowInterval) {
     state.activeWindowInterval = setInterval(trackActiveWindow, MONITOR_TIMING_CONSTANTS.activeWindowIntervalMs);
@@ -73,14 +106,58 @@ window.getMonitorState = function exportMonitorState() {
 };
 
 /**
- * カメラストリームをレンダラ側に保持する。
+ * ダッシュボードが利用時間の予算を集計するときに、記録前の前面アプリの区間を渡すための API。
+ */
+window.getActiveWindowSession = function exportActiveWindowSession() {
+  return getActiveWindowSession();
+};
+
+/**
+ * 設定画面で利用時間の予算を保存したときに、監視画面の残り表示を次の取得で更新させる API。
+ */
+window.refreshScreenTimeBudgets = function exportRefreshScreenTimeBudgets() {
+  requestScreenTimeBudgetRefresh();
+};
+
+/**
+ * 設定画面から検知エリアの描画を開始するための API。
+ */
+window.startRegionDrawing = function exportStartRegionDrawing() {
+  return startRegionDrawing();
+};
+
+/**
+ * 音声コマンドからアラートを確認するための API。
+ * @returns {Array<string>} 確認したアラートの種別。未確認のアラートが無ければ空配列
+ */
+window.acknowledgeMonitorAlerts = function exportAcknowledgeMonitorAlerts() {
+  return acknowledgeAlerts(ALERT_ACK_SOURCES.VOICE);
+};
+
+/**
+ * 設定画面から姿勢の基準値を較正するための API。
+ * - 監視中に持ち主が映っていなければ較正できないため、その場合はエラーにする。
+ * @returns {number} 持ち主の人物枠がフレームに占める面積比
+ */
+window.calibratePostureBaseline = function exportCalibratePostureBaseline() {
+  const areaRatio = getMonitorState().isMonitoring ? getOwnerAreaRatio() : null;
+  if (!areaRatio) {
+    throw new Error('監視中に自分がカメラに映っている状態で較正してください');
+  }
+  return areaRatio;
+};
+
+/**
+ * カメラストリームをレンダラ側に保持し、健全性チェックの対象トラックとして登録する。
  */
 window.setMediaStream = function setMediaStream(stream) {
   getMonitorState().mediaStream = stream;
+  attachCameraTrack(stream);
 };
 
 window.addEventListener('beforeunload', () => {
   recordActiveWindowSession();
+  flushMotionGateStats({ force: true });
 });
 
 // app.js からも利用するためグローバル公開
@@ -1,12 +1,60 @@
 /**
  * 最前面アプリの監視と使用時間記録。
  * - 1秒間隔で取得し、アプリ切り替え時にログと使用時間を送信する。
+ * - 取得のたびに滞在上限 (dwell-limits.js) を判定し、超えていれば知らせる。
+ *   その日の最初の取得時に今日の記録済みの区間を読み込み、再起動前の滞在も今日の合計に含める。
+ * - 利用時間の予算 (screen-time-budgets.js) も取得のたびに呼び、一定間隔で使用量を取り直す。
  */
 import { getMonitorState } from './context.js';
-import { addLog } from './logs.js';
+import { addLog, recordDetectionLogEntry } from './logs.js';
+import { triggerDwellLimitAlert } from './alerts.js';
+import { createDwellLimitMonitor } from './dwell-limits.js';
+import { refreshScreenTimeBudgets } from './screen-time-budgets.js';
 
 const APP_USAGE_MIN_DURATION_SECONDS = 5;
 
+const dwellLimitMonitor = createDwellLimitMonitor({
+  getSettings: () => getMonitorState().settings,
+  effects: {
+    recordLog: recordDetectionLogEntry,
+    onDwellExceeded: triggerDwellLimitAlert,
+  },
+});
+// 滞在上限の今日の合計を読み込んだ日 (その日の 0 時) と、判定器が数え始めた時刻。
+let dwellUsageSeededDayStart = null;
+let dwellCountingStartedAt = null;
+
+/**
+ * 今日の 0 時から判定器が数え始めるまでに記録済みの前面アプリの区間を滞在上限の合計へ入れる。日ごとに 1 回だけ読み込む。
+ * - 判定器が数え始めた後の記録とは重複しない。日付をまたいで動き続けている場合、今日の分はすべて判定器が数えているため読み込まない。
+ * - 不在許可中・画面ロック中・スリープ中の時間は、判定器と同じくメインプロセス側で区間から除かれる。
+ * - 取得は待たない。1 秒ごとの呼び出しが同じ日の取得を重ねないよう、取得を始める前に読み込んだ日を記録する。
+ * @param {number} now
+ */
+function seedDwellLimitUsage(now) {
+  const dayStart = new Date(now).setHours(0, 0, 0, 0);
+  if (dwellUsageSeededDayStart === dayStart || typeof window.electronAPI.appUsageSessions !== 'function') {
+    return;
+  }
+  dwellUsageSeededDayStart = dayStart;
+  dwellCountingStartedAt ??= now;
+  const until = Math.max(dayStart, dwellCountingStartedAt);
+  if (until <= dayStart) {
+    return;
+  }
+  window.electronAPI
+    .appUsageSessions({ start: dayStart, end: until })
+    .then((response) => {
+      if (!response?.success) {
+        throw new Error(response?.error || 'アプリ使用区間の取得に失敗しました');
+      }
+      dwellLimitMonitor.seedDailyUsage(response.sessions, until);
+    })
+    .catch((error) => {
+      console.warn('[Monitor] 滞在上限の今日の合計を読み込めませんでした:', error);
+    });
+}
+
 /**
  * 最前面ウィンドウを取得し、切り替わりを検知したらログに残す。
  */
@@ -38,6 +86,15 @@ export async function trackActiveWindow() {
     const state = getMonitorState();
     const now = Date.now();
 
+    // 不在許可中と画面ロック・スリープ中は画面を見ていないため、滞在に数えない。
+    const { powerState } = state.detectionSchedule;
+    seedDwellLimitUsage(now);
+    dwellLimitMonitor.process(now, { appName, domain }, {
+      paused: Boolean(state.absenceOverrideState?.active || powerState.locked || powerState.suspended),
+    });
+    // 切り替えで区間を送る前に呼び、直前のアプリの今までの分を記録前の区間として数えさせる。取得は待たない。
+    refreshScreenTimeBudgets(now);
+
     if (!state.lastActiveWindowInfo) {
       state.lastActiveWindowInfo = { key, appName, title, domain };
       state.lastActiveWindowStart = now;
@@ -0,0 +1,156 @@
+/**
+ * アラートルールの評価器。
+ * - 状態機械が更新したセッション (スマホ / 不在) の継続秒数をルールの条件と照らし、行動を遅延の順に 1 回ずつ発火させる。
+ * - セッションが終わる (継続秒数が 0 に戻る) と段階をリセットし、次のセッションは最初の行動から始める。
+ * - 組み込みルール (builtin) は閾値に達した時点を最初の段階とし、onBuiltinAlert で状態機械にアラートを出させる。
+ *   追加の行動はその後の段階として遅延の順に発火させる。
+ * - DOM や electronAPI には触れず、行動の実行とログ記録は effects に委ねる (detection-state.js と同じ方針)。
+ */
+import { ALERT_RULE_CONDITIONS, ALERT_RULE_BUILTINS } from '../../constants/alert-rules.js';
+
+const NOOP = () => {};
+
+/**
+ * ルール評価器を生成する。
+ * @param {Object} deps
+ * @param {Object} deps.state createDetectionSessionState() のフィールドを持つオブジェクト (読み取りのみ)
+ * @param {() => Array} deps.getRules sanitizeAlertRules 済みのルール一覧
+ * @param {(now:number, windowMinutes:number) => boolean} [deps.isScheduleActive] 予定の開始から windowMinutes 以内か
+ * @param {Object} [deps.effects]
+ * @param {(entry:Object) => void} [deps.effects.recordLog] detection_logs へ記録する
+ * @param {(action:Object, context:{rule:Object, seconds:number, step:number, stepCount:number}) => void} [deps.effects.onAction] 行動の実行
+ * @param {(rule:Object, context:{now:number, seconds:number}) => void} [deps.effects.onBuiltinAlert] 組み込みアラートの発火
+ */
+export function createAlertRuleEngine({ state, getRules, isScheduleActive = () => false, effects = {} }) {
+  const { recordLog = NOOP, onAction = NOOP, onBuiltinAlert = NOOP } = effects;
+  // ルール ID → { firedSteps:Set<number>, suppressed:boolean, lastTriggeredAt:number }
+  const progress = new Map();
+
+  function measureConditionSeconds(condition, now) {
+    switch (condition.type) {
+      case ALERT_RULE_CONDITIONS.PHONE_HELD: {
+        if (state.phoneDetectionStartTime === 0) {
+          return 0;
+        }
+        const currentMs = state.phoneHeldSince !== 0 ? now - state.phoneHeldSince : 0;
+        return Math.floor((state.phoneHeldAccumulatedMs + currentMs) / 1000);
+      }
+      // 解消の安定待ち (clearCandidateSince) の間は条件が解消しかけているため、経過時間をその時点で止める。
+      case ALERT_RULE_CONDITIONS.PHONE_VISIBLE:
+        return state.phoneDetectionStartTime === 0
+          ? 0
+          : Math.floor(((state.phoneClearCandidateSince || now) - state.phoneDetectionStartTime) / 1000);
+      case ALERT_RULE_CONDITIONS.ABSENT:
+        return state.absenceDetectionStartTime === 0
+          ? 0
+          : Math.floor(((state.absenceClearCandidateSince || now) - state.absenceDetectionStartTime) / 1000);
+      default:
+        return 0;
+    }
+  }
+
+  function getProgress(ruleId) {
+    if (!progress.has(ruleId)) {
+      progress.set(ruleId, { firedSteps: new Set(), suppressed: false, lastTriggeredAt: 0 });
+    }
+    return progress.get(ruleId);
+  }
+
+  /**
+   * 厳格モード中の組み込みスマホアラートか。厳格モードはルールの ON/OFF とクールダウンに関係なく注意する。
+   */
+  function isStrictPhoneRule(rule) {
+    return rule.builtin === ALERT_RULE_BUILTINS.PHONE && state.strictModeActive;
+  }
+
+  /**
+   * ルールの段階を遅延の順に並べる。組み込みルールは閾値ちょうどのアラートを最初の段階として先頭に置く。
+   */
+  function listSteps(rule) {
+    const steps = rule.actions.map((action) => ({ action, delaySeconds: action.delaySeconds }));
+    return rule.builtin ? [{ action: null, delaySeconds: 0 }, ...steps] : steps;
+  }
+
+  function evaluateRule(rule, now) {
+    const ruleProgress = getProgress(rule.id);
+    const seconds = measureConditionSeconds(rule.condition, now);
+    if (seconds === 0) {
+      ruleProgress.firedSteps.clear();
+      ruleProgress.suppressed = false;
+      return;
+    }
+    const strict = isStrictPhoneRule(rule);
+    if (ruleProgress.suppressed && !strict) {
+      return;
+    }
+    if (rule.condition.duringSchedule && !isScheduleActive(now, rule.condition.scheduleWindowMinutes)) {
+      return;
+    }
+
+    const steps = listSteps(rule);
+    steps.forEach(({ action, delaySeconds }, index) => {
+      if (ruleProgress.firedSteps.has(index) || seconds < rule.condition.thresholdSeconds + delaySeconds) {
+        return;
+      }
+      if (ruleProgress.firedSteps.size === 0) {
+        // クールダウンはセッション単位で判定し、最初の段階が抑止されたらそのセッションの段階はすべて出さない。
+        if (!strict && ruleProgress.lastTriggeredAt > 0 && now - ruleProgress.lastTriggeredAt < rule.cooldownSeconds * 1000) {
+          ruleProgress.suppressed = true;
+          return;
+        }
+        ruleProgress.lastTriggeredAt = now;
+        ruleProgress.suppressed = false;
+      }
+      if (ruleProgress.suppressed) {
+        return;
+      }
+      ruleProgress.firedSteps.add(index);
+      if (!action) {
+        // 組み込みアラートのログ (phone_alert / absence_alert) は状態機械が記録する。
+        onBuiltinAlert(rule, { now, seconds });
+        return;
+      }
+      recordLog({
+        type: 'alert_rule_triggered',
+        detectedAt: now,
+        durationSeconds: seconds,
+        meta: {
+          ruleId: rule.id,
+          ruleName: rule.name,
+          condition: rule.condition.type,
+          thresholdSeconds: rule.condition.thresholdSeconds,
+          action: action.type,
+          step: index + 1,
+          stepCount: steps.length,
+        },
+      });
+      onAction(action, { rule, seconds, step: index + 1, stepCount: steps.length });
+    });
+  }
+
+  /**
+   * 有効なルールをすべて評価する。状態機械の process の直後に同じ時刻で呼ぶ。
+   * @param {number} now
+   */
+  function evaluate(now) {
+    const rules = getRules() || [];
+    const activeIds = new Set();
+    rules.forEach((rule) => {
+      if (!(rule.enabled || isStrictPhoneRule(rule)) || (!rule.builtin && rule.actions.length === 0)) {
+        return;
+      }
+      activeIds.add(rule.id);
+      evaluateRule(rule, now);
+    });
+    // 削除・無効化されたルールの進行状況は捨て、再度有効にしたら最初の段階から数える。
+    progress.forEach((_value, ruleId) => {
+      if (!activeIds.has(ruleId)) {
+        progress.delete(ruleId);
+      }
+    });
+  }
+
+  return {
+    evaluate,
+  };
+}
@@ -1,91 +1,289 @@
 /**
- * アラート通知（スマホ/不在）の集約モジュール。
- * - サウンド・デスクトップ通知・VOICEVOX 読み上げを一箇所にまとめる。
+ * アラート通知（スマホ/厳格モード/不在/物体ウォッチ/姿勢・着席/滞在上限/利用時間の予算/アラートルール）の集約モジュール。
+ * - サウンド・デスクトップ通知・VOICEVOX 読み上げ・Slack 投稿を runAlertActions に一本化し、
+ *   組み込みのアラートもアラートルールの行動も同じ経路で実行する。
  */
 import { queueVoicevoxSpeech } from '../services/tts-adapter.js';
 import { getMonitorState } from './context.js';
-import { addLog, recordDetectionLogEntry } from './logs.js';
+import { addLog } from './logs.js';
+import { PHONE_STATES, OBJECT_WATCH_MODES, STRICT_MODE_CONSTANTS, DWELL_LIMIT_TARGET_LABELS } from '../../constants/monitor.js';
+import { getClassLabel } from '../../constants/yolo-classes.js';
+import { SCREEN_TIME_BUDGET_LEVELS } from '../../constants/screen-time-budgets.js';
+import {
+  ALERT_RULE_ACTIONS,
+  ALERT_RULE_ACTION_LABELS,
+  ALERT_RULE_CONDITION_LABELS,
+} from '../../constants/alert-rules.js';
+
+// スマホの状態ごとの文言。手に持っている場合と映っているだけの場合で呼びかけを変える。
+const PHONE_ALERT_MESSAGES = Object.freeze({
+  [PHONE_STATES.HELD]: {
+    log: '⚠️ スマホを手に持っています！',
+    title: '⚠️ スマホ操作アラート',
+    body: (threshold) => `スマホを${threshold}秒以上手に持っています`,
+    speech: 'スマホを手に持っています。作業に集中しましょう。',
+  },
+  [PHONE_STATES.VISIBLE]: {
+    log: '⚠️ スマホが検知されました！',
+    title: '⚠️ スマホ検知アラート',
+    body: (threshold) => `スマホが${threshold}秒以上検知されています`,
+    speech: 'スマホが検知されています。作業に集中しましょう。',
+  },
+});
 
 /**
  * スマホ検知アラートを発火させる。
- * - クールダウンや音声通知などの副作用もここで一括処理する。
+ * - 音声通知などの副作用をここで一括処理する。発火判定は組み込みのアラートルール、phone_alert ログの記録は detection-state.js が行う。
+ * @param {'held'|'visible'} [phoneState] 発火時点のスマホの状態
+ * @param {number} thresholdSeconds 発火させたルールの閾値 (秒)
  */
-export async function triggerPhoneAlert() {
-  const state = getMonitorState();
-  const { settings } = state;
-  state.phoneAlertTriggered = true;
-  addLog('⚠️ スマホが検知されました！', 'alert');
-  recordDetectionLogEntry({
-    type: 'phone_alert',
-    detectedAt: Date.now(),
-    durationSeconds: state.phoneDetectionTime || null,
-    meta: { threshold: settings.phoneThreshold },
-  });
-
-  if (settings.soundEnabled) {
-    playAlertSound();
-  }
+export async function triggerPhoneAlert(phoneState = PHONE_STATES.VISIBLE, thresholdSeconds) {
+  const messages = PHONE_ALERT_MESSAGES[phoneState] || PHONE_ALERT_MESSAGES[PHONE_STATES.VISIBLE];
+  addLog(messages.log, 'alert');
 
-  if (settings.desktopNotification && window.electronAPI) {
-    await window.electronAPI.sendNotification({
-      title: '⚠️ スマホ検知アラート',
-      body: `スマホが${settings.phoneThreshold}秒以上検知されています`,
-    });
-  }
+  await runAlertActions([
+    { type: ALERT_RULE_ACTIONS.SOUND },
+    {
+      type: ALERT_RULE_ACTIONS.NOTIFICATION,
+      title: messages.title,
+      message: messages.body(thresholdSeconds),
+      acknowledgeable: true,
+    },
+    { type: ALERT_RULE_ACTIONS.VOICEVOX, message: messages.speech, speedScale: 1.05 },
+  ]);
+}
 
-  try {
-    await queueVoicevoxSpeech('スマホが検知されています。作業に集中しましょう。', {
-      speakerId: settings.voicevoxSpeaker,
-      speedScale: 1.05,
-    });
-  } catch (error) {
-    console.warn('[monitor-alerts] VOICEVOX 読み上げに失敗しました', error);
-  }
+// 厳格モードの繰り返しアラートの文言。段階 2 から使い、maxUrgencyLevel 以降は最後の文言を繰り返す。
+const STRICT_ESCALATION_SPEECHES = Object.freeze([
+  'まだスマホを持っています。机に置きましょう。',
+  'スマホを置いてください。今は集中する時間です。',
+  '今すぐスマホを置いてください！',
+]);
 
-  state.lastPhoneAlertAt = Date.now();
+/**
+ * 厳格モードでスマホを置くまで繰り返すアラート。段階が上がるほど読み上げを速く、強い抑揚にする。
+ * - 繰り返しごとのログは残さず、違反全体を strict_violation として状態機械が記録する。
+ * @param {{level:number, seconds:number}} detail
+ */
+export async function triggerStrictEscalation({ level, seconds }) {
+  const urgency = Math.min(level, STRICT_MODE_CONSTANTS.maxUrgencyLevel) - 1;
+  const speech = STRICT_ESCALATION_SPEECHES[Math.min(urgency, STRICT_ESCALATION_SPEECHES.length) - 1];
+  addLog(`🔒 厳格モード: スマホを ${seconds} 秒手放していません (${level} 回目)`, 'alert');
+
+  await runAlertActions([
+    { type: ALERT_RULE_ACTIONS.SOUND },
+    {
+      type: ALERT_RULE_ACTIONS.NOTIFICATION,
+      title: `🔒 厳格モード (${level} 回目)`,
+      message: `スマホを置くまで繰り返します (${seconds}秒経過)`,
+      acknowledgeable: true,
+    },
+    {
+      type: ALERT_RULE_ACTIONS.VOICEVOX,
+      message: speech,
+      speedScale: 1.05 + STRICT_MODE_CONSTANTS.speedScaleStep * urgency,
+      intonationScale: 1.0 + STRICT_MODE_CONSTANTS.intonationScaleStep * urgency,
+    },
+  ]);
 }
 
 /**
  * 不在検知アラートを発火させる。
  * - 不在許可中は抑止し、VOICEVOX 読み上げを実行する。
+ * @param {number} thresholdSeconds 発火させたルールの閾値 (秒)
  */
-export async function triggerAbsenceAlert() {
-  const state = getMonitorState();
-  if (state.absenceOverrideState?.active) {
+export async function triggerAbsenceAlert(thresholdSeconds) {
+  if (getMonitorState().absenceOverrideState?.active) {
     return;
   }
-  const { settings } = state;
 
-  state.absenceAlertTriggered = true;
   addLog('⚠️ 不在が検知されました！', 'alert');
-  recordDetectionLogEntry({
-    type: 'absence_alert',
-    detectedAt: Date.now(),
-    durationSeconds: state.absenceDetectionTime || null,
-    meta: { threshold: settings.absenceThreshold },
-  });
-
-  if (settings.soundEnabled) {
-    playAlertSound();
-  }
 
-  if (settings.desktopNotification && window.electronAPI) {
-    await window.electronAPI.sendNotification({
+  await runAlertActions([
+    { type: ALERT_RULE_ACTIONS.SOUND },
+    {
+      type: ALERT_RULE_ACTIONS.NOTIFICATION,
       title: '⚠️ 不在検知アラート',
-      body: `${settings.absenceThreshold}秒以上不在です`,
-    });
-  }
+      message: `${thresholdSeconds}秒以上不在です`,
+      acknowledgeable: true,
+    },
+    { type: ALERT_RULE_ACTIONS.VOICEVOX, message: '離席が続いています。席に戻りましょう。', speedScale: 1.0 },
+  ]);
+}
+
+/**
+ * 持ち主の背後に別の人物が映り続けていることを知らせる。
+ * - 覗き見への注意喚起が目的のため、音と読み上げは使わずログとデスクトップ通知だけにとどめる。
+ */
+export async function triggerAdditionalPersonAlert() {
+  addLog('👀 背後に別の人物が映っています', 'alert');
+
+  await runAlertActions([
+    { type: ALERT_RULE_ACTIONS.NOTIFICATION, title: '👀 背後の人物', message: '画面を見られていないか確認してください' },
+  ]);
+}
+
+/**
+ * 物体ウォッチの閾値超過を知らせる。
+ * - 文言が空のウォッチは「カップが 120 分見当たりません」のようにクラス名と経過時間から作る。
+ * @param {{watch:Object, durationSeconds:number}} detail
+ */
+export async function triggerObjectWatchAlert({ watch, durationSeconds }) {
+  const label = getClassLabel(watch.className);
+  const minutes = Math.floor(durationSeconds / 60);
+  const message =
+    watch.message ||
+    (watch.mode === OBJECT_WATCH_MODES.VISIBLE ? `${label}が${minutes}分映っています` : `${label}が${minutes}分見当たりません`);
+  addLog(`👁️ ${message}`, 'alert');
+
+  await runAlertActions([
+    { type: ALERT_RULE_ACTIONS.SOUND },
+    { type: ALERT_RULE_ACTIONS.NOTIFICATION, title: `👁️ 物体ウォッチ: ${label}`, message },
+    { type: ALERT_RULE_ACTIONS.VOICEVOX, message, speedScale: 1.0 },
+  ]);
+}
+
+/**
+ * 前面アプリ・ドメインの滞在上限の超過を知らせる。スマホ検知と同じく音・通知・読み上げを使う。
+ * - 文言が空の上限は「x.com を 10 分続けて見ています」のように対象と経過時間から作る。
+ * @param {{limit:Object, reason:'stretch'|'daily', stretchSeconds:number, dailySeconds:number}} detail
+ */
+export async function triggerDwellLimitAlert({ limit, reason, stretchSeconds, dailySeconds }) {
+  const message =
+    limit.message ||
+    (reason === 'stretch'
+      ? `${limit.pattern} を${Math.floor(stretchSeconds / 60)}分続けて見ています`
+      : `今日は ${limit.pattern} を合計${Math.floor(dailySeconds / 60)}分見ています`);
+  addLog(`⏳ ${message}`, 'alert');
+
+  await runAlertActions([
+    { type: ALERT_RULE_ACTIONS.SOUND },
+    { type: ALERT_RULE_ACTIONS.NOTIFICATION, title: `⏳ 滞在上限: ${DWELL_LIMIT_TARGET_LABELS[limit.target]} ${limit.pattern}`, message },
+    { type: ALERT_RULE_ACTIONS.VOICEVOX, message: `${message}。作業に戻りましょう。`, speedScale: 1.0 },
+  ]);
+}
+
+/**
+ * 利用時間の予算の残りわずか (80%) と超過 (100%) を知らせる。
+ * - 残りわずかは予告なので警告音は鳴らさず、超過はスマホ検知と同じく音・通知・読み上げを使う。
+ * @param {{key:string, minutes:number, usedMinutes:number, remainingMinutes:number, level:'warning'|'exceeded'}} budget
+ */
+export async function triggerScreenTimeBudgetAlert(budget) {
+  const exceeded = budget.level === SCREEN_TIME_BUDGET_LEVELS.EXCEEDED;
+  const message = exceeded
+    ? `今日の ${budget.key} の予算 ${budget.minutes}分を使い切りました`
+    : `今日の ${budget.key} の予算は残り${budget.remainingMinutes}分です`;
+  addLog(`⏱️ ${message}`, exceeded ? 'alert' : 'info');
 
-  try {
-    await queueVoicevoxSpeech('離席が続いています。席に戻りましょう。', {
-      speakerId: settings.voicevoxSpeaker,
-      speedScale: 1.0,
-    });
-  } catch (error) {
-    console.warn('[monitor-alerts] VOICEVOX 読み上げに失敗しました', error);
+  await runAlertActions([
+    ...(exceeded ? [{ type: ALERT_RULE_ACTIONS.SOUND }] : []),
+    { type: ALERT_RULE_ACTIONS.NOTIFICATION, title: exceeded ? '⏱️ 利用時間の予算を超過' : '⏱️ 利用時間の予算が残りわずか', message },
+    { type: ALERT_RULE_ACTIONS.VOICEVOX, message, speedScale: 1.0 },
+  ]);
+}
+
+/**
+ * 画面に近づきすぎた姿勢が続いていることを知らせる。
+ * @param {{relativeSize:number, durationSeconds:number}} detail
+ */
+export async function triggerPostureAlert({ relativeSize }) {
+  addLog(`🧍 画面に近づきすぎています (基準の ${relativeSize} 倍)`, 'alert');
+
+  await runAlertActions([
+    { type: ALERT_RULE_ACTIONS.SOUND },
+    { type: ALERT_RULE_ACTIONS.NOTIFICATION, title: '🧍 姿勢アラート', message: '画面に近づきすぎています。背筋を伸ばしましょう' },
+    { type: ALERT_RULE_ACTIONS.VOICEVOX, message: '画面に近づきすぎています。姿勢を戻しましょう。', speedScale: 1.0 },
+  ]);
+}
+
+/**
+ * 座り続けていることを知らせ、立ち上がりやストレッチを促す。
+ * - 休憩の提案なので警告音は鳴らさず、通知と読み上げだけにする。
+ * @param {{sittingMinutes:number}} detail
+ */
+export async function triggerSittingReminder({ sittingMinutes }) {
+  addLog(`🪑 ${sittingMinutes}分座り続けています`, 'info');
+
+  await runAlertActions([
+    { type: ALERT_RULE_ACTIONS.NOTIFICATION, title: '🪑 休憩のすすめ', message: `${sittingMinutes}分座り続けています。立ち上がってストレッチしましょう` },
+    { type: ALERT_RULE_ACTIONS.VOICEVOX, message: '座りっぱなしです。少し立ち上がってストレッチしましょう。', speedScale: 1.0 },
+  ]);
+}
+
+/**
+ * アラートルールの 1 段階分の行動を実行する。
+ * - 文言が空の行動は「ルール名: 条件が N 秒続いています」を使う。
+ * - stepCount は組み込みの段階 (スマホ / 不在アラート本体) を含めた段階数。
+ * @param {{type:string, message:string}} action
+ * @param {{rule:Object, seconds:number, step:number, stepCount:number}} context
+ */
+export async function triggerAlertRuleAction(action, { rule, seconds, step, stepCount }) {
+  const conditionLabel = ALERT_RULE_CONDITION_LABELS[rule.condition.type] || rule.condition.type;
+  const message = action.message || `${conditionLabel}状態が${seconds}秒続いています`;
+  addLog(`🔔 ${rule.name} (${step}/${stepCount}): ${ALERT_RULE_ACTION_LABELS[action.type] || action.type}`, 'alert');
+
+  await runAlertActions([
+    {
+      type: action.type,
+      title: `🔔 ${rule.name}`,
+      message: action.type === ALERT_RULE_ACTIONS.SLACK ? `:rotating_light: ${rule.name}: ${message}` : message,
+    },
+  ]);
+}
+
+/**
+ * アラートの行動を順に実行する。すべてのアラートはここを通る。
+ * - 音とデスクトップ通知は通知設定の ON/OFF に従う。1 つが失敗しても残りの行動は続ける。
+ * - acknowledgeable な通知はクリックするとアラートを確認したことになる (スマホ / 不在のみ)。
+ * @param {Array<{type:string, title?:string, message?:string, speedScale?:number, intonationScale?:number, acknowledgeable?:boolean}>} actions
+ */
+export async function runAlertActions(actions) {
+  const { settings } = getMonitorState();
+  for (const action of actions) {
+    try {
+      await runAlertAction(action, settings);
+    } catch (error) {
+      console.warn(`[monitor-alerts] ${ALERT_RULE_ACTION_LABELS[action.type] || action.type} に失敗しました`, error);
+    }
   }
+}
 
-  state.lastAbsenceAlertAt = Date.now();
+async function runAlertAction(action, settings) {
+  switch (action.type) {
+    case ALERT_RULE_ACTIONS.SOUND:
+      if (settings.soundEnabled) {
+        playAlertSound();
+      }
+      return;
+    case ALERT_RULE_ACTIONS.NOTIFICATION:
+      if (settings.desktopNotification && window.electronAPI) {
+        await window.electronAPI.sendNotification({
+          title: action.title,
+          body: action.message,
+          acknowledgeable: action.acknowledgeable === true,
+        });
+      }
+      return;
+    case ALERT_RULE_ACTIONS.VOICEVOX:
+      await queueVoicevoxSpeech(action.message, {
+        speakerId: settings.voicevoxSpeaker,
+        speedScale: action.speedScale ?? 1.0,
+        intonationScale: action.intonationScale,
+      });
+      return;
+    case ALERT_RULE_ACTIONS.SLACK: {
+      if (!window.electronAPI?.alertRulesPostSlack) {
+        return;
+      }
+      const response = await window.electronAPI.alertRulesPostSlack(action.message);
+      if (!response?.success) {
+        throw new Error(response?.error || 'Slack 投稿に失敗しました');
+      }
+      return;
+    }
+    default:
+      console.warn('[monitor-alerts] 未対応の行動です', action.type);
+  }
 }
 
 /**
@@ -0,0 +1,161 @@
+/**
+ * カメラ映像の健全性チェック。
+ * - レンズが塞がれた / 部屋が暗い / 映像トラックが止まった状態では人物が映らず、不在と区別できない。
+ *   縮小輝度フレームの明るさ・ばらつき・ハッシュの変化と MediaStreamTrack の状態から異常を判定する。
+ * - 異常が確定している間は state.cameraUnhealthy を立て、状態機械が不在を数えないようにする。
+ */
+import { getMonitorState } from './context.js';
+import { addLog, recordDetectionLogEntry } from './logs.js';
+import { updateCameraHealthBanner } from './render.js';
+import { CAMERA_HEALTH_CONSTANTS, CAMERA_HEALTH_REASONS, formatCameraHealthReasons } from '../../constants/monitor.js';
+
+/**
+ * 縮小輝度の FNV-1a ハッシュ。映像停止の判定に使うため、1 画素でも違えば別の値になればよい。
+ */
+function hashSignature(signature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < signature.length; i++) {
+    hash ^= signature[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function measureBrightness(signature) {
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < signature.length; i++) {
+    sum += signature[i];
+    sumSquares += signature[i] * signature[i];
+  }
+  const mean = sum / signature.length;
+  const variance = Math.max(sumSquares / signature.length - mean * mean, 0);
+  return { brightness: mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * 監視に使うカメラトラックを登録する。
+ * - ended / mute はフレーム内容からは分からないため、トラックの状態も併せて判定に使う。
+ * @param {MediaStream|null} stream
+ */
+export function attachCameraTrack(stream) {
+  const health = getMonitorState().cameraHealth;
+  if (health.track) {
+    health.track.removeEventListener('ended', handleTrackEnded);
+  }
+  health.track = stream?.getVideoTracks?.()[0] ?? null;
+  health.track?.addEventListener('ended', handleTrackEnded);
+}
+
+function handleTrackEnded() {
+  addLog('📷 カメラトラックが終了しました', 'alert');
+}
+
+function collectReasons(signature, now) {
+  const health = getMonitorState().cameraHealth;
+  const reasons = [];
+  const { track } = health;
+  if (track?.readyState === 'ended') {
+    reasons.push(CAMERA_HEALTH_REASONS.TRACK_ENDED);
+  } else if (track?.muted) {
+    reasons.push(CAMERA_HEALTH_REASONS.TRACK_MUTED);
+  }
+
+  if (!signature) {
+    return reasons;
+  }
+
+  const { brightness, stdDev } = measureBrightness(signature);
+  health.brightness = brightness;
+  health.stdDev = stdDev;
+  if (brightness < CAMERA_HEALTH_CONSTANTS.darkBrightnessMax) {
+    reasons.push(CAMERA_HEALTH_REASONS.DARK);
+  } else if (stdDev < CAMERA_HEALTH_CONSTANTS.coveredStdDevMax) {
+    // 暗い画面はばらつきも小さいため、暗さに該当しない一様な画面だけを「塞がれている」とする。
+    reasons.push(CAMERA_HEALTH_REASONS.COVERED);
+  }
+
+  const hash = hashSignature(signature);
+  if (hash !== health.lastFrameHash) {
+    health.lastFrameHash = hash;
+    health.frameHashSince = now;
+  } else if (now - health.frameHashSince >= CAMERA_HEALTH_CONSTANTS.frozenFrameMs) {
+    reasons.push(CAMERA_HEALTH_REASONS.FROZEN);
+  }
+  return reasons;
+}
+
+/**
+ * 現在フレームの縮小輝度からカメラの健全性を更新する。
+ * - 異常 / 正常のどちらも一定時間続いてから確定し、確定時に camera_unhealthy_start / _end を記録する。
+ * @param {Uint8Array|null} signature 縮小輝度 (motion-gate の captureLumaSignature)
+ * @param {number} [now]
+ */
+export function updateCameraHealth(signature, now = Date.now()) {
+  const state = getMonitorState();
+  const health = state.cameraHealth;
+  const reasons = collectReasons(signature, now);
+  health.currentReasons = reasons;
+  reasons.forEach((reason) => health.reasons.add(reason));
+  applyHealthTransition(reasons.length > 0, now);
+  // 復帰の確定待ちで今の理由が空になっても、異常中は期間内に観測した理由を出し続ける。
+  updateCameraHealthBanner(
+    state.cameraUnhealthy
+      ? formatCameraHealthReasons(reasons.length > 0 ? reasons : Array.from(health.reasons))
+      : null,
+  );
+}
+
+function applyHealthTransition(unhealthyNow, now) {
+  const state = getMonitorState();
+  const health = state.cameraHealth;
+  if (unhealthyNow === state.cameraUnhealthy) {
+    health.candidateSince = 0;
+    if (!unhealthyNow) {
+      health.reasons.clear();
+    }
+    return;
+  }
+
+  if (health.candidateSince === 0) {
+    health.candidateSince = now;
+  }
+  const confirmMs = unhealthyNow
+    ? CAMERA_HEALTH_CONSTANTS.unhealthyConfirmMs
+    : CAMERA_HEALTH_CONSTANTS.healthyConfirmMs;
+  if (now - health.candidateSince < confirmMs) {
+    return;
+  }
+
+  if (unhealthyNow) {
+    // 異常の期間は最初に兆候が出た時点から数え、確定待ちの間の不在も統計から外れるようにする。
+    state.cameraUnhealthy = true;
+    health.unhealthySince = health.candidateSince;
+    health.candidateSince = 0;
+    addLog(`📷 カメラ映像に異常があります: ${formatCameraHealthReasons(health.currentReasons)}`, 'alert');
+    recordDetectionLogEntry({
+      type: 'camera_unhealthy_start',
+      detectedAt: health.unhealthySince,
+      meta: {
+        reasons: health.currentReasons,
+        brightness: Math.round(health.brightness ?? 0),
+        stdDev: Math.round((health.stdDev ?? 0) * 10) / 10,
+      },
+    });
+    return;
+  }
+
+  const resolvedAt = health.candidateSince;
+  const durationSeconds = Math.floor((resolvedAt - health.unhealthySince) / 1000);
+  addLog('📷 カメラ映像が復帰しました', 'info');
+  recordDetectionLogEntry({
+    type: 'camera_unhealthy_end',
+    detectedAt: resolvedAt,
+    durationSeconds: durationSeconds > 0 ? durationSeconds : null,
+    meta: { reasons: Array.from(health.reasons), startedAt: health.unhealthySince },
+  });
+  state.cameraUnhealthy = false;
+  health.unhealthySince = 0;
+  health.candidateSince = 0;
+  health.reasons.clear();
+}
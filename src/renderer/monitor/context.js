@@ -4,6 +4,8 @@
  * - 直接代入ではなく本モジュールのセッターを通すことで、初期化順序の不整合を避ける。
  */
 import { DEFAULT_MONITOR_SETTINGS, MONITOR_TIMING_CONSTANTS, MONITOR_UI_CONSTANTS } from '../../constants/monitor.js';
+import { DEFAULT_SNAPSHOT_SETTINGS } from '../../constants/snapshots.js';
+import { createDetectionSessionState } from './detection-state.js';
 
 const monitorState = {
   elements: {
@@ -14,31 +16,66 @@ const monitorState = {
     overrideStatusText: null,
     cameraContainer: null,
     monitorIndicator: null,
+    inferenceMetrics: null,
+    regionEditorHint: null,
+    cameraHealthBanner: null,
+    cameraHealthText: null,
+    alertAckButton: null,
+    strictModeBadge: null,
+    screenTimeBudgetBadge: null,
+    screenTimeBudgetText: null,
   },
   ctx: null,
   renderHandle: null,
   isMonitoring: false,
+  // configStore に保存されたアラートルール (monitor/settings.js の initializeAlertRules が読み込む)。
+  alertRules: [],
+  // アラート時スナップショットの設定 (configStore の snapshotSettings。monitor/settings.js が読み込む)。
+  snapshotSettings: DEFAULT_SNAPSHOT_SETTINGS,
   mediaStream: null,
-  detectionInterval: null,
+  // 検知ループの次回タイマーと、電源状態・在席の安定度から決めた現在の間隔 (monitor/scheduler.js)。
+  detectionSchedule: {
+    timerId: null,
+    powerState: { locked: false, suspended: false, onBattery: false },
+    mode: null,
+    intervalMs: null,
+    modeSince: 0,
+    stableSince: 0,
+  },
   activeWindowInterval: null,
   lastDetections: [],
   lastDetectionTime: 0,
-  phoneDetectionTime: 0,
-  absenceDetectionTime: 0,
-  phoneDetectionStartTime: 0,
-  absenceDetectionStartTime: 0,
-  phoneAlertTriggered: false,
-  absenceAlertTriggered: false,
-  phoneClearCandidateSince: 0,
-  absenceClearCandidateSince: 0,
-  absenceRecoveryDetectedAt: 0,
-  lastPhoneAlertAt: 0,
-  lastAbsenceAlertAt: 0,
-  lastPhoneDetectedTime: 0,
-  lastPersonDetectedTime: 0,
+  detectionInFlight: false,
+  captureCanvas: null,
+  captureCtx: null,
+  inferenceMetrics: null,
+  droppedFrames: 0,
+  motionGate: {
+    canvas: null,
+    ctx: null,
+    referenceSignature: null,
+    lastInferenceAt: 0,
+    averageCostMs: 0,
+    lastScore: null,
+    skippedFrames: 0,
+    bucket: null,
+  },
+  cameraHealth: {
+    track: null,
+    brightness: null,
+    stdDev: null,
+    lastFrameHash: null,
+    frameHashSince: 0,
+    candidateSince: 0,
+    unhealthySince: 0,
+    currentReasons: [],
+    // 異常期間中に観測した理由の和集合 (終了ログに残す)
+    reasons: new Set(),
+  },
+  // スマホ / 不在の判定状態。タイマー表示やアラートからも参照する。
+  ...createDetectionSessionState(),
   settings: null,
   previewEnabled: true,
-  absenceOverrideState: null,
   previousAbsenceOverrideEntry: null,
   lastActiveWindowInfo: null,
   lastActiveWindowStart: 0,
@@ -0,0 +1,633 @@
+/**
+ * スマホ / 不在 / 背後の人物の状態判定 (検知結果 → セッション・アラート) を担う状態機械。
+ * - 時刻は呼び出し側から受け取り、ログ記録や通知は effects に委ねる。DOM や electronAPI には触れない。
+ * - スマホ / 不在アラートを出すかどうか (閾値・クールダウン・ON/OFF) はアラートルールの評価器 (monitor/alert-rules.js) が決め、
+ *   ここは raiseBuiltinAlert で受けてセッションに印を付け、phone_alert / absence_alert を記録する。
+ * - 監視画面 (monitor/detection.js) とオフラインリプレイ (scripts/replay-detection.js) が同じ実装を使い、
+ *   閾値を変えたときの挙動を録画で再現できるようにする。
+ */
+import {
+  DEFAULT_MONITOR_SETTINGS,
+  MONITOR_TIMING_CONSTANTS,
+  PHONE_STATES,
+  OBJECT_WATCH_CONSTANTS,
+  OBJECT_WATCH_MODES,
+  isStrictModeActive,
+} from '../../constants/monitor.js';
+import { ALERT_RULE_BUILTINS } from '../../constants/alert-rules.js';
+import { classifyPhoneHolding } from './phone-holding.js';
+import { createObjectTracker } from './tracker.js';
+
+/**
+ * 状態機械が読み書きするフィールドの初期値を返す。
+ * - 監視画面では monitorState に展開し、タイマー表示などから同じ値を参照する。
+ */
+export function createDetectionSessionState() {
+  return {
+    lastDetectionModel: null,
+    phoneDetectionTime: 0,
+    absenceDetectionTime: 0,
+    phoneDetectionStartTime: 0,
+    absenceDetectionStartTime: 0,
+    phoneAlertTriggered: false,
+    absenceAlertTriggered: false,
+    phoneClearCandidateSince: 0,
+    absenceClearCandidateSince: 0,
+    absenceRecoveryDetectedAt: 0,
+    lastPhoneAlertAt: 0,
+    lastAbsenceAlertAt: 0,
+    // 発火中のアラートを利用者が確認した時刻。未確認なら 0 (acknowledgeAlerts が更新する)。
+    phoneAlertAcknowledgedAt: 0,
+    absenceAlertAcknowledgedAt: 0,
+    // 厳格モードかどうか (判定のたびに更新)。違反中は { startedAt, level, lastEscalatedAt } を持つ。
+    strictModeActive: false,
+    strictViolation: null,
+    lastPhoneDetectedTime: 0,
+    lastPhoneHeldTime: 0,
+    phoneHeldSince: 0,
+    phoneHeldAccumulatedMs: 0,
+    phoneHolding: { state: null, phones: [] },
+    phoneSessionTrackIds: new Set(),
+    tracker: createObjectTracker(),
+    lastOwnerTrackId: null,
+    absenceOwnerTrackId: null,
+    reportedAdditionalPersonTrackIds: new Set(),
+    lastPersonDetectedTime: 0,
+    absenceOverrideState: null,
+    // カメラ映像が使えない (レンズが塞がれた / 暗い / 停止した) 間は true。monitor/camera-health.js が更新する。
+    cameraUnhealthy: false,
+    // 物体ウォッチ ID → { className, visible, since, lastSeenAt, switchCandidateSince, alerted }
+    objectWatchSessions: new Map(),
+  };
+}
+
+const NOOP = () => {};
+
+/**
+ * 状態機械を生成する。
+ * @param {Object} deps
+ * @param {Object} deps.state createDetectionSessionState() のフィールドを持つオブジェクト (直接書き換える)
+ * @param {() => Object} [deps.getSettings] 判定時点の監視設定
+ * @param {Object} [deps.timing] MONITOR_TIMING_CONSTANTS の上書き (補間窓などの調整用)
+ * @param {(now:number, settings:Object) => boolean} [deps.isStrictMode] 厳格モードか。既定は手動の切り替えだけを見る
+ * @param {Object} [deps.effects]
+ * @param {(entry:{type:string, detectedAt:number, durationSeconds:number|null, responseSeconds?:number|null, meta:Object|null}) => void} [deps.effects.recordLog] detection_logs へ記録する
+ * @param {(phoneState:string, thresholdSeconds:number) => void} [deps.effects.onPhoneAlert] スマホアラートの音・通知
+ * @param {(detail:{level:number, seconds:number}) => void} [deps.effects.onStrictEscalation] 厳格モードの繰り返しアラート
+ * @param {(thresholdSeconds:number) => void} [deps.effects.onAbsenceAlert] 不在アラートの音・通知
+ * @param {(detail:Object) => void} [deps.effects.onAdditionalPerson] 背後の人物の通知
+ * @param {(detail:{watch:Object, durationSeconds:number}) => void} [deps.effects.onObjectAlert] 物体ウォッチの通知
+ * @param {() => void} [deps.effects.onTimersChanged] 経過時間が変わった時の表示更新
+ */
+export function createDetectionStateMachine({
+  state,
+  getSettings = () => DEFAULT_MONITOR_SETTINGS,
+  timing = {},
+  isStrictMode = (_now, settings) => isStrictModeActive(settings, false),
+  effects = {},
+}) {
+  const {
+    phoneInterpolationWindowMs,
+    personInterpolationWindowMs,
+    phoneClearStableMs,
+    absenceClearStableMs,
+  } = { ...MONITOR_TIMING_CONSTANTS, ...timing };
+  const {
+    recordLog = NOOP,
+    onPhoneAlert = NOOP,
+    onStrictEscalation = NOOP,
+    onAbsenceAlert = NOOP,
+    onAdditionalPerson = NOOP,
+    onObjectAlert = NOOP,
+    onTimersChanged = NOOP,
+  } = effects;
+
+  const resolveSettings = () => getSettings() || DEFAULT_MONITOR_SETTINGS;
+
+  /**
+   * 検知結果をもとに補間付きの状態判定を行う。
+   * - スマホ/人物それぞれの時系列判定を更新する。
+   * @param {Array} detections 検知エリアで絞り込み済みの検知 (trackId 付き)
+   * @param {number} now 判定時刻 (ms)
+   */
+  function process(detections, now) {
+    const settings = resolveSettings();
+    state.strictModeActive = isStrictMode(now, settings);
+    const holding = classifyPhoneHolding(detections, settings);
+    state.phoneHolding = holding;
+    const phoneDetectedRaw = holding.state !== null;
+    const personDetectedRaw = detections.some(
+      (detection) => detection.class === 'person' && detection.confidence >= settings.absenceConfidence,
+    );
+
+    if (phoneDetectedRaw) {
+      state.lastPhoneDetectedTime = now;
+    }
+    if (holding.state === PHONE_STATES.HELD) {
+      state.lastPhoneHeldTime = now;
+    }
+    if (personDetectedRaw) {
+      state.lastPersonDetectedTime = now;
+    }
+
+    const phoneDetected = now - state.lastPhoneDetectedTime < phoneInterpolationWindowMs;
+    // 手に持った状態も同じ補間窓で保持し、手元で角度が変わって一瞬 visible になっても途切れないようにする。
+    const phoneHeld = phoneDetected && now - state.lastPhoneHeldTime < phoneInterpolationWindowMs;
+    const personDetected = now - state.lastPersonDetectedTime < personInterpolationWindowMs;
+
+    if (personDetectedRaw) {
+      // 不在開始時に「誰がいなくなったか」を記録するため、最後に見えていた持ち主を保持する。
+      state.lastOwnerTrackId = state.tracker.getOwnerTrackId() ?? state.lastOwnerTrackId;
+    }
+
+    handlePhoneDetection(phoneDetected, phoneHeld, holding, now, settings);
+    handleAbsenceDetection(personDetected, now);
+    handleAdditionalPersons(now, settings);
+    handleObjectWatches(detections, now, settings);
+  }
+
+  /**
+   * 物体ウォッチごとに「映っている / 見当たらない」の区間を更新する。
+   * - 切り替えは switchStableMs 続いてから確定し、兆候が出た時点で直前の区間を閉じて
+   *   object_visible_end / object_missing_end として記録する。
+   * - モードに合う区間 (visible なら映っている区間) が閾値に達したら、その区間につき 1 回だけ通知する。
+   */
+  function handleObjectWatches(detections, now, settings) {
+    const watches = (settings.objectWatches || []).filter((watch) => watch.enabled);
+    const activeIds = new Set(watches.map((watch) => watch.id));
+    state.objectWatchSessions.forEach((_session, watchId) => {
+      if (!activeIds.has(watchId)) {
+        state.objectWatchSessions.delete(watchId);
+      }
+    });
+    // 映像が使えない間は物体も映らないため、区間を切り替えずに保留する。
+    if (state.cameraUnhealthy) {
+      return;
+    }
+
+    watches.forEach((watch) => {
+      const seen = detections.some((detection) => detection.class === watch.className);
+      let session = state.objectWatchSessions.get(watch.id);
+      if (!session || session.className !== watch.className) {
+        session = {
+          className: watch.className,
+          visible: seen,
+          since: now,
+          lastSeenAt: 0,
+          switchCandidateSince: 0,
+          alerted: false,
+        };
+        state.objectWatchSessions.set(watch.id, session);
+      }
+      if (seen) {
+        session.lastSeenAt = now;
+      }
+
+      const visible = session.lastSeenAt > 0 && now - session.lastSeenAt < OBJECT_WATCH_CONSTANTS.interpolationWindowMs;
+      if (visible === session.visible) {
+        session.switchCandidateSince = 0;
+      } else {
+        if (session.switchCandidateSince === 0) {
+          session.switchCandidateSince = now;
+        }
+        if (now - session.switchCandidateSince >= OBJECT_WATCH_CONSTANTS.switchStableMs) {
+          const switchedAt = session.switchCandidateSince;
+          const durationSeconds = Math.floor((switchedAt - session.since) / 1000);
+          recordLog({
+            type: session.visible ? 'object_visible_end' : 'object_missing_end',
+            detectedAt: switchedAt,
+            durationSeconds: durationSeconds > 0 ? durationSeconds : null,
+            meta: { watchId: watch.id, className: watch.className, mode: watch.mode, startedAt: session.since },
+          });
+          session.visible = visible;
+          session.since = switchedAt;
+          session.switchCandidateSince = 0;
+          session.alerted = false;
+        }
+      }
+
+      const alertWhileVisible = watch.mode === OBJECT_WATCH_MODES.VISIBLE;
+      if (session.visible !== alertWhileVisible || session.alerted) {
+        return;
+      }
+      const durationSeconds = Math.floor((now - session.since) / 1000);
+      if (durationSeconds < watch.thresholdMinutes * 60) {
+        return;
+      }
+      session.alerted = true;
+      recordLog({
+        type: 'object_alert',
+        detectedAt: now,
+        durationSeconds,
+        meta: {
+          watchId: watch.id,
+          className: watch.className,
+          mode: watch.mode,
+          thresholdMinutes: watch.thresholdMinutes,
+        },
+      });
+      onObjectAlert({ watch, durationSeconds });
+    });
+  }
+
+  /**
+   * 持ち主の背後に別の人物が映り続けていないかを判定する。
+   * - 持ち主より十分小さく映る (= カメラから遠い) 人物だけを対象にし、隣に座る同僚は除外する。
+   * - 同じトラックについては 1 回だけ記録し、映り続けても通知を繰り返さない。
+   */
+  function handleAdditionalPersons(now, settings) {
+    if (!settings.additionalPersonAlertEnabled) {
+      return;
+    }
+
+    const persons = state.tracker.getVisibleTracks('person');
+    const ownerTrackId = state.tracker.getOwnerTrackId();
+    const owner = persons.find((track) => track.id === ownerTrackId);
+    if (!owner) {
+      return;
+    }
+    const ownerArea = owner.bbox[2] * owner.bbox[3];
+    const minDurationMs = settings.additionalPersonMinSeconds * 1000;
+
+    persons.forEach((track) => {
+      if (track.id === ownerTrackId || state.reportedAdditionalPersonTrackIds.has(track.id)) {
+        return;
+      }
+      const areaRatio = ownerArea > 0 ? (track.bbox[2] * track.bbox[3]) / ownerArea : 1;
+      if (areaRatio > settings.additionalPersonMaxAreaRatio || now - track.firstSeenAt < minDurationMs) {
+        return;
+      }
+      state.reportedAdditionalPersonTrackIds.add(track.id);
+      const detail = {
+        trackId: track.id,
+        ownerTrackId,
+        areaRatio: Math.round(areaRatio * 100) / 100,
+        durationSeconds: Math.floor((now - track.firstSeenAt) / 1000),
+      };
+      recordLog({
+        type: 'additional_person_detected',
+        detectedAt: now,
+        durationSeconds: detail.durationSeconds || null,
+        meta: { trackId: detail.trackId, ownerTrackId: detail.ownerTrackId, areaRatio: detail.areaRatio },
+      });
+      onAdditionalPerson(detail);
+    });
+
+    // 画面から消えたトラックは記録済み集合からも外し、集合が増え続けないようにする。
+    const visibleIds = new Set(persons.map((track) => track.id));
+    state.reportedAdditionalPersonTrackIds.forEach((trackId) => {
+      if (!visibleIds.has(trackId)) {
+        state.reportedAdditionalPersonTrackIds.delete(trackId);
+      }
+    });
+  }
+
+  /**
+   * 厳格モードの違反を進める。スマホアラートが出た時点で違反を始め、strictRepeatSeconds ごとに段階を上げて知らせる。
+   * - 途中で厳格モードに切り替えた場合は、その時点から違反として数える。
+   */
+  function updateStrictViolation(nowTs, settings) {
+    if (!state.strictViolation) {
+      state.strictViolation = { startedAt: nowTs, level: 1, lastEscalatedAt: nowTs };
+      return;
+    }
+    if (nowTs - state.strictViolation.lastEscalatedAt < settings.strictRepeatSeconds * 1000) {
+      return;
+    }
+    state.strictViolation.level += 1;
+    state.strictViolation.lastEscalatedAt = nowTs;
+    onStrictEscalation({
+      level: state.strictViolation.level,
+      seconds: Math.floor((nowTs - state.strictViolation.startedAt) / 1000),
+    });
+  }
+
+  /**
+   * セッション内でスマホを手に持っていた時間を積算する。
+   */
+  function updatePhoneHeldDuration(held, nowTs) {
+    if (held && state.phoneHeldSince === 0) {
+      state.phoneHeldSince = nowTs;
+    } else if (!held && state.phoneHeldSince !== 0) {
+      state.phoneHeldAccumulatedMs += nowTs - state.phoneHeldSince;
+      state.phoneHeldSince = 0;
+    }
+  }
+
+  function getPhoneHeldSeconds(nowTs) {
+    const currentMs = state.phoneHeldSince !== 0 ? nowTs - state.phoneHeldSince : 0;
+    return Math.floor((state.phoneHeldAccumulatedMs + currentMs) / 1000);
+  }
+
+  /**
+   * スマホセッションの状態を更新する。
+   * - セッションは held / visible を問わず「スマホが映っている間」で区切り、終了ログに手に持っていた秒数を残す。
+   */
+  function handlePhoneDetection(detected, held, holding, nowTs, settings) {
+    if (detected) {
+      const phoneTrackIds = holding.phones.map((result) => result.detection.trackId).filter(Number.isInteger);
+      if (state.phoneDetectionStartTime === 0) {
+        state.phoneDetectionStartTime = nowTs;
+        recordLog({
+          type: 'phone_detection_start',
+          detectedAt: state.phoneDetectionStartTime,
+          durationSeconds: null,
+          meta: {
+            model: state.lastDetectionModel?.id ?? null,
+            phoneState: held ? PHONE_STATES.HELD : PHONE_STATES.VISIBLE,
+            trackIds: phoneTrackIds,
+            ownerTrackId: state.tracker.getOwnerTrackId(),
+          },
+        });
+      }
+      phoneTrackIds.forEach((trackId) => state.phoneSessionTrackIds.add(trackId));
+      updatePhoneHeldDuration(held, nowTs);
+
+      state.phoneDetectionTime = Math.floor((nowTs - state.phoneDetectionStartTime) / 1000);
+      onTimersChanged();
+
+      if (state.strictModeActive && state.phoneAlertTriggered) {
+        updateStrictViolation(nowTs, settings);
+      }
+
+      state.phoneClearCandidateSince = 0;
+      return;
+    }
+
+    if (state.phoneDetectionStartTime === 0) {
+      state.phoneClearCandidateSince = 0;
+      return;
+    }
+
+    if (state.phoneClearCandidateSince === 0) {
+      state.phoneClearCandidateSince = nowTs;
+      // 見えなくなった時点で手持ち時間を止め、安定待ちの間にアラートルールの経過時間が伸びないようにする。
+      updatePhoneHeldDuration(false, nowTs);
+      return;
+    }
+
+    if (nowTs - state.phoneClearCandidateSince < phoneClearStableMs) {
+      return;
+    }
+
+    updatePhoneHeldDuration(false, nowTs);
+    const heldSeconds = getPhoneHeldSeconds(nowTs);
+    const durationSeconds = Math.floor((nowTs - state.phoneDetectionStartTime) / 1000);
+    recordLog({
+      type: 'phone_detection_end',
+      detectedAt: nowTs,
+      durationSeconds: durationSeconds > 0 ? durationSeconds : null,
+      // スマホが見えなくなった時点 (安定待ちの開始) を条件の解消とみなす。
+      ...describeAlertResponse(state.phoneAlertTriggered, state.lastPhoneAlertAt, state.phoneClearCandidateSince),
+      meta: {
+        phoneState: heldSeconds > 0 ? PHONE_STATES.HELD : PHONE_STATES.VISIBLE,
+        heldSeconds,
+        trackIds: Array.from(state.phoneSessionTrackIds),
+        ...(state.phoneAlertTriggered ? { acknowledged: state.phoneAlertAcknowledgedAt > 0 } : {}),
+      },
+    });
+
+    if (state.strictViolation) {
+      // 繰り返しアラートは記録せず、違反 1 回分をスマホが見えなくなった時点でまとめて残す。
+      const { startedAt, level } = state.strictViolation;
+      const clearedAt = state.phoneClearCandidateSince;
+      recordLog({
+        type: 'strict_violation',
+        detectedAt: clearedAt,
+        durationSeconds: Math.max(Math.floor((clearedAt - startedAt) / 1000), 0),
+        meta: { startedAt, escalations: level - 1, maxLevel: level },
+      });
+      state.strictViolation = null;
+    }
+
+    state.phoneSessionTrackIds.clear();
+    state.phoneDetectionTime = 0;
+    state.phoneDetectionStartTime = 0;
+    state.phoneHeldSince = 0;
+    state.phoneHeldAccumulatedMs = 0;
+    state.phoneAlertTriggered = false;
+    state.phoneAlertAcknowledgedAt = 0;
+    state.phoneClearCandidateSince = 0;
+    onTimersChanged();
+  }
+
+  function handleAbsenceDetection(personDetected, nowTs) {
+    if (state.absenceOverrideState?.active) {
+      resetAbsence();
+      return;
+    }
+
+    if (state.cameraUnhealthy) {
+      // 映像が使えない間は人物が映らなくても不在とは判断できない。進行中の不在はここで打ち切り、以降は数えない。
+      if (state.absenceDetectionStartTime !== 0) {
+        const durationSeconds = Math.floor((nowTs - state.absenceDetectionStartTime) / 1000);
+        recordLog({
+          type: 'absence_detection_end',
+          detectedAt: nowTs,
+          durationSeconds: durationSeconds > 0 ? durationSeconds : null,
+          meta: {
+            ownerTrackId: state.absenceOwnerTrackId,
+            returnedTrackId: null,
+            sameTrack: false,
+            interruptedBy: 'camera_unhealthy',
+          },
+        });
+        resetAbsence();
+      }
+      return;
+    }
+
+    if (!personDetected) {
+      state.absenceClearCandidateSince = 0;
+      state.absenceRecoveryDetectedAt = 0;
+
+      if (state.absenceDetectionStartTime === 0) {
+        state.absenceDetectionStartTime = nowTs;
+        state.absenceOwnerTrackId = state.lastOwnerTrackId;
+        recordLog({
+          type: 'absence_detection_start',
+          detectedAt: state.absenceDetectionStartTime,
+          durationSeconds: null,
+          meta: { model: state.lastDetectionModel?.id ?? null, ownerTrackId: state.absenceOwnerTrackId },
+        });
+      }
+
+      state.absenceDetectionTime = Math.floor((nowTs - state.absenceDetectionStartTime) / 1000);
+      onTimersChanged();
+      return;
+    }
+
+    if (state.absenceDetectionStartTime === 0) {
+      state.absenceDetectionTime = 0;
+      state.absenceClearCandidateSince = 0;
+      state.absenceRecoveryDetectedAt = 0;
+      return;
+    }
+
+    if (state.absenceClearCandidateSince === 0) {
+      state.absenceClearCandidateSince = nowTs;
+      state.absenceRecoveryDetectedAt = nowTs;
+    } else if (!state.absenceRecoveryDetectedAt || nowTs < state.absenceRecoveryDetectedAt) {
+      state.absenceRecoveryDetectedAt = nowTs;
+    }
+
+    if (nowTs - state.absenceClearCandidateSince < absenceClearStableMs) {
+      return;
+    }
+
+    const resolvedAt = state.absenceRecoveryDetectedAt || nowTs;
+    const durationSecondsRaw = Math.floor((resolvedAt - state.absenceDetectionStartTime) / 1000);
+    const durationSeconds = durationSecondsRaw > 0 ? durationSecondsRaw : null;
+
+    // 戻ってきた人物のトラックが離席前と同じなら、短い隠れ (映り込みの欠落) だったと分かる。
+    const returnedTrackId = state.tracker.getOwnerTrackId();
+    recordLog({
+      type: 'absence_detection_end',
+      detectedAt: resolvedAt,
+      durationSeconds,
+      ...describeAlertResponse(state.absenceAlertTriggered, state.lastAbsenceAlertAt, resolvedAt),
+      meta: {
+        ownerTrackId: state.absenceOwnerTrackId,
+        returnedTrackId,
+        sameTrack: returnedTrackId !== null && returnedTrackId === state.absenceOwnerTrackId,
+        ...(state.absenceAlertTriggered ? { acknowledged: state.absenceAlertAcknowledgedAt > 0 } : {}),
+      },
+    });
+    state.absenceOwnerTrackId = null;
+
+    state.absenceDetectionTime = 0;
+    state.absenceDetectionStartTime = 0;
+    state.absenceAlertTriggered = false;
+    state.absenceAlertAcknowledgedAt = 0;
+    state.absenceClearCandidateSince = 0;
+    state.absenceRecoveryDetectedAt = 0;
+    state.lastAbsenceAlertAt = 0;
+    onTimersChanged();
+  }
+
+  /**
+   * 不在検知カウンタを初期化する。
+   * - 不在許可や別イベントで明示的にリセットしたい場合に使用する。
+   */
+  function resetAbsence() {
+    state.absenceOwnerTrackId = null;
+    state.absenceDetectionTime = 0;
+    state.absenceDetectionStartTime = 0;
+    state.absenceAlertTriggered = false;
+    state.absenceAlertAcknowledgedAt = 0;
+    state.absenceClearCandidateSince = 0;
+    state.absenceRecoveryDetectedAt = 0;
+    state.lastAbsenceAlertAt = 0;
+    onTimersChanged();
+  }
+
+  /**
+   * アラートルールの評価器が組み込みルールの閾値到達を知らせたときに、進行中のセッションへアラートを出す。
+   * - セッションが無い、またはこのセッションで発火済みなら何もしない。
+   * @param {string} builtin ALERT_RULE_BUILTINS のいずれか
+   * @param {number} now 発火時刻 (ms)
+   * @param {{ruleId:string, condition:string, thresholdSeconds:number}} detail 発火させたルール
+   * @returns {boolean} アラートを出したか
+   */
+  function raiseBuiltinAlert(builtin, now, { ruleId, condition, thresholdSeconds }) {
+    if (builtin === ALERT_RULE_BUILTINS.PHONE) {
+      if (state.phoneDetectionStartTime === 0 || state.phoneAlertTriggered) {
+        return false;
+      }
+      const phoneState = state.phoneHeldSince !== 0 ? PHONE_STATES.HELD : PHONE_STATES.VISIBLE;
+      state.lastPhoneAlertAt = now;
+      state.phoneAlertTriggered = true;
+      recordLog({
+        type: 'phone_alert',
+        detectedAt: now,
+        durationSeconds: state.phoneDetectionTime || null,
+        meta: {
+          threshold: thresholdSeconds,
+          phoneState,
+          ruleId,
+          condition,
+          trackIds: Array.from(state.phoneSessionTrackIds),
+          ownerTrackId: state.tracker.getOwnerTrackId(),
+        },
+      });
+      onPhoneAlert(phoneState, thresholdSeconds);
+      if (state.strictModeActive) {
+        updateStrictViolation(now, resolveSettings());
+      }
+      onTimersChanged();
+      return true;
+    }
+
+    if (builtin === ALERT_RULE_BUILTINS.ABSENCE) {
+      if (state.absenceDetectionStartTime === 0 || state.absenceAlertTriggered) {
+        return false;
+      }
+      state.lastAbsenceAlertAt = now;
+      state.absenceAlertTriggered = true;
+      recordLog({
+        type: 'absence_alert',
+        detectedAt: now,
+        durationSeconds: state.absenceDetectionTime || null,
+        meta: { threshold: thresholdSeconds, ruleId },
+      });
+      onAbsenceAlert(thresholdSeconds);
+      onTimersChanged();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 発火中でまだ確認されていないスマホ / 不在アラートを確認済みにし、alert_acknowledged を記録する。
+   * - セッションは閉じない。応答時間は条件が解消した時点で終了ログに残す。
+   * @param {number} now 確認した時刻 (ms)
+   * @param {string} source ALERT_ACK_SOURCES のいずれか
+   * @returns {Array<string>} 確認したアラートの種別 ('phone_alert' / 'absence_alert')
+   */
+  function acknowledgeAlerts(now, source) {
+    const pending = [
+      state.phoneAlertTriggered && state.phoneAlertAcknowledgedAt === 0
+        ? { alertType: 'phone_alert', alertAt: state.lastPhoneAlertAt, field: 'phoneAlertAcknowledgedAt' }
+        : null,
+      state.absenceAlertTriggered && state.absenceAlertAcknowledgedAt === 0
+        ? { alertType: 'absence_alert', alertAt: state.lastAbsenceAlertAt, field: 'absenceAlertAcknowledgedAt' }
+        : null,
+    ].filter(Boolean);
+
+    pending.forEach(({ alertType, alertAt, field }) => {
+      state[field] = now;
+      recordLog({
+        type: 'alert_acknowledged',
+        detectedAt: now,
+        durationSeconds: null,
+        responseSeconds: Math.max(Math.floor((now - alertAt) / 1000), 0),
+        meta: { alertType, alertAt, source },
+      });
+    });
+    if (pending.length > 0) {
+      onTimersChanged();
+    }
+    return pending.map(({ alertType }) => alertType);
+  }
+
+  return {
+    process,
+    resetAbsence,
+    raiseBuiltinAlert,
+    acknowledgeAlerts,
+  };
+}
+
+/**
+ * セッション終了ログに付ける応答時間を求める。アラートが出ていないセッションでは付けない。
+ * @param {boolean} alerted セッション中にアラートが出たか
+ * @param {number} alertAt アラートの時刻 (ms)
+ * @param {number} clearedAt 条件が解消した時刻 (ms)
+ * @returns {{responseSeconds:number}|{}}
+ */
+function describeAlertResponse(alerted, alertAt, clearedAt) {
+  if (!alerted || !alertAt) {
+    return {};
+  }
+  return { responseSeconds: Math.max(Math.floor((clearedAt - alertAt) / 1000), 0) };
+}
@@ -1,22 +1,88 @@
 /**
  * YOLO 推論および検知状態の更新を担当するモジュール。
- * - Canvas エンコード、electronAPI 呼び出し、各種タイマー更新をここに集約する。
+ * - フレーム取得、electronAPI 呼び出し、推論メトリクス、各種タイマー更新をここに集約する。
  */
-import { getMonitorState, MONITOR_TIMING_CONSTANTS, DEFAULT_MONITOR_SETTINGS } from './context.js';
-import { recordDetectionLogEntry } from './logs.js';
-import { triggerPhoneAlert, triggerAbsenceAlert } from './alerts.js';
-import { updateTimers, drawCameraFrame } from './render.js';
-
-const PHONE_INTERPOLATION_WINDOW = MONITOR_TIMING_CONSTANTS.phoneInterpolationWindowMs;
-const PERSON_INTERPOLATION_WINDOW = MONITOR_TIMING_CONSTANTS.personInterpolationWindowMs;
-const PHONE_CLEAR_STABLE_MS = MONITOR_TIMING_CONSTANTS.phoneClearStableMs;
-const ABSENCE_CLEAR_STABLE_MS = MONITOR_TIMING_CONSTANTS.absenceClearStableMs;
-const PHONE_ALERT_COOLDOWN_MS = MONITOR_TIMING_CONSTANTS.phoneAlertCooldownMs;
-const ABSENCE_ALERT_COOLDOWN_MS = MONITOR_TIMING_CONSTANTS.absenceAlertCooldownMs;
+import { getMonitorState, MONITOR_UI_CONSTANTS, DEFAULT_MONITOR_SETTINGS } from './context.js';
+import { addLog } from './logs.js';
+import {
+  triggerPhoneAlert,
+  triggerStrictEscalation,
+  triggerAbsenceAlert,
+  triggerAdditionalPersonAlert,
+  triggerObjectWatchAlert,
+  triggerPostureAlert,
+  triggerSittingReminder,
+  triggerAlertRuleAction,
+} from './alerts.js';
+import { updateTimers, updateStrictModeBadge, drawCameraFrame, updateInferenceMetrics } from './render.js';
+import { evaluateMotionGate, recordInferredFrame, recordSkippedFrame, captureLumaSignature } from './motion-gate.js';
+import { updateCameraHealth } from './camera-health.js';
+import { filterDetectionsByRegions } from './regions.js';
+import { createDetectionStateMachine } from './detection-state.js';
+import { createAlertRuleEngine } from './alert-rules.js';
+import { createPostureMonitor } from './posture.js';
+import { recordDetectionLogWithSnapshot } from './snapshots.js';
+import { getSchedules } from '../schedule/model.js';
+import { isScheduleInProgress } from '../schedule/utils.js';
+import { YOLO_ALL_CLASS_NAMES } from '../../constants/yolo-classes.js';
+import { getActiveDetectionClasses, isStrictModeActive, ALERT_ACK_SOURCE_LABELS } from '../../constants/monitor.js';
+
+const isScheduleActive = (now, windowMinutes) =>
+  getSchedules().some((schedule) => isScheduleInProgress(schedule, new Date(now), windowMinutes));
+
+const detectionStateMachine = createDetectionStateMachine({
+  state: getMonitorState(),
+  getSettings: () => getMonitorState().settings,
+  isStrictMode: (now, settings) =>
+    isStrictModeActive(
+      settings,
+      settings.strictModeDuringSchedule === true && isScheduleActive(now, settings.strictScheduleWindowMinutes),
+    ),
+  effects: {
+    recordLog: recordDetectionLogWithSnapshot,
+    onPhoneAlert: triggerPhoneAlert,
+    onStrictEscalation: triggerStrictEscalation,
+    onAbsenceAlert: triggerAbsenceAlert,
+    onAdditionalPerson: triggerAdditionalPersonAlert,
+    onObjectAlert: triggerObjectWatchAlert,
+    onTimersChanged: updateTimers,
+  },
+});
+
+const postureMonitor = createPostureMonitor({
+  state: getMonitorState(),
+  getSettings: () => getMonitorState().settings,
+  // 検知枠の座標はプレビュー Canvas の寸法が基準 (captureDetectionFrame 参照)。
+  getFrameSize: () => getMonitorState().elements.canvasElement,
+  effects: {
+    recordLog: recordDetectionLogWithSnapshot,
+    onTooClose: triggerPostureAlert,
+    onSittingReminder: triggerSittingReminder,
+  },
+});
+
+const alertRuleEngine = createAlertRuleEngine({
+  state: getMonitorState(),
+  getRules: () => getMonitorState().alertRules,
+  isScheduleActive,
+  effects: {
+    recordLog: recordDetectionLogWithSnapshot,
+    onAction: triggerAlertRuleAction,
+    onBuiltinAlert: (rule, { now }) =>
+      detectionStateMachine.raiseBuiltinAlert(rule.builtin, now, {
+        ruleId: rule.id,
+        condition: rule.condition.type,
+        thresholdSeconds: rule.condition.thresholdSeconds,
+      }),
+  },
+});
 
 /**
  * YOLOv11 を用いた検知処理を実行する。
- * - Canvas を JPEG 化し、メインプロセスで推論した結果を受け取る。
+ * - 検知専用の Canvas から RGBA 生ピクセルを取り出し、メインプロセス経由でワーカーに推論させる。
+ * - 推論中は次のフレームを送らずに破棄し、結果が映像から遅れていかないようにする。
+ * - モーションゲートが静止と判定したフレームは推論せず、直前の検知結果でタイマーだけを進める。
+ * - 推論の前にカメラ映像の健全性を判定し、異常中は状態機械が不在を数えないようにする。
  */
 export async function performDetection() {
   const state = getMonitorState();
@@ -24,202 +90,188 @@ export async function performDetection() {
     return;
   }
 
-  const { ctx } = state;
   const { videoElement, canvasElement } = state.elements;
-  if (!ctx || !videoElement || !canvasElement) {
+  if (!videoElement || !canvasElement) {
     return;
   }
 
+  if (state.detectionInFlight) {
+    state.droppedFrames += 1;
+    updateInferenceMetrics();
+    return;
+  }
+
+  const gateDecision = evaluateMotionGate(videoElement);
+  // モーションゲートが無効なときは縮小フレームが取られていないため、健全性チェック用に取り直す。
+  updateCameraHealth(gateDecision.signature ?? captureLumaSignature(videoElement));
+  if (!gateDecision.shouldInfer) {
+    const now = Date.now();
+    recordSkippedFrame(now);
+    // 静止シーンでは前回の結果がそのまま有効とみなす。processDetections を呼ばないと不在/スマホの経過時間が止まる。
+    state.tracker.keepAlive(now);
+    state.lastDetectionTime = now;
+    processDetections(state.lastDetections);
+    updateInferenceMetrics();
+    return;
+  }
+
+  state.detectionInFlight = true;
   try {
-    const frameDrawn = drawCameraFrame(ctx, videoElement, canvasElement);
-    if (!frameDrawn) {
+    const captureStartedAt = performance.now();
+    const frame = captureDetectionFrame(videoElement, canvasElement);
+    if (!frame) {
+      return;
+    }
+    const captureMs = performance.now() - captureStartedAt;
+
+    const settings = state.settings || DEFAULT_MONITOR_SETTINGS;
+    const requestStartedAt = performance.now();
+    const result = await window.electronAPI.detectObjects(frame, {
+      modelId: settings.yoloModel,
+      inputSize: settings.yoloInputSize,
+      letterbox: settings.yoloLetterbox !== false,
+    });
+    const roundTripMs = performance.now() - requestStartedAt;
+
+    if (result?.dropped) {
+      state.droppedFrames += 1;
+      updateInferenceMetrics();
       return;
     }
-    const imageDataUrl = canvasElement.toDataURL('image/jpeg', 0.8);
-    const result = await window.electronAPI.detectObjects(imageDataUrl);
-
     if (!result?.success) {
       console.error('検知失敗:', result?.error);
       return;
     }
 
-    const enabledClasses = state.settings?.enabledClasses || DEFAULT_MONITOR_SETTINGS.enabledClasses;
-    const filtered = result.detections.filter((detection) => enabledClasses.includes(detection.class));
-
-    state.lastDetections = filtered;
-    state.lastDetectionTime = Date.now();
-
-    processDetections(filtered);
+    recordInferenceMetrics({ captureMs, roundTripMs, timings: result.timings });
+    const { preprocessMs = 0, inferenceMs = 0, postprocessMs = 0 } = result.timings || {};
+    recordInferredFrame({
+      signature: gateDecision.signature,
+      costMs: captureMs + preprocessMs + inferenceMs + postprocessMs,
+    });
+
+    const activeClasses = getActiveDetectionClasses(state.settings || DEFAULT_MONITOR_SETTINGS);
+    // 独自モデル固有のクラスは設定画面に ON/OFF が無いため、COCO 外のクラスはそのまま通す。
+    const filtered = result.detections.filter(
+      (detection) => activeClasses.has(detection.class) || !YOLO_ALL_CLASS_NAMES.includes(detection.class),
+    );
+
+    const now = Date.now();
+    const tracked = state.tracker.update(filtered, now);
+    state.lastDetections = tracked;
+    state.lastDetectionTime = now;
+    trackDetectionModel(result.model ?? null);
+
+    processDetections(tracked);
   } catch (error) {
     console.error('検知エラー:', error);
+  } finally {
+    state.detectionInFlight = false;
   }
 }
 
 /**
- * 検知結果をもとに補間付きの状態判定を行う。
- * - スマホ/人物それぞれの時系列判定を更新する。
+ * 検知用 Canvas に現在のフレームを描き、RGBA 生ピクセルを取り出す。
+ * - プレビュー用 Canvas と同じ寸法にそろえ、検知枠の座標がそのまま描画に使えるようにする。
+ * - getImageData を毎回呼ぶため willReadFrequently を指定した別 Canvas を使い、プレビュー描画の GPU 経路を妨げない。
+ * @returns {{width:number, height:number, data:Uint8ClampedArray}|null}
  */
-function processDetections(detections) {
+function captureDetectionFrame(videoElement, canvasElement) {
   const state = getMonitorState();
-  const settings = state.settings || DEFAULT_MONITOR_SETTINGS;
-
-  const phoneDetectedRaw = detections.some(
-    (detection) => detection.class === 'cell phone' && detection.confidence >= settings.phoneConfidence,
-  );
-  const personDetectedRaw = detections.some(
-    (detection) => detection.class === 'person' && detection.confidence >= settings.absenceConfidence,
-  );
-
-  const now = Date.now();
-  if (phoneDetectedRaw) {
-    state.lastPhoneDetectedTime = now;
+  const width = canvasElement.width || videoElement.videoWidth;
+  const height = canvasElement.height || videoElement.videoHeight;
+  if (!width || !height) {
+    return null;
   }
-  if (personDetectedRaw) {
-    state.lastPersonDetectedTime = now;
-  }
-
-  const phoneDetected = now - state.lastPhoneDetectedTime < PHONE_INTERPOLATION_WINDOW;
-  const personDetected = now - state.lastPersonDetectedTime < PERSON_INTERPOLATION_WINDOW;
 
-  handlePhoneDetection(phoneDetected);
-  handleAbsenceDetection(personDetected);
-}
-
-function handlePhoneDetection(detected) {
-  const state = getMonitorState();
-  const settings = state.settings || DEFAULT_MONITOR_SETTINGS;
-
-  if (detected) {
-    if (state.phoneDetectionStartTime === 0) {
-      state.phoneDetectionStartTime = Date.now();
-      recordDetectionLogEntry({
-        type: 'phone_detection_start',
-        detectedAt: state.phoneDetectionStartTime,
-      });
-    }
-
-    state.phoneDetectionTime = Math.floor((Date.now() - state.phoneDetectionStartTime) / 1000);
-    updateTimers();
-
-    if (
-      settings.phoneAlertEnabled &&
-      !state.phoneAlertTriggered &&
-      state.phoneDetectionTime >= settings.phoneThreshold
-    ) {
-      const nowTs = Date.now();
-      if (nowTs - state.lastPhoneAlertAt >= PHONE_ALERT_COOLDOWN_MS) {
-        state.lastPhoneAlertAt = nowTs;
-        triggerPhoneAlert();
-      }
-    }
-
-    state.phoneClearCandidateSince = 0;
-    return;
+  if (!state.captureCanvas) {
+    state.captureCanvas = document.createElement('canvas');
+    state.captureCtx = state.captureCanvas.getContext('2d', { willReadFrequently: true });
   }
-
-  if (state.phoneDetectionTime <= 0) {
-    state.phoneClearCandidateSince = 0;
-    return;
+  const { captureCanvas, captureCtx } = state;
+  if (captureCanvas.width !== width || captureCanvas.height !== height) {
+    captureCanvas.width = width;
+    captureCanvas.height = height;
   }
 
-  const nowTs = Date.now();
-  if (state.phoneClearCandidateSince === 0) {
-    state.phoneClearCandidateSince = nowTs;
-    return;
+  const frameDrawn = drawCameraFrame(captureCtx, videoElement, captureCanvas);
+  if (!frameDrawn) {
+    return null;
   }
-
-  if (nowTs - state.phoneClearCandidateSince < PHONE_CLEAR_STABLE_MS) {
-    return;
-  }
-
-  const durationSeconds = Math.floor((nowTs - state.phoneDetectionStartTime) / 1000);
-  recordDetectionLogEntry({
-    type: 'phone_detection_end',
-    detectedAt: nowTs,
-    durationSeconds: durationSeconds > 0 ? durationSeconds : null,
-  });
-
-  state.phoneDetectionTime = 0;
-  state.phoneDetectionStartTime = 0;
-  state.phoneAlertTriggered = false;
-  state.phoneClearCandidateSince = 0;
-  updateTimers();
+  const { data } = captureCtx.getImageData(0, 0, width, height);
+  return { width, height, data };
 }
 
-function handleAbsenceDetection(personDetected) {
+/**
+ * ステージ別の処理時間を指数移動平均で更新する。
+ * - transferMs は IPC とワーカー間の受け渡しを合算した値（往復時間からワーカー内処理を差し引く）。
+ */
+function recordInferenceMetrics({ captureMs, roundTripMs, timings = {} }) {
   const state = getMonitorState();
-  const settings = state.settings || DEFAULT_MONITOR_SETTINGS;
-  const nowTs = Date.now();
-
-  if (state.absenceOverrideState?.active) {
-    resetAbsenceTracking();
-    return;
-  }
-
-  if (!personDetected) {
-    state.absenceClearCandidateSince = 0;
-    state.absenceRecoveryDetectedAt = 0;
-
-    if (state.absenceDetectionStartTime === 0) {
-      state.absenceDetectionStartTime = nowTs;
-      recordDetectionLogEntry({
-        type: 'absence_detection_start',
-        detectedAt: state.absenceDetectionStartTime,
-      });
-    }
-
-    state.absenceDetectionTime = Math.floor((nowTs - state.absenceDetectionStartTime) / 1000);
-    updateTimers();
-
-    if (
-      settings.absenceAlertEnabled &&
-      !state.absenceAlertTriggered &&
-      state.absenceDetectionTime >= settings.absenceThreshold
-    ) {
-      if (nowTs - state.lastAbsenceAlertAt >= ABSENCE_ALERT_COOLDOWN_MS) {
-        state.lastAbsenceAlertAt = nowTs;
-        triggerAbsenceAlert();
-      }
-    }
+  const { preprocessMs = 0, inferenceMs = 0, postprocessMs = 0 } = timings;
+  const sample = {
+    captureMs,
+    transferMs: Math.max(0, roundTripMs - preprocessMs - inferenceMs - postprocessMs),
+    preprocessMs,
+    inferenceMs,
+    postprocessMs,
+    totalMs: captureMs + roundTripMs,
+  };
+
+  const alpha = MONITOR_UI_CONSTANTS.inferenceMetricsSmoothing;
+  const previous = state.inferenceMetrics;
+  state.inferenceMetrics = previous
+    ? Object.fromEntries(
+      Object.entries(sample).map(([key, value]) => [key, previous[key] + alpha * (value - previous[key])]),
+    )
+    : sample;
+  updateInferenceMetrics();
+}
 
-    return;
+/**
+ * 推論に使われたモデルを記録し、切り替わった時だけ監視ログに表示する。
+ * - 設定で選んだモデルが未配置だと既定モデルで継続するため、実際のモデルを明示する。
+ */
+function trackDetectionModel(model) {
+  const state = getMonitorState();
+  const previousId = state.lastDetectionModel?.id ?? null;
+  state.lastDetectionModel = model;
+  if (model && model.id !== previousId) {
+    addLog(`🤖 検知モデル: ${model.label}`, 'info');
   }
+}
 
-  if (state.absenceDetectionStartTime === 0) {
-    state.absenceDetectionTime = 0;
-    state.absenceClearCandidateSince = 0;
-    state.absenceRecoveryDetectedAt = 0;
-    return;
-  }
+/**
+ * 検知エリアで絞り込んだ検知を状態機械に渡し、更新後のセッションでアラートルールを評価する。
+ * - プレビューには全検知を描き、状態判定だけ検知エリアで絞り込む（エリア外の物体も目視で確認できるようにする）。
+ */
+function processDetections(allDetections) {
+  const now = Date.now();
+  detectionStateMachine.process(filterDetectionsByRegions(allDetections), now);
+  updateStrictModeBadge();
+  postureMonitor.process(now);
+  alertRuleEngine.evaluate(now);
+}
 
-  if (state.absenceClearCandidateSince === 0) {
-    state.absenceClearCandidateSince = nowTs;
-    state.absenceRecoveryDetectedAt = nowTs;
-  } else if (!state.absenceRecoveryDetectedAt || nowTs < state.absenceRecoveryDetectedAt) {
-    state.absenceRecoveryDetectedAt = nowTs;
-  }
+/**
+ * 姿勢の較正用に、持ち主の人物枠がフレームに占める現在の面積比を返す。映っていなければ null。
+ * @returns {number|null}
+ */
+export function getOwnerAreaRatio() {
+  return postureMonitor.getOwnerAreaRatio();
+}
 
-  if (nowTs - state.absenceClearCandidateSince < ABSENCE_CLEAR_STABLE_MS) {
-    return;
+/**
+ * 発火中のスマホ / 不在アラートを確認済みにする。確認するアラートが無ければ何もしない。
+ * @param {string} source ALERT_ACK_SOURCES のいずれか
+ * @returns {Array<string>} 確認したアラートの種別
+ */
+export function acknowledgeAlerts(source) {
+  const acknowledged = detectionStateMachine.acknowledgeAlerts(Date.now(), source);
+  if (acknowledged.length > 0) {
+    addLog(`✋ アラートを確認しました (${ALERT_ACK_SOURCE_LABELS[source] || source})`, 'info');
   }
-
-  const resolvedAt = state.absenceRecoveryDetectedAt || nowTs;
-  const durationSecondsRaw = Math.floor((resolvedAt - state.absenceDetectionStartTime) / 1000);
-  const durationSeconds = durationSecondsRaw > 0 ? durationSecondsRaw : null;
-
-  recordDetectionLogEntry({
-    type: 'absence_detection_end',
-    detectedAt: resolvedAt,
-    durationSeconds,
-  });
-
-  state.absenceDetectionTime = 0;
-  state.absenceDetectionStartTime = 0;
-  state.absenceAlertTriggered = false;
-  state.absenceClearCandidateSince = 0;
-  state.absenceRecoveryDetectedAt = 0;
-  state.lastAbsenceAlertAt = 0;
-  updateTimers();
+  return acknowledged;
 }
 
 /**
@@ -227,12 +279,5 @@ function handleAbsenceDetection(personDetected) {
  * - 不在許可や別イベントで明示的にリセットしたい場合に使用する。
  */
 export function resetAbsenceTracking() {
-  const state = getMonitorState();
-  state.absenceDetectionTime = 0;
-  state.absenceDetectionStartTime = 0;
-  state.absenceAlertTriggered = false;
-  state.absenceClearCandidateSince = 0;
-  state.absenceRecoveryDetectedAt = 0;
-  state.lastAbsenceAlertAt = 0;
-  updateTimers();
+  detectionStateMachine.resetAbsence();
 }
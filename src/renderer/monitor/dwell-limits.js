@@ -0,0 +1,174 @@
+/**
+ * 前面アプリ・ドメインの滞在上限の判定器。
+ * - 前面ウィンドウの監視 (active-window.js) から 1 秒ごとに呼び、上限ごとに連続滞在と今日の合計を数える。
+ * - 前回の呼び出しから今回までの時間を、前回に対象を見ていた上限へ加算する。間が空きすぎた分は数えない。
+ * - 今日の合計は、数え始める前に app_usage_logs へ記録された今日の区間 (seedDailyUsage) から始める。
+ *   アプリを再起動しても、それまでの滞在が合計から抜けない。
+ * - DOM や electronAPI には触れず、ログ記録と通知は effects に委ねる。
+ */
+import { DEFAULT_MONITOR_SETTINGS, DWELL_LIMIT_TARGETS, DWELL_LIMIT_CONSTANTS } from '../../constants/monitor.js';
+
+const NOOP = () => {};
+
+function toLocalDayKey(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+function matchesDwellLimit(limit, { appName, domain }) {
+  if (limit.target === DWELL_LIMIT_TARGETS.DOMAIN) {
+    const host = typeof domain === 'string' ? domain.toLowerCase() : '';
+    return host !== '' && (host === limit.pattern || host.endsWith(`.${limit.pattern}`));
+  }
+  return typeof appName === 'string' && appName.toLowerCase().includes(limit.pattern.toLowerCase());
+}
+
+/**
+ * 滞在上限の判定器を生成する。
+ * @param {Object} deps
+ * @param {() => Object} [deps.getSettings] 判定時点の監視設定
+ * @param {Object} [deps.effects]
+ * @param {(entry:Object) => void} [deps.effects.recordLog] detection_logs へ記録する
+ * @param {(detail:{limit:Object, reason:'stretch'|'daily', stretchSeconds:number, dailySeconds:number}) => void} [deps.effects.onDwellExceeded] 上限超過の通知
+ */
+export function createDwellLimitMonitor({ getSettings = () => DEFAULT_MONITOR_SETTINGS, effects = {} }) {
+  const { recordLog = NOOP, onDwellExceeded = NOOP } = effects;
+  const sessions = new Map();
+  let lastTickAt = 0;
+  // 数え始める前に記録済みだった今日の前面アプリの区間。日付が変わったら使わない。
+  let dailyBaseline = null;
+
+  function getBaselineMs(limit, dayKey) {
+    if (!dailyBaseline || dailyBaseline.dayKey !== dayKey) {
+      return 0;
+    }
+    return dailyBaseline.records.reduce(
+      (sum, record) => (matchesDwellLimit(limit, record) ? sum + record.durationMs : sum),
+      0,
+    );
+  }
+
+  function getSession(limit, dayKey) {
+    let session = sessions.get(limit.id);
+    // 対象を書き換えた上限は別物として数え直す。
+    if (!session || session.target !== limit.target || session.pattern !== limit.pattern) {
+      session = {
+        target: limit.target,
+        pattern: limit.pattern,
+        dayKey,
+        dailyMs: getBaselineMs(limit, dayKey),
+        stretchMs: 0,
+        lastMatchedAt: 0,
+        matched: false,
+        lastAlertAt: 0,
+      };
+      sessions.set(limit.id, session);
+    }
+    if (session.dayKey !== dayKey) {
+      session.dayKey = dayKey;
+      session.dailyMs = 0;
+    }
+    return session;
+  }
+
+  /**
+   * 数え始める前に記録済みだった今日の前面アプリの区間を、上限ごとの今日の合計へ入れる。
+   * - until はこの判定器が数え始めた時刻。以降の滞在は process が数えるため、区間は until までに切り詰める。
+   * - 取得を待つ間に数え始めた上限にも後から足す。
+   * @param {Array<{appName:string, domain:string|null, startedAt:number, endedAt:number}>} records
+   * @param {number} until
+   */
+  function seedDailyUsage(records, until) {
+    const dayKey = toLocalDayKey(until);
+    const dayStart = new Date(until).setHours(0, 0, 0, 0);
+    dailyBaseline = {
+      dayKey,
+      records: (Array.isArray(records) ? records : [])
+        .map((record) => ({
+          appName: record?.appName,
+          domain: record?.domain ?? null,
+          durationMs: Math.min(Number(record?.endedAt), until) - Math.max(Number(record?.startedAt), dayStart),
+        }))
+        .filter((record) => record.durationMs > 0),
+    };
+    sessions.forEach((session) => {
+      if (session.dayKey === dayKey) {
+        session.dailyMs += getBaselineMs(session, dayKey);
+      }
+    });
+  }
+
+  /**
+   * @param {number} now 判定時刻 (ms)
+   * @param {{appName:string, domain:string|null}} windowInfo 現在の前面ウィンドウ
+   * @param {{paused?:boolean}} [options] paused の間 (不在許可中・画面ロック中) はどの上限にも滞在していないとみなす
+   */
+  function process(now, windowInfo, { paused = false } = {}) {
+    const settings = getSettings() || DEFAULT_MONITOR_SETTINGS;
+    const limits = (settings.dwellLimits || []).filter((limit) => limit.enabled);
+    const elapsedMs = lastTickAt > 0 ? Math.min(Math.max(now - lastTickAt, 0), DWELL_LIMIT_CONSTANTS.maxTickGapMs) : 0;
+    lastTickAt = now;
+
+    const activeIds = new Set(limits.map((limit) => limit.id));
+    Array.from(sessions.keys()).forEach((limitId) => {
+      if (!activeIds.has(limitId)) {
+        sessions.delete(limitId);
+      }
+    });
+
+    const dayKey = toLocalDayKey(now);
+    limits.forEach((limit) => {
+      const session = getSession(limit, dayKey);
+      if (session.matched) {
+        session.dailyMs += elapsedMs;
+        session.stretchMs += elapsedMs;
+      }
+      session.matched = !paused && matchesDwellLimit(limit, windowInfo || {});
+
+      if (!session.matched) {
+        if (session.lastMatchedAt > 0 && now - session.lastMatchedAt > DWELL_LIMIT_CONSTANTS.stretchBreakMs) {
+          session.stretchMs = 0;
+          session.lastMatchedAt = 0;
+        }
+        return;
+      }
+      session.lastMatchedAt = now;
+      evaluate(now, limit, session, windowInfo);
+    });
+  }
+
+  function evaluate(now, limit, session, { appName, domain }) {
+    const stretchExceeded = limit.stretchMinutes > 0 && session.stretchMs >= limit.stretchMinutes * 60 * 1000;
+    const dailyExceeded = limit.dailyMinutes > 0 && session.dailyMs >= limit.dailyMinutes * 60 * 1000;
+    if (!stretchExceeded && !dailyExceeded) {
+      return;
+    }
+    if (session.lastAlertAt > 0 && now - session.lastAlertAt < limit.cooldownMinutes * 60 * 1000) {
+      return;
+    }
+    session.lastAlertAt = now;
+
+    const reason = stretchExceeded ? 'stretch' : 'daily';
+    const stretchSeconds = Math.floor(session.stretchMs / 1000);
+    const dailySeconds = Math.floor(session.dailyMs / 1000);
+    recordLog({
+      type: 'app_dwell_alert',
+      detectedAt: now,
+      durationSeconds: reason === 'stretch' ? stretchSeconds : dailySeconds,
+      meta: {
+        limitId: limit.id,
+        target: limit.target,
+        pattern: limit.pattern,
+        reason,
+        thresholdMinutes: reason === 'stretch' ? limit.stretchMinutes : limit.dailyMinutes,
+        stretchSeconds,
+        dailySeconds,
+        appName: appName || null,
+        domain: domain || null,
+      },
+    });
+    onDwellExceeded({ limit, reason, stretchSeconds, dailySeconds });
+  }
+
+  return { process, seedDailyUsage };
+}
@@ -35,7 +35,13 @@ export function addLog(message, type = 'info') {
  * 検知/不在イベントを electronAPI 側に記録する。
  * - 成功時はダッシュボードへ通知するための CustomEvent を発火する。
  */
-export function recordDetectionLogEntry({ type, detectedAt = Date.now(), durationSeconds = null, meta = null }) {
+export function recordDetectionLogEntry({
+  type,
+  detectedAt = Date.now(),
+  durationSeconds = null,
+  responseSeconds = null,
+  meta = null,
+}) {
   if (!window.electronAPI || typeof window.electronAPI.recordDetectionLog !== 'function') {
     return;
   }
@@ -45,6 +51,7 @@ export function recordDetectionLogEntry({ type, detectedAt = Date.now(), duratio
       type,
       detectedAt,
       durationSeconds,
+      responseSeconds,
       meta,
     })
     .then(() => {
@@ -0,0 +1,171 @@
+/**
+ * モーションゲート（フレーム差分による推論スキップ）。
+ * - 机の静止画が続く間は YOLO を回さず、直前の検知結果を使い回して CPU を節約する。
+ * - 差分は最後に推論したフレームと比較するため、ゆっくりした変化も累積して検出できる。
+ * - 一定間隔のキーフレームでは必ず推論し、照明変化などによる取りこぼしを補正する。
+ */
+import { getMonitorState, MONITOR_TIMING_CONSTANTS, DEFAULT_MONITOR_SETTINGS } from './context.js';
+
+// 差分計算用の縮小サイズ。16:9 のカメラ映像をおおまかに保ちつつ、1 回の比較を 2,304 画素に抑える。
+const SIGNATURE_WIDTH = 64;
+const SIGNATURE_HEIGHT = 36;
+// 推論コストの移動平均係数（節約時間の推定に使う）
+const COST_SMOOTHING = 0.2;
+
+/**
+ * 現在フレームの縮小輝度 (0-255) を取得する。
+ * - カメラ健全性チェックも同じ縮小フレームを使うため公開している。
+ * @returns {Uint8Array|null}
+ */
+export function captureLumaSignature(videoElement) {
+  const gate = getMonitorState().motionGate;
+  if (!videoElement?.videoWidth || !videoElement?.videoHeight) {
+    return null;
+  }
+  if (!gate.canvas) {
+    gate.canvas = document.createElement('canvas');
+    gate.canvas.width = SIGNATURE_WIDTH;
+    gate.canvas.height = SIGNATURE_HEIGHT;
+    gate.ctx = gate.canvas.getContext('2d', { willReadFrequently: true });
+  }
+  gate.ctx.drawImage(videoElement, 0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+  const { data } = gate.ctx.getImageData(0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+
+  const signature = new Uint8Array(SIGNATURE_WIDTH * SIGNATURE_HEIGHT);
+  for (let i = 0; i < signature.length; i++) {
+    const offset = i * 4;
+    // ITU-R BT.601 の輝度近似
+    signature[i] = (data[offset] * 77 + data[offset + 1] * 150 + data[offset + 2] * 29) >> 8;
+  }
+  return signature;
+}
+
+/**
+ * 2 つの縮小輝度の平均絶対差 (0-255) を返す。
+ */
+function computeMotionScore(current, reference) {
+  let total = 0;
+  for (let i = 0; i < current.length; i++) {
+    total += Math.abs(current[i] - reference[i]);
+  }
+  return total / current.length;
+}
+
+function createBucket(now) {
+  return {
+    start: now,
+    inferredFrames: 0,
+    skippedFrames: 0,
+    inferenceMs: 0,
+    savedMs: 0,
+  };
+}
+
+function ensureBucket(now) {
+  const gate = getMonitorState().motionGate;
+  if (!gate.bucket) {
+    gate.bucket = createBucket(now);
+  }
+  return gate.bucket;
+}
+
+/**
+ * このフレームで推論すべきかを判定する。
+ * @returns {{shouldInfer:boolean, reason:'disabled'|'initial'|'keyframe'|'motion'|'static', score:number|null, signature:Uint8Array|null}}
+ */
+export function evaluateMotionGate(videoElement, now = Date.now()) {
+  const state = getMonitorState();
+  const gate = state.motionGate;
+  const settings = state.settings || DEFAULT_MONITOR_SETTINGS;
+
+  if (settings.motionGateEnabled === false) {
+    return { shouldInfer: true, reason: 'disabled', score: null, signature: null };
+  }
+
+  const signature = captureLumaSignature(videoElement);
+  if (!signature || !gate.referenceSignature || !state.lastDetectionTime) {
+    return { shouldInfer: true, reason: 'initial', score: null, signature };
+  }
+
+  const score = computeMotionScore(signature, gate.referenceSignature);
+  gate.lastScore = score;
+  if (now - gate.lastInferenceAt >= MONITOR_TIMING_CONSTANTS.motionGateKeyframeIntervalMs) {
+    return { shouldInfer: true, reason: 'keyframe', score, signature };
+  }
+  const threshold = Number.isFinite(settings.motionGateThreshold)
+    ? settings.motionGateThreshold
+    : DEFAULT_MONITOR_SETTINGS.motionGateThreshold;
+  if (score >= threshold) {
+    return { shouldInfer: true, reason: 'motion', score, signature };
+  }
+  return { shouldInfer: false, reason: 'static', score, signature };
+}
+
+/**
+ * 推論を実行したフレームを記録し、差分の基準フレームを更新する。
+ * @param {{signature:Uint8Array|null, costMs:number, now?:number}} params
+ */
+export function recordInferredFrame({ signature, costMs, now = Date.now() }) {
+  const gate = getMonitorState().motionGate;
+  if (signature) {
+    gate.referenceSignature = signature;
+  }
+  gate.lastInferenceAt = now;
+  gate.averageCostMs = gate.averageCostMs > 0
+    ? gate.averageCostMs + COST_SMOOTHING * (costMs - gate.averageCostMs)
+    : costMs;
+
+  const bucket = ensureBucket(now);
+  bucket.inferredFrames += 1;
+  bucket.inferenceMs += costMs;
+  flushMotionGateStats({ now });
+}
+
+/**
+ * 推論を省略したフレームを記録する。節約時間は直近の推論平均コストで見積もる。
+ */
+export function recordSkippedFrame(now = Date.now()) {
+  const gate = getMonitorState().motionGate;
+  gate.skippedFrames += 1;
+
+  const bucket = ensureBucket(now);
+  bucket.skippedFrames += 1;
+  bucket.savedMs += gate.averageCostMs;
+  flushMotionGateStats({ now });
+}
+
+/**
+ * 集計バケットをメインプロセスへ送る。
+ * - 通常は motionGateFlushIntervalMs ごと。終了時は force で端数も送る。
+ */
+export function flushMotionGateStats({ now = Date.now(), force = false } = {}) {
+  const gate = getMonitorState().motionGate;
+  const bucket = gate.bucket;
+  if (!bucket) {
+    return;
+  }
+  const elapsed = now - bucket.start;
+  if (!force && elapsed < MONITOR_TIMING_CONSTANTS.motionGateFlushIntervalMs) {
+    return;
+  }
+  gate.bucket = null;
+  if (bucket.inferredFrames + bucket.skippedFrames === 0) {
+    return;
+  }
+  if (typeof window.electronAPI?.recordInferenceGateStats !== 'function') {
+    return;
+  }
+
+  window.electronAPI
+    .recordInferenceGateStats({
+      bucketStart: bucket.start,
+      bucketEnd: now,
+      inferredFrames: bucket.inferredFrames,
+      skippedFrames: bucket.skippedFrames,
+      inferenceMs: bucket.inferenceMs,
+      savedMs: bucket.savedMs,
+    })
+    .catch((error) => {
+      console.warn('[Monitor] 推論ゲート統計の送信に失敗:', error);
+    });
+}
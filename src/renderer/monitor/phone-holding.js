@@ -0,0 +1,85 @@
+/**
+ * スマホの「手に持っている / 映っているだけ」分類。
+ * - キーボード横に伏せたスマホまでアラート対象にすると誤報が多いため、人物枠との位置関係で操作中かを推定する。
+ * - 判定はボックスの幾何関係のみで行い、追加の推論は走らせない。
+ */
+import { PHONE_STATES } from '../../constants/monitor.js';
+
+function intersectionArea([ax, ay, aw, ah], [bx, by, bw, bh]) {
+  const width = Math.min(ax + aw, bx + bw) - Math.max(ax, bx);
+  const height = Math.min(ay + ah, by + bh) - Math.max(ay, by);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * 点から矩形までの距離。矩形の内側なら 0。
+ */
+function distanceToBox([px, py], [x, y, w, h]) {
+  const dx = Math.max(x - px, 0, px - (x + w));
+  const dy = Math.max(y - py, 0, py - (y + h));
+  return Math.hypot(dx, dy);
+}
+
+/**
+ * スマホ 1 台に最も近い人物枠を返す。距離が同じ (どちらも内側) なら重なりの大きい方を採る。
+ */
+function findNearestPerson(phone, persons) {
+  const [x, y, w, h] = phone.bbox;
+  const center = [x + w / 2, y + h / 2];
+  let nearest = null;
+  persons.forEach((person) => {
+    const distance = distanceToBox(center, person.bbox);
+    const overlap = intersectionArea(phone.bbox, person.bbox);
+    if (
+      !nearest ||
+      distance < nearest.distance ||
+      (distance === nearest.distance && overlap > nearest.overlap)
+    ) {
+      nearest = { person, distance, overlap };
+    }
+  });
+  return nearest;
+}
+
+/**
+ * 検知結果からスマホの状態を分類する。
+ * - 人物枠との重なり率 (スマホ枠面積比) が phoneHeldMinOverlap 以上、かつスマホ中心が
+ *   人物枠の高さ phoneHeldMaxVerticalPosition より上にある場合を held とする。
+ * - 人物が映っていないスマホは常に visible。
+ * @param {Array} detections 状態判定に使う検知 (信頼度フィルタ前)
+ * @param {Object} settings 監視設定
+ * @returns {{state:'held'|'visible'|null, phones:Array<{detection:Object, state:string, overlap:number|null, verticalPosition:number|null}>}}
+ */
+export function classifyPhoneHolding(detections, settings) {
+  const phones = detections.filter(
+    (detection) => detection.class === 'cell phone' && detection.confidence >= settings.phoneConfidence,
+  );
+  if (phones.length === 0) {
+    return { state: null, phones: [] };
+  }
+  const persons = detections.filter(
+    (detection) => detection.class === 'person' && detection.confidence >= settings.absenceConfidence,
+  );
+
+  const results = phones.map((phone) => {
+    const nearest = findNearestPerson(phone, persons);
+    if (!nearest) {
+      return { detection: phone, state: PHONE_STATES.VISIBLE, overlap: null, verticalPosition: null };
+    }
+    const [, py, pw, ph] = phone.bbox;
+    const [, personY, , personH] = nearest.person.bbox;
+    const phoneArea = pw * ph;
+    const overlap = phoneArea > 0 ? nearest.overlap / phoneArea : 0;
+    const verticalPosition = personH > 0 ? (py + ph / 2 - personY) / personH : 1;
+    const held = overlap >= settings.phoneHeldMinOverlap && verticalPosition <= settings.phoneHeldMaxVerticalPosition;
+    return {
+      detection: phone,
+      state: held ? PHONE_STATES.HELD : PHONE_STATES.VISIBLE,
+      overlap,
+      verticalPosition,
+    };
+  });
+
+  const held = results.some((result) => result.state === PHONE_STATES.HELD);
+  return { state: held ? PHONE_STATES.HELD : PHONE_STATES.VISIBLE, phones: results };
+}
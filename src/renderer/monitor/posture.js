@@ -0,0 +1,184 @@
+/**
+ * 姿勢 (画面への接近) と連続着席の判定器。
+ * - 接近: 持ち主の人物枠がフレームに占める面積比を平滑化し、較正した基準値に対する倍率が閾値を超え続けたら知らせる。
+ * - 着席: 人物が映り始めてからの時間を数え、一定時間続いたら立ち上がり・ストレッチを促す。
+ *   sittingBreakMinutes 以上映らなければ休憩したとみなし、着席区間を閉じて数え直す。
+ * - 状態機械 (detection-state.js) の直後に同じ時刻で呼び、トラッカーと人物の最終検知時刻を読み取りだけで使う。
+ *   DOM や electronAPI には触れず、ログ記録と通知は effects に委ねる。
+ */
+import {
+  DEFAULT_MONITOR_SETTINGS,
+  MONITOR_TIMING_CONSTANTS,
+  POSTURE_CONSTANTS,
+} from '../../constants/monitor.js';
+
+const NOOP = () => {};
+
+/**
+ * 姿勢・着席の判定器を生成する。
+ * @param {Object} deps
+ * @param {Object} deps.state createDetectionSessionState() のフィールドを持つオブジェクト (読み取りのみ)
+ * @param {() => Object} [deps.getSettings] 判定時点の監視設定
+ * @param {() => ({width:number, height:number}|null)} deps.getFrameSize 検知座標の基準になるフレーム寸法
+ * @param {Object} [deps.effects]
+ * @param {(entry:Object) => void} [deps.effects.recordLog] detection_logs へ記録する
+ * @param {(detail:{relativeSize:number, durationSeconds:number}) => void} [deps.effects.onTooClose] 接近の通知
+ * @param {(detail:{sittingMinutes:number}) => void} [deps.effects.onSittingReminder] 着席リマインドの通知
+ */
+export function createPostureMonitor({ state, getSettings = () => DEFAULT_MONITOR_SETTINGS, getFrameSize, effects = {} }) {
+  const { recordLog = NOOP, onTooClose = NOOP, onSittingReminder = NOOP } = effects;
+  const sitting = { since: 0, lastReminderAt: 0, reminders: 0 };
+  const tooClose = { since: 0, clearCandidateSince: 0, alerted: false, peakRelativeSize: 0 };
+  let smoothedAreaRatio = null;
+
+  /**
+   * @param {number} now 判定時刻 (ms)
+   */
+  function process(now) {
+    // 映像が使えない間は人物の有無も枠の大きさも判断できないため、区間を保留する。
+    if (state.cameraUnhealthy) {
+      return;
+    }
+    const settings = getSettings() || DEFAULT_MONITOR_SETTINGS;
+    updateSitting(now, settings);
+    updateTooClose(now, settings);
+  }
+
+  function updateSitting(now, settings) {
+    const personVisible =
+      state.lastPersonDetectedTime > 0 && now - state.lastPersonDetectedTime < MONITOR_TIMING_CONSTANTS.personInterpolationWindowMs;
+
+    if (sitting.since === 0) {
+      if (personVisible) {
+        sitting.since = now;
+        sitting.lastReminderAt = 0;
+        sitting.reminders = 0;
+      }
+      return;
+    }
+
+    if (now - state.lastPersonDetectedTime >= settings.sittingBreakMinutes * 60 * 1000) {
+      // 区間は最後に映っていた時刻で閉じ、休憩に入ってからの時間を着席に含めない。
+      const durationSeconds = Math.floor((state.lastPersonDetectedTime - sitting.since) / 1000);
+      recordLog({
+        type: 'sitting_session_end',
+        detectedAt: state.lastPersonDetectedTime,
+        durationSeconds: durationSeconds > 0 ? durationSeconds : null,
+        meta: { startedAt: sitting.since, reminders: sitting.reminders },
+      });
+      sitting.since = 0;
+      return;
+    }
+
+    if (!settings.sittingReminderEnabled || !personVisible) {
+      return;
+    }
+    const sittingMs = now - sitting.since;
+    const due =
+      sitting.lastReminderAt === 0
+        ? sittingMs >= settings.sittingReminderMinutes * 60 * 1000
+        : now - sitting.lastReminderAt >= POSTURE_CONSTANTS.sittingReminderRepeatMs;
+    if (!due) {
+      return;
+    }
+    sitting.lastReminderAt = now;
+    sitting.reminders += 1;
+    const sittingMinutes = Math.floor(sittingMs / 60000);
+    recordLog({
+      type: 'sitting_reminder',
+      detectedAt: now,
+      durationSeconds: Math.floor(sittingMs / 1000),
+      meta: { sittingMinutes, thresholdMinutes: settings.sittingReminderMinutes, reminder: sitting.reminders },
+    });
+    onSittingReminder({ sittingMinutes });
+  }
+
+  /**
+   * 持ち主の人物枠がフレームに占める面積比を平滑化して返す。持ち主が映っていなければ null。
+   */
+  function measureOwnerAreaRatio() {
+    const frame = getFrameSize?.();
+    const ownerTrackId = state.tracker.getOwnerTrackId();
+    const owner = state.tracker.getVisibleTracks('person').find((track) => track.id === ownerTrackId);
+    if (!owner || !frame?.width || !frame?.height) {
+      smoothedAreaRatio = null;
+      return null;
+    }
+    const ratio = (owner.bbox[2] * owner.bbox[3]) / (frame.width * frame.height);
+    smoothedAreaRatio =
+      smoothedAreaRatio === null ? ratio : smoothedAreaRatio + POSTURE_CONSTANTS.areaSmoothing * (ratio - smoothedAreaRatio);
+    return smoothedAreaRatio;
+  }
+
+  function updateTooClose(now, settings) {
+    const areaRatio = measureOwnerAreaRatio();
+    const baseline = settings.postureBaselineAreaRatio;
+    const relativeSize = areaRatio !== null && baseline > 0 ? areaRatio / baseline : 0;
+    const close = relativeSize >= settings.postureTooCloseRatio;
+
+    if (close) {
+      tooClose.clearCandidateSince = 0;
+      if (tooClose.since === 0) {
+        tooClose.since = now;
+        tooClose.alerted = false;
+        tooClose.peakRelativeSize = 0;
+      }
+      tooClose.peakRelativeSize = Math.max(tooClose.peakRelativeSize, relativeSize);
+      const durationSeconds = Math.floor((now - tooClose.since) / 1000);
+      if (settings.postureAlertEnabled && !tooClose.alerted && durationSeconds >= settings.postureTooCloseSeconds) {
+        tooClose.alerted = true;
+        const roundedSize = Math.round(relativeSize * 100) / 100;
+        recordLog({
+          type: 'posture_too_close',
+          detectedAt: now,
+          durationSeconds,
+          meta: {
+            relativeSize: roundedSize,
+            areaRatio: Math.round(areaRatio * 1000) / 1000,
+            baselineAreaRatio: baseline,
+            threshold: settings.postureTooCloseRatio,
+          },
+        });
+        onTooClose({ relativeSize: roundedSize, durationSeconds });
+      }
+      return;
+    }
+
+    if (tooClose.since === 0) {
+      return;
+    }
+    if (tooClose.clearCandidateSince === 0) {
+      tooClose.clearCandidateSince = now;
+      return;
+    }
+    if (now - tooClose.clearCandidateSince < POSTURE_CONSTANTS.tooCloseClearStableMs) {
+      return;
+    }
+
+    // 閾値に満たない短い前傾は記録しない。
+    const durationSeconds = Math.floor((tooClose.clearCandidateSince - tooClose.since) / 1000);
+    if (durationSeconds >= settings.postureTooCloseSeconds) {
+      recordLog({
+        type: 'posture_too_close_end',
+        detectedAt: tooClose.clearCandidateSince,
+        durationSeconds,
+        meta: {
+          startedAt: tooClose.since,
+          peakRelativeSize: Math.round(tooClose.peakRelativeSize * 100) / 100,
+          alerted: tooClose.alerted,
+        },
+      });
+    }
+    tooClose.since = 0;
+    tooClose.clearCandidateSince = 0;
+  }
+
+  return {
+    process,
+    /**
+     * 較正用に、直近の平滑化済み面積比を返す。持ち主が映っていなければ null。
+     * @returns {number|null}
+     */
+    getOwnerAreaRatio: () => smoothedAreaRatio,
+  };
+}
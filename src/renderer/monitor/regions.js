@@ -0,0 +1,245 @@
+/**
+ * 検知エリア (ROI) の判定と描画・編集。
+ * - 状態判定に使う検知をエリアで絞り込み、棚や隣席のスマホでアラートが鳴らないようにする。
+ * - エリアはプレビュー Canvas 上でクリックして多角形として描く。座標は Canvas に対する 0〜1 の比率。
+ */
+import { getMonitorState, DEFAULT_MONITOR_SETTINGS } from './context.js';
+import { DETECTION_REGION_MODES } from '../../constants/monitor.js';
+
+// 直前の頂点とこの距離 (比率) 未満のクリックは、ダブルクリックの 2 回目とみなして無視する。
+const MIN_POINT_DISTANCE = 0.01;
+const REGION_COLORS = Object.freeze({
+  [DETECTION_REGION_MODES.INCLUDE]: '#4dabf7',
+  [DETECTION_REGION_MODES.EXCLUDE]: '#ffa94d',
+});
+
+const editor = {
+  active: false,
+  points: [],
+  hover: null,
+  resolve: null,
+  listeners: [],
+};
+
+/**
+ * レイキャスト法による点の多角形内判定。
+ * @param {[number, number]} point 比率座標
+ * @param {Array<[number, number]>} polygon 比率座標の頂点列
+ */
+export function isPointInPolygon([x, y], polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    const intersects = (yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (intersects) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * 検知がエリア条件を満たすかを判定する。判定にはボックス中心を使う。
+ * - そのクラスに効く exclude エリアの中なら除外。
+ * - そのクラスに効く include エリアが 1 つでもあれば、そのどれかの中にある場合だけ採用。
+ * - 該当エリアが無いクラスは従来どおり画面全体を対象にする。
+ */
+export function isDetectionInActiveRegion(detection, regions, width, height) {
+  const applicable = regions.filter(
+    (region) => region.enabled && (region.classes.length === 0 || region.classes.includes(detection.class)),
+  );
+  if (applicable.length === 0) {
+    return true;
+  }
+
+  const [x, y, w, h] = detection.bbox;
+  const center = [(x + w / 2) / width, (y + h / 2) / height];
+
+  const excluded = applicable.some(
+    (region) => region.mode === DETECTION_REGION_MODES.EXCLUDE && isPointInPolygon(center, region.points),
+  );
+  if (excluded) {
+    return false;
+  }
+  const includes = applicable.filter((region) => region.mode === DETECTION_REGION_MODES.INCLUDE);
+  return includes.length === 0 || includes.some((region) => isPointInPolygon(center, region.points));
+}
+
+/**
+ * 設定済みの検知エリアで検知結果を絞り込む。
+ * @param {Array} detections
+ * @returns {Array}
+ */
+export function filterDetectionsByRegions(detections) {
+  const state = getMonitorState();
+  const regions = (state.settings || DEFAULT_MONITOR_SETTINGS).detectionRegions || [];
+  const { canvasElement } = state.elements;
+  if (regions.length === 0 || !canvasElement?.width || !canvasElement?.height) {
+    return detections;
+  }
+  return detections.filter((detection) =>
+    isDetectionInActiveRegion(detection, regions, canvasElement.width, canvasElement.height),
+  );
+}
+
+function drawPolygon(ctx, points, width, height, { color, dashed, closed, label }) {
+  if (points.length === 0) {
+    return;
+  }
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.setLineDash(dashed ? [8, 6] : []);
+  ctx.beginPath();
+  points.forEach(([px, py], index) => {
+    if (index === 0) {
+      ctx.moveTo(px * width, py * height);
+    } else {
+      ctx.lineTo(px * width, py * height);
+    }
+  });
+  if (closed) {
+    ctx.closePath();
+    ctx.fillStyle = `${color}22`;
+    ctx.fill();
+  }
+  ctx.stroke();
+
+  if (label) {
+    const [lx, ly] = points[0];
+    ctx.setLineDash([]);
+    ctx.fillStyle = color;
+    ctx.font = '13px Arial';
+    ctx.fillText(label, lx * width + 4, Math.max(ly * height - 6, 14));
+  }
+  ctx.restore();
+}
+
+/**
+ * 検知エリアと編集中の多角形をプレビューへ重ねる。
+ * - 検知枠の表示設定が OFF でも、編集中は描画して操作できるようにする。
+ */
+export function drawDetectionRegions(ctx, canvasElement) {
+  const state = getMonitorState();
+  const settings = state.settings || DEFAULT_MONITOR_SETTINGS;
+  const { width, height } = canvasElement;
+  if (!width || !height) {
+    return;
+  }
+
+  if (editor.active || settings.showDetections !== false) {
+    (settings.detectionRegions || []).forEach((region) => {
+      const modeLabel = region.mode === DETECTION_REGION_MODES.EXCLUDE ? '除外' : '対象';
+      drawPolygon(ctx, region.points, width, height, {
+        color: REGION_COLORS[region.mode] || REGION_COLORS.include,
+        dashed: !region.enabled,
+        closed: true,
+        label: `${region.name} (${modeLabel})`,
+      });
+    });
+  }
+
+  if (editor.active) {
+    const points = editor.hover ? [...editor.points, editor.hover] : editor.points;
+    drawPolygon(ctx, points, width, height, { color: '#ffffff', dashed: true, closed: false, label: null });
+  }
+}
+
+/**
+ * マウス座標を Canvas 比率座標へ変換する。
+ * - Canvas は object-fit: contain で表示されるため、余白分を差し引いて実描画領域で割る。
+ */
+function toNormalizedPoint(event, canvasElement) {
+  const rect = canvasElement.getBoundingClientRect();
+  const scale = Math.min(rect.width / canvasElement.width, rect.height / canvasElement.height);
+  const offsetX = (rect.width - canvasElement.width * scale) / 2;
+  const offsetY = (rect.height - canvasElement.height * scale) / 2;
+  const x = (event.clientX - rect.left - offsetX) / (canvasElement.width * scale);
+  const y = (event.clientY - rect.top - offsetY) / (canvasElement.height * scale);
+  if (x < 0 || x > 1 || y < 0 || y > 1) {
+    return null;
+  }
+  return [x, y];
+}
+
+function finishEditing(result) {
+  const { resolve } = editor;
+  editor.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+  editor.listeners = [];
+  editor.active = false;
+  editor.points = [];
+  editor.hover = null;
+  editor.resolve = null;
+
+  const { regionEditorHint, cameraContainer } = getMonitorState().elements;
+  if (regionEditorHint) {
+    regionEditorHint.hidden = true;
+  }
+  cameraContainer?.classList.remove('region-editing');
+  resolve?.(result);
+}
+
+/**
+ * プレビュー上で多角形の描画を開始する。
+ * - クリックで頂点追加、ダブルクリック / Enter で確定、右クリックで 1 点戻す、Esc で中止。
+ * @returns {Promise<Array<[number, number]>|null>} 確定した頂点列。中止時は null。
+ */
+export function startRegionDrawing() {
+  const state = getMonitorState();
+  const { canvasElement, regionEditorHint, cameraContainer } = state.elements;
+  const settings = state.settings || DEFAULT_MONITOR_SETTINGS;
+  if (!canvasElement || !state.isMonitoring || settings.previewEnabled === false) {
+    return Promise.reject(new Error('検知エリアを描くには監視を開始し、カメラプレビューを有効にしてください'));
+  }
+  if (editor.active) {
+    finishEditing(null);
+  }
+
+  const listen = (target, type, handler) => {
+    target.addEventListener(type, handler);
+    editor.listeners.push({ target, type, handler });
+  };
+
+  return new Promise((resolve) => {
+    editor.active = true;
+    editor.resolve = resolve;
+    if (regionEditorHint) {
+      regionEditorHint.hidden = false;
+    }
+    cameraContainer?.classList.add('region-editing');
+
+    const complete = () => {
+      if (editor.points.length >= 3) {
+        finishEditing(editor.points.slice());
+      }
+    };
+
+    listen(canvasElement, 'click', (event) => {
+      const point = toNormalizedPoint(event, canvasElement);
+      if (!point) {
+        return;
+      }
+      const last = editor.points[editor.points.length - 1];
+      if (last && Math.hypot(point[0] - last[0], point[1] - last[1]) < MIN_POINT_DISTANCE) {
+        return;
+      }
+      editor.points.push(point);
+    });
+    listen(canvasElement, 'mousemove', (event) => {
+      editor.hover = toNormalizedPoint(event, canvasElement);
+    });
+    listen(canvasElement, 'dblclick', complete);
+    listen(canvasElement, 'contextmenu', (event) => {
+      event.preventDefault();
+      editor.points.pop();
+    });
+    listen(window, 'keydown', (event) => {
+      if (event.key === 'Enter') {
+        complete();
+      } else if (event.key === 'Escape') {
+        finishEditing(null);
+      }
+    });
+  });
+}
@@ -1,8 +1,9 @@
 /**
- * レンダリング関連の制御 (キャンバス描画・PASSバッジ・タイマー同期)。
+ * レンダリング関連の制御 (キャンバス描画・PASSバッジ・利用時間の予算バッジ・カメラ異常バナー・タイマー同期)。
  * - 描画ループはここで完結させ、検知ロジックとは疎結合に保つ。
  */
 import { getMonitorState, MONITOR_TIMING_CONSTANTS, DEFAULT_MONITOR_SETTINGS } from './context.js';
+import { drawDetectionRegions } from './regions.js';
 
 /**
  * カメラ映像を左右反転補正して Canvas に描画する。
@@ -79,6 +80,7 @@ function renderLoop() {
   ) {
     drawDetections(state.lastDetections);
   }
+  drawDetectionRegions(ctx, canvasElement);
 
   state.renderHandle = requestAnimationFrame(renderLoop);
 }
@@ -99,6 +101,7 @@ function isPreviewDisabled(state) {
 /**
  * YOLO の検知結果を Canvas 上に描画する。
  * - クラス別に色分けし、ラベルと信頼度を併記する。
+ * - スマホには手持ち判定の結果を添え、閾値調整時に分類を目視できるようにする。
  */
 export function drawDetections(detections) {
   const state = getMonitorState();
@@ -107,6 +110,10 @@ export function drawDetections(detections) {
     return;
   }
 
+  const phoneStates = new Map(
+    (state.phoneHolding?.phones || []).map((result) => [result.detection, result.state]),
+  );
+
   detections.forEach((detection) => {
     const [x, y, w, h] = detection.bbox;
     const isPhone = detection.class === 'cell phone';
@@ -119,8 +126,11 @@ export function drawDetections(detections) {
     ctx.fillRect(x, Math.max(y - 25, 0), w, 25);
     ctx.fillStyle = 'white';
     ctx.font = '14px Arial';
+    const phoneState = phoneStates.get(detection);
+    const stateLabel = phoneState ? ` (${phoneState})` : '';
+    const trackLabel = Number.isInteger(detection.trackId) ? ` #${detection.trackId}` : '';
     ctx.fillText(
-      `${detection.class} ${(detection.confidence * 100).toFixed(0)}%`,
+      `${detection.class}${trackLabel} ${(detection.confidence * 100).toFixed(0)}%${stateLabel}`,
       x + 5,
       Math.max(y - 7, 12),
     );
@@ -158,6 +168,21 @@ export function updateOverrideBadge(stateSnapshot) {
   }
 }
 
+/**
+ * カメラ異常のバナーを表示 / 非表示にする。
+ * @param {string|null} message 異常理由の文言。null なら非表示
+ */
+export function updateCameraHealthBanner(message) {
+  const { cameraHealthBanner, cameraHealthText } = getMonitorState().elements;
+  if (!cameraHealthBanner || !cameraHealthText) {
+    return;
+  }
+  cameraHealthBanner.hidden = !message;
+  if (message && cameraHealthText.textContent !== message) {
+    cameraHealthText.textContent = message;
+  }
+}
+
 /**
  * タイマー表示を最新値へ同期する。
  * - renderer/settings.js 側が提供する UI 更新関数を再利用する。
@@ -165,8 +190,100 @@ export function updateOverrideBadge(stateSnapshot) {
 export function updateTimers() {
   const state = getMonitorState();
   if (typeof window.updateTimerDisplay === 'function') {
-    window.updateTimerDisplay(state.phoneDetectionTime, state.absenceDetectionTime);
+    window.updateTimerDisplay(state.phoneDetectionTime, state.absenceDetectionTime, {
+      phoneAlerted: state.phoneAlertTriggered,
+      absenceAlerted: state.absenceAlertTriggered,
+    });
   }
+  updateAlertAcknowledgeButton();
+}
+
+/**
+ * 厳格モードの間はバッジを出し、スマホを置くまで繰り返し注意することを示す。
+ */
+export function updateStrictModeBadge() {
+  const state = getMonitorState();
+  const { strictModeBadge } = state.elements;
+  if (strictModeBadge && strictModeBadge.hidden === state.strictModeActive) {
+    strictModeBadge.hidden = !state.strictModeActive;
+  }
+}
+
+/**
+ * 利用時間の予算のバッジを更新する。
+ * - 今の前面アプリが対象の予算を優先し、無ければ最も使っている予算を出す。予算が無ければ隠す。
+ * - 残りわずかは warning、超過は alert の見た目にする。
+ * @param {Array<{key:string, minutes:number, usedMinutes:number, remainingMinutes:number, ratio:number, level:string, active:boolean}>} budgets
+ */
+export function updateScreenTimeBudgetBadge(budgets) {
+  const { screenTimeBudgetBadge, screenTimeBudgetText } = getMonitorState().elements;
+  if (!screenTimeBudgetBadge || !screenTimeBudgetText) {
+    return;
+  }
+
+  const shown = [...(budgets || [])].sort((a, b) => Number(b.active) - Number(a.active) || b.ratio - a.ratio)[0];
+  if (!shown) {
+    screenTimeBudgetBadge.hidden = true;
+    return;
+  }
+  screenTimeBudgetText.textContent =
+    shown.level === 'exceeded'
+      ? `${shown.key} ${shown.usedMinutes - shown.minutes}分超過`
+      : `${shown.key} 残り${shown.remainingMinutes}分`;
+  screenTimeBudgetBadge.title = `${shown.key}: ${shown.usedMinutes}分 / ${shown.minutes}分`;
+  screenTimeBudgetBadge.classList.toggle('warning', shown.level === 'warning');
+  screenTimeBudgetBadge.classList.toggle('alert', shown.level === 'exceeded');
+  screenTimeBudgetBadge.hidden = false;
+}
+
+/**
+ * 未確認のスマホ / 不在アラートがある間だけ「確認」ボタンを出す。
+ */
+function updateAlertAcknowledgeButton() {
+  const state = getMonitorState();
+  const { alertAckButton } = state.elements;
+  if (!alertAckButton) {
+    return;
+  }
+  const pending =
+    (state.phoneAlertTriggered && state.phoneAlertAcknowledgedAt === 0) ||
+    (state.absenceAlertTriggered && state.absenceAlertAcknowledgedAt === 0);
+  alertAckButton.hidden = !pending;
+}
+
+// 推論メトリクスの表示順。ワーカー内の 3 ステージと、その前後の取得・転送を並べる。
+const INFERENCE_METRIC_FIELDS = Object.freeze([
+  ['captureMs', '取得'],
+  ['transferMs', '転送'],
+  ['preprocessMs', '前処理'],
+  ['inferenceMs', '推論'],
+  ['postprocessMs', '後処理'],
+  ['totalMs', '合計'],
+]);
+
+/**
+ * 推論メトリクス表示を最新値へ同期する。
+ * - 初回の推論結果が届くまでは非表示にし、破棄フレーム数は 1 件以上のときだけ強調する。
+ * - 「省略」はモーションゲートが静止と判定して推論しなかったフレーム数。
+ */
+export function updateInferenceMetrics() {
+  const state = getMonitorState();
+  const container = state.elements.inferenceMetrics;
+  if (!container || !state.inferenceMetrics) {
+    return;
+  }
+
+  const items = INFERENCE_METRIC_FIELDS.map(([key, label]) => {
+    const value = state.inferenceMetrics[key];
+    const text = Number.isFinite(value) ? `${value.toFixed(1)}ms` : '-';
+    return `<span class="metric"><span class="metric-label">${label}</span>${text}</span>`;
+  });
+  const droppedClass = state.droppedFrames > 0 ? 'metric dropped' : 'metric';
+  items.push(`<span class="${droppedClass}"><span class="metric-label">破棄</span>${state.droppedFrames}</span>`);
+  items.push(`<span class="metric"><span class="metric-label">省略</span>${state.motionGate.skippedFrames}</span>`);
+
+  container.innerHTML = items.join('');
+  container.hidden = false;
 }
 
 /**
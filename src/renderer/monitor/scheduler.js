@@ -0,0 +1,190 @@
+/**
+ * 検知ループのスケジューラ。
+ * - 固定間隔の setInterval ではなく毎回 setTimeout で次回を決め、電源状態と在席の安定度に応じて間隔を変える。
+ * - ロック中・スリープ中は検知を止め、メインプロセスから解除の通知を受けた時点で再開する。
+ * - 状態や間隔が変わるたびに detection_schedule_changed を記録し、ダッシュボードで省電力の判断を追えるようにする。
+ */
+import { getMonitorState, MONITOR_TIMING_CONSTANTS } from './context.js';
+import { addLog, recordDetectionLogEntry } from './logs.js';
+import { performDetection } from './detection.js';
+import {
+  MONITOR_SCHEDULING_CONSTANTS,
+  DETECTION_SCHEDULE_MODES,
+  formatDetectionSchedule,
+} from '../../constants/monitor.js';
+
+let unsubscribePowerState = null;
+
+/**
+ * 電源状態 (ロック/スリープ/バッテリー) の購読と初期同期を開始する。
+ */
+export function initializeDetectionScheduling() {
+  if (unsubscribePowerState || !window.electronAPI?.onSystemPowerStateChanged) {
+    return;
+  }
+  unsubscribePowerState = window.electronAPI.onSystemPowerStateChanged(applyPowerState);
+
+  window.electronAPI
+    .systemPowerState()
+    .then((result) => {
+      if (result?.success && result.state) {
+        applyPowerState(result.state);
+      }
+    })
+    .catch((error) => {
+      console.error('[Monitor] 電源状態の取得に失敗:', error);
+    });
+}
+
+function applyPowerState(powerState) {
+  const state = getMonitorState();
+  state.detectionSchedule.powerState = {
+    locked: Boolean(powerState?.locked),
+    suspended: Boolean(powerState?.suspended),
+    onBattery: Boolean(powerState?.onBattery),
+  };
+  // 停止からの再開やバッテリーの切り替えは、広げた間隔の満了を待たずに反映する。
+  if (state.isMonitoring) {
+    scheduleNextDetection(0);
+  }
+}
+
+/**
+ * 検知ループを開始する。既に動いている場合は何もしない。
+ */
+export function startDetectionScheduler() {
+  if (getMonitorState().detectionSchedule.timerId) {
+    return;
+  }
+  runScheduledDetection();
+}
+
+function scheduleNextDetection(delayMs) {
+  const schedule = getMonitorState().detectionSchedule;
+  clearTimeout(schedule.timerId);
+  schedule.timerId = setTimeout(runScheduledDetection, delayMs);
+}
+
+function runScheduledDetection() {
+  const state = getMonitorState();
+  const schedule = state.detectionSchedule;
+  schedule.timerId = null;
+  if (!state.isMonitoring) {
+    return;
+  }
+
+  const now = Date.now();
+  const decision = decideSchedule(now);
+  applyScheduleDecision(decision, now);
+  if (decision.mode === DETECTION_SCHEDULE_MODES.PAUSED) {
+    // 再開は applyPowerState が行う。
+    return;
+  }
+
+  // 推論の完了は待たない。推論中に来た周期は performDetection 側でフレームを破棄する (setInterval の頃と同じ)。
+  performDetection();
+  scheduleNextDetection(decision.intervalMs);
+}
+
+/**
+ * 在席が安定している段数を返す。
+ * - 直近の検知で人物が映っており、スマホ・不在のセッションもカメラ異常も無い状態を「安定」とみなす。
+ */
+function measureStablePresenceSteps(now) {
+  const state = getMonitorState();
+  const schedule = state.detectionSchedule;
+  const stable =
+    state.lastDetectionTime > 0 &&
+    state.lastPersonDetectedTime >= state.lastDetectionTime &&
+    state.phoneDetectionStartTime === 0 &&
+    state.absenceDetectionStartTime === 0 &&
+    !state.cameraUnhealthy;
+  if (!stable) {
+    schedule.stableSince = 0;
+    return 0;
+  }
+  if (schedule.stableSince === 0) {
+    schedule.stableSince = now;
+  }
+  return Math.floor((now - schedule.stableSince) / MONITOR_SCHEDULING_CONSTANTS.stablePresenceStepMs);
+}
+
+/**
+ * 現在の電源状態と在席状況から、次回までの間隔を決める。
+ * @returns {{mode:string, intervalMs:number|null, reasons:string[]}}
+ */
+function decideSchedule(now) {
+  const { powerState } = getMonitorState().detectionSchedule;
+  if (powerState.locked || powerState.suspended) {
+    getMonitorState().detectionSchedule.stableSince = 0;
+    return {
+      mode: DETECTION_SCHEDULE_MODES.PAUSED,
+      intervalMs: null,
+      reasons: [powerState.locked && 'locked', powerState.suspended && 'suspended'].filter(Boolean),
+    };
+  }
+
+  const {
+    batteryIntervalMultiplier,
+    stablePresenceBackoffFactor,
+    maxIntervalMs,
+  } = MONITOR_SCHEDULING_CONSTANTS;
+  const reasons = [];
+  let intervalMs = MONITOR_TIMING_CONSTANTS.detectionIntervalMs;
+  if (powerState.onBattery) {
+    intervalMs *= batteryIntervalMultiplier;
+    reasons.push('on_battery');
+  }
+  const stableSteps = measureStablePresenceSteps(now);
+  if (stableSteps > 0) {
+    intervalMs *= stablePresenceBackoffFactor ** stableSteps;
+    reasons.push('stable_presence');
+  }
+
+  let mode = DETECTION_SCHEDULE_MODES.NORMAL;
+  if (stableSteps > 0) {
+    mode = DETECTION_SCHEDULE_MODES.BACKOFF;
+  } else if (powerState.onBattery) {
+    mode = DETECTION_SCHEDULE_MODES.BATTERY;
+  }
+  return { mode, intervalMs: Math.round(Math.min(intervalMs, maxIntervalMs)), reasons };
+}
+
+/**
+ * 決定が前回と変わっていれば状態を更新し、detection_schedule_changed を記録する。
+ * - durationSeconds には直前の状態が続いた時間を入れる。
+ */
+function applyScheduleDecision(decision, now) {
+  const schedule = getMonitorState().detectionSchedule;
+  if (decision.mode === schedule.mode && decision.intervalMs === schedule.intervalMs) {
+    return;
+  }
+
+  const previousMode = schedule.mode;
+  const previousIntervalMs = schedule.intervalMs;
+  const durationSeconds = schedule.modeSince > 0 ? Math.floor((now - schedule.modeSince) / 1000) : 0;
+  schedule.mode = decision.mode;
+  schedule.intervalMs = decision.intervalMs;
+  schedule.modeSince = now;
+
+  // 起動直後の通常運転は変化ではないため記録しない。
+  if (previousMode === null && decision.mode === DETECTION_SCHEDULE_MODES.NORMAL) {
+    return;
+  }
+
+  if (decision.mode !== previousMode) {
+    addLog(`⏱️ 検知間隔: ${formatDetectionSchedule(decision)}`, 'info');
+  }
+  recordDetectionLogEntry({
+    type: 'detection_schedule_changed',
+    detectedAt: now,
+    durationSeconds: durationSeconds > 0 ? durationSeconds : null,
+    meta: {
+      mode: decision.mode,
+      intervalMs: decision.intervalMs,
+      reasons: decision.reasons,
+      previousMode,
+      previousIntervalMs,
+    },
+  });
+}
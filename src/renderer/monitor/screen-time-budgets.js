@@ -0,0 +1,104 @@
+/**
+ * 利用時間の予算の監視。
+ * - 前面ウィンドウの取得 (active-window.js) のたびに呼ばれ、statusRefreshMs ごとにメインプロセスから使用量を取り直す。
+ *   記録前の前面アプリの区間も渡し、切り替えを待たずに今使っている分を数えさせる。
+ * - 予算ごとに 80% (残りわずか) と 100% (超過) に達したとき 1 回ずつ知らせ、screen_time_budget_alert を記録する。
+ *   通知済みの段階はメモリ上にだけ持つため、アプリを再起動すると到達済みの段階を 1 回だけ知らせ直す。
+ */
+import { getMonitorState } from './context.js';
+import { recordDetectionLogEntry } from './logs.js';
+import { triggerScreenTimeBudgetAlert } from './alerts.js';
+import { updateScreenTimeBudgetBadge } from './render.js';
+import { SCREEN_TIME_BUDGET_LEVELS, SCREEN_TIME_BUDGET_LIMITS } from '../../constants/screen-time-budgets.js';
+
+const LEVEL_ORDER = [SCREEN_TIME_BUDGET_LEVELS.OK, SCREEN_TIME_BUDGET_LEVELS.WARNING, SCREEN_TIME_BUDGET_LEVELS.EXCEEDED];
+
+const budgetState = {
+  lastFetchedAt: 0,
+  inFlight: false,
+  periodStart: 0,
+  // 予算 ID → 通知済みの段階
+  notifiedLevels: new Map(),
+};
+
+/**
+ * 記録前の前面アプリの区間を返す。ダッシュボードも使用量の集計に渡す。
+ * @returns {{appName:string, title:string, domain:string|null, startedAt:number}|null}
+ */
+export function getActiveWindowSession() {
+  const state = getMonitorState();
+  if (!state.lastActiveWindowInfo || !state.lastActiveWindowStart) {
+    return null;
+  }
+  const { appName, title, domain } = state.lastActiveWindowInfo;
+  return { appName, title, domain, startedAt: state.lastActiveWindowStart };
+}
+
+/**
+ * 前回の取得から statusRefreshMs 経っていれば使用量を取り直し、バッジと通知を更新する。
+ * @param {number} now
+ */
+export async function refreshScreenTimeBudgets(now = Date.now()) {
+  if (!window.electronAPI?.screenTimeBudgetsStatus) {
+    return;
+  }
+  if (budgetState.inFlight || now - budgetState.lastFetchedAt < SCREEN_TIME_BUDGET_LIMITS.statusRefreshMs) {
+    return;
+  }
+
+  budgetState.inFlight = true;
+  budgetState.lastFetchedAt = now;
+  try {
+    const response = await window.electronAPI.screenTimeBudgetsStatus({ inFlight: getActiveWindowSession() });
+    if (!response?.success) {
+      throw new Error(response?.error || '利用時間の予算の取得に失敗しました');
+    }
+    const status = response.data || { budgets: [] };
+    if (status.periodStart !== budgetState.periodStart) {
+      budgetState.periodStart = status.periodStart;
+      budgetState.notifiedLevels.clear();
+    }
+    updateScreenTimeBudgetBadge(status.budgets);
+    status.budgets.forEach(notifyLevelChange);
+  } catch (error) {
+    console.warn('[Monitor] 利用時間の予算の取得に失敗:', error);
+  } finally {
+    budgetState.inFlight = false;
+  }
+}
+
+/**
+ * 次の前面ウィンドウの取得で使用量を取り直させる。設定ドロワーで予算を保存したときに呼ぶ。
+ */
+export function requestScreenTimeBudgetRefresh() {
+  budgetState.lastFetchedAt = 0;
+}
+
+function notifyLevelChange(budget) {
+  const notified = budgetState.notifiedLevels.get(budget.id) || SCREEN_TIME_BUDGET_LEVELS.OK;
+  const levelIndex = LEVEL_ORDER.indexOf(budget.level);
+  if (levelIndex <= LEVEL_ORDER.indexOf(notified)) {
+    // 予算を増やして段階が下がった場合は、改めて達したときに知らせ直す。
+    if (levelIndex < LEVEL_ORDER.indexOf(notified)) {
+      budgetState.notifiedLevels.set(budget.id, budget.level);
+    }
+    return;
+  }
+  budgetState.notifiedLevels.set(budget.id, budget.level);
+
+  recordDetectionLogEntry({
+    type: 'screen_time_budget_alert',
+    detectedAt: Date.now(),
+    durationSeconds: budget.usedSeconds,
+    meta: {
+      budgetId: budget.id,
+      target: budget.target,
+      key: budget.key,
+      level: budget.level,
+      minutes: budget.minutes,
+      usedMinutes: budget.usedMinutes,
+      periodStart: budgetState.periodStart,
+    },
+  });
+  triggerScreenTimeBudgetAlert(budget);
+}
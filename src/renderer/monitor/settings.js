@@ -3,6 +3,15 @@
  * - localStorage/DEFAULT_MONITOR_SETTINGS を統合し、モジュール間で共有する。
  */
 import { getMonitorState, DEFAULT_MONITOR_SETTINGS } from './context.js';
+import {
+  sanitizeYoloInputSize,
+  sanitizeDetectionRegions,
+  sanitizeObjectWatches,
+  sanitizeDwellLimits,
+} from '../../constants/monitor.js';
+import { sanitizeAlertRules } from '../../constants/alert-rules.js';
+import { loadAlertRules } from '../services/alert-rules.js';
+import { sanitizeSnapshotSettings } from '../../constants/snapshots.js';
 import { syncPreviewVisibility, ensureRenderLoopState } from './render.js';
 
 const STORAGE_KEY = 'monitorSettings';
@@ -30,6 +39,55 @@ export function reloadSettings() {
   return state.settings;
 }
 
+/**
+ * アラートルールをメインプロセスの configStore から読み込む。
+ * - 初回の読み込みで監視設定に残っている旧キー (phoneThreshold など) を組み込みルールへ移す (services/alert-rules.js)。
+ * - 設定ドロワーで保存されると 'alert-rules-updated' で新しい一覧が届くため、それ以降はイベントで差し替える。
+ */
+export function initializeAlertRules() {
+  const state = getMonitorState();
+  window.addEventListener('alert-rules-updated', (event) => {
+    state.alertRules = sanitizeAlertRules(event.detail?.rules);
+  });
+
+  if (!window.electronAPI?.alertRulesGet) {
+    return;
+  }
+  loadAlertRules()
+    .then((rules) => {
+      state.alertRules = rules;
+    })
+    .catch((error) => {
+      console.error('[Monitor] アラートルールの取得に失敗:', error);
+    });
+}
+
+/**
+ * スナップショット設定をメインプロセスの configStore から読み込む。
+ * - 設定ドロワーで変更されると 'snapshot-settings-updated' で新しい値が届く。
+ */
+export function initializeSnapshotSettings() {
+  const state = getMonitorState();
+  window.addEventListener('snapshot-settings-updated', (event) => {
+    state.snapshotSettings = sanitizeSnapshotSettings(event.detail?.settings);
+  });
+
+  if (!window.electronAPI?.snapshotSettingsGet) {
+    return;
+  }
+  window.electronAPI
+    .snapshotSettingsGet()
+    .then((response) => {
+      if (!response?.success) {
+        throw new Error(response?.error || 'スナップショット設定の取得に失敗しました');
+      }
+      state.snapshotSettings = sanitizeSnapshotSettings(response.settings);
+    })
+    .catch((error) => {
+      console.error('[Monitor] スナップショット設定の取得に失敗:', error);
+    });
+}
+
 /**
  * 現在の設定オブジェクトを参照する。
  * - 呼び出し側で null チェックを行う前提だが、初期化順序が崩れた場合でも undefined を返さない。
@@ -62,6 +120,10 @@ function readSettingsFromStorage() {
         ? parsed.enabledClasses
         : [...DEFAULT_MONITOR_SETTINGS.enabledClasses],
       previewEnabled,
+      yoloInputSize: sanitizeYoloInputSize(parsed.yoloInputSize),
+      detectionRegions: sanitizeDetectionRegions(parsed.detectionRegions),
+      objectWatches: sanitizeObjectWatches(parsed.objectWatches),
+      dwellLimits: sanitizeDwellLimits(parsed.dwellLimits),
     };
   } catch (error) {
     console.warn('[Monitor] Failed to parse monitor settings.', error);
@@ -76,5 +138,8 @@ export function createDefaultSettings() {
   return {
     ...DEFAULT_MONITOR_SETTINGS,
     enabledClasses: [...DEFAULT_MONITOR_SETTINGS.enabledClasses],
+    detectionRegions: [],
+    objectWatches: [],
+    dwellLimits: [],
   };
 }
@@ -0,0 +1,74 @@
+/**
+ * アラート時スナップショットの撮影。
+ * - アラート系のログを記録する直前にカメラ映像を縮小 (任意でぼかし) して JPEG 化し、メインプロセスへ保存させる。
+ * - 保存できたファイル名を meta.snapshot に加えてから記録する。撮影に失敗してもログ自体は必ず残す。
+ * - 映像はアラートの時点で取り込み、保存と記録は 1 件ずつ順に行う。アラートが続いても
+ *   それぞれのログには自分の時点の画像が付き、ログの記録順も入れ替わらない。
+ */
+import { getMonitorState } from './context.js';
+import { recordDetectionLogEntry } from './logs.js';
+import { SNAPSHOT_ALERT_TYPES, SNAPSHOT_LIMITS } from '../../constants/snapshots.js';
+
+let snapshotCanvas = null;
+// 保存と記録の順番待ち。スナップショットの無いログも後ろに並べ、先に記録されないようにする。
+let recordQueue = Promise.resolve();
+
+/**
+ * 検知ログを記録する。アラート系の種別で撮影が有効ならスナップショットを添える。
+ * - 状態機械・ルール評価器の recordLog にそのまま渡せる形にしている。
+ * @param {{type:string, detectedAt?:number, durationSeconds?:number|null, responseSeconds?:number|null, meta?:Object|null}} entry
+ */
+export function recordDetectionLogWithSnapshot(entry) {
+  const { snapshotSettings } = getMonitorState();
+  let dataUrl = null;
+  if (snapshotSettings?.enabled && SNAPSHOT_ALERT_TYPES.includes(entry.type)) {
+    try {
+      dataUrl = captureFrame(snapshotSettings);
+    } catch (error) {
+      console.warn('[Monitor] スナップショットの撮影に失敗:', error);
+    }
+  }
+
+  recordQueue = recordQueue
+    .then(() => (dataUrl ? saveSnapshot(dataUrl, entry.detectedAt ?? Date.now()) : null))
+    .catch((error) => {
+      console.warn('[Monitor] スナップショットの保存に失敗:', error);
+      return null;
+    })
+    .then((fileName) => {
+      recordDetectionLogEntry(fileName ? { ...entry, meta: { ...(entry.meta || {}), snapshot: fileName } } : entry);
+    });
+}
+
+/**
+ * 現在の映像を縮小 (任意でぼかし) して JPEG の data URL にする。映像が無い場合は null。
+ */
+function captureFrame(settings) {
+  const { videoElement } = getMonitorState().elements;
+  if (!videoElement?.videoWidth || !window.electronAPI?.snapshotSave) {
+    return null;
+  }
+
+  const width = Math.min(settings.width, videoElement.videoWidth);
+  const height = Math.round((videoElement.videoHeight / videoElement.videoWidth) * width);
+  if (!snapshotCanvas) {
+    snapshotCanvas = document.createElement('canvas');
+  }
+  snapshotCanvas.width = width;
+  snapshotCanvas.height = height;
+  const ctx = snapshotCanvas.getContext('2d');
+  ctx.filter = settings.blur ? `blur(${SNAPSHOT_LIMITS.blurPx}px)` : 'none';
+  ctx.drawImage(videoElement, 0, 0, width, height);
+  return snapshotCanvas.toDataURL('image/jpeg', SNAPSHOT_LIMITS.jpegQuality);
+}
+
+/**
+ * 取り込んだ画像をメインプロセスへ保存させ、ファイル名を返す。
+ */
+async function saveSnapshot(dataUrl, capturedAt) {
+  const response = await window.electronAPI.snapshotSave({ dataUrl, capturedAt });
+  if (!response?.success) {
+    throw new Error(response?.error || 'スナップショットの保存に失敗しました');
+  }
+  return response.fileName;
+}
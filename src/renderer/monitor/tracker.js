@@ -0,0 +1,234 @@
+/**
+ * 人物 / スマホの多物体トラッカー。
+ * - 検知はフレーム単位で独立しているため、前フレームの物体と IoU で対応付けて同じトラック ID を振り続ける。
+ * - 中心座標は等速モデルのカルマンフィルタで予測し、動いている物体でも次フレームの位置で照合する。
+ * - 外観特徴は使わないため、画面外へ出て消えた人物が戻った場合は新しい ID になる。
+ * - DOM に依存しないため、リプレイなどメインプロセス側からも同じ実装を使える。
+ */
+import { MONITOR_TRACKER_CONSTANTS } from '../../constants/monitor.js';
+
+/**
+ * 1 軸分の等速カルマンフィルタ (状態: 位置・速度)。
+ */
+function createAxisFilter(position) {
+  return {
+    position,
+    velocity: 0,
+    // 共分散行列 [[p00, p01], [p10, p11]]。初期速度は不明なので速度側の分散を大きく取る。
+    covariance: [
+      [MONITOR_TRACKER_CONSTANTS.measurementNoise, 0],
+      [0, MONITOR_TRACKER_CONSTANTS.initialVelocityVariance],
+    ],
+  };
+}
+
+function predictAxis(filter, dt) {
+  const q = MONITOR_TRACKER_CONSTANTS.processNoise;
+  const [[p00, p01], [p10, p11]] = filter.covariance;
+  filter.position += filter.velocity * dt;
+  // P = F P F^T + Q (F = [[1, dt], [0, 1]], Q は加速度を白色雑音とみなした離散化)
+  filter.covariance = [
+    [p00 + dt * (p10 + p01) + dt * dt * p11 + (q * dt ** 4) / 4, p01 + dt * p11 + (q * dt ** 3) / 2],
+    [p10 + dt * p11 + (q * dt ** 3) / 2, p11 + q * dt * dt],
+  ];
+}
+
+function correctAxis(filter, measurement) {
+  const r = MONITOR_TRACKER_CONSTANTS.measurementNoise;
+  const [[p00, p01], [p10, p11]] = filter.covariance;
+  const innovation = measurement - filter.position;
+  const s = p00 + r;
+  const k0 = p00 / s;
+  const k1 = p10 / s;
+  filter.position += k0 * innovation;
+  filter.velocity += k1 * innovation;
+  filter.covariance = [
+    [(1 - k0) * p00, (1 - k0) * p01],
+    [p10 - k1 * p00, p11 - k1 * p01],
+  ];
+}
+
+function computeIoU([ax, ay, aw, ah], [bx, by, bw, bh]) {
+  const width = Math.min(ax + aw, bx + bw) - Math.max(ax, bx);
+  const height = Math.min(ay + ah, by + bh) - Math.max(ay, by);
+  if (width <= 0 || height <= 0) {
+    return 0;
+  }
+  const intersection = width * height;
+  return intersection / (aw * ah + bw * bh - intersection);
+}
+
+function trackBox(track) {
+  return [track.x.position - track.width / 2, track.y.position - track.height / 2, track.width, track.height];
+}
+
+/**
+ * トラッカーを生成する。
+ * @param {{classes?:string[]}} [options] 追跡対象クラス
+ */
+export function createObjectTracker({ classes = MONITOR_TRACKER_CONSTANTS.classes } = {}) {
+  let tracks = [];
+  let nextId = 1;
+  let lastUpdateAt = 0;
+  let ownerTrackId = null;
+
+  function createTrack(detection, now) {
+    const [x, y, w, h] = detection.bbox;
+    return {
+      id: nextId++,
+      class: detection.class,
+      x: createAxisFilter(x + w / 2),
+      y: createAxisFilter(y + h / 2),
+      width: w,
+      height: h,
+      hits: 1,
+      confirmed: MONITOR_TRACKER_CONSTANTS.minHits <= 1,
+      firstSeenAt: now,
+      lastSeenAt: now,
+      matchedLastUpdate: true,
+    };
+  }
+
+  function correctTrack(track, detection, now) {
+    const [x, y, w, h] = detection.bbox;
+    const alpha = MONITOR_TRACKER_CONSTANTS.sizeSmoothing;
+    correctAxis(track.x, x + w / 2);
+    correctAxis(track.y, y + h / 2);
+    track.width += alpha * (w - track.width);
+    track.height += alpha * (h - track.height);
+    track.hits += 1;
+    track.confirmed = track.confirmed || track.hits >= MONITOR_TRACKER_CONSTANTS.minHits;
+    track.lastSeenAt = now;
+    track.matchedLastUpdate = true;
+  }
+
+  /**
+   * 持ち主 (owner) のトラックを更新する。
+   * - 生存中は同じトラックを維持し、消えた場合のみ最も大きく映っている人物へ引き継ぐ。
+   *   カメラに最も近い (= 枠が大きい) 人物を PC の前に座っている本人とみなす。
+   */
+  function updateOwner() {
+    const persons = tracks.filter((track) => track.class === 'person' && track.confirmed);
+    if (persons.some((track) => track.id === ownerTrackId && track.matchedLastUpdate)) {
+      return;
+    }
+    const visible = persons.filter((track) => track.matchedLastUpdate);
+    if (visible.length === 0) {
+      if (!persons.some((track) => track.id === ownerTrackId)) {
+        ownerTrackId = null;
+      }
+      return;
+    }
+    visible.sort((a, b) => b.width * b.height - a.width * a.height);
+    ownerTrackId = visible[0].id;
+  }
+
+  /**
+   * 1 フレーム分の検知でトラックを更新し、trackId を付与した検知配列を返す。
+   * - 照合はクラスごとに IoU の高い組から貪欲に確定させる (フレーム内の物体数が少ないため十分)。
+   * - 追跡対象外のクラスはそのまま返す。
+   * @param {Array} detections
+   * @param {number} [now]
+   * @returns {Array}
+   */
+  function update(detections, now = Date.now()) {
+    const dt = lastUpdateAt ? Math.max((now - lastUpdateAt) / 1000, 0) : 0;
+    lastUpdateAt = now;
+    tracks.forEach((track) => {
+      predictAxis(track.x, dt);
+      predictAxis(track.y, dt);
+      track.matchedLastUpdate = false;
+    });
+
+    const candidates = [];
+    detections.forEach((detection, detectionIndex) => {
+      if (!classes.includes(detection.class)) {
+        return;
+      }
+      tracks.forEach((track, trackIndex) => {
+        if (track.class !== detection.class) {
+          return;
+        }
+        const iou = computeIoU(trackBox(track), detection.bbox);
+        if (iou >= MONITOR_TRACKER_CONSTANTS.iouThreshold) {
+          candidates.push({ iou, detectionIndex, trackIndex });
+        }
+      });
+    });
+    candidates.sort((a, b) => b.iou - a.iou);
+
+    const assigned = new Map();
+    const usedTracks = new Set();
+    candidates.forEach(({ detectionIndex, trackIndex }) => {
+      if (assigned.has(detectionIndex) || usedTracks.has(trackIndex)) {
+        return;
+      }
+      assigned.set(detectionIndex, tracks[trackIndex]);
+      usedTracks.add(trackIndex);
+    });
+
+    const annotated = detections.map((detection, index) => {
+      if (!classes.includes(detection.class)) {
+        return detection;
+      }
+      let track = assigned.get(index);
+      if (track) {
+        correctTrack(track, detection, now);
+      } else {
+        track = createTrack(detection, now);
+        tracks.push(track);
+      }
+      return { ...detection, trackId: track.id };
+    });
+
+    tracks = tracks.filter((track) => now - track.lastSeenAt <= MONITOR_TRACKER_CONSTANTS.maxAgeMs);
+    updateOwner();
+    return annotated;
+  }
+
+  /**
+   * 推論を省略したフレームで、直前に照合できたトラックを生存扱いにする。
+   * - モーションゲートで静止と判定された間にトラックが期限切れで消えないようにする。
+   */
+  function keepAlive(now = Date.now()) {
+    tracks.forEach((track) => {
+      if (track.matchedLastUpdate) {
+        track.lastSeenAt = now;
+      }
+    });
+  }
+
+  /**
+   * 確定済みで直近フレームに映っているトラックを返す。
+   * @param {string} [className]
+   */
+  function getVisibleTracks(className) {
+    return tracks
+      .filter((track) => track.confirmed && track.matchedLastUpdate && (!className || track.class === className))
+      .map((track) => ({
+        id: track.id,
+        class: track.class,
+        bbox: trackBox(track),
+        firstSeenAt: track.firstSeenAt,
+        lastSeenAt: track.lastSeenAt,
+      }));
+  }
+
+  function getOwnerTrackId() {
+    return ownerTrackId;
+  }
+
+  function reset() {
+    tracks = [];
+    lastUpdateAt = 0;
+    ownerTrackId = null;
+  }
+
+  return {
+    update,
+    keepAlive,
+    getVisibleTracks,
+    getOwnerTrackId,
+    reset,
+  };
+}
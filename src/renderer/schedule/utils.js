@@ -259,6 +259,25 @@ export function getNextOccurrenceInfo(schedule, referenceDate = new Date()) {
   return null;
 }
 
+/**
+ * 指定日時が予定の開始から windowMinutes 以内かを判定する。
+ * - 予定には終了時刻が無いため、開始からの一定時間を「予定中」とみなす。
+ * @param {object} schedule スケジュールエントリ
+ * @param {Date} referenceDate 基準日時
+ * @param {number} windowMinutes 開始から予定中とみなす分数
+ * @returns {boolean}
+ */
+export function isScheduleInProgress(schedule, referenceDate, windowMinutes) {
+  const windowMs = windowMinutes * 60 * 1000;
+  // 日をまたぐ予定にも対応するため、窓の長さだけ遡った時点から次の開始を求める。
+  const occurrence = getNextOccurrenceInfo(schedule, new Date(referenceDate.getTime() - windowMs));
+  if (!occurrence) {
+    return false;
+  }
+  const startedAt = occurrence.dateTime.getTime();
+  return startedAt <= referenceDate.getTime() && referenceDate.getTime() < startedAt + windowMs;
+}
+
 /**
  * 数値配列同士が同じ順序で一致するか比較する軽量ヘルパー。
  * @param {number[]} a 配列A
@@ -8,6 +8,7 @@ const defaultState = {
   current: null,
   remainingMs: null,
   history: [],
+  budget: null,
   timestamp: Date.now(),
 };
 
@@ -131,6 +132,42 @@ export function clearAbsenceOverride(options) {
   return fn(options);
 }
 
+/**
+ * 定期許可の一覧を取得する。
+ * @returns {Promise<{success:boolean, windows?:Array, error?:string}>}
+ */
+export function getRecurringAbsenceOverrides() {
+  const fn = ensureApi('absenceOverrideRecurringGet');
+  return fn();
+}
+
+/**
+ * 定期許可の一覧を保存する。保存後に進行中の枠があればメインプロセスが許可を開始する。
+ * @param {Array} windows
+ */
+export function updateRecurringAbsenceOverrides(windows) {
+  const fn = ensureApi('absenceOverrideRecurringUpdate');
+  return fn(windows);
+}
+
+/**
+ * 不在許可の予算設定を取得する。
+ * @returns {Promise<{success:boolean, settings?:Object, error?:string}>}
+ */
+export function getAbsenceOverrideBudget() {
+  const fn = ensureApi('absenceOverrideBudgetGet');
+  return fn();
+}
+
+/**
+ * 不在許可の予算設定を更新する。残り予算は状態の変更通知 (state.budget) で届く。
+ * @param {Object} patch
+ */
+export function updateAbsenceOverrideBudget(patch) {
+  const fn = ensureApi('absenceOverrideBudgetUpdate');
+  return fn(patch);
+}
+
 /**
  * 状態を即時に再取得し、キャッシュを更新する。
  * @returns {Promise<Object>}
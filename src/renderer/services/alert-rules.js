@@ -0,0 +1,112 @@
+/**
+ * レンダラ側のアラートルールの読み書き。
+ * - 監視画面・アラートルールセクション・監視設定フォームが同じ一覧を使うため、最初の読み込みを 1 回にまとめる。
+ * - 最初の読み込みで、監視設定 (localStorage の monitorSettings) に残っている旧キー (phoneThreshold など) を
+ *   組み込みルールへ移し、移し終えたら monitorSettings から取り除く。
+ * - 保存後は 'alert-rules-updated' を発火し、監視画面の評価器と設定ドロワーの表示へ反映する。
+ */
+import {
+  LEGACY_ALERT_SETTING_KEYS,
+  applyBuiltinAlertSettings,
+  sanitizeAlertRules,
+} from '../../constants/alert-rules.js';
+
+const MONITOR_SETTINGS_STORAGE_KEY = 'monitorSettings';
+
+let loadPromise = null;
+
+/**
+ * monitorSettings に残っている旧キーの値を返す。無ければ null。
+ */
+function readLegacyAlertSettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(MONITOR_SETTINGS_STORAGE_KEY) || 'null');
+    if (!parsed || typeof parsed !== 'object') {
+      return null;
+    }
+    const legacy = Object.fromEntries(
+      LEGACY_ALERT_SETTING_KEYS.filter((key) => parsed[key] !== undefined).map((key) => [key, parsed[key]]),
+    );
+    return Object.keys(legacy).length > 0 ? legacy : null;
+  } catch {
+    return null;
+  }
+}
+
+function removeLegacyAlertSettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(MONITOR_SETTINGS_STORAGE_KEY) || 'null');
+    if (!parsed || typeof parsed !== 'object') {
+      return;
+    }
+    LEGACY_ALERT_SETTING_KEYS.forEach((key) => delete parsed[key]);
+    localStorage.setItem(MONITOR_SETTINGS_STORAGE_KEY, JSON.stringify(parsed));
+  } catch (error) {
+    console.warn('[AlertRules] 旧設定の削除に失敗:', error);
+  }
+}
+
+async function fetchAlertRules() {
+  const response = await window.electronAPI.alertRulesGet();
+  if (!response?.success) {
+    throw new Error(response?.error || 'アラートルールの取得に失敗しました');
+  }
+  return sanitizeAlertRules(response.rules);
+}
+
+/**
+ * ルールを保存し、正規化後の一覧を 'alert-rules-updated' で配信して返す。
+ * @param {Array} rules
+ * @returns {Promise<Array>}
+ */
+export async function saveAlertRules(rules) {
+  if (!window.electronAPI?.alertRulesUpdate) {
+    throw new Error('アラートルールは利用できません (electronAPI 未連携)');
+  }
+  const response = await window.electronAPI.alertRulesUpdate(rules);
+  if (!response?.success) {
+    throw new Error(response?.error || 'アラートルールの保存に失敗しました');
+  }
+  const saved = sanitizeAlertRules(response.rules);
+  window.dispatchEvent(new CustomEvent('alert-rules-updated', { detail: { rules: saved } }));
+  return saved;
+}
+
+/**
+ * 保存済みのルールを読み込む。初回だけ旧設定の移行を行い、以降の呼び出しは同じ Promise を共有する。
+ * - 移行の保存に失敗した場合は旧キーを残し、次回の起動でやり直す。
+ * @returns {Promise<Array>}
+ */
+export function loadAlertRules() {
+  if (!window.electronAPI?.alertRulesGet) {
+    return Promise.reject(new Error('アラートルールは利用できません (electronAPI 未連携)'));
+  }
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      const rules = await fetchAlertRules();
+      const legacy = readLegacyAlertSettings();
+      if (!legacy) {
+        return rules;
+      }
+      const migrated = await saveAlertRules(applyBuiltinAlertSettings(rules, legacy));
+      removeLegacyAlertSettings();
+      return migrated;
+    })();
+    loadPromise.catch(() => {
+      loadPromise = null;
+    });
+  }
+  return loadPromise;
+}
+
+/**
+ * 監視設定の形 (phoneThreshold など) で渡した値を組み込みルールへ書き込んで保存する。
+ * - 保存直前に最新の一覧を読み直し、アラートルールセクションで保存した内容を上書きしない。
+ * @param {Object} values
+ * @returns {Promise<Array>}
+ */
+export async function updateBuiltinAlertSettings(values) {
+  await loadAlertRules();
+  const rules = await fetchAlertRules();
+  return saveAlertRules(applyBuiltinAlertSettings(rules, values));
+}
@@ -7,7 +7,19 @@ import { initializeSlackReporterSection } from './settings/slack.js';
 import { initializeTypingMonitorSection } from './settings/typing.js';
 import { initializeVoiceCommandSection } from './settings/voice-commands.js';
 import { initializeAbsenceOverrideSection } from './settings/absence-override.js';
+import { initializeRecurringOverrideSection } from './settings/absence-override-recurring.js';
+import { initializeSystemOverrideSection } from './settings/absence-override-system.js';
+import { initializeOverrideBudgetSection } from './settings/absence-override-budget.js';
 import { initializeVoiceDictionarySection } from './settings/voice-dictionary.js';
+import { initializeDetectionRegionsSection } from './settings/detection-regions.js';
+import { initializeObjectWatchesSection } from './settings/object-watches.js';
+import { initializeDwellLimitsSection } from './settings/dwell-limits.js';
+import { initializePostureSection } from './settings/posture.js';
+import { initializeAlertRulesSection } from './settings/alert-rules.js';
+import { initializeSnapshotSection } from './settings/snapshots.js';
+import { initializeFocusScoreSection } from './settings/focus-score.js';
+import { initializeAppCategorySection } from './settings/app-categories.js';
+import { initializeScreenTimeBudgetSection } from './settings/screen-time-budgets.js';
 
 document.addEventListener('DOMContentLoaded', () => {
   // 初期化順序を固定し、フォーム要素が揃った後に各セクションを起動する。
@@ -24,6 +36,38 @@ document.addEventListener('DOMContentLoaded', () => {
   initializeVoiceCommandSection();
   initializeVoiceDictionarySection();
   initializeAbsenceOverrideSection();
+  initializeRecurringOverrideSection().catch((error) => {
+    console.error('[Settings] 定期許可セクション初期化エラー:', error);
+  });
+  initializeSystemOverrideSection().catch((error) => {
+    console.error('[Settings] 画面ロック連動セクション初期化エラー:', error);
+  });
+  initializeOverrideBudgetSection().catch((error) => {
+    console.error('[Settings] 不在許可の予算セクション初期化エラー:', error);
+  });
+  initializeDetectionRegionsSection();
+  initializeObjectWatchesSection();
+  initializeDwellLimitsSection();
+  initializePostureSection();
+
+  initializeAlertRulesSection().catch((error) => {
+    console.error('[Settings] アラートルールセクション初期化エラー:', error);
+  });
+
+  initializeSnapshotSection().catch((error) => {
+    console.error('[Settings] スナップショットセクション初期化エラー:', error);
+  });
+
+  initializeFocusScoreSection().catch((error) => {
+    console.error('[Settings] 集中スコアセクション初期化エラー:', error);
+  });
+
+  initializeAppCategorySection().catch((error) => {
+    console.error('[Settings] アプリカテゴリセクション初期化エラー:', error);
+  });
+  initializeScreenTimeBudgetSection().catch((error) => {
+    console.error('[Settings] 利用時間の予算セクション初期化エラー:', error);
+  });
 
   window.getSettings = () => loadSettings();
 });
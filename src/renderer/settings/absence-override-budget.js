@@ -0,0 +1,199 @@
+/**
+ * 不在許可の予算設定 UI。
+ * - 設定はメインプロセスの configStore に保存するため、フォームの「設定を保存」を待たずに変更のたびに送る。
+ * - 予算の照合は開始・延長のたびにメインプロセスが行い、残り予算の表示は不在許可セクション本体が受け持つ。
+ */
+import {
+  OVERRIDE_BUDGET_LIMITS,
+  DEFAULT_OVERRIDE_BUDGET,
+  sanitizeOverrideBudget,
+} from '../../constants/absence-override.js';
+import { getAbsenceOverrideBudget, updateAbsenceOverrideBudget } from '../services/absence-override.js';
+import { adjustAccordionHeight } from './utils.js';
+
+const dom = {
+  enabledCheckbox: null,
+  periodSelect: null,
+  totalInput: null,
+  modeSelect: null,
+  reasonList: null,
+  addButton: null,
+  message: null,
+};
+
+let budgetSettings = null;
+let budgetBusy = false;
+
+/**
+ * 予算設定を読み込み、フォームを初期化する。
+ */
+export async function initializeOverrideBudgetSection() {
+  dom.enabledCheckbox = document.getElementById('overrideBudgetEnabled');
+  dom.periodSelect = document.getElementById('overrideBudgetPeriod');
+  dom.totalInput = document.getElementById('overrideBudgetTotalMinutes');
+  dom.modeSelect = document.getElementById('overrideBudgetMode');
+  dom.reasonList = document.getElementById('overrideBudgetReasonList');
+  dom.addButton = document.getElementById('overrideBudgetReasonAddBtn');
+  dom.message = document.getElementById('overrideBudgetMessage');
+  if (!dom.enabledCheckbox) {
+    return;
+  }
+  if (dom.totalInput) {
+    dom.totalInput.max = String(OVERRIDE_BUDGET_LIMITS.minutesMax);
+  }
+
+  dom.enabledCheckbox.addEventListener('change', () => handleChange({ enabled: dom.enabledCheckbox.checked }));
+  dom.periodSelect?.addEventListener('change', () => handleChange({ period: dom.periodSelect.value }));
+  dom.totalInput?.addEventListener('change', () => handleChange({ totalMinutes: dom.totalInput.value }));
+  dom.modeSelect?.addEventListener('change', () => handleChange({ mode: dom.modeSelect.value }));
+  dom.addButton?.addEventListener('click', handleAddReasonLimit);
+
+  const response = await getAbsenceOverrideBudget();
+  if (!response?.success) {
+    throw new Error(response?.error || '不在許可の予算を取得できませんでした');
+  }
+  budgetSettings = sanitizeOverrideBudget(response.settings);
+  applyToForm();
+}
+
+function setControlsDisabled(disabled) {
+  [dom.enabledCheckbox, dom.periodSelect, dom.totalInput, dom.modeSelect, dom.addButton].forEach((control) => {
+    if (control) {
+      control.disabled = disabled;
+    }
+  });
+}
+
+function applyToForm() {
+  const settings = budgetSettings;
+  if (!settings) {
+    return;
+  }
+  dom.enabledCheckbox.checked = settings.enabled;
+  if (dom.periodSelect) {
+    dom.periodSelect.value = settings.period;
+  }
+  if (dom.totalInput) {
+    dom.totalInput.value = String(settings.totalMinutes);
+  }
+  if (dom.modeSelect) {
+    dom.modeSelect.value = settings.mode;
+  }
+  setControlsDisabled(budgetBusy);
+  [dom.periodSelect, dom.totalInput, dom.modeSelect].forEach((control) => {
+    if (control) {
+      control.disabled = budgetBusy || !settings.enabled;
+    }
+  });
+  if (dom.addButton) {
+    dom.addButton.disabled =
+      budgetBusy || !settings.enabled || settings.reasonLimits.length >= OVERRIDE_BUDGET_LIMITS.maxReasonLimits;
+  }
+  renderReasonLimits();
+}
+
+function renderReasonLimits() {
+  if (!dom.reasonList) {
+    return;
+  }
+  dom.reasonList.innerHTML = '';
+  if (budgetSettings.reasonLimits.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = '理由ごとの上限はありません';
+    dom.reasonList.appendChild(empty);
+  } else {
+    budgetSettings.reasonLimits.forEach((limit, index) => dom.reasonList.appendChild(createReasonLimitItem(limit, index)));
+  }
+  adjustAccordionHeight(dom.reasonList);
+}
+
+function createReasonLimitItem(limit, index) {
+  const item = document.createElement('li');
+  item.className = 'recurring-override-item';
+  const disabled = budgetBusy || !budgetSettings.enabled;
+
+  const keyInput = document.createElement('input');
+  keyInput.type = 'text';
+  keyInput.value = limit.key;
+  keyInput.maxLength = OVERRIDE_BUDGET_LIMITS.keyMaxLength;
+  keyInput.placeholder = '例: 昼休憩 / lunch';
+  keyInput.disabled = disabled;
+  keyInput.addEventListener('change', () => updateReasonLimit(index, { key: keyInput.value }));
+
+  const minutesInput = document.createElement('input');
+  minutesInput.type = 'number';
+  minutesInput.min = '0';
+  minutesInput.max = String(OVERRIDE_BUDGET_LIMITS.minutesMax);
+  minutesInput.step = '5';
+  minutesInput.value = String(limit.minutes);
+  minutesInput.disabled = disabled;
+  minutesInput.addEventListener('change', () => updateReasonLimit(index, { minutes: minutesInput.value }));
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.className = 'btn-secondary';
+  deleteButton.textContent = '削除';
+  deleteButton.disabled = disabled;
+  deleteButton.addEventListener('click', () => {
+    handleChange({ reasonLimits: budgetSettings.reasonLimits.filter((_value, position) => position !== index) });
+  });
+
+  item.append(keyInput, minutesInput, '分まで', deleteButton);
+  return item;
+}
+
+function updateReasonLimit(index, patch) {
+  handleChange({
+    reasonLimits: budgetSettings.reasonLimits.map((limit, position) => (position === index ? { ...limit, ...patch } : limit)),
+  });
+}
+
+function handleAddReasonLimit() {
+  const keys = new Set(budgetSettings.reasonLimits.map((limit) => limit.key));
+  // 既定のプリセット ID から未登録のものを選び、同じキーの重複で追加が消えないようにする。
+  const key = ['lunch', 'restroom', 'shopping', 'walk', 'bath'].find((candidate) => !keys.has(candidate));
+  if (!key) {
+    showMessage('追加できるプリセットがありません。既存の行の理由を書き換えてください', 'info');
+    return;
+  }
+  handleChange({
+    reasonLimits: [...budgetSettings.reasonLimits, { key, minutes: DEFAULT_OVERRIDE_BUDGET.totalMinutes / 2 }],
+  });
+}
+
+/**
+ * 変更した項目を保存し、失敗時はフォームを保存済みの値へ戻す。
+ */
+async function handleChange(patch) {
+  if (budgetBusy) {
+    applyToForm();
+    return;
+  }
+
+  try {
+    budgetBusy = true;
+    setControlsDisabled(true);
+    const response = await updateAbsenceOverrideBudget(patch);
+    if (!response?.success) {
+      throw new Error(response?.error || '不在許可の予算を保存できませんでした');
+    }
+    budgetSettings = sanitizeOverrideBudget(response.settings);
+    showMessage('不在許可の予算を保存しました', 'success');
+  } catch (error) {
+    console.error('[Settings] 不在許可の予算保存エラー:', error);
+    showMessage(error.message || '不在許可の予算を保存できませんでした', 'error');
+  } finally {
+    budgetBusy = false;
+    applyToForm();
+  }
+}
+
+function showMessage(text, type = 'info') {
+  if (!dom.message) {
+    return;
+  }
+  dom.message.textContent = text;
+  dom.message.className = `help-text ${type}`;
+  adjustAccordionHeight(dom.message);
+}
@@ -0,0 +1,181 @@
+/**
+ * 定期的な不在許可の編集 UI。
+ * - 一覧はメインプロセスの configStore に保存するため、編集中は下書きとして保持し「定期許可を保存」で送る。
+ * - 開始・終了はメインプロセスの不在許可マネージャが行い、状態の表示は不在許可セクション本体が受け持つ。
+ */
+import {
+  RECURRING_OVERRIDE_LIMITS,
+  createRecurringOverrideTemplate,
+  sanitizeRecurringOverrides,
+} from '../../constants/absence-override.js';
+import { WEEKDAY_LABELS } from '../schedule/constants.js';
+import { getRecurringAbsenceOverrides, updateRecurringAbsenceOverrides } from '../services/absence-override.js';
+import { adjustAccordionHeight } from './utils.js';
+
+const dom = {
+  list: null,
+  addButton: null,
+  saveButton: null,
+  message: null,
+};
+
+let draftWindows = [];
+let recurringBusy = false;
+
+/**
+ * 定期許可の一覧を読み込み、編集 UI を初期化する。
+ */
+export async function initializeRecurringOverrideSection() {
+  dom.list = document.getElementById('absenceOverrideRecurringList');
+  dom.addButton = document.getElementById('absenceOverrideRecurringAddBtn');
+  dom.saveButton = document.getElementById('absenceOverrideRecurringSaveBtn');
+  dom.message = document.getElementById('absenceOverrideRecurringMessage');
+  if (!dom.list) {
+    return;
+  }
+
+  dom.addButton?.addEventListener('click', handleAddWindow);
+  dom.saveButton?.addEventListener('click', handleSaveWindows);
+
+  const response = await getRecurringAbsenceOverrides();
+  if (!response?.success) {
+    throw new Error(response?.error || '定期許可の取得に失敗しました');
+  }
+  draftWindows = sanitizeRecurringOverrides(response.windows);
+  renderRecurringList();
+}
+
+function renderRecurringList() {
+  dom.list.innerHTML = '';
+  if (draftWindows.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = '定期許可はありません';
+    dom.list.appendChild(empty);
+  } else {
+    draftWindows.forEach((entry) => dom.list.appendChild(createWindowItem(entry)));
+  }
+  if (dom.addButton) {
+    dom.addButton.disabled = recurringBusy || draftWindows.length >= RECURRING_OVERRIDE_LIMITS.maxWindows;
+  }
+  adjustAccordionHeight(dom.list);
+}
+
+function createDayToggles(entry) {
+  const container = document.createElement('div');
+  container.className = 'recurring-days';
+  WEEKDAY_LABELS.forEach((label, day) => {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = entry.repeat.days.includes(day);
+    checkbox.addEventListener('change', () => {
+      const days = checkbox.checked
+        ? [...entry.repeat.days, day]
+        : entry.repeat.days.filter((value) => value !== day);
+      updateWindow(entry.id, { repeat: { type: 'weekly', days: days.sort((a, b) => a - b) } });
+    });
+    const wrapper = document.createElement('label');
+    wrapper.append(checkbox, label);
+    container.appendChild(wrapper);
+  });
+  return container;
+}
+
+function createWindowItem(entry) {
+  const item = document.createElement('li');
+  item.className = 'recurring-override-item';
+
+  const enabledInput = document.createElement('input');
+  enabledInput.type = 'checkbox';
+  enabledInput.checked = entry.enabled;
+  enabledInput.title = '有効/無効';
+  enabledInput.addEventListener('change', () => updateWindow(entry.id, { enabled: enabledInput.checked }));
+
+  const reasonInput = document.createElement('input');
+  reasonInput.type = 'text';
+  reasonInput.value = entry.reason;
+  reasonInput.maxLength = RECURRING_OVERRIDE_LIMITS.reasonMaxLength;
+  reasonInput.addEventListener('change', () => updateWindow(entry.id, { reason: reasonInput.value }));
+
+  const timeInput = document.createElement('input');
+  timeInput.type = 'time';
+  timeInput.value = entry.time;
+  timeInput.addEventListener('change', () => updateWindow(entry.id, { time: timeInput.value }));
+
+  const minutesInput = document.createElement('input');
+  minutesInput.type = 'number';
+  minutesInput.min = String(RECURRING_OVERRIDE_LIMITS.durationMinutesMin);
+  minutesInput.max = String(RECURRING_OVERRIDE_LIMITS.durationMinutesMax);
+  minutesInput.step = '5';
+  minutesInput.value = String(entry.durationMinutes);
+  minutesInput.title = '許可する時間 (分)';
+  minutesInput.addEventListener('change', () => updateWindow(entry.id, { durationMinutes: minutesInput.value }));
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.className = 'btn-secondary';
+  deleteButton.textContent = '削除';
+  deleteButton.addEventListener('click', () => {
+    draftWindows = draftWindows.filter((value) => value.id !== entry.id);
+    renderRecurringList();
+  });
+
+  item.append(enabledInput, reasonInput, timeInput, 'から', minutesInput, '分', createDayToggles(entry), deleteButton);
+  return item;
+}
+
+function updateWindow(windowId, patch) {
+  draftWindows = draftWindows.map((entry) => (entry.id === windowId ? { ...entry, ...patch } : entry));
+  renderRecurringList();
+}
+
+function handleAddWindow() {
+  if (draftWindows.length >= RECURRING_OVERRIDE_LIMITS.maxWindows) {
+    return;
+  }
+  draftWindows = [...draftWindows, createRecurringOverrideTemplate()];
+  renderRecurringList();
+  showMessage('平日の昼休憩を追加しました。内容を調整して保存してください', 'info');
+}
+
+async function handleSaveWindows() {
+  if (recurringBusy) {
+    return;
+  }
+  const withoutDays = draftWindows.find((entry) => entry.enabled && entry.repeat.days.length === 0);
+  if (withoutDays) {
+    showMessage(`「${withoutDays.reason}」の曜日を 1 つ以上選んでください`, 'error');
+    return;
+  }
+
+  try {
+    recurringBusy = true;
+    if (dom.saveButton) {
+      dom.saveButton.disabled = true;
+    }
+    const response = await updateRecurringAbsenceOverrides(draftWindows);
+    if (!response?.success) {
+      throw new Error(response?.error || '定期許可の保存に失敗しました');
+    }
+    draftWindows = sanitizeRecurringOverrides(response.windows);
+    showMessage('定期許可を保存しました', 'success');
+  } catch (error) {
+    console.error('[Settings] 定期許可保存エラー:', error);
+    showMessage(error.message || '定期許可の保存に失敗しました', 'error');
+  } finally {
+    recurringBusy = false;
+    if (dom.saveButton) {
+      dom.saveButton.disabled = false;
+    }
+    renderRecurringList();
+  }
+}
+
+function showMessage(text, type = 'info') {
+  if (!dom.message) {
+    return;
+  }
+  dom.message.textContent = text;
+  dom.message.className = `help-text ${type}`;
+  adjustAccordionHeight(dom.message);
+}
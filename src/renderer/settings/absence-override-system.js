@@ -0,0 +1,120 @@
+/**
+ * 画面ロック・スリープ連動の不在許可の設定 UI。
+ * - 設定はメインプロセスの configStore に保存するため、フォームの「設定を保存」を待たずに変更のたびに送る。
+ * - 許可の開始・終了はメインプロセス (system-absence-override.js) が行い、状態の表示は不在許可セクション本体が受け持つ。
+ */
+import { SYSTEM_OVERRIDE_LIMITS, sanitizeSystemOverrideSettings } from '../../constants/absence-override.js';
+import { adjustAccordionHeight } from './utils.js';
+
+const dom = {
+  enabledCheckbox: null,
+  graceInput: null,
+  lockReasonInput: null,
+  suspendReasonInput: null,
+  message: null,
+};
+
+let systemOverrideSettings = null;
+let systemOverrideBusy = false;
+
+/**
+ * 画面ロック・スリープ連動の設定を読み込み、フォームを初期化する。
+ */
+export async function initializeSystemOverrideSection() {
+  dom.enabledCheckbox = document.getElementById('systemOverrideEnabled');
+  dom.graceInput = document.getElementById('systemOverrideGraceSeconds');
+  dom.lockReasonInput = document.getElementById('systemOverrideLockReason');
+  dom.suspendReasonInput = document.getElementById('systemOverrideSuspendReason');
+  dom.message = document.getElementById('systemOverrideMessage');
+  if (!dom.enabledCheckbox) {
+    return;
+  }
+  if (dom.graceInput) {
+    dom.graceInput.max = String(SYSTEM_OVERRIDE_LIMITS.graceSecondsMax);
+  }
+
+  if (!window.electronAPI?.absenceOverrideSystemGet) {
+    setControlsDisabled(true);
+    showMessage('画面ロック連動は利用できません (electronAPI 未連携)', 'error');
+    return;
+  }
+
+  dom.enabledCheckbox.addEventListener('change', () => handleChange({ enabled: dom.enabledCheckbox.checked }));
+  dom.graceInput?.addEventListener('change', () => handleChange({ graceSeconds: dom.graceInput.value }));
+  dom.lockReasonInput?.addEventListener('change', () => handleChange({ lockReason: dom.lockReasonInput.value }));
+  dom.suspendReasonInput?.addEventListener('change', () => handleChange({ suspendReason: dom.suspendReasonInput.value }));
+
+  const response = await window.electronAPI.absenceOverrideSystemGet();
+  if (!response?.success) {
+    throw new Error(response?.error || '画面ロック連動の設定を取得できませんでした');
+  }
+  systemOverrideSettings = sanitizeSystemOverrideSettings(response.settings);
+  applyToForm();
+}
+
+function setControlsDisabled(disabled) {
+  [dom.enabledCheckbox, dom.graceInput, dom.lockReasonInput, dom.suspendReasonInput].forEach((control) => {
+    if (control) {
+      control.disabled = disabled;
+    }
+  });
+}
+
+function applyToForm() {
+  const settings = systemOverrideSettings;
+  if (!settings) {
+    return;
+  }
+  dom.enabledCheckbox.checked = settings.enabled;
+  if (dom.graceInput) {
+    dom.graceInput.value = String(settings.graceSeconds);
+  }
+  if (dom.lockReasonInput) {
+    dom.lockReasonInput.value = settings.lockReason;
+  }
+  if (dom.suspendReasonInput) {
+    dom.suspendReasonInput.value = settings.suspendReason;
+  }
+  setControlsDisabled(systemOverrideBusy);
+  [dom.graceInput, dom.lockReasonInput, dom.suspendReasonInput].forEach((control) => {
+    if (control) {
+      control.disabled = systemOverrideBusy || !settings.enabled;
+    }
+  });
+}
+
+/**
+ * 変更した項目を保存し、失敗時はフォームを保存済みの値へ戻す。
+ */
+async function handleChange(patch) {
+  if (systemOverrideBusy || !window.electronAPI?.absenceOverrideSystemUpdate) {
+    applyToForm();
+    return;
+  }
+
+  try {
+    systemOverrideBusy = true;
+    setControlsDisabled(true);
+    const response = await window.electronAPI.absenceOverrideSystemUpdate(patch);
+    if (!response?.success) {
+      throw new Error(response?.error || '画面ロック連動の設定を保存できませんでした');
+    }
+    systemOverrideSettings = sanitizeSystemOverrideSettings(response.settings);
+    showMessage('画面ロック連動の設定を保存しました', 'success');
+  } catch (error) {
+    console.error('[Settings] 画面ロック連動の設定保存エラー:', error);
+    showMessage(error.message || '画面ロック連動の設定を保存できませんでした', 'error');
+  } finally {
+    systemOverrideBusy = false;
+    applyToForm();
+  }
+}
+
+function showMessage(text, type = 'info') {
+  if (!dom.message) {
+    return;
+  }
+  dom.message.textContent = text;
+  dom.message.className = `help-text ${type}`;
+  adjustAccordionHeight(dom.message);
+}
@@ -12,11 +12,14 @@ import {
 } from '../services/absence-override.js';
 import { adjustAccordionHeight, escapeHtml, formatTimestamp } from './utils.js';
 import { queueVoicevoxSpeech } from '../services/tts-adapter.js';
+import { RECURRING_OVERRIDE_CREATED_BY, OVERRIDE_BUDGET_PERIOD_LABELS } from '../../constants/absence-override.js';
 
 const dom = {
   statusText: null,
   countdownRow: null,
   countdown: null,
+  budgetRow: null,
+  budgetText: null,
   reasonInput: null,
   minutesInput: null,
   startBtn: null,
@@ -100,6 +103,8 @@ function bindDom() {
   dom.statusText = document.getElementById('absenceOverrideStatusText');
   dom.countdownRow = document.getElementById('absenceOverrideCountdownRow');
   dom.countdown = document.getElementById('absenceOverrideCountdown');
+  dom.budgetRow = document.getElementById('absenceOverrideBudgetRow');
+  dom.budgetText = document.getElementById('absenceOverrideBudgetText');
   dom.reasonInput = document.getElementById('absenceOverrideReason');
   dom.minutesInput = document.getElementById('absenceOverrideMinutes');
   dom.startBtn = document.getElementById('absenceOverrideStartBtn');
@@ -145,6 +150,11 @@ function handleAbsenceOverrideStart({ reason, minutes, presetId }) {
       if (result?.success === false) {
         throw new Error(result.error || '不在許可の開始に失敗しました');
       }
+      // 警告モードで予算を超えた場合は開始したうえで知らせる。
+      if (result?.state?.budgetWarning) {
+        setAbsenceOverrideMessage(`不在許可を開始しました。${result.state.budgetWarning}`, 'error');
+        return;
+      }
       setAbsenceOverrideMessage('不在許可を開始しました。', 'success');
     })
     .catch((error) => {
@@ -198,9 +208,28 @@ function updateAbsenceOverrideStatus(state) {
     dom.clearBtn?.setAttribute('disabled', 'disabled');
   }
 
+  renderAbsenceOverrideBudget(currentState.budget);
   renderAbsenceOverrideHistory(currentState.history);
 }
 
+/**
+ * 予算が有効なら残り予算を表示する。進行中の許可は終了予定まで使う前提で差し引いた値。
+ */
+function renderAbsenceOverrideBudget(budget) {
+  if (!dom.budgetRow || !dom.budgetText) {
+    return;
+  }
+  dom.budgetRow.hidden = !budget?.enabled;
+  if (!budget?.enabled) {
+    return;
+  }
+  const periodLabel = OVERRIDE_BUDGET_PERIOD_LABELS[budget.period] || '';
+  dom.budgetText.textContent = budget.exceeded
+    ? `${periodLabel}の予算超過 (${budget.usedMinutes}/${budget.totalMinutes}分)`
+    : `${periodLabel} あと${budget.remainingMinutes}分 (${budget.usedMinutes}/${budget.totalMinutes}分)`;
+  dom.budgetText.classList.toggle('over-budget', budget.exceeded);
+}
+
 /**
  * 残り時間を 1 秒間隔で更新するカウントダウンを開始する。
  * - expiresAt の非数値は即座に判定して UI を非表示にする。
@@ -309,9 +338,10 @@ function renderAbsenceOverrideHistory(history) {
       const endText = Number.isFinite(entry.endedAt) ? formatTimestamp(entry.endedAt) : '継続中';
       const reason = entry.reason || '一時的な不在';
       const manualLabel = entry.manualEnd === false ? '自動終了' : entry.manualEnd === true ? '手動終了' : '';
+      const recurringLabel = entry.createdBy === RECURRING_OVERRIDE_CREATED_BY ? ' (定期)' : '';
       return `
         <li>
-          <div class="history-reason">${escapeHtml(reason)}</div>
+          <div class="history-reason">${escapeHtml(reason)}${recurringLabel}</div>
           <div class="history-period">${startText} → ${endText}${manualLabel ? ` (${manualLabel})` : ''}</div>
         </li>
       `;
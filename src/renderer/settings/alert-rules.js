@@ -0,0 +1,277 @@
+/**
+ * アラートルールセクションの UI 制御。
+ * - ルールはメインプロセスの configStore に保存するため、編集中の一覧は下書きとして保持し「ルールを保存」で送る。
+ * - 保存後は 'alert-rules-updated' を発火し、監視画面の評価器へ即時に反映する (services/alert-rules.js)。
+ * - 監視設定フォームや音声コマンドで組み込みルールが変わったときは、下書きの組み込みルールだけを差し替える。
+ * - 組み込みのスマホ / 不在ルールは削除できず、条件はその種類で選べるものだけを出す。段階が無くても保存できる。
+ */
+import {
+  ALERT_RULE_ACTIONS,
+  ALERT_RULE_ACTION_LABELS,
+  ALERT_RULE_CONDITION_LABELS,
+  ALERT_RULE_LIMITS,
+  createAlertRuleTemplate,
+  getBuiltinConditionTypes,
+} from '../../constants/alert-rules.js';
+import { loadAlertRules, saveAlertRules } from '../services/alert-rules.js';
+import { adjustAccordionHeight } from './utils.js';
+
+const dom = {
+  list: null,
+  addButton: null,
+  saveButton: null,
+  messageContainer: null,
+};
+
+let draftRules = [];
+let alertRulesBusy = false;
+
+/**
+ * アラートルールセクションを初期化する。
+ */
+export async function initializeAlertRulesSection() {
+  dom.list = document.getElementById('alertRuleList');
+  dom.addButton = document.getElementById('alertRuleAddBtn');
+  dom.saveButton = document.getElementById('alertRuleSaveBtn');
+  dom.messageContainer = document.getElementById('alertRuleMessage');
+  if (!dom.list) {
+    return;
+  }
+
+  if (!window.electronAPI?.alertRulesGet) {
+    dom.addButton?.setAttribute('disabled', 'disabled');
+    dom.saveButton?.setAttribute('disabled', 'disabled');
+    showMessage('アラートルールは利用できません (electronAPI 未連携)', 'error');
+    return;
+  }
+
+  dom.addButton?.addEventListener('click', handleAddRule);
+  dom.saveButton?.addEventListener('click', handleSaveRules);
+  window.addEventListener('alert-rules-updated', (event) => {
+    const builtins = (event.detail?.rules || []).filter((rule) => rule.builtin);
+    draftRules = draftRules.map((rule) => builtins.find((entry) => entry.id === rule.id) ?? rule);
+    renderAlertRuleList();
+  });
+
+  draftRules = await loadAlertRules();
+  renderAlertRuleList();
+}
+
+function renderAlertRuleList() {
+  dom.list.innerHTML = '';
+  draftRules.forEach((rule) => dom.list.appendChild(createRuleItem(rule)));
+  if (dom.addButton) {
+    dom.addButton.disabled = alertRulesBusy || draftRules.length >= ALERT_RULE_LIMITS.maxRules;
+  }
+  adjustAccordionHeight(dom.list);
+}
+
+function createSelect(options, selectedValue, onChange) {
+  const select = document.createElement('select');
+  select.className = 'form-select';
+  Object.entries(options).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === selectedValue;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+function createNumberInput(value, { min, max, title }, onChange) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = String(min);
+  input.max = String(max);
+  input.value = String(value);
+  input.title = title;
+  input.addEventListener('change', () => onChange(Number.parseInt(input.value, 10)));
+  return input;
+}
+
+function createLabeled(text, control) {
+  const label = document.createElement('label');
+  label.append(text, control);
+  return label;
+}
+
+function createRuleItem(rule) {
+  const item = document.createElement('li');
+  item.className = 'alert-rule-item';
+
+  const header = document.createElement('div');
+  header.className = 'alert-rule-row';
+  const enabledInput = document.createElement('input');
+  enabledInput.type = 'checkbox';
+  enabledInput.checked = rule.enabled;
+  enabledInput.title = '有効/無効';
+  enabledInput.addEventListener('change', () => updateRule(rule.id, { enabled: enabledInput.checked }));
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.value = rule.name;
+  nameInput.maxLength = ALERT_RULE_LIMITS.nameMaxLength;
+  nameInput.addEventListener('change', () => updateRule(rule.id, { name: nameInput.value }));
+  if (rule.builtin) {
+    const builtinLabel = document.createElement('span');
+    builtinLabel.className = 'description';
+    builtinLabel.textContent = '組み込み';
+    header.append(enabledInput, nameInput, builtinLabel);
+  } else {
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'btn-secondary';
+    deleteButton.textContent = '削除';
+    deleteButton.addEventListener('click', () => {
+      draftRules = draftRules.filter((entry) => entry.id !== rule.id);
+      renderAlertRuleList();
+    });
+    header.append(enabledInput, nameInput, deleteButton);
+  }
+
+  const condition = document.createElement('div');
+  condition.className = 'alert-rule-row';
+  const updateCondition = (patch) => updateRule(rule.id, { condition: { ...rule.condition, ...patch } });
+  const scheduleCheckbox = document.createElement('input');
+  scheduleCheckbox.type = 'checkbox';
+  scheduleCheckbox.checked = rule.condition.duringSchedule;
+  scheduleCheckbox.addEventListener('change', () => updateCondition({ duringSchedule: scheduleCheckbox.checked }));
+  const builtinTypes = getBuiltinConditionTypes(rule);
+  const conditionLabels = builtinTypes
+    ? Object.fromEntries(builtinTypes.map((type) => [type, ALERT_RULE_CONDITION_LABELS[type]]))
+    : ALERT_RULE_CONDITION_LABELS;
+  condition.append(
+    createSelect(conditionLabels, rule.condition.type, (type) => updateCondition({ type })),
+    createNumberInput(rule.condition.thresholdSeconds, { min: 1, max: ALERT_RULE_LIMITS.maxSeconds, title: '閾値 (秒)' }, (value) =>
+      updateCondition({ thresholdSeconds: value })),
+    '秒以上',
+    createLabeled(scheduleCheckbox, ' 予定の開始から'),
+    createNumberInput(
+      rule.condition.scheduleWindowMinutes,
+      { min: 1, max: ALERT_RULE_LIMITS.maxScheduleWindowMinutes, title: '予定中とみなす分数' },
+      (value) => updateCondition({ scheduleWindowMinutes: value }),
+    ),
+    '分以内のみ',
+  );
+
+  const actions = document.createElement('ol');
+  actions.className = 'alert-rule-actions';
+  rule.actions.forEach((action, index) => actions.appendChild(createActionItem(rule, action, index)));
+
+  const footer = document.createElement('div');
+  footer.className = 'alert-rule-row';
+  const addActionButton = document.createElement('button');
+  addActionButton.type = 'button';
+  addActionButton.className = 'btn-secondary';
+  addActionButton.textContent = '＋ 段階を追加';
+  addActionButton.disabled = rule.actions.length >= ALERT_RULE_LIMITS.maxActions;
+  addActionButton.addEventListener('click', () => {
+    const lastDelay = rule.actions.at(-1)?.delaySeconds ?? 0;
+    updateRule(rule.id, {
+      actions: [...rule.actions, { type: ALERT_RULE_ACTIONS.NOTIFICATION, delaySeconds: lastDelay + 60, message: '' }],
+    });
+  });
+  footer.append(
+    addActionButton,
+    'クールダウン',
+    createNumberInput(rule.cooldownSeconds, { min: 0, max: ALERT_RULE_LIMITS.maxSeconds, title: 'クールダウン (秒)' }, (value) =>
+      updateRule(rule.id, { cooldownSeconds: value })),
+    '秒',
+  );
+
+  item.append(header, condition, actions, footer);
+  return item;
+}
+
+function createActionItem(rule, action, index) {
+  const item = document.createElement('li');
+  item.className = 'alert-rule-row';
+  const updateAction = (patch) => {
+    const nextActions = rule.actions.map((entry, entryIndex) => (entryIndex === index ? { ...entry, ...patch } : entry));
+    updateRule(rule.id, { actions: nextActions });
+  };
+
+  const messageInput = document.createElement('input');
+  messageInput.type = 'text';
+  messageInput.value = action.message;
+  messageInput.maxLength = ALERT_RULE_LIMITS.messageMaxLength;
+  messageInput.placeholder = '文言 (空欄なら自動)';
+  messageInput.addEventListener('change', () => updateAction({ message: messageInput.value }));
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'btn-secondary';
+  removeButton.textContent = '×';
+  removeButton.title = 'この段階を削除';
+  removeButton.addEventListener('click', () => {
+    updateRule(rule.id, { actions: rule.actions.filter((_entry, entryIndex) => entryIndex !== index) });
+  });
+
+  item.append(
+    '+',
+    createNumberInput(action.delaySeconds, { min: 0, max: ALERT_RULE_LIMITS.maxSeconds, title: '閾値からの遅延 (秒)' }, (value) =>
+      updateAction({ delaySeconds: value })),
+    '秒後',
+    createSelect(ALERT_RULE_ACTION_LABELS, action.type, (type) => updateAction({ type })),
+    messageInput,
+    removeButton,
+  );
+  return item;
+}
+
+function updateRule(ruleId, patch) {
+  draftRules = draftRules.map((rule) => (rule.id === ruleId ? { ...rule, ...patch } : rule));
+  renderAlertRuleList();
+}
+
+function handleAddRule() {
+  if (draftRules.length >= ALERT_RULE_LIMITS.maxRules) {
+    return;
+  }
+  draftRules = [...draftRules, createAlertRuleTemplate()];
+  renderAlertRuleList();
+  showMessage('ひな形を追加しました。内容を調整して保存してください', 'info');
+}
+
+/**
+ * 下書きを保存し、正規化後の一覧で表示と監視画面を更新する。
+ * - 段階は遅延の短い順に並べ替えられるため、保存後の一覧で描き直す。
+ */
+async function handleSaveRules() {
+  if (alertRulesBusy || !window.electronAPI?.alertRulesUpdate) {
+    return;
+  }
+  const emptyRule = draftRules.find((rule) => !rule.builtin && rule.actions.length === 0);
+  if (emptyRule) {
+    showMessage(`「${emptyRule.name}」に段階が 1 つもありません`, 'error');
+    return;
+  }
+
+  try {
+    alertRulesBusy = true;
+    if (dom.saveButton) {
+      dom.saveButton.disabled = true;
+    }
+    draftRules = await saveAlertRules(draftRules);
+    showMessage('アラートルールを保存しました', 'success');
+  } catch (error) {
+    console.error('[Settings] アラートルール保存エラー:', error);
+    showMessage(error.message || 'アラートルールの保存に失敗しました', 'error');
+  } finally {
+    alertRulesBusy = false;
+    if (dom.saveButton) {
+      dom.saveButton.disabled = false;
+    }
+    renderAlertRuleList();
+  }
+}
+
+function showMessage(text, type = 'info') {
+  if (!dom.messageContainer) {
+    return;
+  }
+  dom.messageContainer.textContent = text;
+  dom.messageContainer.className = `alert-rule-message ${type}`;
+  adjustAccordionHeight(dom.messageContainer);
+}
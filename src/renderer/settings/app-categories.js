@@ -0,0 +1,200 @@
+/**
+ * アプリのカテゴリセクションの UI 制御。
+ * - ルールはメインプロセスの configStore に保存するため、編集中の一覧は下書きとして保持し「ルールを保存」で送る。
+ *   正規表現を入力途中の状態で保存しないよう、変更のたびには送らない。
+ * - 振り分けはダッシュボード・Slack レポートの集計時にメインプロセスが行う。
+ */
+import {
+  APP_CATEGORY_FIELDS,
+  APP_CATEGORY_FLAG_LABELS,
+  APP_CATEGORY_LIMITS,
+  createAppCategoryRuleTemplate,
+  sanitizeAppCategoryRules,
+} from '../../constants/app-categories.js';
+import { adjustAccordionHeight } from './utils.js';
+
+const dom = {
+  list: null,
+  addButton: null,
+  saveButton: null,
+  messageContainer: null,
+};
+
+let draftRules = [];
+let appCategoryBusy = false;
+
+/**
+ * アプリのカテゴリセクションを初期化する。
+ */
+export async function initializeAppCategorySection() {
+  dom.list = document.getElementById('appCategoryRuleList');
+  dom.addButton = document.getElementById('appCategoryRuleAddBtn');
+  dom.saveButton = document.getElementById('appCategoryRuleSaveBtn');
+  dom.messageContainer = document.getElementById('appCategoryRuleMessage');
+  if (!dom.list) {
+    return;
+  }
+
+  if (!window.electronAPI?.appCategoryRulesGet) {
+    dom.addButton?.setAttribute('disabled', 'disabled');
+    dom.saveButton?.setAttribute('disabled', 'disabled');
+    showMessage('アプリのカテゴリは利用できません (electronAPI 未連携)', 'error');
+    return;
+  }
+
+  dom.addButton?.addEventListener('click', handleAddRule);
+  dom.saveButton?.addEventListener('click', handleSaveRules);
+
+  const response = await window.electronAPI.appCategoryRulesGet();
+  if (!response?.success) {
+    throw new Error(response?.error || 'アプリのカテゴリの取得に失敗しました');
+  }
+  draftRules = sanitizeAppCategoryRules(response.rules);
+  renderRuleList();
+}
+
+function renderRuleList() {
+  dom.list.innerHTML = '';
+  if (draftRules.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = 'ルール未設定 (すべて未分類として集計します)';
+    dom.list.appendChild(empty);
+  } else {
+    draftRules.forEach((rule, index) => dom.list.appendChild(createRuleItem(rule, index)));
+  }
+  if (dom.addButton) {
+    dom.addButton.disabled = appCategoryBusy || draftRules.length >= APP_CATEGORY_LIMITS.maxRules;
+  }
+  adjustAccordionHeight(dom.list);
+}
+
+function createSelect(options, selectedValue, onChange) {
+  const select = document.createElement('select');
+  select.className = 'form-select';
+  Object.entries(options).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === selectedValue;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+function createTextInput(value, { maxLength, placeholder }, onChange) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value;
+  input.maxLength = maxLength;
+  input.placeholder = placeholder;
+  input.addEventListener('change', () => onChange(input.value));
+  return input;
+}
+
+function createRuleItem(rule, index) {
+  const item = document.createElement('li');
+  item.className = 'alert-rule-item';
+
+  const matchRow = document.createElement('div');
+  matchRow.className = 'alert-rule-row';
+  const upButton = document.createElement('button');
+  upButton.type = 'button';
+  upButton.className = 'btn-secondary';
+  upButton.textContent = '↑';
+  upButton.title = '優先順位を上げる';
+  upButton.disabled = index === 0;
+  upButton.addEventListener('click', () => {
+    const next = [...draftRules];
+    [next[index - 1], next[index]] = [next[index], next[index - 1]];
+    draftRules = next;
+    renderRuleList();
+  });
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.className = 'btn-secondary';
+  deleteButton.textContent = '削除';
+  deleteButton.addEventListener('click', () => {
+    draftRules = draftRules.filter((entry) => entry.id !== rule.id);
+    renderRuleList();
+  });
+  matchRow.append(
+    createSelect(APP_CATEGORY_FIELDS, rule.field, (field) => updateRule(rule.id, { field })),
+    createTextInput(rule.pattern, { maxLength: APP_CATEGORY_LIMITS.patternMaxLength, placeholder: '正規表現 例: youtube\\.com' }, (pattern) =>
+      updateRule(rule.id, { pattern })),
+    upButton,
+    deleteButton,
+  );
+
+  const categoryRow = document.createElement('div');
+  categoryRow.className = 'alert-rule-row';
+  categoryRow.append(
+    '→',
+    createTextInput(rule.category, { maxLength: APP_CATEGORY_LIMITS.categoryMaxLength, placeholder: 'カテゴリ 例: 娯楽' }, (category) =>
+      updateRule(rule.id, { category })),
+    createSelect(APP_CATEGORY_FLAG_LABELS, rule.flag, (flag) => updateRule(rule.id, { flag })),
+  );
+
+  item.append(matchRow, categoryRow);
+  return item;
+}
+
+function updateRule(ruleId, patch) {
+  draftRules = draftRules.map((rule) => (rule.id === ruleId ? { ...rule, ...patch } : rule));
+  renderRuleList();
+}
+
+function handleAddRule() {
+  if (draftRules.length >= APP_CATEGORY_LIMITS.maxRules) {
+    return;
+  }
+  draftRules = [...draftRules, createAppCategoryRuleTemplate()];
+  renderRuleList();
+  showMessage('ルールを追加しました。照合する文字列とカテゴリを入力して保存してください', 'info');
+}
+
+/**
+ * 下書きを検証して保存する。正規化で黙って消えないよう、不完全なルールは保存前に知らせる。
+ */
+async function handleSaveRules() {
+  if (appCategoryBusy || !window.electronAPI?.appCategoryRulesUpdate) {
+    return;
+  }
+  const invalidIndex = draftRules.findIndex((rule) => sanitizeAppCategoryRules([rule]).length === 0);
+  if (invalidIndex >= 0) {
+    showMessage(`${invalidIndex + 1} 番目のルールは正規表現が不正か、カテゴリが空です`, 'error');
+    return;
+  }
+
+  try {
+    appCategoryBusy = true;
+    if (dom.saveButton) {
+      dom.saveButton.disabled = true;
+    }
+    const response = await window.electronAPI.appCategoryRulesUpdate(draftRules);
+    if (!response?.success) {
+      throw new Error(response?.error || 'アプリのカテゴリの保存に失敗しました');
+    }
+    draftRules = sanitizeAppCategoryRules(response.rules);
+    showMessage('アプリのカテゴリを保存しました。次回のダッシュボード更新から反映されます', 'success');
+  } catch (error) {
+    console.error('[Settings] アプリカテゴリ保存エラー:', error);
+    showMessage(error.message || 'アプリのカテゴリの保存に失敗しました', 'error');
+  } finally {
+    appCategoryBusy = false;
+    if (dom.saveButton) {
+      dom.saveButton.disabled = false;
+    }
+    renderRuleList();
+  }
+}
+
+function showMessage(text, type = 'info') {
+  if (!dom.messageContainer) {
+    return;
+  }
+  dom.messageContainer.textContent = text;
+  dom.messageContainer.className = `alert-rule-message ${type}`;
+  adjustAccordionHeight(dom.messageContainer);
+}
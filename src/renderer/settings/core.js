@@ -2,14 +2,21 @@
  * 設定ドロワーの基礎 UI 制御。
  * - DOM から値を収集し、永続化レイヤー(state.js)との橋渡しを行う。
  * - 音声操作や外部セクションが呼び出す共通ロジックをここに集中的に置く。
+ * - スマホ / 不在アラートの ON/OFF・閾値・対象は組み込みのアラートルールに保存し、monitorSettings には持たない。
  */
-import { DEFAULT_MONITOR_SETTINGS } from '../../constants/monitor.js';
+import { DEFAULT_MONITOR_SETTINGS, sanitizeYoloInputSize } from '../../constants/monitor.js';
 import { sanitizeScheduleLeadMinutes } from '../../constants/schedule.js';
 import { DEFAULT_VOICEVOX_SPEAKER_ID } from '../../constants/voicevox-config.js';
 import { getSpeakerOptions } from '../../constants/voicevox-speakers.js';
 import { YOLO_CATEGORIES, getClassesByCategory } from '../../constants/yolo-classes.js';
+import { DEFAULT_ALERT_RULES, getBuiltinAlertSettings } from '../../constants/alert-rules.js';
 import { cloneDefaultSettings, loadSettings, saveSettings } from './state.js';
 import { updateVoicevoxPreferencesFromSettings } from '../services/voicevox-preferences.js';
+import { loadAlertRules, updateBuiltinAlertSettings } from '../services/alert-rules.js';
+import { renderDetectionRegionList } from './detection-regions.js';
+import { renderObjectWatchList } from './object-watches.js';
+import { renderDwellLimitList } from './dwell-limits.js';
+import { renderPostureBaseline } from './posture.js';
 
 const elements = {
   phoneThreshold: null,
@@ -17,11 +24,37 @@ const elements = {
   phoneAlertEnabled: null,
   phoneConfidence: null,
   phoneConfidenceValue: null,
+  phoneAlertMode: null,
+  phoneHeldMinOverlap: null,
+  phoneHeldMinOverlapValue: null,
+  phoneHeldMaxVerticalPosition: null,
+  phoneHeldMaxVerticalPositionValue: null,
+  strictModeEnabled: null,
+  strictModeDuringSchedule: null,
+  strictScheduleWindowMinutes: null,
+  strictScheduleWindowMinutesValue: null,
+  strictRepeatSeconds: null,
+  strictRepeatSecondsValue: null,
   absenceThreshold: null,
   absenceThresholdValue: null,
   absenceAlertEnabled: null,
   absenceConfidence: null,
   absenceConfidenceValue: null,
+  additionalPersonAlertEnabled: null,
+  additionalPersonMinSeconds: null,
+  additionalPersonMinSecondsValue: null,
+  additionalPersonMaxAreaRatio: null,
+  additionalPersonMaxAreaRatioValue: null,
+  postureAlertEnabled: null,
+  postureTooCloseRatio: null,
+  postureTooCloseRatioValue: null,
+  postureTooCloseSeconds: null,
+  postureTooCloseSecondsValue: null,
+  sittingReminderEnabled: null,
+  sittingReminderMinutes: null,
+  sittingReminderMinutesValue: null,
+  sittingBreakMinutes: null,
+  sittingBreakMinutesValue: null,
   soundEnabled: null,
   desktopNotification: null,
   schedulePreNotificationEnabled: null,
@@ -30,6 +63,12 @@ const elements = {
   showDetections: null,
   previewEnabled: null,
   yoloEnabled: null,
+  yoloModel: null,
+  yoloInputSize: null,
+  yoloLetterbox: null,
+  motionGateEnabled: null,
+  motionGateThreshold: null,
+  motionGateThresholdValue: null,
   voicevoxSpeaker: null,
   saveSettingsBtn: null,
   resetSettingsBtn: null,
@@ -37,6 +76,9 @@ const elements = {
   detectionClassesContainer: null,
 };
 
+// 組み込みアラートの項目をフォームへ表示した時点の値。保存時はここから変わった項目だけをルールへ書き込む。
+let appliedBuiltinAlertSettings = null;
+
 /**
  * 設定フォーム全体を初期化する。
  * - DOM の参照と初期表示をまとめて行い、他モジュールが順序を気にせず呼び出せるようにする。
@@ -45,11 +87,27 @@ export function initializeCoreSettings() {
   bindElements();
   populateVoicevoxSpeakers();
   populateDetectionClasses();
+  populateDetectionModels();
 
   const settings = loadSettings();
   applySettings(settings);
   setupEventListeners();
   setupAccordion();
+  initializeBuiltinAlertControls();
+}
+
+/**
+ * 組み込みアラートの項目を保存済みのアラートルールで埋め、ルールが保存されるたびに表示を合わせる。
+ */
+function initializeBuiltinAlertControls() {
+  window.addEventListener('alert-rules-updated', (event) => {
+    applyBuiltinAlertSettingsToForm(getBuiltinAlertSettings(event.detail?.rules || []));
+  });
+  loadAlertRules()
+    .then((rules) => applyBuiltinAlertSettingsToForm(getBuiltinAlertSettings(rules)))
+    .catch((error) => {
+      console.error('[Settings] アラートルールの取得に失敗:', error);
+    });
 }
 
 /**
@@ -62,12 +120,39 @@ function bindElements() {
   elements.phoneAlertEnabled = document.getElementById('phoneAlertEnabled');
   elements.phoneConfidence = document.getElementById('phoneConfidence');
   elements.phoneConfidenceValue = document.getElementById('phoneConfidenceValue');
+  elements.phoneAlertMode = document.getElementById('phoneAlertMode');
+  elements.phoneHeldMinOverlap = document.getElementById('phoneHeldMinOverlap');
+  elements.phoneHeldMinOverlapValue = document.getElementById('phoneHeldMinOverlapValue');
+  elements.phoneHeldMaxVerticalPosition = document.getElementById('phoneHeldMaxVerticalPosition');
+  elements.phoneHeldMaxVerticalPositionValue = document.getElementById('phoneHeldMaxVerticalPositionValue');
+  elements.strictModeEnabled = document.getElementById('strictModeEnabled');
+  elements.strictModeDuringSchedule = document.getElementById('strictModeDuringSchedule');
+  elements.strictScheduleWindowMinutes = document.getElementById('strictScheduleWindowMinutes');
+  elements.strictScheduleWindowMinutesValue = document.getElementById('strictScheduleWindowMinutesValue');
+  elements.strictRepeatSeconds = document.getElementById('strictRepeatSeconds');
+  elements.strictRepeatSecondsValue = document.getElementById('strictRepeatSecondsValue');
 
   elements.absenceThreshold = document.getElementById('absenceThreshold');
   elements.absenceThresholdValue = document.getElementById('absenceThresholdValue');
   elements.absenceAlertEnabled = document.getElementById('absenceAlertEnabled');
   elements.absenceConfidence = document.getElementById('absenceConfidence');
   elements.absenceConfidenceValue = document.getElementById('absenceConfidenceValue');
+  elements.additionalPersonAlertEnabled = document.getElementById('additionalPersonAlertEnabled');
+  elements.additionalPersonMinSeconds = document.getElementById('additionalPersonMinSeconds');
+  elements.additionalPersonMinSecondsValue = document.getElementById('additionalPersonMinSecondsValue');
+  elements.additionalPersonMaxAreaRatio = document.getElementById('additionalPersonMaxAreaRatio');
+  elements.additionalPersonMaxAreaRatioValue = document.getElementById('additionalPersonMaxAreaRatioValue');
+
+  elements.postureAlertEnabled = document.getElementById('postureAlertEnabled');
+  elements.postureTooCloseRatio = document.getElementById('postureTooCloseRatio');
+  elements.postureTooCloseRatioValue = document.getElementById('postureTooCloseRatioValue');
+  elements.postureTooCloseSeconds = document.getElementById('postureTooCloseSeconds');
+  elements.postureTooCloseSecondsValue = document.getElementById('postureTooCloseSecondsValue');
+  elements.sittingReminderEnabled = document.getElementById('sittingReminderEnabled');
+  elements.sittingReminderMinutes = document.getElementById('sittingReminderMinutes');
+  elements.sittingReminderMinutesValue = document.getElementById('sittingReminderMinutesValue');
+  elements.sittingBreakMinutes = document.getElementById('sittingBreakMinutes');
+  elements.sittingBreakMinutesValue = document.getElementById('sittingBreakMinutesValue');
 
   elements.soundEnabled = document.getElementById('soundEnabled');
   elements.desktopNotification = document.getElementById('desktopNotification');
@@ -77,6 +162,12 @@ function bindElements() {
   elements.showDetections = document.getElementById('showDetections');
   elements.previewEnabled = document.getElementById('previewEnabled');
   elements.yoloEnabled = document.getElementById('yoloEnabled');
+  elements.yoloModel = document.getElementById('yoloModel');
+  elements.yoloInputSize = document.getElementById('yoloInputSize');
+  elements.yoloLetterbox = document.getElementById('yoloLetterbox');
+  elements.motionGateEnabled = document.getElementById('motionGateEnabled');
+  elements.motionGateThreshold = document.getElementById('motionGateThreshold');
+  elements.motionGateThresholdValue = document.getElementById('motionGateThresholdValue');
   elements.voicevoxSpeaker = document.getElementById('voicevoxSpeaker');
 
   elements.saveSettingsBtn = document.getElementById('saveSettingsBtn');
@@ -106,6 +197,39 @@ function populateVoicevoxSpeakers() {
   });
 }
 
+/**
+ * 検知モデルの選択肢をメインプロセスのレジストリから生成する。
+ * - manifest.json の追記がドロワーを開き直すだけで反映されるよう、定義はメイン側で解決する。
+ * - 非同期で選択肢が揃うため、最後に保存済み設定を選択し直す。
+ */
+async function populateDetectionModels() {
+  const { yoloModel } = elements;
+  if (!yoloModel || typeof window.electronAPI?.listDetectionModels !== 'function') {
+    return;
+  }
+
+  try {
+    const response = await window.electronAPI.listDetectionModels();
+    if (!response?.success) {
+      throw new Error(response?.error || 'モデル一覧の取得に失敗しました');
+    }
+    yoloModel.innerHTML = '';
+    response.items.forEach((model) => {
+      const optionElement = document.createElement('option');
+      optionElement.value = model.id;
+      const sourceLabel = model.source === 'custom' ? ' [カスタム]' : '';
+      const availability = model.available ? '' : ' (未配置)';
+      optionElement.textContent = `${model.label}${sourceLabel}${availability}`;
+      optionElement.disabled = !model.available;
+      yoloModel.appendChild(optionElement);
+    });
+    const settings = loadSettings();
+    yoloModel.value = settings.yoloModel || DEFAULT_MONITOR_SETTINGS.yoloModel;
+  } catch (error) {
+    console.error('[Settings] Failed to load detection models:', error);
+  }
+}
+
 /**
  * モニタリング対象クラスのチェックボックス群をカテゴリ単位で生成する。
  * - ユーザーがクラス追加分を見逃さないよう、定義変更時に自動で表示が拡張される。
@@ -160,13 +284,36 @@ function setupEventListeners() {
     phoneThresholdValue,
     phoneConfidence,
     phoneConfidenceValue,
+    phoneHeldMinOverlap,
+    phoneHeldMinOverlapValue,
+    phoneHeldMaxVerticalPosition,
+    phoneHeldMaxVerticalPositionValue,
+    strictScheduleWindowMinutes,
+    strictScheduleWindowMinutesValue,
+    strictRepeatSeconds,
+    strictRepeatSecondsValue,
     absenceThreshold,
     absenceThresholdValue,
     absenceConfidence,
     absenceConfidenceValue,
+    additionalPersonMinSeconds,
+    additionalPersonMinSecondsValue,
+    additionalPersonMaxAreaRatio,
+    additionalPersonMaxAreaRatioValue,
+    postureTooCloseRatio,
+    postureTooCloseRatioValue,
+    postureTooCloseSeconds,
+    postureTooCloseSecondsValue,
+    sittingReminderMinutes,
+    sittingReminderMinutesValue,
+    sittingBreakMinutes,
+    sittingBreakMinutesValue,
     schedulePreNotificationEnabled,
     schedulePreNotificationLeadMinutes,
     schedulePreNotificationLeadMinutesValue,
+    motionGateEnabled,
+    motionGateThreshold,
+    motionGateThresholdValue,
     saveSettingsBtn,
     resetSettingsBtn,
   } = elements;
@@ -183,6 +330,30 @@ function setupEventListeners() {
     }
   });
 
+  phoneHeldMinOverlap?.addEventListener('input', (event) => {
+    if (phoneHeldMinOverlapValue) {
+      phoneHeldMinOverlapValue.textContent = event.target.value;
+    }
+  });
+
+  phoneHeldMaxVerticalPosition?.addEventListener('input', (event) => {
+    if (phoneHeldMaxVerticalPositionValue) {
+      phoneHeldMaxVerticalPositionValue.textContent = event.target.value;
+    }
+  });
+
+  strictScheduleWindowMinutes?.addEventListener('input', (event) => {
+    if (strictScheduleWindowMinutesValue) {
+      strictScheduleWindowMinutesValue.textContent = `${event.target.value}分`;
+    }
+  });
+
+  strictRepeatSeconds?.addEventListener('input', (event) => {
+    if (strictRepeatSecondsValue) {
+      strictRepeatSecondsValue.textContent = `${event.target.value}秒`;
+    }
+  });
+
   absenceThreshold?.addEventListener('input', (event) => {
     if (absenceThresholdValue) {
       absenceThresholdValue.textContent = `${event.target.value}秒`;
@@ -195,6 +366,42 @@ function setupEventListeners() {
     }
   });
 
+  additionalPersonMinSeconds?.addEventListener('input', (event) => {
+    if (additionalPersonMinSecondsValue) {
+      additionalPersonMinSecondsValue.textContent = `${event.target.value}秒`;
+    }
+  });
+
+  additionalPersonMaxAreaRatio?.addEventListener('input', (event) => {
+    if (additionalPersonMaxAreaRatioValue) {
+      additionalPersonMaxAreaRatioValue.textContent = event.target.value;
+    }
+  });
+
+  postureTooCloseRatio?.addEventListener('input', (event) => {
+    if (postureTooCloseRatioValue) {
+      postureTooCloseRatioValue.textContent = `${event.target.value}倍`;
+    }
+  });
+
+  postureTooCloseSeconds?.addEventListener('input', (event) => {
+    if (postureTooCloseSecondsValue) {
+      postureTooCloseSecondsValue.textContent = `${event.target.value}秒`;
+    }
+  });
+
+  sittingReminderMinutes?.addEventListener('input', (event) => {
+    if (sittingReminderMinutesValue) {
+      sittingReminderMinutesValue.textContent = `${event.target.value}分`;
+    }
+  });
+
+  sittingBreakMinutes?.addEventListener('input', (event) => {
+    if (sittingBreakMinutesValue) {
+      sittingBreakMinutesValue.textContent = `${event.target.value}分`;
+    }
+  });
+
   schedulePreNotificationLeadMinutes?.addEventListener('input', (event) => {
     if (schedulePreNotificationLeadMinutesValue) {
       schedulePreNotificationLeadMinutesValue.textContent = `${event.target.value}分前`;
@@ -207,6 +414,18 @@ function setupEventListeners() {
     }
   });
 
+  motionGateThreshold?.addEventListener('input', (event) => {
+    if (motionGateThresholdValue) {
+      motionGateThresholdValue.textContent = event.target.value;
+    }
+  });
+
+  motionGateEnabled?.addEventListener('change', (event) => {
+    if (motionGateThreshold) {
+      motionGateThreshold.disabled = !event.target.checked;
+    }
+  });
+
   saveSettingsBtn?.addEventListener('click', () => {
     handleSaveSettings().catch((error) => {
       console.error('[Settings] 設定保存エラー:', error);
@@ -225,6 +444,14 @@ export async function handleSaveSettings() {
   saveSettings(settings);
   updateVoicevoxPreferencesFromSettings(settings);
 
+  try {
+    await saveBuiltinAlertSettingsFromForm();
+  } catch (error) {
+    console.error('[Settings] アラートルール保存エラー:', error);
+    showSaveMessage(error.message || 'スマホ / 不在アラートの設定の保存に失敗しました', 'error');
+    return;
+  }
+
   if (typeof window.reloadMonitorSettings === 'function') {
     window.reloadMonitorSettings();
   }
@@ -248,12 +475,23 @@ export async function handleSaveSettings() {
  */
 function collectSettingsFromForm() {
   const {
-    phoneThreshold,
-    phoneAlertEnabled,
     phoneConfidence,
-    absenceThreshold,
-    absenceAlertEnabled,
+    phoneHeldMinOverlap,
+    phoneHeldMaxVerticalPosition,
+    strictModeEnabled,
+    strictModeDuringSchedule,
+    strictScheduleWindowMinutes,
+    strictRepeatSeconds,
     absenceConfidence,
+    additionalPersonAlertEnabled,
+    additionalPersonMinSeconds,
+    additionalPersonMaxAreaRatio,
+    postureAlertEnabled,
+    postureTooCloseRatio,
+    postureTooCloseSeconds,
+    sittingReminderEnabled,
+    sittingReminderMinutes,
+    sittingBreakMinutes,
     soundEnabled,
     desktopNotification,
     schedulePreNotificationEnabled,
@@ -261,6 +499,11 @@ function collectSettingsFromForm() {
     showDetections,
     previewEnabled,
     yoloEnabled,
+    yoloModel,
+    yoloInputSize,
+    yoloLetterbox,
+    motionGateEnabled,
+    motionGateThreshold,
     voicevoxSpeaker,
   } = elements;
 
@@ -272,12 +515,35 @@ function collectSettingsFromForm() {
     });
 
   return {
-    phoneThreshold: parseInt(phoneThreshold?.value ?? DEFAULT_MONITOR_SETTINGS.phoneThreshold, 10),
-    phoneAlertEnabled: phoneAlertEnabled?.checked ?? DEFAULT_MONITOR_SETTINGS.phoneAlertEnabled,
     phoneConfidence: parseFloat(phoneConfidence?.value ?? DEFAULT_MONITOR_SETTINGS.phoneConfidence),
-    absenceThreshold: parseInt(absenceThreshold?.value ?? DEFAULT_MONITOR_SETTINGS.absenceThreshold, 10),
-    absenceAlertEnabled: absenceAlertEnabled?.checked ?? DEFAULT_MONITOR_SETTINGS.absenceAlertEnabled,
+    phoneHeldMinOverlap: parseFloat(phoneHeldMinOverlap?.value ?? DEFAULT_MONITOR_SETTINGS.phoneHeldMinOverlap),
+    phoneHeldMaxVerticalPosition: parseFloat(
+      phoneHeldMaxVerticalPosition?.value ?? DEFAULT_MONITOR_SETTINGS.phoneHeldMaxVerticalPosition
+    ),
+    strictModeEnabled: strictModeEnabled?.checked ?? DEFAULT_MONITOR_SETTINGS.strictModeEnabled,
+    strictModeDuringSchedule: strictModeDuringSchedule?.checked ?? DEFAULT_MONITOR_SETTINGS.strictModeDuringSchedule,
+    strictScheduleWindowMinutes: parseInt(
+      strictScheduleWindowMinutes?.value ?? DEFAULT_MONITOR_SETTINGS.strictScheduleWindowMinutes,
+      10
+    ),
+    strictRepeatSeconds: parseInt(strictRepeatSeconds?.value ?? DEFAULT_MONITOR_SETTINGS.strictRepeatSeconds, 10),
     absenceConfidence: parseFloat(absenceConfidence?.value ?? DEFAULT_MONITOR_SETTINGS.absenceConfidence),
+    additionalPersonAlertEnabled: additionalPersonAlertEnabled
+      ? additionalPersonAlertEnabled.checked
+      : DEFAULT_MONITOR_SETTINGS.additionalPersonAlertEnabled,
+    additionalPersonMinSeconds: parseInt(
+      additionalPersonMinSeconds?.value ?? DEFAULT_MONITOR_SETTINGS.additionalPersonMinSeconds,
+      10
+    ),
+    additionalPersonMaxAreaRatio: parseFloat(
+      additionalPersonMaxAreaRatio?.value ?? DEFAULT_MONITOR_SETTINGS.additionalPersonMaxAreaRatio
+    ),
+    postureAlertEnabled: postureAlertEnabled?.checked ?? DEFAULT_MONITOR_SETTINGS.postureAlertEnabled,
+    postureTooCloseRatio: parseFloat(postureTooCloseRatio?.value ?? DEFAULT_MONITOR_SETTINGS.postureTooCloseRatio),
+    postureTooCloseSeconds: parseInt(postureTooCloseSeconds?.value ?? DEFAULT_MONITOR_SETTINGS.postureTooCloseSeconds, 10),
+    sittingReminderEnabled: sittingReminderEnabled?.checked ?? DEFAULT_MONITOR_SETTINGS.sittingReminderEnabled,
+    sittingReminderMinutes: parseInt(sittingReminderMinutes?.value ?? DEFAULT_MONITOR_SETTINGS.sittingReminderMinutes, 10),
+    sittingBreakMinutes: parseInt(sittingBreakMinutes?.value ?? DEFAULT_MONITOR_SETTINGS.sittingBreakMinutes, 10),
     soundEnabled: soundEnabled?.checked ?? DEFAULT_MONITOR_SETTINGS.soundEnabled,
     desktopNotification: desktopNotification?.checked ?? DEFAULT_MONITOR_SETTINGS.desktopNotification,
     schedulePreNotificationEnabled: schedulePreNotificationEnabled?.checked ?? DEFAULT_MONITOR_SETTINGS.schedulePreNotificationEnabled,
@@ -288,7 +554,17 @@ function collectSettingsFromForm() {
     showDetections: showDetections ? showDetections.checked : DEFAULT_MONITOR_SETTINGS.showDetections,
     previewEnabled: previewEnabled ? previewEnabled.checked : DEFAULT_MONITOR_SETTINGS.previewEnabled,
     yoloEnabled: yoloEnabled ? yoloEnabled.checked : DEFAULT_MONITOR_SETTINGS.yoloEnabled,
+    yoloModel: yoloModel?.value || DEFAULT_MONITOR_SETTINGS.yoloModel,
+    yoloInputSize: sanitizeYoloInputSize(yoloInputSize?.value ?? DEFAULT_MONITOR_SETTINGS.yoloInputSize),
+    yoloLetterbox: yoloLetterbox ? yoloLetterbox.checked : DEFAULT_MONITOR_SETTINGS.yoloLetterbox,
+    motionGateEnabled: motionGateEnabled ? motionGateEnabled.checked : DEFAULT_MONITOR_SETTINGS.motionGateEnabled,
+    motionGateThreshold: parseInt(motionGateThreshold?.value ?? DEFAULT_MONITOR_SETTINGS.motionGateThreshold, 10),
     voicevoxSpeaker: voicevoxSpeaker ? parseInt(voicevoxSpeaker.value, 10) : DEFAULT_VOICEVOX_SPEAKER_ID,
+    // 検知エリア・物体ウォッチ・滞在上限・姿勢の基準値はフォーム外の各セクションで即時保存されるため、保存済みの値を引き継ぐ。
+    detectionRegions: loadSettings().detectionRegions,
+    objectWatches: loadSettings().objectWatches,
+    dwellLimits: loadSettings().dwellLimits,
+    postureBaselineAreaRatio: loadSettings().postureBaselineAreaRatio,
   };
 }
 
@@ -307,9 +583,80 @@ function handleResetSettings() {
   if (typeof window.reloadScheduleNotifications === 'function') {
     window.reloadScheduleNotifications();
   }
+  updateBuiltinAlertSettings(getBuiltinAlertSettings(DEFAULT_ALERT_RULES)).catch((error) => {
+    console.error('[Settings] アラートルール保存エラー:', error);
+  });
   showSaveMessage('設定をデフォルトに戻しました', 'info');
 }
 
+/**
+ * 組み込みアラートの値 (getBuiltinAlertSettings の形) をフォームへ表示する。
+ * - 表示後にフォームから読み直した値を控え、スライダの範囲に収まらない閾値を保存時に書き換えないようにする。
+ */
+function applyBuiltinAlertSettingsToForm(values) {
+  const {
+    phoneThreshold,
+    phoneThresholdValue,
+    phoneAlertEnabled,
+    phoneAlertMode,
+    absenceThreshold,
+    absenceThresholdValue,
+    absenceAlertEnabled,
+  } = elements;
+
+  if (phoneThreshold) {
+    phoneThreshold.value = values.phoneThreshold;
+  }
+  if (phoneThresholdValue) {
+    phoneThresholdValue.textContent = `${values.phoneThreshold}秒`;
+  }
+  if (phoneAlertEnabled) {
+    phoneAlertEnabled.checked = values.phoneAlertEnabled;
+  }
+  if (phoneAlertMode) {
+    phoneAlertMode.value = values.phoneAlertMode;
+  }
+  if (absenceThreshold) {
+    absenceThreshold.value = values.absenceThreshold;
+  }
+  if (absenceThresholdValue) {
+    absenceThresholdValue.textContent = `${values.absenceThreshold}秒`;
+  }
+  if (absenceAlertEnabled) {
+    absenceAlertEnabled.checked = values.absenceAlertEnabled;
+  }
+  appliedBuiltinAlertSettings = collectBuiltinAlertSettingsFromForm();
+}
+
+function collectBuiltinAlertSettingsFromForm() {
+  const { phoneThreshold, phoneAlertEnabled, phoneAlertMode, absenceThreshold, absenceAlertEnabled } = elements;
+  return {
+    phoneThreshold: phoneThreshold ? parseInt(phoneThreshold.value, 10) : undefined,
+    phoneAlertEnabled: phoneAlertEnabled?.checked,
+    phoneAlertMode: phoneAlertMode?.value,
+    absenceThreshold: absenceThreshold ? parseInt(absenceThreshold.value, 10) : undefined,
+    absenceAlertEnabled: absenceAlertEnabled?.checked,
+  };
+}
+
+/**
+ * フォーム (音声コマンドで変えた値を含む) で変わった組み込みアラートの項目だけをアラートルールへ保存する。
+ * - ルールをまだ読み込めていない間は、フォームの値が保存済みのルールを表していないため書き込まない。
+ */
+async function saveBuiltinAlertSettingsFromForm() {
+  if (!appliedBuiltinAlertSettings) {
+    return;
+  }
+  const current = collectBuiltinAlertSettingsFromForm();
+  const changed = Object.fromEntries(
+    Object.entries(current).filter(([key, value]) => value !== undefined && value !== appliedBuiltinAlertSettings[key]),
+  );
+  if (Object.keys(changed).length === 0) {
+    return;
+  }
+  await updateBuiltinAlertSettings(changed);
+}
+
 /**
  * 保存系のトースト表示を制御する。
  * - メッセージ領域をクリアするまでのライフサイクルを統一する。
@@ -337,16 +684,35 @@ function showSaveMessage(text, type) {
  */
 export function applySettings(settings) {
   const {
-    phoneThreshold,
-    phoneThresholdValue,
-    phoneAlertEnabled,
     phoneConfidence,
     phoneConfidenceValue,
-    absenceThreshold,
-    absenceThresholdValue,
-    absenceAlertEnabled,
+    phoneHeldMinOverlap,
+    phoneHeldMinOverlapValue,
+    phoneHeldMaxVerticalPosition,
+    phoneHeldMaxVerticalPositionValue,
+    strictModeEnabled,
+    strictModeDuringSchedule,
+    strictScheduleWindowMinutes,
+    strictScheduleWindowMinutesValue,
+    strictRepeatSeconds,
+    strictRepeatSecondsValue,
     absenceConfidence,
     absenceConfidenceValue,
+    additionalPersonAlertEnabled,
+    additionalPersonMinSeconds,
+    additionalPersonMinSecondsValue,
+    additionalPersonMaxAreaRatio,
+    additionalPersonMaxAreaRatioValue,
+    postureAlertEnabled,
+    postureTooCloseRatio,
+    postureTooCloseRatioValue,
+    postureTooCloseSeconds,
+    postureTooCloseSecondsValue,
+    sittingReminderEnabled,
+    sittingReminderMinutes,
+    sittingReminderMinutesValue,
+    sittingBreakMinutes,
+    sittingBreakMinutesValue,
     soundEnabled,
     desktopNotification,
     schedulePreNotificationEnabled,
@@ -355,40 +721,115 @@ export function applySettings(settings) {
     showDetections,
     previewEnabled,
     yoloEnabled,
+    yoloModel,
+    yoloInputSize,
+    yoloLetterbox,
+    motionGateEnabled,
+    motionGateThreshold,
+    motionGateThresholdValue,
     voicevoxSpeaker,
   } = elements;
 
-  if (phoneThreshold) {
-    phoneThreshold.value = settings.phoneThreshold;
-  }
-  if (phoneThresholdValue) {
-    phoneThresholdValue.textContent = `${settings.phoneThreshold}秒`;
-  }
-  if (phoneAlertEnabled) {
-    phoneAlertEnabled.checked = settings.phoneAlertEnabled;
-  }
   if (phoneConfidence) {
     phoneConfidence.value = settings.phoneConfidence;
   }
   if (phoneConfidenceValue) {
     phoneConfidenceValue.textContent = settings.phoneConfidence;
   }
-
-  if (absenceThreshold) {
-    absenceThreshold.value = settings.absenceThreshold;
+  const heldMinOverlap = settings.phoneHeldMinOverlap ?? DEFAULT_MONITOR_SETTINGS.phoneHeldMinOverlap;
+  if (phoneHeldMinOverlap) {
+    phoneHeldMinOverlap.value = heldMinOverlap;
   }
-  if (absenceThresholdValue) {
-    absenceThresholdValue.textContent = `${settings.absenceThreshold}秒`;
+  if (phoneHeldMinOverlapValue) {
+    phoneHeldMinOverlapValue.textContent = String(heldMinOverlap);
   }
-  if (absenceAlertEnabled) {
-    absenceAlertEnabled.checked = settings.absenceAlertEnabled;
+  const heldMaxVertical = settings.phoneHeldMaxVerticalPosition ?? DEFAULT_MONITOR_SETTINGS.phoneHeldMaxVerticalPosition;
+  if (phoneHeldMaxVerticalPosition) {
+    phoneHeldMaxVerticalPosition.value = heldMaxVertical;
+  }
+  if (phoneHeldMaxVerticalPositionValue) {
+    phoneHeldMaxVerticalPositionValue.textContent = String(heldMaxVertical);
+  }
+  if (strictModeEnabled) {
+    strictModeEnabled.checked = settings.strictModeEnabled === true;
+  }
+  if (strictModeDuringSchedule) {
+    strictModeDuringSchedule.checked = settings.strictModeDuringSchedule === true;
+  }
+  const strictWindow = settings.strictScheduleWindowMinutes ?? DEFAULT_MONITOR_SETTINGS.strictScheduleWindowMinutes;
+  if (strictScheduleWindowMinutes) {
+    strictScheduleWindowMinutes.value = strictWindow;
   }
+  if (strictScheduleWindowMinutesValue) {
+    strictScheduleWindowMinutesValue.textContent = `${strictWindow}分`;
+  }
+  const strictRepeat = settings.strictRepeatSeconds ?? DEFAULT_MONITOR_SETTINGS.strictRepeatSeconds;
+  if (strictRepeatSeconds) {
+    strictRepeatSeconds.value = strictRepeat;
+  }
+  if (strictRepeatSecondsValue) {
+    strictRepeatSecondsValue.textContent = `${strictRepeat}秒`;
+  }
+
   if (absenceConfidence) {
     absenceConfidence.value = settings.absenceConfidence;
   }
   if (absenceConfidenceValue) {
     absenceConfidenceValue.textContent = settings.absenceConfidence;
   }
+  if (additionalPersonAlertEnabled) {
+    additionalPersonAlertEnabled.checked = settings.additionalPersonAlertEnabled === true;
+  }
+  const additionalMinSeconds = settings.additionalPersonMinSeconds ?? DEFAULT_MONITOR_SETTINGS.additionalPersonMinSeconds;
+  if (additionalPersonMinSeconds) {
+    additionalPersonMinSeconds.value = additionalMinSeconds;
+  }
+  if (additionalPersonMinSecondsValue) {
+    additionalPersonMinSecondsValue.textContent = `${additionalMinSeconds}秒`;
+  }
+  const additionalAreaRatio = settings.additionalPersonMaxAreaRatio ?? DEFAULT_MONITOR_SETTINGS.additionalPersonMaxAreaRatio;
+  if (additionalPersonMaxAreaRatio) {
+    additionalPersonMaxAreaRatio.value = additionalAreaRatio;
+  }
+  if (additionalPersonMaxAreaRatioValue) {
+    additionalPersonMaxAreaRatioValue.textContent = String(additionalAreaRatio);
+  }
+
+  if (postureAlertEnabled) {
+    postureAlertEnabled.checked = settings.postureAlertEnabled === true;
+  }
+  const tooCloseRatio = settings.postureTooCloseRatio ?? DEFAULT_MONITOR_SETTINGS.postureTooCloseRatio;
+  if (postureTooCloseRatio) {
+    postureTooCloseRatio.value = tooCloseRatio;
+  }
+  if (postureTooCloseRatioValue) {
+    postureTooCloseRatioValue.textContent = `${tooCloseRatio}倍`;
+  }
+  const tooCloseSeconds = settings.postureTooCloseSeconds ?? DEFAULT_MONITOR_SETTINGS.postureTooCloseSeconds;
+  if (postureTooCloseSeconds) {
+    postureTooCloseSeconds.value = tooCloseSeconds;
+  }
+  if (postureTooCloseSecondsValue) {
+    postureTooCloseSecondsValue.textContent = `${tooCloseSeconds}秒`;
+  }
+  if (sittingReminderEnabled) {
+    sittingReminderEnabled.checked = settings.sittingReminderEnabled === true;
+  }
+  const reminderMinutes = settings.sittingReminderMinutes ?? DEFAULT_MONITOR_SETTINGS.sittingReminderMinutes;
+  if (sittingReminderMinutes) {
+    sittingReminderMinutes.value = reminderMinutes;
+  }
+  if (sittingReminderMinutesValue) {
+    sittingReminderMinutesValue.textContent = `${reminderMinutes}分`;
+  }
+  const breakMinutes = settings.sittingBreakMinutes ?? DEFAULT_MONITOR_SETTINGS.sittingBreakMinutes;
+  if (sittingBreakMinutes) {
+    sittingBreakMinutes.value = breakMinutes;
+  }
+  if (sittingBreakMinutesValue) {
+    sittingBreakMinutesValue.textContent = `${breakMinutes}分`;
+  }
+  renderPostureBaseline(settings.postureBaselineAreaRatio);
 
   if (soundEnabled) {
     soundEnabled.checked = settings.soundEnabled;
@@ -419,6 +860,26 @@ export function applySettings(settings) {
   if (yoloEnabled) {
     yoloEnabled.checked = settings.yoloEnabled !== false;
   }
+  if (yoloModel) {
+    yoloModel.value = settings.yoloModel || DEFAULT_MONITOR_SETTINGS.yoloModel;
+  }
+  if (yoloInputSize) {
+    yoloInputSize.value = String(sanitizeYoloInputSize(settings.yoloInputSize));
+  }
+  if (yoloLetterbox) {
+    yoloLetterbox.checked = settings.yoloLetterbox !== false;
+  }
+  const gateThreshold = settings.motionGateThreshold ?? DEFAULT_MONITOR_SETTINGS.motionGateThreshold;
+  if (motionGateEnabled) {
+    motionGateEnabled.checked = settings.motionGateEnabled !== false;
+  }
+  if (motionGateThreshold) {
+    motionGateThreshold.value = gateThreshold;
+    motionGateThreshold.disabled = settings.motionGateEnabled === false;
+  }
+  if (motionGateThresholdValue) {
+    motionGateThresholdValue.textContent = String(gateThreshold);
+  }
   if (voicevoxSpeaker) {
     voicevoxSpeaker.value = settings.voicevoxSpeaker ?? DEFAULT_VOICEVOX_SPEAKER_ID;
   }
@@ -427,6 +888,9 @@ export function applySettings(settings) {
   document.querySelectorAll('.detection-class-checkbox').forEach((checkbox) => {
     checkbox.checked = enabledClasses.includes(checkbox.value);
   });
+  renderDetectionRegionList(settings.detectionRegions || []);
+  renderObjectWatchList(settings.objectWatches || []);
+  renderDwellLimitList(settings.dwellLimits || []);
 
   updateVoicevoxPreferencesFromSettings(settings);
 }
@@ -454,6 +918,21 @@ export function updateLinkedDisplays(key, value) {
         phoneConfidenceValue.textContent = String(value);
       }
       break;
+    case 'phoneHeldMinOverlap':
+      if (elements.phoneHeldMinOverlapValue) {
+        elements.phoneHeldMinOverlapValue.textContent = String(value);
+      }
+      break;
+    case 'phoneHeldMaxVerticalPosition':
+      if (elements.phoneHeldMaxVerticalPositionValue) {
+        elements.phoneHeldMaxVerticalPositionValue.textContent = String(value);
+      }
+      break;
+    case 'strictRepeatSeconds':
+      if (elements.strictRepeatSecondsValue) {
+        elements.strictRepeatSecondsValue.textContent = `${value}秒`;
+      }
+      break;
     case 'absenceThreshold':
       if (absenceThresholdValue) {
         absenceThresholdValue.textContent = `${value}秒`;
@@ -464,6 +943,11 @@ export function updateLinkedDisplays(key, value) {
         absenceConfidenceValue.textContent = String(value);
       }
       break;
+    case 'motionGateThreshold':
+      if (elements.motionGateThresholdValue) {
+        elements.motionGateThresholdValue.textContent = String(value);
+      }
+      break;
     case 'schedulePreNotificationLeadMinutes':
       if (elements.schedulePreNotificationLeadMinutesValue) {
         const leadMinutes = sanitizeScheduleLeadMinutes(value);
@@ -0,0 +1,204 @@
+/**
+ * 検知エリアセクションの UI 制御。
+ * - 多角形はプレビュー上でしか描けないため、描画中はドロワーを閉じて映像を見せ、確定後に開き直す。
+ * - エリアの追加・編集は保存ボタンを待たずに即時保存する（描画操作をフォーム値として保持できないため）。
+ */
+import {
+  DETECTION_REGION_MODES,
+  DETECTION_REGION_CLASSES,
+  sanitizeDetectionRegions,
+} from '../../constants/monitor.js';
+import { loadSettings, saveSettings } from './state.js';
+import { adjustAccordionHeight } from './utils.js';
+
+const SETTINGS_DRAWER_ID = 'settingsDrawer';
+const CLASS_LABELS = Object.freeze({
+  'cell phone': '📱 スマホ',
+  person: '👤 人物',
+});
+
+const dom = {
+  list: null,
+  modeSelect: null,
+  addButton: null,
+  messageContainer: null,
+};
+
+/**
+ * 検知エリアセクションを初期化する。
+ */
+export function initializeDetectionRegionsSection() {
+  dom.list = document.getElementById('detectionRegionList');
+  dom.modeSelect = document.getElementById('detectionRegionMode');
+  dom.addButton = document.getElementById('detectionRegionAddBtn');
+  dom.messageContainer = document.getElementById('detectionRegionMessage');
+  if (!dom.list) {
+    return;
+  }
+
+  dom.addButton?.addEventListener('click', handleAddRegion);
+  renderDetectionRegionList(loadSettings().detectionRegions);
+}
+
+/**
+ * 保存済みのエリア一覧を描画する。
+ * - 設定リセット時にも core.js から呼ばれ、フォームと表示をそろえる。
+ */
+export function renderDetectionRegionList(regions) {
+  if (!dom.list) {
+    return;
+  }
+  dom.list.innerHTML = '';
+
+  if (!regions || regions.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = 'エリア未設定 (画面全体を判定に使用)';
+    dom.list.appendChild(empty);
+  } else {
+    regions.forEach((region) => dom.list.appendChild(createRegionItem(region)));
+  }
+  adjustAccordionHeight(dom.list);
+}
+
+function createRegionItem(region) {
+  const item = document.createElement('li');
+  item.className = 'detection-region-item';
+
+  const enabledInput = document.createElement('input');
+  enabledInput.type = 'checkbox';
+  enabledInput.checked = region.enabled;
+  enabledInput.title = '有効/無効';
+  enabledInput.addEventListener('change', () => updateRegion(region.id, { enabled: enabledInput.checked }));
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.value = region.name;
+  nameInput.maxLength = 30;
+  nameInput.addEventListener('change', () => updateRegion(region.id, { name: nameInput.value }));
+
+  const modeSelect = document.createElement('select');
+  modeSelect.className = 'form-select';
+  [
+    [DETECTION_REGION_MODES.INCLUDE, '対象'],
+    [DETECTION_REGION_MODES.EXCLUDE, '除外'],
+  ].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = region.mode === value;
+    modeSelect.appendChild(option);
+  });
+  modeSelect.addEventListener('change', () => updateRegion(region.id, { mode: modeSelect.value }));
+
+  const classLabels = DETECTION_REGION_CLASSES.map((className) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = region.classes.includes(className);
+    checkbox.addEventListener('change', () => {
+      const current = findRegion(region.id);
+      if (!current) {
+        return;
+      }
+      const classes = checkbox.checked
+        ? [...new Set([...current.classes, className])]
+        : current.classes.filter((name) => name !== className);
+      // classes が空だと「全クラスに適用」と解釈されるため、UI からは最低 1 つ残させる。
+      if (classes.length === 0) {
+        checkbox.checked = true;
+        showMessage('対象クラスは 1 つ以上選択してください', 'error');
+        return;
+      }
+      updateRegion(region.id, { classes });
+    });
+    label.append(checkbox, ` ${CLASS_LABELS[className] || className}`);
+    return label;
+  });
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.className = 'btn-secondary';
+  deleteButton.textContent = '削除';
+  deleteButton.addEventListener('click', () => {
+    if (window.confirm(`「${region.name}」を削除しますか?`)) {
+      persistRegions(loadSettings().detectionRegions.filter((entry) => entry.id !== region.id));
+    }
+  });
+
+  item.append(enabledInput, nameInput, modeSelect, ...classLabels, deleteButton);
+  return item;
+}
+
+function findRegion(regionId) {
+  return loadSettings().detectionRegions.find((region) => region.id === regionId) || null;
+}
+
+function updateRegion(regionId, patch) {
+  const regions = loadSettings().detectionRegions.map((region) =>
+    region.id === regionId ? { ...region, ...patch } : region,
+  );
+  persistRegions(regions);
+}
+
+/**
+ * エリア一覧を保存し、監視側へ反映する。
+ * - 保存は設定全体の一部だけを書き換え、フォーム上の未保存値を巻き込まない。
+ */
+function persistRegions(regions) {
+  const settings = loadSettings();
+  settings.detectionRegions = sanitizeDetectionRegions(regions);
+  saveSettings(settings);
+  if (typeof window.reloadMonitorSettings === 'function') {
+    window.reloadMonitorSettings();
+  }
+  renderDetectionRegionList(settings.detectionRegions);
+}
+
+/**
+ * ドロワーを閉じてプレビュー上で多角形を描かせ、確定したらエリアとして追加する。
+ */
+async function handleAddRegion() {
+  if (typeof window.startRegionDrawing !== 'function') {
+    showMessage('監視画面が初期化されていません', 'error');
+    return;
+  }
+
+  const mode = dom.modeSelect?.value || DETECTION_REGION_MODES.INCLUDE;
+  window.closeCurrentDrawer?.();
+  let points = null;
+  try {
+    points = await window.startRegionDrawing();
+  } catch (error) {
+    window.openDrawer?.(SETTINGS_DRAWER_ID);
+    showMessage(error.message, 'error');
+    return;
+  }
+  window.openDrawer?.(SETTINGS_DRAWER_ID);
+
+  if (!points) {
+    showMessage('エリアの描画を中止しました', 'info');
+    return;
+  }
+
+  const regions = loadSettings().detectionRegions;
+  const label = mode === DETECTION_REGION_MODES.EXCLUDE ? '除外エリア' : '対象エリア';
+  regions.push({
+    id: `region-${Date.now()}`,
+    name: `${label} ${regions.length + 1}`,
+    mode,
+    enabled: true,
+    classes: [...DETECTION_REGION_CLASSES],
+    points,
+  });
+  persistRegions(regions);
+  showMessage(`${label}を追加しました`, 'success');
+}
+
+function showMessage(text, type = 'info') {
+  if (!dom.messageContainer) {
+    return;
+  }
+  dom.messageContainer.textContent = text;
+  dom.messageContainer.className = `detection-region-message ${type}`;
+}
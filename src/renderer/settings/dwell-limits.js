@@ -0,0 +1,184 @@
+/**
+ * 滞在上限セクションの UI 制御。
+ * - 行の追加・編集は物体ウォッチと同じく保存ボタンを待たずに即時保存し、監視側へ反映する。
+ * - 対象が空になる編集や、連続・合計の両方を 0 にする編集は保存せず、保存済みの値に戻す。
+ */
+import {
+  DWELL_LIMIT_TARGETS,
+  DWELL_LIMIT_TARGET_LABELS,
+  DWELL_LIMIT_CONSTANTS,
+  sanitizeDwellLimits,
+} from '../../constants/monitor.js';
+import { loadSettings, saveSettings } from './state.js';
+import { adjustAccordionHeight } from './utils.js';
+
+const dom = {
+  list: null,
+  addButton: null,
+};
+
+/**
+ * 滞在上限セクションを初期化する。
+ */
+export function initializeDwellLimitsSection() {
+  dom.list = document.getElementById('dwellLimitList');
+  dom.addButton = document.getElementById('dwellLimitAddBtn');
+  if (!dom.list) {
+    return;
+  }
+
+  dom.addButton?.addEventListener('click', handleAddLimit);
+  renderDwellLimitList(loadSettings().dwellLimits);
+}
+
+/**
+ * 保存済みの上限一覧を描画する。
+ * - 設定リセット時にも core.js から呼ばれる。
+ */
+export function renderDwellLimitList(limits) {
+  if (!dom.list) {
+    return;
+  }
+  dom.list.innerHTML = '';
+
+  if (!limits || limits.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = '上限未設定';
+    dom.list.appendChild(empty);
+  } else {
+    limits.forEach((limit) => dom.list.appendChild(createLimitItem(limit)));
+  }
+  if (dom.addButton) {
+    dom.addButton.disabled = (limits?.length || 0) >= DWELL_LIMIT_CONSTANTS.maxLimits;
+  }
+  adjustAccordionHeight(dom.list);
+}
+
+function createMinutesInput(value, min, title, onChange) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = String(min);
+  input.max = String(DWELL_LIMIT_CONSTANTS.minutesMax);
+  input.value = String(value);
+  input.title = title;
+  input.addEventListener('change', () => onChange(input.value));
+  return input;
+}
+
+function createLimitItem(limit) {
+  const item = document.createElement('li');
+  item.className = 'dwell-limit-item';
+
+  const enabledInput = document.createElement('input');
+  enabledInput.type = 'checkbox';
+  enabledInput.checked = limit.enabled;
+  enabledInput.title = '有効/無効';
+  enabledInput.addEventListener('change', () => updateLimit(limit.id, { enabled: enabledInput.checked }));
+
+  const targetSelect = document.createElement('select');
+  targetSelect.className = 'form-select';
+  Object.entries(DWELL_LIMIT_TARGET_LABELS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === limit.target;
+    targetSelect.appendChild(option);
+  });
+  targetSelect.addEventListener('change', () => updateLimit(limit.id, { target: targetSelect.value }));
+
+  const patternInput = document.createElement('input');
+  patternInput.type = 'text';
+  patternInput.className = 'dwell-limit-pattern';
+  patternInput.value = limit.pattern;
+  patternInput.maxLength = DWELL_LIMIT_CONSTANTS.patternMaxLength;
+  patternInput.placeholder = limit.target === DWELL_LIMIT_TARGETS.DOMAIN ? 'x.com' : 'アプリ名の一部';
+  patternInput.addEventListener('change', () => updateLimit(limit.id, { pattern: patternInput.value }));
+
+  const stretchInput = createMinutesInput(limit.stretchMinutes, 0, '連続 (分、0 で無効)', (stretchMinutes) =>
+    updateLimit(limit.id, { stretchMinutes }));
+  const dailyInput = createMinutesInput(limit.dailyMinutes, 0, '1 日の合計 (分、0 で無効)', (dailyMinutes) =>
+    updateLimit(limit.id, { dailyMinutes }));
+  const cooldownInput = createMinutesInput(
+    limit.cooldownMinutes,
+    DWELL_LIMIT_CONSTANTS.cooldownMinutesMin,
+    '再通知までの間隔 (分)',
+    (cooldownMinutes) => updateLimit(limit.id, { cooldownMinutes }),
+  );
+
+  const messageInput = document.createElement('input');
+  messageInput.type = 'text';
+  messageInput.value = limit.message;
+  messageInput.maxLength = DWELL_LIMIT_CONSTANTS.messageMaxLength;
+  messageInput.placeholder = '通知の文言 (空欄なら自動)';
+  messageInput.addEventListener('change', () => updateLimit(limit.id, { message: messageInput.value }));
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.className = 'btn-secondary';
+  deleteButton.textContent = '削除';
+  deleteButton.addEventListener('click', () => {
+    persistLimits(loadSettings().dwellLimits.filter((entry) => entry.id !== limit.id));
+  });
+
+  item.append(
+    enabledInput,
+    targetSelect,
+    patternInput,
+    'を 連続',
+    stretchInput,
+    '分 / 1日',
+    dailyInput,
+    '分 で通知、再通知',
+    cooldownInput,
+    '分後',
+    messageInput,
+    deleteButton,
+  );
+  return item;
+}
+
+function updateLimit(limitId, patch) {
+  const saved = loadSettings().dwellLimits;
+  const limits = saved.map((limit) => (limit.id === limitId ? { ...limit, ...patch } : limit));
+  const edited = limits.find((limit) => limit.id === limitId);
+  if (edited && sanitizeDwellLimits([edited]).length === 0) {
+    renderDwellLimitList(saved);
+    return;
+  }
+  persistLimits(limits);
+}
+
+/**
+ * 上限一覧を保存し、監視側へ反映する。フォーム上の未保存値は巻き込まない。
+ */
+function persistLimits(limits) {
+  const settings = loadSettings();
+  settings.dwellLimits = sanitizeDwellLimits(limits);
+  saveSettings(settings);
+  if (typeof window.reloadMonitorSettings === 'function') {
+    window.reloadMonitorSettings();
+  }
+  renderDwellLimitList(settings.dwellLimits);
+}
+
+/**
+ * 「x.com を連続 10 分 / 1 日 30 分」をひな形として追加する。
+ */
+function handleAddLimit() {
+  const limits = loadSettings().dwellLimits;
+  if (limits.length >= DWELL_LIMIT_CONSTANTS.maxLimits) {
+    return;
+  }
+  limits.push({
+    id: `dwell-${Date.now()}`,
+    target: DWELL_LIMIT_TARGETS.DOMAIN,
+    pattern: 'x.com',
+    stretchMinutes: 10,
+    dailyMinutes: 30,
+    cooldownMinutes: DWELL_LIMIT_CONSTANTS.defaultCooldownMinutes,
+    enabled: true,
+    message: '',
+  });
+  persistLimits(limits);
+}
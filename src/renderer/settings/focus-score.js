@@ -0,0 +1,107 @@
+/**
+ * 集中スコアセクションの UI 制御。
+ * - 設定はメインプロセスの configStore に保存するため、フォームの「設定を保存」を待たずに変更のたびに送る。
+ * - スコアの計算はメインプロセス (focus-score.js) が行い、保存のたびに今日の分を計算し直す。
+ */
+import { FOCUS_SCORE_LIMITS, sanitizeFocusScoreSettings } from '../../constants/focus-score.js';
+import { adjustAccordionHeight } from './utils.js';
+
+const dom = {
+  weightInputs: [],
+  typingTargetInput: null,
+  messageContainer: null,
+};
+
+let focusSettingsCache = null;
+let focusSettingsBusy = false;
+
+/**
+ * 集中スコアセクションを初期化する。
+ */
+export async function initializeFocusScoreSection() {
+  dom.weightInputs = Array.from(document.querySelectorAll('.focus-weight'));
+  dom.typingTargetInput = document.getElementById('focusTypingTarget');
+  dom.messageContainer = document.getElementById('focusScoreMessage');
+  if (dom.weightInputs.length === 0) {
+    return;
+  }
+
+  if (!window.electronAPI?.focusScoreSettingsGet) {
+    setControlsDisabled(true);
+    showFocusScoreMessage('集中スコアは利用できません (electronAPI 未連携)', 'error');
+    return;
+  }
+
+  dom.weightInputs.forEach((input) => {
+    input.max = String(FOCUS_SCORE_LIMITS.weightMax);
+    input.addEventListener('change', () =>
+      handleFocusSettingsChange({ weights: { ...focusSettingsCache?.weights, [input.dataset.signal]: input.value } }));
+  });
+  dom.typingTargetInput?.addEventListener('change', () =>
+    handleFocusSettingsChange({ typingTargetPerMinute: dom.typingTargetInput.value }));
+
+  const response = await window.electronAPI.focusScoreSettingsGet();
+  if (!response?.success) {
+    throw new Error(response?.error || '集中スコア設定の取得に失敗しました');
+  }
+  focusSettingsCache = sanitizeFocusScoreSettings(response.settings);
+  applyFocusSettingsToForm();
+}
+
+function setControlsDisabled(disabled) {
+  [...dom.weightInputs, dom.typingTargetInput].forEach((control) => {
+    if (control) {
+      control.disabled = disabled;
+    }
+  });
+}
+
+function applyFocusSettingsToForm() {
+  const settings = focusSettingsCache;
+  if (!settings) {
+    return;
+  }
+  dom.weightInputs.forEach((input) => {
+    input.value = String(settings.weights[input.dataset.signal] ?? 0);
+  });
+  if (dom.typingTargetInput) {
+    dom.typingTargetInput.value = String(settings.typingTargetPerMinute);
+  }
+  setControlsDisabled(focusSettingsBusy);
+}
+
+/**
+ * 変更した項目を保存し、失敗時はフォームを保存済みの値へ戻す。
+ */
+async function handleFocusSettingsChange(patch) {
+  if (focusSettingsBusy || !window.electronAPI?.focusScoreSettingsUpdate) {
+    applyFocusSettingsToForm();
+    return;
+  }
+
+  try {
+    focusSettingsBusy = true;
+    setControlsDisabled(true);
+    const response = await window.electronAPI.focusScoreSettingsUpdate(patch);
+    if (!response?.success) {
+      throw new Error(response?.error || '集中スコア設定の保存に失敗しました');
+    }
+    focusSettingsCache = sanitizeFocusScoreSettings(response.settings);
+    showFocusScoreMessage('集中スコア設定を保存しました', 'success');
+  } catch (error) {
+    console.error('[Settings] 集中スコア設定保存エラー:', error);
+    showFocusScoreMessage(error.message || '集中スコア設定の保存に失敗しました', 'error');
+  } finally {
+    focusSettingsBusy = false;
+    applyFocusSettingsToForm();
+  }
+}
+
+function showFocusScoreMessage(text, type = 'info') {
+  if (!dom.messageContainer) {
+    return;
+  }
+  dom.messageContainer.textContent = text;
+  dom.messageContainer.className = `slack-message show ${type}`;
+  adjustAccordionHeight(dom.messageContainer);
+}
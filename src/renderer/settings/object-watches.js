@@ -0,0 +1,156 @@
+/**
+ * 物体ウォッチセクションの UI 制御。
+ * - 行の追加・編集は検知エリアと同じく保存ボタンを待たずに即時保存し、監視側へ反映する。
+ * - 選べるクラスは 80 クラスから専用の判定を持つ person / cell phone を除いたもの。
+ */
+import {
+  OBJECT_WATCH_MODES,
+  OBJECT_WATCH_MODE_LABELS,
+  OBJECT_WATCH_EXCLUDED_CLASSES,
+  OBJECT_WATCH_CONSTANTS,
+  sanitizeObjectWatches,
+} from '../../constants/monitor.js';
+import { YOLO_ALL_CLASS_NAMES, getClassLabel } from '../../constants/yolo-classes.js';
+import { loadSettings, saveSettings } from './state.js';
+import { adjustAccordionHeight } from './utils.js';
+
+const WATCHABLE_CLASSES = YOLO_ALL_CLASS_NAMES.filter((name) => !OBJECT_WATCH_EXCLUDED_CLASSES.includes(name));
+
+const dom = {
+  list: null,
+  addButton: null,
+};
+
+/**
+ * 物体ウォッチセクションを初期化する。
+ */
+export function initializeObjectWatchesSection() {
+  dom.list = document.getElementById('objectWatchList');
+  dom.addButton = document.getElementById('objectWatchAddBtn');
+  if (!dom.list) {
+    return;
+  }
+
+  dom.addButton?.addEventListener('click', handleAddWatch);
+  renderObjectWatchList(loadSettings().objectWatches);
+}
+
+/**
+ * 保存済みのウォッチ一覧を描画する。
+ * - 設定リセット時にも core.js から呼ばれる。
+ */
+export function renderObjectWatchList(watches) {
+  if (!dom.list) {
+    return;
+  }
+  dom.list.innerHTML = '';
+
+  if (!watches || watches.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = 'ウォッチ未設定';
+    dom.list.appendChild(empty);
+  } else {
+    watches.forEach((watch) => dom.list.appendChild(createWatchItem(watch)));
+  }
+  if (dom.addButton) {
+    dom.addButton.disabled = (watches?.length || 0) >= OBJECT_WATCH_CONSTANTS.maxWatches;
+  }
+  adjustAccordionHeight(dom.list);
+}
+
+function createSelect(entries, selectedValue, onChange) {
+  const select = document.createElement('select');
+  select.className = 'form-select';
+  entries.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === selectedValue;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+function createWatchItem(watch) {
+  const item = document.createElement('li');
+  item.className = 'object-watch-item';
+
+  const enabledInput = document.createElement('input');
+  enabledInput.type = 'checkbox';
+  enabledInput.checked = watch.enabled;
+  enabledInput.title = '有効/無効';
+  enabledInput.addEventListener('change', () => updateWatch(watch.id, { enabled: enabledInput.checked }));
+
+  const classSelect = createSelect(
+    WATCHABLE_CLASSES.map((name) => [name, getClassLabel(name)]),
+    watch.className,
+    (className) => updateWatch(watch.id, { className }),
+  );
+  const modeSelect = createSelect(Object.entries(OBJECT_WATCH_MODE_LABELS), watch.mode, (mode) =>
+    updateWatch(watch.id, { mode }));
+
+  const minutesInput = document.createElement('input');
+  minutesInput.type = 'number';
+  minutesInput.min = '1';
+  minutesInput.max = String(OBJECT_WATCH_CONSTANTS.thresholdMinutesMax);
+  minutesInput.value = String(watch.thresholdMinutes);
+  minutesInput.title = '閾値 (分)';
+  minutesInput.addEventListener('change', () => updateWatch(watch.id, { thresholdMinutes: minutesInput.value }));
+
+  const messageInput = document.createElement('input');
+  messageInput.type = 'text';
+  messageInput.value = watch.message;
+  messageInput.maxLength = OBJECT_WATCH_CONSTANTS.messageMaxLength;
+  messageInput.placeholder = '通知の文言 (空欄なら自動)';
+  messageInput.addEventListener('change', () => updateWatch(watch.id, { message: messageInput.value }));
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.className = 'btn-secondary';
+  deleteButton.textContent = '削除';
+  deleteButton.addEventListener('click', () => {
+    persistWatches(loadSettings().objectWatches.filter((entry) => entry.id !== watch.id));
+  });
+
+  item.append(enabledInput, classSelect, 'が', minutesInput, '分', modeSelect, messageInput, deleteButton);
+  return item;
+}
+
+function updateWatch(watchId, patch) {
+  const watches = loadSettings().objectWatches.map((watch) => (watch.id === watchId ? { ...watch, ...patch } : watch));
+  persistWatches(watches);
+}
+
+/**
+ * ウォッチ一覧を保存し、監視側へ反映する。フォーム上の未保存値は巻き込まない。
+ */
+function persistWatches(watches) {
+  const settings = loadSettings();
+  settings.objectWatches = sanitizeObjectWatches(watches);
+  saveSettings(settings);
+  if (typeof window.reloadMonitorSettings === 'function') {
+    window.reloadMonitorSettings();
+  }
+  renderObjectWatchList(settings.objectWatches);
+}
+
+/**
+ * 「カップが 120 分見当たらなければ」(水分補給の声かけ) をひな形として追加する。
+ */
+function handleAddWatch() {
+  const watches = loadSettings().objectWatches;
+  if (watches.length >= OBJECT_WATCH_CONSTANTS.maxWatches) {
+    return;
+  }
+  watches.push({
+    id: `watch-${Date.now()}`,
+    className: 'cup',
+    mode: OBJECT_WATCH_MODES.MISSING,
+    thresholdMinutes: 120,
+    enabled: true,
+    message: '',
+  });
+  persistWatches(watches);
+}
@@ -0,0 +1,65 @@
+/**
+ * 姿勢・着席セクションの UI 制御。
+ * - 接近判定の基準値 (普段の姿勢での人物枠の面積比) は監視中の映像から較正し、保存ボタンを待たずに即時保存する。
+ * - しきい値や ON/OFF は他の監視設定と同じくフォーム経由で保存する (core.js)。
+ */
+import { loadSettings, saveSettings } from './state.js';
+
+/**
+ * 姿勢・着席セクションを初期化する。
+ */
+export function initializePostureSection() {
+  const calibrateButton = document.getElementById('postureCalibrateBtn');
+  if (!calibrateButton) {
+    return;
+  }
+  calibrateButton.addEventListener('click', handleCalibrate);
+  renderPostureBaseline(loadSettings().postureBaselineAreaRatio);
+}
+
+/**
+ * 較正済みの基準値を表示する。
+ * - applySettings から呼ばれるため、初期化前でも要素を直接引いて描画する。
+ * @param {number} baselineAreaRatio
+ */
+export function renderPostureBaseline(baselineAreaRatio) {
+  const status = document.getElementById('postureBaselineStatus');
+  if (!status) {
+    return;
+  }
+  status.textContent = baselineAreaRatio > 0
+    ? `基準: 画面の ${(baselineAreaRatio * 100).toFixed(1)}%`
+    : '未較正 (較正するまで接近は判定しません)';
+}
+
+function handleCalibrate() {
+  if (typeof window.calibratePostureBaseline !== 'function') {
+    showMessage('監視画面が読み込まれていません', 'error');
+    return;
+  }
+  let areaRatio;
+  try {
+    areaRatio = window.calibratePostureBaseline();
+  } catch (error) {
+    showMessage(error.message, 'error');
+    return;
+  }
+
+  const settings = loadSettings();
+  settings.postureBaselineAreaRatio = Math.round(areaRatio * 10000) / 10000;
+  saveSettings(settings);
+  if (typeof window.reloadMonitorSettings === 'function') {
+    window.reloadMonitorSettings();
+  }
+  renderPostureBaseline(settings.postureBaselineAreaRatio);
+  showMessage('今の姿勢を基準にしました', 'success');
+}
+
+function showMessage(text, type = 'info') {
+  const container = document.getElementById('postureMessage');
+  if (!container) {
+    return;
+  }
+  container.textContent = text;
+  container.className = `detection-region-message ${type}`;
+}
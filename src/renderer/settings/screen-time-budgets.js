@@ -0,0 +1,236 @@
+/**
+ * 利用時間の予算セクションの UI 制御。
+ * - 予算はメインプロセスの configStore に保存するため、アプリのカテゴリと同じく編集中の一覧を下書きとして持ち「予算を保存」で送る。
+ * - カテゴリの予算の候補には、保存済みのカテゴリ分けルールのカテゴリ名と「未分類」を出す。
+ * - 保存後は監視画面に使用量を取り直させ、残り表示と警告をすぐに新しい予算へ合わせる。
+ */
+import {
+  SCREEN_TIME_BUDGET_TARGETS,
+  SCREEN_TIME_BUDGET_TARGET_LABELS,
+  SCREEN_TIME_BUDGET_LIMITS,
+  DEFAULT_SCREEN_TIME_BUDGET_SETTINGS,
+  createScreenTimeBudgetTemplate,
+  sanitizeScreenTimeBudgetSettings,
+} from '../../constants/screen-time-budgets.js';
+import { UNCATEGORIZED_APP_CATEGORY, sanitizeAppCategoryRules } from '../../constants/app-categories.js';
+import { adjustAccordionHeight } from './utils.js';
+
+const CATEGORY_DATALIST_ID = 'screenTimeBudgetCategoryOptions';
+
+const dom = {
+  dayStartSelect: null,
+  list: null,
+  addButton: null,
+  saveButton: null,
+  messageContainer: null,
+  categoryOptions: null,
+};
+
+let draftSettings = sanitizeScreenTimeBudgetSettings(DEFAULT_SCREEN_TIME_BUDGET_SETTINGS);
+let budgetBusy = false;
+
+/**
+ * 利用時間の予算セクションを初期化する。
+ */
+export async function initializeScreenTimeBudgetSection() {
+  dom.dayStartSelect = document.getElementById('screenTimeBudgetDayStart');
+  dom.list = document.getElementById('screenTimeBudgetList');
+  dom.addButton = document.getElementById('screenTimeBudgetAddBtn');
+  dom.saveButton = document.getElementById('screenTimeBudgetSaveBtn');
+  dom.messageContainer = document.getElementById('screenTimeBudgetMessage');
+  dom.categoryOptions = document.getElementById(CATEGORY_DATALIST_ID);
+  if (!dom.list) {
+    return;
+  }
+
+  if (!window.electronAPI?.screenTimeBudgetsGet) {
+    dom.addButton?.setAttribute('disabled', 'disabled');
+    dom.saveButton?.setAttribute('disabled', 'disabled');
+    showMessage('利用時間の予算は利用できません (electronAPI 未連携)', 'error');
+    return;
+  }
+
+  if (dom.dayStartSelect) {
+    dom.dayStartSelect.innerHTML = '';
+    for (let hour = 0; hour < 24; hour += 1) {
+      const option = document.createElement('option');
+      option.value = String(hour);
+      option.textContent = `${hour}:00`;
+      dom.dayStartSelect.appendChild(option);
+    }
+    dom.dayStartSelect.addEventListener('change', () => {
+      draftSettings = { ...draftSettings, dayStartHour: Number.parseInt(dom.dayStartSelect.value, 10) };
+    });
+  }
+  dom.addButton?.addEventListener('click', handleAddBudget);
+  dom.saveButton?.addEventListener('click', handleSaveBudgets);
+
+  const [response] = await Promise.all([window.electronAPI.screenTimeBudgetsGet(), loadCategoryOptions()]);
+  if (!response?.success) {
+    throw new Error(response?.error || '利用時間の予算の取得に失敗しました');
+  }
+  draftSettings = sanitizeScreenTimeBudgetSettings(response.settings);
+  renderBudgetSection();
+}
+
+/**
+ * カテゴリ名の候補を読み込む。取れなくても自由入力はできるため、失敗はログだけにとどめる。
+ */
+async function loadCategoryOptions() {
+  if (!dom.categoryOptions || !window.electronAPI?.appCategoryRulesGet) {
+    return;
+  }
+  try {
+    const response = await window.electronAPI.appCategoryRulesGet();
+    const categories = new Set(sanitizeAppCategoryRules(response?.success ? response.rules : []).map((rule) => rule.category));
+    categories.add(UNCATEGORIZED_APP_CATEGORY.category);
+    dom.categoryOptions.innerHTML = '';
+    categories.forEach((category) => {
+      const option = document.createElement('option');
+      option.value = category;
+      dom.categoryOptions.appendChild(option);
+    });
+  } catch (error) {
+    console.warn('[Settings] カテゴリ候補の取得に失敗:', error);
+  }
+}
+
+function renderBudgetSection() {
+  if (dom.dayStartSelect) {
+    dom.dayStartSelect.value = String(draftSettings.dayStartHour);
+  }
+  dom.list.innerHTML = '';
+  if (draftSettings.budgets.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = '予算未設定';
+    dom.list.appendChild(empty);
+  } else {
+    draftSettings.budgets.forEach((budget) => dom.list.appendChild(createBudgetItem(budget)));
+  }
+  if (dom.addButton) {
+    dom.addButton.disabled = budgetBusy || draftSettings.budgets.length >= SCREEN_TIME_BUDGET_LIMITS.maxBudgets;
+  }
+  adjustAccordionHeight(dom.list);
+}
+
+function createBudgetItem(budget) {
+  const item = document.createElement('li');
+  item.className = 'dwell-limit-item';
+
+  const enabledInput = document.createElement('input');
+  enabledInput.type = 'checkbox';
+  enabledInput.checked = budget.enabled;
+  enabledInput.title = '有効/無効';
+  enabledInput.addEventListener('change', () => updateBudget(budget.id, { enabled: enabledInput.checked }));
+
+  const targetSelect = document.createElement('select');
+  targetSelect.className = 'form-select';
+  Object.entries(SCREEN_TIME_BUDGET_TARGET_LABELS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === budget.target;
+    targetSelect.appendChild(option);
+  });
+  targetSelect.addEventListener('change', () => updateBudget(budget.id, { target: targetSelect.value }));
+
+  const keyInput = document.createElement('input');
+  keyInput.type = 'text';
+  keyInput.value = budget.key;
+  keyInput.maxLength = SCREEN_TIME_BUDGET_LIMITS.keyMaxLength;
+  if (budget.target === SCREEN_TIME_BUDGET_TARGETS.CATEGORY) {
+    keyInput.setAttribute('list', CATEGORY_DATALIST_ID);
+    keyInput.placeholder = 'カテゴリ名 例: 娯楽';
+  } else {
+    keyInput.placeholder = 'アプリ名 例: Slack';
+  }
+  keyInput.addEventListener('change', () => updateBudget(budget.id, { key: keyInput.value }));
+
+  const minutesInput = document.createElement('input');
+  minutesInput.type = 'number';
+  minutesInput.min = '1';
+  minutesInput.max = String(SCREEN_TIME_BUDGET_LIMITS.minutesMax);
+  minutesInput.value = String(budget.minutes);
+  minutesInput.title = '1 日の予算 (分)';
+  minutesInput.addEventListener('change', () => updateBudget(budget.id, { minutes: minutesInput.value }));
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.className = 'btn-secondary';
+  deleteButton.textContent = '削除';
+  deleteButton.addEventListener('click', () => {
+    draftSettings = { ...draftSettings, budgets: draftSettings.budgets.filter((entry) => entry.id !== budget.id) };
+    renderBudgetSection();
+  });
+
+  item.append(enabledInput, targetSelect, keyInput, '1日', minutesInput, '分', deleteButton);
+  return item;
+}
+
+function updateBudget(budgetId, patch) {
+  draftSettings = {
+    ...draftSettings,
+    budgets: draftSettings.budgets.map((budget) => (budget.id === budgetId ? { ...budget, ...patch } : budget)),
+  };
+  renderBudgetSection();
+}
+
+function handleAddBudget() {
+  if (draftSettings.budgets.length >= SCREEN_TIME_BUDGET_LIMITS.maxBudgets) {
+    return;
+  }
+  draftSettings = { ...draftSettings, budgets: [...draftSettings.budgets, createScreenTimeBudgetTemplate()] };
+  renderBudgetSection();
+  showMessage('予算を追加しました。対象と分数を入力して保存してください', 'info');
+}
+
+/**
+ * 下書きを検証して保存する。正規化で黙って消えないよう、対象が空・分数が不正な予算は保存前に知らせる。
+ */
+async function handleSaveBudgets() {
+  if (budgetBusy || !window.electronAPI?.screenTimeBudgetsUpdate) {
+    return;
+  }
+  const invalidIndex = draftSettings.budgets.findIndex(
+    (budget) => sanitizeScreenTimeBudgetSettings({ budgets: [budget] }).budgets.length === 0
+  );
+  if (invalidIndex >= 0) {
+    showMessage(`${invalidIndex + 1} 番目の予算は対象が空か、分数が 1 未満です`, 'error');
+    return;
+  }
+
+  try {
+    budgetBusy = true;
+    if (dom.saveButton) {
+      dom.saveButton.disabled = true;
+    }
+    const response = await window.electronAPI.screenTimeBudgetsUpdate(draftSettings);
+    if (!response?.success) {
+      throw new Error(response?.error || '利用時間の予算の保存に失敗しました');
+    }
+    draftSettings = sanitizeScreenTimeBudgetSettings(response.settings);
+    if (typeof window.refreshScreenTimeBudgets === 'function') {
+      window.refreshScreenTimeBudgets();
+    }
+    showMessage('利用時間の予算を保存しました', 'success');
+  } catch (error) {
+    console.error('[Settings] 利用時間の予算保存エラー:', error);
+    showMessage(error.message || '利用時間の予算の保存に失敗しました', 'error');
+  } finally {
+    budgetBusy = false;
+    if (dom.saveButton) {
+      dom.saveButton.disabled = false;
+    }
+    renderBudgetSection();
+  }
+}
+
+function showMessage(text, type = 'info') {
+  if (!dom.messageContainer) {
+    return;
+  }
+  dom.messageContainer.textContent = text;
+  dom.messageContainer.className = `alert-rule-message ${type}`;
+  adjustAccordionHeight(dom.messageContainer);
+}
@@ -0,0 +1,132 @@
+/**
+ * アラート時スナップショットセクションの UI 制御。
+ * - 設定はメインプロセスの configStore に保存するため、フォームの「設定を保存」を待たずに変更のたびに送る。
+ * - 保存後は 'snapshot-settings-updated' を発火し、監視画面の撮影判定へ即時に反映する。
+ */
+import { SNAPSHOT_WIDTH_OPTIONS, SNAPSHOT_LIMITS, sanitizeSnapshotSettings } from '../../constants/snapshots.js';
+import { adjustAccordionHeight } from './utils.js';
+
+const dom = {
+  enabledCheckbox: null,
+  blurCheckbox: null,
+  widthSelect: null,
+  retentionInput: null,
+  messageContainer: null,
+};
+
+let snapshotSettingsCache = null;
+let snapshotSettingsBusy = false;
+
+/**
+ * スナップショットセクションを初期化する。
+ */
+export async function initializeSnapshotSection() {
+  dom.enabledCheckbox = document.getElementById('snapshotEnabled');
+  dom.blurCheckbox = document.getElementById('snapshotBlur');
+  dom.widthSelect = document.getElementById('snapshotWidth');
+  dom.retentionInput = document.getElementById('snapshotRetentionDays');
+  dom.messageContainer = document.getElementById('snapshotMessage');
+  if (!dom.enabledCheckbox) {
+    return;
+  }
+
+  SNAPSHOT_WIDTH_OPTIONS.forEach((width) => {
+    const option = document.createElement('option');
+    option.value = String(width);
+    option.textContent = `${width}px`;
+    dom.widthSelect?.appendChild(option);
+  });
+  if (dom.retentionInput) {
+    dom.retentionInput.max = String(SNAPSHOT_LIMITS.retentionDaysMax);
+  }
+
+  if (!window.electronAPI?.snapshotSettingsGet) {
+    setControlsDisabled(true);
+    showSnapshotMessage('スナップショットは利用できません (electronAPI 未連携)', 'error');
+    return;
+  }
+
+  dom.enabledCheckbox.addEventListener('change', () => handleSnapshotSettingsChange({ enabled: dom.enabledCheckbox.checked }));
+  dom.blurCheckbox?.addEventListener('change', () => handleSnapshotSettingsChange({ blur: dom.blurCheckbox.checked }));
+  dom.widthSelect?.addEventListener('change', () => handleSnapshotSettingsChange({ width: dom.widthSelect.value }));
+  dom.retentionInput?.addEventListener('change', () =>
+    handleSnapshotSettingsChange({ retentionDays: dom.retentionInput.value }));
+
+  const response = await window.electronAPI.snapshotSettingsGet();
+  if (!response?.success) {
+    throw new Error(response?.error || 'スナップショット設定の取得に失敗しました');
+  }
+  snapshotSettingsCache = sanitizeSnapshotSettings(response.settings);
+  applySnapshotSettingsToForm();
+}
+
+function setControlsDisabled(disabled) {
+  [dom.enabledCheckbox, dom.blurCheckbox, dom.widthSelect, dom.retentionInput].forEach((control) => {
+    if (control) {
+      control.disabled = disabled;
+    }
+  });
+}
+
+/**
+ * キャッシュ済みの設定をフォームへ反映する。撮影が OFF の間は詳細設定を触れないようにする。
+ */
+function applySnapshotSettingsToForm() {
+  const settings = snapshotSettingsCache;
+  if (!settings) {
+    return;
+  }
+  dom.enabledCheckbox.checked = settings.enabled;
+  if (dom.blurCheckbox) {
+    dom.blurCheckbox.checked = settings.blur;
+  }
+  if (dom.widthSelect) {
+    dom.widthSelect.value = String(settings.width);
+  }
+  if (dom.retentionInput) {
+    dom.retentionInput.value = String(settings.retentionDays);
+  }
+  setControlsDisabled(snapshotSettingsBusy);
+  [dom.blurCheckbox, dom.widthSelect].forEach((control) => {
+    if (control) {
+      control.disabled = snapshotSettingsBusy || !settings.enabled;
+    }
+  });
+}
+
+/**
+ * 変更した項目を保存し、失敗時はフォームを保存済みの値へ戻す。
+ */
+async function handleSnapshotSettingsChange(patch) {
+  if (snapshotSettingsBusy || !window.electronAPI?.snapshotSettingsUpdate) {
+    applySnapshotSettingsToForm();
+    return;
+  }
+
+  try {
+    snapshotSettingsBusy = true;
+    setControlsDisabled(true);
+    const response = await window.electronAPI.snapshotSettingsUpdate(patch);
+    if (!response?.success) {
+      throw new Error(response?.error || 'スナップショット設定の保存に失敗しました');
+    }
+    snapshotSettingsCache = sanitizeSnapshotSettings(response.settings);
+    window.dispatchEvent(new CustomEvent('snapshot-settings-updated', { detail: { settings: snapshotSettingsCache } }));
+    showSnapshotMessage('スナップショット設定を保存しました', 'success');
+  } catch (error) {
+    console.error('[Settings] スナップショット設定保存エラー:', error);
+    showSnapshotMessage(error.message || 'スナップショット設定の保存に失敗しました', 'error');
+  } finally {
+    snapshotSettingsBusy = false;
+    applySnapshotSettingsToForm();
+  }
+}
+
+function showSnapshotMessage(text, type = 'info') {
+  if (!dom.messageContainer) {
+    return;
+  }
+  dom.messageContainer.textContent = text;
+  dom.messageContainer.className = `slack-message show ${type}`;
+  adjustAccordionHeight(dom.messageContainer);
+}
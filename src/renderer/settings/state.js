@@ -3,7 +3,13 @@
  * - localStorage に依存し、レンダラのみで完結させる方針を明示する。
  * - 他モジュールへはシリアライズ済み設定の読み書きだけを公開する。
  */
-import { DEFAULT_MONITOR_SETTINGS } from '../../constants/monitor.js';
+import {
+  DEFAULT_MONITOR_SETTINGS,
+  sanitizeYoloInputSize,
+  sanitizeDetectionRegions,
+  sanitizeObjectWatches,
+  sanitizeDwellLimits,
+} from '../../constants/monitor.js';
 import { sanitizeScheduleLeadMinutes } from '../../constants/schedule.js';
 import { DEFAULT_VOICEVOX_SPEAKER_ID } from '../../constants/voicevox-config.js';
 
@@ -18,6 +24,9 @@ export function cloneDefaultSettings() {
   return {
     ...DEFAULT_MONITOR_SETTINGS,
     enabledClasses: [...DEFAULT_MONITOR_SETTINGS.enabledClasses],
+    detectionRegions: [],
+    objectWatches: [],
+    dwellLimits: [],
     voicevoxSpeaker: DEFAULT_MONITOR_SETTINGS.voicevoxSpeaker ?? DEFAULT_VOICEVOX_SPEAKER_ID,
     previewEnabled: DEFAULT_MONITOR_SETTINGS.previewEnabled !== false,
   };
@@ -48,6 +57,7 @@ export function loadSettings() {
     const previewEnabled = typeof parsed.previewEnabled === 'boolean'
       ? parsed.previewEnabled
       : defaults.previewEnabled;
+    const yoloInputSize = sanitizeYoloInputSize(parsed.yoloInputSize ?? defaults.yoloInputSize);
 
     return {
       ...defaults,
@@ -56,6 +66,10 @@ export function loadSettings() {
       schedulePreNotificationEnabled,
       schedulePreNotificationLeadMinutes,
       previewEnabled,
+      yoloInputSize,
+      detectionRegions: sanitizeDetectionRegions(parsed.detectionRegions),
+      objectWatches: sanitizeObjectWatches(parsed.objectWatches),
+      dwellLimits: sanitizeDwellLimits(parsed.dwellLimits),
     };
   } catch (error) {
     console.warn('[Settings] Failed to parse stored monitor settings.', error);
@@ -15,6 +15,7 @@ import {
   VOICE_TOGGLE_TOKENS,
   VOICE_INCREASE_TOKENS,
   VOICE_DECREASE_TOKENS,
+  VOICE_ACKNOWLEDGE_TOKENS,
   includesVoiceToken,
   normalizeVoiceTokens,
 } from '../../constants/voice-patterns.js';
@@ -119,6 +120,10 @@ async function executeVoiceCommandJob(job) {
     return { processed: false, requeue: true };
   }
 
+  if (acknowledgeAlertsByVoice(job.transcription)) {
+    return { processed: true };
+  }
+
   const commands = prepareCommandList(job.result, job.transcription);
   if (commands.length === 0) {
     renderVoiceCommandResult([
@@ -150,6 +155,32 @@ async function executeVoiceCommandJob(job) {
   return { processed: true };
 }
 
+/**
+ * 「了解」などの発話で発火中のスマホ / 不在アラートを確認する。
+ * - 確認するアラートが無いときは通常の設定コマンドとして処理を続ける。
+ * @returns {boolean} アラートを確認した場合は true
+ */
+function acknowledgeAlertsByVoice(transcriptionText) {
+  if (!includesVoiceToken(transcriptionText, VOICE_ACKNOWLEDGE_TOKENS)) {
+    return false;
+  }
+  if (typeof window.acknowledgeMonitorAlerts !== 'function') {
+    return false;
+  }
+  const acknowledged = window.acknowledgeMonitorAlerts();
+  if (acknowledged.length === 0) {
+    return false;
+  }
+  renderVoiceCommandResult([
+    {
+      status: 'success',
+      label: 'アラート',
+      message: 'アラートを確認しました',
+    },
+  ]);
+  return true;
+}
+
 function prepareCommandList(result, transcriptionText) {
   let commands = Array.isArray(result?.commands) ? [...result.commands] : [];
   if (commands.length === 0) {
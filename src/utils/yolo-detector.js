@@ -1,172 +1,444 @@
 /**
  * YOLOv11 推論ラッパー (ONNX Runtime)。
  * - メインプロセス専用で動作し、canvas/onnxruntime-node への依存がある。
- * - クラス名リストは constants/yolo-classes から動的に読み込む。
+ * - モデルの入出力仕様は services/model-registry のマニフェストから受け取る。
  */
-const yoloClassModulePromise = import('../constants/yolo-classes.js');
 
-// クラス名リストはレンダラと共有する constants 層から取得する。
 /**
- * YOLOv11 物体検知クラス（ONNX Runtime使用）
+ * YOLO 物体検知クラス（ONNX Runtime使用）
  * 
- * 責務: YOLOv11モデルによる物体検知（推論・前処理・後処理）
+ * 責務: マニフェストで指定された YOLO モデルによる物体検知（推論・前処理・後処理）
  * 
  * 依存:
  * - onnxruntime-node（ネイティブモジュール、macOS/Linux/Windowsでビルド環境必須）
- * - canvas（画像処理用ネイティブモジュール）
- * - models/yolo11n.onnx（YOLOv11 Nano モデル、COCO 80クラス対応）
+ * - canvas（データ URL / 画像ファイル入力時のみ。生ピクセル入力では不要）
+ * - modelRegistry（models/ 配下の ONNX ファイルと入出力仕様の解決）
  * 
- * モデル仕様:
- * - 入力: [1, 3, 640, 640] (NCHW形式、RGB正規化0-1)
- * - 出力: [1, 84, 8400] (84 = 4 bbox座標 + 80クラススコア)
+ * モデル仕様（既定の yolo11n の場合）:
+ * - 入力: [1, 3, S, S] (NCHW形式、RGB正規化0-1、S は 320/480/640 など 32 の倍数)
+ * - 出力: [1, 84, N] (84 = 4 bbox座標 + 80クラススコア、N は S に応じたアンカー数)
  * - NMS適用済み結果を返却
  */
 const ort = require('onnxruntime-node');
-const { createCanvas, loadImage } = require('canvas');
-const fs = require('fs');
-const path = require('path');
+const { performance } = require('perf_hooks');
+
+const YOLO_STRIDE = 32;
+const DEFAULT_INPUT_SIZE = 640;
+const MIN_INPUT_SIZE = 160;
+const MAX_INPUT_SIZE = 1280;
+// Ultralytics の letterbox と同じ余白色 (114, 114, 114)
+const LETTERBOX_FILL_VALUE = 114;
+
+/**
+ * セッションの入力メタデータから NCHW の H/W を読む。
+ * - 数値の次元は固定、シンボル名 (文字列) の次元は動的として null を返す。
+ * - メタデータを持たない実行環境やテンソル以外の入力では null を返し、マニフェストの指定に任せる。
+ * @param {import('onnxruntime-node').InferenceSession} session
+ * @param {string} inputName
+ * @returns {{width:number|null, height:number|null}|null}
+ */
+function readDeclaredInputDims(session, inputName) {
+  const metadata = Array.isArray(session?.inputMetadata)
+    ? session.inputMetadata.find((entry) => entry?.name === inputName)
+    : null;
+  if (!metadata?.isTensor || !Array.isArray(metadata.shape) || metadata.shape.length !== 4) {
+    return null;
+  }
+  const toFixedDim = (dim) => (Number.isInteger(dim) && dim > 0 ? dim : null);
+  return { height: toFixedDim(metadata.shape[2]), width: toFixedDim(metadata.shape[3]) };
+}
 
 class YOLODetector {
-  constructor() {
+  /**
+   * @param {{modelRegistry: {resolveModel: Function}}} deps
+   */
+  constructor({ modelRegistry } = {}) {
+    if (!modelRegistry) {
+      throw new Error('modelRegistry が提供されていません');
+    }
+    this.modelRegistry = modelRegistry;
     this.session = null;
-    this.modelPath = path.join(__dirname, '..', '..', 'models', 'yolo11n.onnx');
-    this.inputSize = 640;
+    this.model = null;
+    // セッションの入力メタデータが宣言する H/W。数値なら固定、null なら動的 (シンボル) 次元。
+    this.declaredInputDims = null;
+    this.inputSize = DEFAULT_INPUT_SIZE;
+    this.letterboxEnabled = true;
     this.confidenceThreshold = 0.25;
     this.iouThreshold = 0.45;
-
-    // COCO dataset クラス名
-    this.classNames = []; // 動的ロード完了後に設定される。
-    this.classNamesPromise = yoloClassModulePromise
-      .then((mod) => mod.YOLO_ALL_CLASS_NAMES || [])
-      .catch(() => []);
+    this.classNames = [];
+    this.modelSwitchPromise = null;
+    // 最後に useModel で要求された id。切り替え待ちの間に別の id が要求されたら古い要求は読み込まない。
+    this.requestedModelId = null;
+    // 配置されていないモデルを毎フレーム読み込もうとしてログが溢れないよう、失敗した id を覚えておく。
+    this.failedModelIds = new Set();
   }
 
-  // モデル初期化
-  async initialize() {
+  /**
+   * モデル初期化
+   * - 指定したモデルを読み込めない場合は既定モデルで起動する。
+   * @param {string} [modelId] マニフェスト上の id。省略時は既定モデル。
+   * @returns {Promise<boolean>}
+   */
+  async initialize(modelId) {
     try {
-      if (!fs.existsSync(this.modelPath)) {
-        throw new Error(`モデルファイルが見つかりません: ${this.modelPath}`);
-      }
-
-      this.session = await ort.InferenceSession.create(this.modelPath);
-      this.classNames = await this.classNamesPromise;
-      console.log('YOLOv11 モデルを読み込みました');
+      await this.loadModel(modelId);
       return true;
     } catch (error) {
-      console.error('モデル読み込みエラー:', error);
-      return false;
+      if (!modelId) {
+        console.error('モデル読み込みエラー:', error);
+        return false;
+      }
+      console.warn(`${modelId} を読み込めないため既定モデルで起動します:`, error.message);
+      this.failedModelIds.add(modelId);
+      return this.initialize();
     }
   }
 
   /**
-   * 画像前処理
-   * YOLOv11入力要件: [1, 3, 640, 640] NCHW形式、RGB正規化(0-1)
-   * アスペクト比維持なし（letterboxなし）: 検知精度よりも処理速度優先
-   * 
-   * @param {Image} imageData - canvas loadImage で読み込んだ画像
-   * @returns {Float32Array} 正規化済みテンソルデータ
+   * マニフェストのエントリに従ってセッションを生成し、検知器の状態を切り替える。
+   * - 読み込みに失敗した場合は例外を投げ、直前のセッションはそのまま残す。
+   * - id を指定した場合、マニフェストに無い id を既定モデルで代用せず失敗として扱う。
+   * @param {string} [modelId]
+   */
+  async loadModel(modelId) {
+    const model = await this.modelRegistry.resolveModel(modelId);
+    if (!model || (modelId && model.id !== modelId)) {
+      throw new Error(`モデル定義が見つかりません: ${modelId}`);
+    }
+    if (!model.available) {
+      throw new Error(`モデルファイルが見つかりません: ${model.path}`);
+    }
+
+    const session = await ort.InferenceSession.create(model.path);
+    this.session = session;
+    this.model = model;
+    this.declaredInputDims = readDeclaredInputDims(session, model.inputName);
+    this.classNames = model.classNames;
+    this.failedModelIds.delete(model.id);
+    console.log(`YOLO モデルを読み込みました: ${model.id}`);
+  }
+
+  /**
+   * 指定モデルへ切り替える。
+   * - 別のモデルを読み込み中なら完了を待ってから判定し直し、最後に要求された id だけを読み込む。
+   * - 失敗時は現行モデルで推論を続け、検知そのものは止めない。
+   * @param {string} modelId
+   */
+  async useModel(modelId) {
+    if (!modelId) {
+      return;
+    }
+    this.requestedModelId = modelId;
+    while (this.modelSwitchPromise) {
+      await this.modelSwitchPromise;
+    }
+    if (
+      this.requestedModelId !== modelId
+      || this.model?.id === modelId
+      || this.failedModelIds.has(modelId)
+    ) {
+      return;
+    }
+    this.modelSwitchPromise = this.loadModel(modelId)
+      .catch((error) => {
+        this.failedModelIds.add(modelId);
+        console.warn(`モデル切り替えに失敗したため ${this.model?.id ?? '未ロード'} を継続します:`, error.message);
+      })
+      .finally(() => {
+        this.modelSwitchPromise = null;
+      });
+    await this.modelSwitchPromise;
+  }
+
+  /**
+   * 読み込みに失敗したモデルの記録を消す。
+   * - マニフェストやモデルファイルの配置を読み直したときに呼び、次の useModel で再び読み込みを試す。
+   */
+  clearFailedModels() {
+    this.failedModelIds.clear();
+  }
+
+  /**
+   * 現在ロード中のモデル概要。detect-objects の応答に含め、どのモデルの結果かを示す。
+   * @returns {{id:string, label:string, source:string}|null}
+   */
+  getModelInfo() {
+    if (!this.model) {
+      return null;
+    }
+    const { id, label, source } = this.model;
+    return { id, label, source };
+  }
+
+  /**
+   * 推論解像度を変更する。
+   * - YOLO のストライド (32) の倍数のみ受け付け、範囲外は既定値へフォールバックする。
+   * - マニフェストで dynamicInput=false のモデルでは無視され、inputShape の H/W が使われる。
+   * - dynamicInput=true でも、ONNX 側が固定値を宣言している次元には適用しない。
+   * @param {number} size 入力一辺のピクセル数 (320 / 480 / 640 など)
+   * @returns {number} 適用後の入力サイズ
+   */
+  setInputSize(size) {
+    const parsed = Number.parseInt(size, 10);
+    const isValid = Number.isInteger(parsed)
+      && parsed % YOLO_STRIDE === 0
+      && parsed >= MIN_INPUT_SIZE
+      && parsed <= MAX_INPUT_SIZE;
+    this.inputSize = isValid ? parsed : DEFAULT_INPUT_SIZE;
+    return this.inputSize;
+  }
+
+  /**
+   * 実際にモデルへ渡す入力の幅と高さ。
+   * - ONNX の入力メタデータが固定値を宣言している次元は常にその値を使う。
+   * - 残りの次元は dynamicInput=true なら推論解像度設定、それ以外はマニフェストの inputShape に従う。
+   * @returns {{width:number, height:number}}
    */
-  preprocessImage(imageData) {
-    const canvas = createCanvas(this.inputSize, this.inputSize);
-    const ctx = canvas.getContext('2d');
+  getInputDimensions() {
+    if (!this.model) {
+      return { width: this.inputSize, height: this.inputSize };
+    }
+    const [, , shapeHeight, shapeWidth] = this.model.inputShape;
+    const resolve = (declared, fallback) => {
+      if (declared) {
+        return declared;
+      }
+      return this.model.dynamicInput ? this.inputSize : fallback;
+    };
+    return {
+      width: resolve(this.declaredInputDims?.width, shapeWidth),
+      height: resolve(this.declaredInputDims?.height, shapeHeight),
+    };
+  }
 
-    // 画像をリサイズして描画（letterboxなし、歪み許容）
-    ctx.drawImage(imageData, 0, 0, this.inputSize, this.inputSize);
+  /**
+   * letterbox（アスペクト比維持 + 余白パディング）の有効/無効を切り替える。
+   * @param {boolean} enabled
+   */
+  setLetterboxEnabled(enabled) {
+    this.letterboxEnabled = enabled !== false;
+  }
 
-    const imgData = ctx.getImageData(0, 0, this.inputSize, this.inputSize);
-    const pixels = imgData.data;
+  /**
+   * 画像前処理（RGBA 生ピクセル → モデル入力テンソル）
+   * YOLO入力要件: [1, 3, H, W] NCHW形式、RGB正規化(0-1)
+   * - letterbox 有効時: アスペクト比を維持して縮小し、余白をグレー (114) で埋める。
+   *   16:9 のカメラ映像でも物体が潰れず、小さなスマホの検知率が下がりにくい。
+   * - letterbox 無効時: 従来どおり正方形へ引き伸ばす（歪みを許容して処理を単純化）。
+   * - canvas モジュールに依存せずバイリニア補間を行うため、ワーカースレッド内でも動作する。
+   * 
+   * @param {{width:number, height:number, data:Uint8Array|Uint8ClampedArray}} frame - RGBA 生ピクセル
+   * @returns {{input: Float32Array, transform: {scaleX:number, scaleY:number, padX:number, padY:number}}}
+   *   正規化済みテンソルデータと、postprocess で座標を元画像へ戻すための変換パラメータ
+   */
+  preprocessFrame(frame) {
+    const { width: inputWidth, height: inputHeight } = this.getInputDimensions();
+    const { width: srcWidth, height: srcHeight, data: pixels } = frame;
+    const transform = this.computeTransform(srcWidth, srcHeight);
+
+    const planeSize = inputWidth * inputHeight;
+    const input = new Float32Array(3 * planeSize);
+    if (this.letterboxEnabled) {
+      input.fill(LETTERBOX_FILL_VALUE / 255.0);
+    }
 
-    // RGB正規化 (0-255 -> 0-1) & CHW形式に変換
-    const input = new Float32Array(3 * this.inputSize * this.inputSize);
+    const drawWidth = Math.min(inputWidth - transform.padX, Math.round(srcWidth * transform.scaleX));
+    const drawHeight = Math.min(inputHeight - transform.padY, Math.round(srcHeight * transform.scaleY));
+    const maxX = srcWidth - 1;
+    const maxY = srcHeight - 1;
+
+    for (let y = 0; y < drawHeight; y++) {
+      const srcY = Math.min(maxY, Math.max(0, (y + 0.5) / transform.scaleY - 0.5));
+      const y0 = Math.floor(srcY);
+      const y1 = Math.min(maxY, y0 + 1);
+      const wy = srcY - y0;
+      const rowOffset = (transform.padY + y) * inputWidth + transform.padX;
+
+      for (let x = 0; x < drawWidth; x++) {
+        const srcX = Math.min(maxX, Math.max(0, (x + 0.5) / transform.scaleX - 0.5));
+        const x0 = Math.floor(srcX);
+        const x1 = Math.min(maxX, x0 + 1);
+        const wx = srcX - x0;
+
+        const i00 = (y0 * srcWidth + x0) * 4;
+        const i01 = (y0 * srcWidth + x1) * 4;
+        const i10 = (y1 * srcWidth + x0) * 4;
+        const i11 = (y1 * srcWidth + x1) * 4;
+        const w00 = (1 - wx) * (1 - wy);
+        const w01 = wx * (1 - wy);
+        const w10 = (1 - wx) * wy;
+        const w11 = wx * wy;
+        const pixelIndex = rowOffset + x;
+
+        // RGB channels (0-255 -> 0-1) を CHW 形式で格納
+        for (let c = 0; c < 3; c++) {
+          const value = pixels[i00 + c] * w00 + pixels[i01 + c] * w01
+            + pixels[i10 + c] * w10 + pixels[i11 + c] * w11;
+          input[c * planeSize + pixelIndex] = value / 255.0;
+        }
+      }
+    }
 
-    for (let i = 0; i < pixels.length; i += 4) {
-      const pixelIndex = i / 4;
-      const y = Math.floor(pixelIndex / this.inputSize);
-      const x = pixelIndex % this.inputSize;
+    return { input, transform };
+  }
 
-      // RGB channels
-      input[0 * this.inputSize * this.inputSize + y * this.inputSize + x] = pixels[i] / 255.0; // R
-      input[1 * this.inputSize * this.inputSize + y * this.inputSize + x] = pixels[i + 1] / 255.0; // G
-      input[2 * this.inputSize * this.inputSize + y * this.inputSize + x] = pixels[i + 2] / 255.0; // B
+  /**
+   * 元画像 → モデル入力座標への変換パラメータを算出する。
+   * - letterbox 時は縦横同一スケールで中央寄せし、余白量を padX / padY に持つ。
+   * @param {number} width 元画像の幅
+   * @param {number} height 元画像の高さ
+   * @returns {{scaleX:number, scaleY:number, padX:number, padY:number}}
+   */
+  computeTransform(width, height) {
+    const input = this.getInputDimensions();
+    if (!this.letterboxEnabled) {
+      return { scaleX: input.width / width, scaleY: input.height / height, padX: 0, padY: 0 };
     }
+    const scale = Math.min(input.width / width, input.height / height);
+    const padX = Math.round((input.width - width * scale) / 2);
+    const padY = Math.round((input.height - height * scale) / 2);
+    return { scaleX: scale, scaleY: scale, padX, padY };
+  }
 
-    return input;
+  /**
+   * フレーム単位の設定上書きを反映する。
+   * @param {{modelId?:string, inputSize?:number, letterbox?:boolean}} options
+   */
+  async applyOptions(options = {}) {
+    if (options.modelId) {
+      await this.useModel(options.modelId);
+    }
+    if (options.inputSize !== undefined && options.inputSize !== this.inputSize) {
+      this.setInputSize(options.inputSize);
+    }
+    if (typeof options.letterbox === 'boolean') {
+      this.setLetterboxEnabled(options.letterbox);
+    }
   }
 
-  // 推論実行
-  async detect(imageDataUrl) {
+  /**
+   * RGBA 生ピクセルに対して推論を実行する（ワーカーからの主経路）。
+   * @param {{width:number, height:number, data:Uint8Array|Uint8ClampedArray}} frame
+   * @param {{modelId?:string, inputSize?:number, letterbox?:boolean}} [options] フレーム単位で上書きする設定
+   * @returns {Promise<{detections: Array<{class:string, confidence:number, bbox:[number,number,number,number]}>, model: Object|null, timings: {preprocessMs:number, inferenceMs:number, postprocessMs:number}}>}
+   *   検知結果、その結果を出したモデルの概要、ステージ別の処理時間
+   */
+  async detectFrame(frame, options = {}) {
+    const timings = { preprocessMs: 0, inferenceMs: 0, postprocessMs: 0 };
+    await this.applyOptions(options);
     if (!this.session) {
       console.warn('モデルが初期化されていません');
-      return [];
+      return { detections: [], model: null, timings };
     }
 
-    try {
-      // Base64画像をロード
-      const img = await loadImage(imageDataUrl);
+    // 推論中にモデルが切り替わっても、前処理から後処理まで同じモデルで完結させる。
+    const { session, model } = this;
+    const modelInfo = this.getModelInfo();
 
+    try {
       // 前処理
-      const inputTensor = this.preprocessImage(img);
+      let mark = performance.now();
+      const { input, transform } = this.preprocessFrame(frame);
+      const { width, height } = this.getInputDimensions();
+      timings.preprocessMs = performance.now() - mark;
 
       // 推論実行
-      const tensor = new ort.Tensor('float32', inputTensor, [1, 3, this.inputSize, this.inputSize]);
-      const feeds = { images: tensor };
-      const results = await this.session.run(feeds);
+      mark = performance.now();
+      const tensor = new ort.Tensor('float32', input, [1, 3, height, width]);
+      const feeds = { [model.inputName]: tensor };
+      const results = await session.run(feeds);
+      timings.inferenceMs = performance.now() - mark;
 
       // 後処理
-      const detections = this.postprocess(results, img.width, img.height);
+      mark = performance.now();
+      const detections = this.postprocess(results, frame.width, frame.height, transform, model);
+      timings.postprocessMs = performance.now() - mark;
 
-      return detections;
+      return { detections, model: modelInfo, timings };
     } catch (error) {
       console.error('検知エラー:', error);
-      return [];
+      return { detections: [], model: modelInfo, timings };
     }
   }
 
   /**
-   * 後処理（検出結果の解析）YOLOv11形式
+   * データ URL / ファイルパス形式の画像に対して推論を実行する。
+   * - canvas でデコードして RGBA を取り出し、detectFrame と同じ前処理に合流させる。
+   * @param {string} imageSource Base64 エンコード済み画像、またはファイルパス
+   * @param {{modelId?:string, inputSize?:number, letterbox?:boolean}} [options]
+   */
+  async detect(imageSource, options = {}) {
+    // canvas はネイティブモジュールのため、生ピクセル経路だけを使うワーカーでは読み込まない。
+    const { createCanvas, loadImage } = require('canvas');
+    try {
+      const img = await loadImage(imageSource);
+      const canvas = createCanvas(img.width, img.height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      const { data } = ctx.getImageData(0, 0, img.width, img.height);
+      return this.detectFrame({ width: img.width, height: img.height, data }, options);
+    } catch (error) {
+      console.error('検知エラー:', error);
+      return {
+        detections: [],
+        model: this.getModelInfo(),
+        timings: { preprocessMs: 0, inferenceMs: 0, postprocessMs: 0 },
+      };
+    }
+  }
+  /**
+   * 後処理（検出結果の解析）YOLOv8/11 系ヘッド形式
    * 
-   * YOLOv11出力仕様: [1, 84, 8400]
-   * - 84 = 4 bbox座標(cx,cy,w,h) + 80 COCOクラススコア
-   * - 8400 = アンカーポイント総数（80x80 + 40x40 + 20x20の3スケール）
+   * 出力仕様（features-first。yolo11n 既定エクスポート）: [1, 84, 8400]
+   * - 84 = 4 bbox座標(cx,cy,w,h) + 80 COCOクラススコア（独自モデルは 4 + クラス数）
+   * - 8400 = アンカーポイント総数（640入力時: 80x80 + 40x40 + 20x20の3スケール。320入力なら 2100）
    * - データ配置: 転置形式（特徴軸が先、ボックス軸が後）
+   * - boxes-first レイアウト ([1, N, 4 + C]) のモデルはマニフェストの outputLayout で指定する
    * 
    * 処理フロー:
    * 1. 信頼度閾値フィルタリング（confidenceThreshold）
-   * 2. 座標変換（モデル座標→元画像座標）
+   * 2. 座標変換（モデル座標→元画像座標。letterbox の余白を差し引いてからスケールを戻す）
    * 3. NMS適用（IoU閾値: iouThreshold）
    * 
+   * @param {OrtInferenceResults} results ONNX Runtime の推論結果
+   * @param {number} originalWidth 入力画像の実幅
+   * @param {number} originalHeight 入力画像の実高
+   * @param {{scaleX:number, scaleY:number, padX:number, padY:number}} [transform] preprocessFrame が返した変換パラメータ
+   * @param {Object} [model] 推論に使ったモデル定義（省略時は現在のモデル）
    * @returns {Array<{class:string, confidence:number, bbox:[x,y,w,h]}>}
    */
-  postprocess(results, originalWidth, originalHeight) {
+  postprocess(results, originalWidth, originalHeight, transform = null, model = this.model) {
     const outputKey = Object.keys(results)[0];
     const output = results[outputKey];
     const outputData = output.data;
     const dims = output.dims;
 
-    // YOLOv11の出力は [1, 84, 8400] の形式
-    // 84 = 4 (bbox) + 80 (classes)
-    const numClasses = this.classNames.length;
-    const numBoxes = dims[2]; // 8400
-    const numFeatures = dims[1]; // 84
+    const boxesFirst = model?.outputLayout === 'boxes-first';
+    const numBoxes = boxesFirst ? dims[1] : dims[2]; // 640入力で 8400
+    const numFeatures = boxesFirst ? dims[2] : dims[1]; // COCO なら 84
+    const classNames = model?.classNames || this.classNames;
+    // マニフェストのクラス数と出力チャネル数が食い違っても範囲外を読まないよう小さい方に揃える。
+    const numClasses = Math.min(classNames.length, numFeatures - 4);
+    const valueAt = boxesFirst
+      ? (feature, box) => outputData[box * numFeatures + feature]
+      : (feature, box) => outputData[feature * numBoxes + box];
 
     const detections = [];
-    const scaleX = originalWidth / this.inputSize;
-    const scaleY = originalHeight / this.inputSize;
+    const { scaleX, scaleY, padX, padY } = transform || this.computeTransform(originalWidth, originalHeight);
 
-    // 転置されたデータを処理
     for (let i = 0; i < numBoxes; i++) {
-      // バウンディングボックス (center_x, center_y, width, height)
-      const cx = outputData[i] * scaleX;
-      const cy = outputData[numBoxes + i] * scaleY;
-      const w = outputData[2 * numBoxes + i] * scaleX;
-      const h = outputData[3 * numBoxes + i] * scaleY;
+      // バウンディングボックス (center_x, center_y, width, height) をモデル座標から元画像座標へ逆変換
+      const cx = (valueAt(0, i) - padX) / scaleX;
+      const cy = (valueAt(1, i) - padY) / scaleY;
+      const w = valueAt(2, i) / scaleX;
+      const h = valueAt(3, i) / scaleY;
 
       // クラススコア
       let maxScore = 0;
       let maxClass = 0;
 
       for (let j = 0; j < numClasses; j++) {
-        const score = outputData[(4 + j) * numBoxes + i];
+        const score = valueAt(4 + j, i);
         if (score > maxScore) {
           maxScore = score;
           maxClass = j;
@@ -175,15 +447,18 @@ class YOLODetector {
 
       // 信頼度閾値チェック
       if (maxScore >= this.confidenceThreshold) {
+        // letterbox の余白に掛かったボックスは画像範囲へクリップする
+        const x1 = Math.max(0, cx - w / 2);
+        const y1 = Math.max(0, cy - h / 2);
+        const x2 = Math.min(originalWidth, cx + w / 2);
+        const y2 = Math.min(originalHeight, cy + h / 2);
+        if (x2 <= x1 || y2 <= y1) {
+          continue;
+        }
         detections.push({
-          class: this.classNames[maxClass],
+          class: classNames[maxClass],
           confidence: maxScore,
-          bbox: [
-            Math.max(0, cx - w / 2),
-            Math.max(0, cy - h / 2),
-            w,
-            h
-          ]
+          bbox: [x1, y1, x2 - x1, y2 - y1]
         });
       }
     }
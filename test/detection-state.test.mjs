@@ -0,0 +1,63 @@
+/**
+ * スマホ / 不在の状態機械 (monitor/detection-state.js) のフィクスチャテスト。
+ * - fixtures/detection-state.json の検知の並びを一定間隔のフレームとして流し、記録されるログを比べる。
+ * - 監視画面 (monitor/detection.js) と同じく、状態機械の直後に既定のアラートルールを評価する。
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createDetectionStateMachine, createDetectionSessionState } from '../src/renderer/monitor/detection-state.js';
+import { createAlertRuleEngine } from '../src/renderer/monitor/alert-rules.js';
+import { sanitizeAlertRules } from '../src/constants/alert-rules.js';
+
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/detection-state.json', import.meta.url), 'utf-8'));
+// 状態機械は時刻 0 を「未開始」の印として使うため、フィクスチャの時刻はこの基準からの経過として扱う。
+const BASE_TIME = Date.parse('2000-01-01T00:00:00Z');
+
+/**
+ * シナリオのフレームを順に流し、記録されたログをフィクスチャと同じ形に揃えて返す。
+ */
+function replayScenario(scenario) {
+  const state = createDetectionSessionState();
+  const logs = [];
+  const recordLog = (entry) => logs.push(entry);
+  const machine = createDetectionStateMachine({ state, effects: { recordLog } });
+  const rules = sanitizeAlertRules([]);
+  const engine = createAlertRuleEngine({
+    state,
+    getRules: () => rules,
+    effects: {
+      recordLog,
+      onBuiltinAlert: (rule, { now }) =>
+        machine.raiseBuiltinAlert(rule.builtin, now, {
+          ruleId: rule.id,
+          condition: rule.condition.type,
+          thresholdSeconds: rule.condition.thresholdSeconds,
+        }),
+    },
+  });
+
+  const frameIntervalMs = scenario.frameIntervalMs ?? fixture.frameIntervalMs;
+  let elapsedMs = 0;
+  scenario.segments.forEach((segment) => {
+    const detections = segment.detections.map((name, index) => ({ ...fixture.detections[name], trackId: index + 1 }));
+    for (; elapsedMs <= segment.untilMs; elapsedMs += frameIntervalMs) {
+      const now = BASE_TIME + elapsedMs;
+      machine.process(detections, now);
+      engine.evaluate(now);
+    }
+  });
+
+  return logs.map((entry) => ({
+    type: entry.type,
+    atMs: entry.detectedAt - BASE_TIME,
+    durationSeconds: entry.durationSeconds,
+    ...(entry.responseSeconds !== undefined ? { responseSeconds: entry.responseSeconds } : {}),
+  }));
+}
+
+fixture.scenarios.forEach((scenario) => {
+  test(scenario.name, () => {
+    assert.deepEqual(replayScenario(scenario), scenario.expectedLogs);
+  });
+});